@@ -1,310 +1,22 @@
 // /bot/events/interactionCreate.js
 import pkg from 'discord.js';
-const { ChannelType, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = pkg;
+const { EmbedBuilder } = pkg;
 import { logger } from '../utils/logger.js';
-import crypto from 'crypto';
+import { forInteraction } from '../i18n/index.js';
+import { routeInteraction } from '../interactions/router.js';
 
 export const name = 'interactionCreate';
 export const once = false;
 
-export async function execute(interaction, client) {
-  // Handle button interactions for ticket system
-  if (interaction.isButton()) {
-    if (interaction.customId.startsWith('create_ticket_')) {
-      try {
-        await interaction.deferReply({ ephemeral: true });
-
-        // Find or create the "Strive Tickets" category
-        let category = interaction.guild.channels.cache.find(
-          ch => ch.type === ChannelType.GuildCategory && ch.name === 'Strive Tickets'
-        );
-
-        if (!category) {
-          category = await interaction.guild.channels.create({
-            name: 'Strive Tickets',
-            type: ChannelType.GuildCategory,
-            permissionOverwrites: [
-              {
-                id: interaction.guild.id,
-                deny: [PermissionFlagsBits.ViewChannel],
-              },
-              {
-                id: client.user.id,
-                allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageChannels],
-              },
-              {
-                id: interaction.user.id,
-                allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages],
-              },
-            ],
-          });
-        }
-
-        // Create the ticket channel
-        const ticketChannel = await interaction.guild.channels.create({
-          name: `ticket-${interaction.user.username}-${crypto.randomBytes(4).toString('hex')}`,
-          type: ChannelType.GuildText,
-          parent: category.id,
-          permissionOverwrites: [
-            {
-              id: interaction.guild.id,
-              deny: [PermissionFlagsBits.ViewChannel],
-            },
-            {
-              id: interaction.user.id,
-              allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages],
-            },
-            {
-              id: client.user.id,
-              allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ManageChannels],
-            },
-          ],
-        });
-
-        // Store ticket data
-        if (!client.strive) client.strive = {};
-        if (!client.strive.tickets) client.strive.tickets = new Map();
-        client.strive.tickets.set(ticketChannel.id, {
-          openerId: interaction.user.id,
-          guildId: interaction.guild.id,
-          createdAt: Date.now(),
-        });
-
-        // Create ticket embed
-        const ticketEmbed = new EmbedBuilder()
-          .setTitle('Support Ticket')
-          .setDescription(`Welcome to your support ticket, <@${interaction.user.id}>. A staff member will assist you shortly.`)
-          .setColor('#5865F2')
-          .setTimestamp();
-
-        // Create ticket buttons
-        const ticketButtons = new ActionRowBuilder().addComponents(
-          new ButtonBuilder()
-            .setCustomId(`claim_ticket_${ticketChannel.id}`)
-            .setLabel('Claim')
-            .setStyle(ButtonStyle.Primary),
-          new ButtonBuilder()
-            .setCustomId(`close_ticket_${ticketChannel.id}`)
-            .setLabel('Close')
-            .setStyle(ButtonStyle.Danger),
-          new ButtonBuilder()
-            .setCustomId(`reminder_ticket_${ticketChannel.id}`)
-            .setLabel('Reminder')
-            .setStyle(ButtonStyle.Secondary)
-        );
-
-        // Send ping and ticket embed with buttons
-        await ticketChannel.send(`<@${interaction.user.id}>`);
-        await ticketChannel.send({ embeds: [ticketEmbed], components: [ticketButtons] });
-
-        await interaction.followUp({
-          content: `✅ Ticket created: ${ticketChannel}`,
-          ephemeral: true,
-        });
-
-        logger.info('TICKET_CREATED', {
-          userId: interaction.user.id,
-          guildId: interaction.guild.id,
-          channelId: ticketChannel.id,
-        });
-      } catch (error) {
-        logger.error('TICKET_CREATION_ERROR', {
-          userId: interaction.user.id,
-          guildId: interaction.guild?.id,
-          error: error.message,
-          stack: error.stack?.split('\n').slice(0, 3).join('\n'),
-        });
-
-        try {
-          await interaction.followUp({
-            content: '❌ Failed to create ticket.',
-            ephemeral: true,
-          });
-        } catch (followUpError) {
-          logger.error('TICKET_FOLLOWUP_ERROR', {
-            userId: interaction.user.id,
-            guildId: interaction.guild?.id,
-            error: followUpError.message,
-          });
-        }
-      }
-    } else if (interaction.customId.startsWith('close_ticket_')) {
-      try {
-        await interaction.deferReply({ ephemeral: true });
-
-        const channel = interaction.channel;
-        if (!channel.isTextBased()) {
-          await interaction.followUp({
-            content: '❌ This command must be used in a ticket channel.',
-            ephemeral: true,
-          });
-          return;
-        }
-
-        const hasPermission = interaction.member.permissionsIn(channel).has(PermissionFlagsBits.ManageChannels);
-        if (!hasPermission) {
-          await interaction.followUp({
-            content: '❌ You do not have permission to close this ticket.',
-            ephemeral: true,
-          });
-          return;
-        }
-
-        // Clean up ticket data
-        if (client.strive?.tickets?.has(channel.id)) {
-          client.strive.tickets.delete(channel.id);
-        }
-
-        await channel.delete();
-        logger.info('TICKET_CLOSED', {
-          userId: interaction.user.id,
-          guildId: interaction.guild.id,
-          channelId: channel.id,
-        });
-      } catch (error) {
-        logger.error('TICKET_CLOSE_ERROR', {
-          userId: interaction.user.id,
-          guildId: interaction.guild?.id,
-          error: error.message,
-          stack: error.stack?.split('\n').slice(0, 3).join('\n'),
-        });
-
-        try {
-          await interaction.followUp({
-            content: '❌ Failed to close ticket.',
-            ephemeral: true,
-          });
-        } catch (followUpError) {
-          logger.error('TICKET_FOLLOWUP_ERROR', {
-            userId: interaction.user.id,
-            guildId: interaction.guild?.id,
-            error: followUpError.message,
-          });
-        }
-      }
-    } else if (interaction.customId.startsWith('claim_ticket_')) {
-      try {
-        await interaction.deferReply({ ephemeral: true });
+const errorEmbed = (title, description) =>
+  new EmbedBuilder().setColor('#FF0000').setTitle(title).setDescription(description).setTimestamp();
 
-        const channel = interaction.channel;
-        if (!channel.isTextBased()) {
-          await interaction.followUp({
-            content: '❌ This command must be used in a ticket channel.',
-            ephemeral: true,
-          });
-          return;
-        }
-
-        const hasPermission = interaction.member.permissionsIn(channel).has(PermissionFlagsBits.ManageChannels);
-        if (!hasPermission) {
-          await interaction.followUp({
-            content: '❌ You do not have permission to claim this ticket.',
-            ephemeral: true,
-          });
-          return;
-        }
-
-        await channel.send({
-          content: `${interaction.user} has claimed this ticket.`,
-        });
-
-        await interaction.followUp({
-          content: '✅ Ticket claimed.',
-          ephemeral: true,
-        });
-
-        logger.info('TICKET_CLAIMED', {
-          userId: interaction.user.id,
-          guildId: interaction.guild.id,
-          channelId: channel.id,
-        });
-      } catch (error) {
-        logger.error('TICKET_CLAIM_ERROR', {
-          userId: interaction.user.id,
-          guildId: interaction.guild?.id,
-          error: error.message,
-          stack: error.stack?.split('\n').slice(0, 3).join('\n'),
-        });
-
-        try {
-          await interaction.followUp({
-            content: '❌ Failed to claim ticket.',
-            ephemeral: true,
-          });
-        } catch (followUpError) {
-          logger.error('TICKET_FOLLOWUP_ERROR', {
-            userId: interaction.user.id,
-            guildId: interaction.guild?.id,
-            error: followUpError.message,
-          });
-        }
-      }
-    } else if (interaction.customId.startsWith('reminder_ticket_')) {
-      try {
-        await interaction.deferReply({ ephemeral: true });
-
-        const channel = interaction.channel;
-        if (!channel.isTextBased()) {
-          await interaction.followUp({
-            content: '❌ This command must be used in a ticket channel.',
-            ephemeral: true,
-          });
-          return;
-        }
-
-        // Get opener from stored ticket data
-        const ticketData = client.strive?.tickets?.get(channel.id);
-        if (!ticketData?.openerId) {
-          await interaction.followUp({
-            content: '❌ Could not identify ticket opener.',
-            ephemeral: true,
-          });
-          return;
-        }
-
-        const user = await client.users.fetch(ticketData.openerId);
-        await user.send({
-          content: `Hello! Please check your support ticket in ${interaction.guild.name}: ${channel}`,
-        });
-
-        await interaction.followUp({
-          content: '✅ Reminder sent to ticket opener.',
-          ephemeral: true,
-        });
-
-        logger.info('TICKET_REMINDER_SENT', {
-          userId: interaction.user.id,
-          guildId: interaction.guild.id,
-          channelId: channel.id,
-          openerId: ticketData.openerId,
-        });
-      } catch (error) {
-        logger.error('TICKET_REMINDER_ERROR', {
-          userId: interaction.user.id,
-          guildId: interaction.guild?.id,
-          error: error.message,
-          stack: error.stack?.split('\n').slice(0, 3).join('\n'),
-        });
-
-        try {
-          await interaction.followUp({
-            content: '❌ Failed to send reminder.',
-            ephemeral: true,
-          });
-        } catch (followUpError) {
-          logger.error('TICKET_FOLLOWUP_ERROR', {
-            userId: interaction.user.id,
-            guildId: interaction.guild?.id,
-            error: followUpError.message,
-          });
-        }
-      }
-    }
-    return;
-  }
+export async function execute(interaction, client) {
+  // Buttons, select menus, modals and autocomplete go to the command module that owns them
+  if (await routeInteraction(interaction, client)) return;
 
-  // Handle slash commands
-  if (!interaction.isChatInputCommand()) {
+  // Handle slash commands and user/message context menus
+  if (!interaction.isChatInputCommand() && !interaction.isContextMenuCommand()) {
     logger.debug('Non-command interaction ignored', {
       type: interaction.type,
       userId: interaction.user.id,
@@ -313,6 +25,8 @@ export async function execute(interaction, client) {
     return;
   }
 
+  const t = forInteraction(interaction);
+
   // Ensure bot is ready
   if (!client.isReady()) {
     logger.warn('Bot not ready for command', {
@@ -320,12 +34,8 @@ export async function execute(interaction, client) {
       userId: interaction.user.id,
       guildId: interaction.guild?.id,
     });
-    const errorEmbed = new EmbedBuilder()
-      .setColor('#FF0000')
-      .setTitle('Bot Not Ready')
-      .setDescription('The bot is not ready to process commands. Please try again later.')
-      .setTimestamp();
-    await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+    const embed = errorEmbed(t('interactions.commands.notReadyTitle'), t('interactions.commands.notReady'));
+    await interaction.reply({ embeds: [embed], ephemeral: true });
     return;
   }
 
@@ -336,12 +46,11 @@ export async function execute(interaction, client) {
       userId: interaction.user.id,
       guildId: interaction.guild?.id,
     });
-    const errorEmbed = new EmbedBuilder()
-      .setColor('#FF0000')
-      .setTitle('Command Not Found')
-      .setDescription(`The command \`${interaction.commandName}\` does not exist.`)
-      .setTimestamp();
-    await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+    const embed = errorEmbed(
+      t('interactions.commands.notFoundTitle'),
+      t('interactions.commands.notFound', { command: interaction.commandName })
+    );
+    await interaction.reply({ embeds: [embed], ephemeral: true });
     return;
   }
 
@@ -355,12 +64,8 @@ export async function execute(interaction, client) {
         guildId: interaction.guild?.id,
         permissions: requiredPermissions.toString(),
       });
-      const errorEmbed = new EmbedBuilder()
-        .setColor('#FF0000')
-        .setTitle('Permission Denied')
-        .setDescription('You do not have permission to use this command.')
-        .setTimestamp();
-      await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+      const embed = errorEmbed(t('interactions.commands.noPermissionTitle'), t('interactions.commands.noPermission'));
+      await interaction.reply({ embeds: [embed], ephemeral: true });
       return;
     }
   }
@@ -389,17 +94,13 @@ export async function execute(interaction, client) {
       stack: error.stack?.split('\n').slice(0, 3).join('\n'),
     });
 
-    const errorEmbed = new EmbedBuilder()
-      .setColor('#FF0000')
-      .setTitle('Command Error')
-      .setDescription('An error occurred while executing the command.')
-      .setTimestamp();
+    const embed = errorEmbed(t('interactions.commands.failedTitle'), t('interactions.commands.failed'));
 
     try {
       if (interaction.deferred || interaction.replied) {
-        await interaction.followUp({ embeds: [errorEmbed], ephemeral: true });
+        await interaction.followUp({ embeds: [embed], ephemeral: true });
       } else {
-        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
       }
     } catch (followUpError) {
       logger.error('COMMAND_FOLLOWUP_ERROR', {
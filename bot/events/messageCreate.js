@@ -1,5 +1,5 @@
 // /bot/events/messageCreate.js
-// This is primarily handled by security modules (antispam, antilink, etc.)
+// This is primarily handled by the protection pipeline (bot/security/pipeline.js)
 // But we keep a minimal handler for future extensibility
 
 import { logger } from '../utils/logger.js';
@@ -10,6 +10,6 @@ export const once = false;
 export async function execute(message, client) {
   if (message.author.bot) return;
 
-  // Security modules (antispam, antilink, etc.) are initialized separately
+  // Protection checks (antispam, antilink, automod) run in the pipeline set up by initSecurity
   // No additional logic needed here unless you add prefix commands later
 }
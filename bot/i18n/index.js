@@ -0,0 +1,97 @@
+// /bot/i18n/index.js
+// Locale bundles live in ./locales/<language>.json. Strings use {name} placeholders;
+// an entry with "one"/"other" (or any Intl.PluralRules category) is picked by `count`.
+// Lookups fall back to English, then to the key itself.
+import { readdirSync, readFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import GuildSettings from '../../models/GuildSettings.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+export const LOCALES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'locales');
+
+export const bundles = Object.fromEntries(
+  readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [basename(file, '.json'), JSON.parse(readFileSync(join(LOCALES_DIR, file), 'utf8'))])
+);
+export const SUPPORTED_LANGUAGES = Object.keys(bundles);
+
+// guildId → language; loaded once on ready so log and embed code can stay synchronous
+const guildLanguages = new Map();
+
+const lookup = (language, key) => key.split('.').reduce((node, part) => node?.[part], bundles[language]);
+const isPlural = (entry) => typeof entry === 'object' && entry !== null && typeof entry.other === 'string';
+
+export function t(language, key, vars = {}) {
+  let entry = lookup(language, key);
+  if (typeof entry !== 'string' && !isPlural(entry)) entry = lookup(DEFAULT_LANGUAGE, key);
+  if (isPlural(entry)) entry = entry[new Intl.PluralRules(language).select(Number(vars.count ?? 0))] ?? entry.other;
+  if (typeof entry !== 'string') return key;
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+}
+
+export const translator = (language) => (key, vars) => t(language, key, vars);
+
+// Discord locale ("es-ES", "en-GB") → bundled language, or null when not bundled
+export function matchLanguage(locale) {
+  if (!locale) return null;
+  if (bundles[locale]) return locale;
+  const base = locale.split('-')[0];
+  return bundles[base] ? base : null;
+}
+
+export const languageName = (language) => bundles[language]?.meta?.name ?? language;
+
+export const guildLanguage = (guildId) => guildLanguages.get(guildId) ?? DEFAULT_LANGUAGE;
+
+// The user's own Discord language when bundled, otherwise the server's
+export const interactionLanguage = (interaction) =>
+  matchLanguage(interaction.locale) ?? guildLanguage(interaction.guildId);
+
+export const forInteraction = (interaction) => translator(interactionLanguage(interaction));
+export const forGuild = (guildOrId) => translator(guildLanguage(guildOrId?.id ?? guildOrId));
+
+export async function loadGuildLanguages() {
+  const settings = await GuildSettings.find({ language: { $ne: DEFAULT_LANGUAGE } }).select('guildId language').lean();
+  for (const { guildId, language } of settings) {
+    if (bundles[language]) guildLanguages.set(guildId, language);
+  }
+  logger.info('GUILD_LANGUAGES_LOADED', { guilds: guildLanguages.size });
+}
+
+export async function setGuildLanguage(guildId, language) {
+  if (!bundles[language]) throw new Error(`Unsupported language: ${language}`);
+  const settings = await GuildSettings.forGuild(guildId);
+  settings.language = language;
+  await settings.save();
+  guildLanguages.set(guildId, language);
+  logger.audit('GUILD_LANGUAGE_UPDATED', { guildId, language });
+}
+
+/**
+ * Copies command, subcommand and option names/descriptions from the bundles
+ * onto a command builder, using each bundle's Discord locales. Keys follow
+ * commands.<command>.options.<option>... with `name` and `description`;
+ * context menus are keyed by their display name ("commands.Report message").
+ */
+export function localizeCommand(builder) {
+  const apply = (node, path) => {
+    for (const language of SUPPORTED_LANGUAGES) {
+      if (language === DEFAULT_LANGUAGE) continue;
+      const entry = lookup(language, path);
+      if (!entry) continue;
+      for (const locale of bundles[language].meta?.discordLocales ?? []) {
+        if (entry.name) node.setNameLocalization(locale, entry.name);
+        // Context menus have a name only
+        if (entry.description && node.setDescriptionLocalization) node.setDescriptionLocalization(locale, entry.description);
+      }
+    }
+    for (const option of node.options ?? []) {
+      if (typeof option.setDescriptionLocalization === 'function') apply(option, `${path}.options.${option.name}`);
+    }
+  };
+  apply(builder, `commands.${builder.name}`);
+  return builder;
+}
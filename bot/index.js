@@ -1,5 +1,13 @@
 // src/bot/index.js
-import { Client, Collection, GatewayIntentBits, Partials, ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, ChannelType } from 'discord.js';
+import {
+  Client,
+  Collection,
+  ContextMenuCommandBuilder,
+  GatewayIntentBits,
+  Partials,
+  ChannelType,
+  PermissionFlagsBits,
+} from 'discord.js';
 import mongoose from 'mongoose';
 import 'dotenv/config';
 import { fileURLToPath } from 'node:url';
@@ -10,8 +18,42 @@ import session from 'express-session';
 import MongoStore from 'connect-mongo';
 import helmet from 'helmet';
 import fetch from 'node-fetch';
-import setupDiscordLogging from './logging.js'; // ✅ Renamed import to reflect purpose
-import { encryptJSON, decryptJSON } from '../utils/crypto.js';
+import setupDiscordLogging, { ensureLogScaffold } from './logging.js'; // ✅ Renamed import to reflect purpose
+import { initTickets } from './tickets/index.js';
+import { initSecurity } from './security/index.js';
+import { getPipelineMetrics } from './security/pipeline.js';
+import { getProtectionConfig } from './security/config.js';
+import { completeVerification, recordAttempt, VERIFY_TOKEN_PURPOSE } from './security/verification.js';
+import { loadGuildLanguages, localizeCommand } from './i18n/index.js';
+import { registerCommandHandlers } from './interactions/router.js';
+import Transcript from '../models/Transcript.js';
+import TicketConfig from '../models/TicketConfig.js';
+import { listPanels, publishPanel, upsertPanel } from './tickets/panels.js';
+import { getFeedbackStats } from './tickets/feedback.js';
+import { renderTranscriptHtml } from './tickets/transcript.js';
+import {
+  describeLogConfig,
+  getLogConfig,
+  IGNORE_KINDS,
+  MAX_ARCHIVE_SIZE_MB,
+  MAX_IGNORED_PER_KIND,
+  MAX_RETENTION_DAYS,
+  resolveLogChannel,
+  resolveLogTargets,
+  updateLogConfig,
+} from './logging/config.js';
+import { flushLogEvents, parseLogTime, searchLogEvents } from './logging/store.js';
+import { LOG_TYPES } from './logging/types.js';
+import { getLogDeliveryMetrics, persistLogQueues } from './logging/delivery.js';
+import { getTicketTypes } from './tickets/types.js';
+import {
+  SetupTokenError,
+  consumeSetupToken,
+  releaseSetupToken,
+  revokeSetupTokens,
+  verifySetupToken,
+} from './utils/setupTokens.js';
+import { captchaSiteConfig, verifyCaptcha } from './utils/captcha.js';
 
 // ✅ Simple console-based logger
 const log = {
@@ -49,7 +91,17 @@ const REQUIRE_DASHBOARD_LOGIN = process.env.REQUIRE_DASHBOARD_LOGIN === 'true';
 
 // === DISCORD CLIENT ===
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent],
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    // Joins and nickname changes for anti-raid and impersonation (privileged: enable it in the developer portal)
+    GatewayIntentBits.GuildMembers,
+    // Audit log entries, bans and unbans
+    GatewayIntentBits.GuildModeration,
+    // Emoji and sticker create/update/delete logs
+    GatewayIntentBits.GuildEmojisAndStickers,
+  ],
   partials: [Partials.Channel, Partials.Message, Partials.User],
   allowedMentions: { parse: [], repliedUser: false },
   rest: { timeout: 15_000 },
@@ -59,6 +111,12 @@ client.commands = new Collection();
 // === SETUP DISCORD LOGGING ===
 setupDiscordLogging(client); // ✅ Initialize Discord logging
 
+// === TICKETS ===
+initTickets(client); // Reconciles stored tickets with live channels on ready
+
+// === PROTECTION ===
+initSecurity(client); // Anti-spam, anti-raid, anti-link, automod, impersonation and anti-nuke
+
 // === MONGOOSE ===
 try {
   await mongoose.connect(process.env.MONGO_URI, {
@@ -92,6 +150,9 @@ if (process.env.REDIS_URL) {
 }
 
 // === LOAD COMMANDS ===
+// Slash commands and right-click (user/message) context menus share the loader and registration
+const isContextMenu = (command) => command.data instanceof ContextMenuCommandBuilder;
+
 const loadCommandsRecursively = async (dir) => {
   const commands = [];
   let dirents;
@@ -111,9 +172,12 @@ const loadCommandsRecursively = async (dir) => {
         const command = await import(`file://${path}`);
         if (command.data && typeof command.execute === 'function') {
           commands.push(command);
-          log.debug(`Loaded command: ${command.data.name}`);
-        } else {
+          log.debug(`Loaded ${isContextMenu(command) ? 'context menu' : 'command'}: ${command.data.name}`);
+        } else if (command.data) {
           log.warn(`Skipped invalid command file: ${path}`);
+        } else {
+          // Helper modules (e.g. component handlers re-exported by a command) have no data
+          log.debug(`Skipped non-command module: ${path}`);
         }
       } catch (err) {
         log.error(`Failed to load command ${path}:`, { message: err.message, stack: err.stack });
@@ -124,14 +188,19 @@ const loadCommandsRecursively = async (dir) => {
 };
 
 const allCommands = await loadCommandsRecursively(join(PROJECT_ROOT, 'commands'));
-for (const cmd of allCommands) client.commands.set(cmd.data.name, cmd);
-log.info(`✅ Loaded ${allCommands.length} commands`);
+for (const cmd of allCommands) {
+  client.commands.set(cmd.data.name, cmd);
+  registerCommandHandlers(cmd);
+}
+const contextMenuCount = allCommands.filter(isContextMenu).length;
+log.info(`✅ Loaded ${allCommands.length - contextMenuCount} commands and ${contextMenuCount} context menus`);
 
 // === READY ===
 client.once('ready', async () => {
   log.info(`🤖 Logged in as ${client.user.tag} (${client.user.id})`);
+  await loadGuildLanguages().catch(err => log.warn('⚠️ Failed to load guild languages:', err?.message ?? err));
   try {
-    const commandData = allCommands.map(cmd => cmd.data.toJSON());
+    const commandData = allCommands.map(cmd => localizeCommand(cmd.data).toJSON());
     await client.application.commands.set(commandData);
     log.info(`📡 Registered ${commandData.length} global commands`);
   } catch (err) {
@@ -197,6 +266,12 @@ const ensureAuth = (req, res, next) => {
   next();
 };
 
+// Session user must hold Administrator in the guild
+const canManageGuild = (req, guildId) =>
+  (req.session.userGuilds || []).some(
+    guild => guild.id === guildId && (BigInt(guild.permissions) & BigInt(8)) !== 0n
+  );
+
 // === OAUTH ===
 app.get('/login', (req, res) => {
   const redirect = req.query.redirect || '/dashboard';
@@ -295,26 +370,223 @@ app.get('/api/bot-status', (req, res) => {
   });
 });
 
-app.get('/api/ticket/token', (req, res) => {
+// === TRANSCRIPTS ===
+app.get('/api/guilds/:guildId/transcripts', ensureAuth, async (req, res) => {
+  if (!canManageGuild(req, req.params.guildId)) return res.status(403).json({ error: 'Forbidden' });
   try {
-    const token = req.query.token;
-    if (!token) return res.status(400).json({ valid: false, message: 'No token provided' });
+    const transcripts = await Transcript.find({ guildId: req.params.guildId })
+      .select('-html -data')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ transcripts });
+  } catch (err) {
+    log.error('Transcript list error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const payload = decryptJSON(token, process.env.ENCRYPTION_SECRET);
-    if (!payload) return res.status(400).json({ valid: false, message: 'Invalid token' });
-    if (typeof payload.expiresAt !== 'number' || Date.now() > payload.expiresAt) {
-      return res.status(400).json({ valid: false, message: 'Token expired' });
+app.get('/api/transcripts/:id', ensureAuth, async (req, res) => {
+  try {
+    const transcript = await Transcript.findById(req.params.id).select('-html').lean().catch(() => null);
+    if (!transcript) return res.status(404).json({ error: 'Not found' });
+    if (!canManageGuild(req, transcript.guildId)) return res.status(403).json({ error: 'Forbidden' });
+    res.json(transcript.data);
+  } catch (err) {
+    log.error('Transcript fetch error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/transcripts/:id', ensureAuth, async (req, res) => {
+  try {
+    const transcript = await Transcript.findById(req.params.id).select('guildId html data').lean().catch(() => null);
+    if (!transcript) return res.status(404).send('Transcript not found.');
+    if (!canManageGuild(req, transcript.guildId)) return res.status(403).send('Forbidden.');
+    res.type('html').send(transcript.html ?? renderTranscriptHtml(transcript.data));
+  } catch (err) {
+    log.error('Transcript view error:', err.message);
+    res.status(500).send('Server error.');
+  }
+});
+
+// === TICKET FEEDBACK ===
+app.get('/api/guilds/:guildId/tickets/stats', ensureAuth, async (req, res) => {
+  if (!canManageGuild(req, req.params.guildId)) return res.status(403).json({ error: 'Forbidden' });
+  try {
+    const days = Number(req.query.days);
+    const since = days > 0 ? new Date(Date.now() - Math.min(days, 365) * 86_400_000) : null;
+    res.json(await getFeedbackStats(req.params.guildId, { since }));
+  } catch (err) {
+    log.error('Ticket stats error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// === LOGGING CONFIG ===
+app.get('/api/guilds/:guildId/logs/config', ensureAuth, async (req, res) => {
+  if (!canManageGuild(req, req.params.guildId)) return res.status(403).json({ error: 'Forbidden' });
+  try {
+    res.json(describeLogConfig(await getLogConfig(req.params.guildId)));
+  } catch (err) {
+    log.error('Log config fetch error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { autoScaffold?, retentionDays?, types?: { [typeKey]: { enabled?, channelId?, name? } },
+//         attachmentArchive?: { enabled?, maxSizeMb?, types?: string[] },
+//         ignore?: { channels?, categories?, roles?, users?, webhooks?: string[] } } — ignore lists are replaced whole
+app.put('/api/guilds/:guildId/logs/config', ensureAuth, async (req, res) => {
+  if (!canManageGuild(req, req.params.guildId)) return res.status(403).json({ error: 'Forbidden' });
+  const guild = client.guilds.cache.get(req.params.guildId);
+  if (!guild) return res.status(404).json({ error: 'Bot not in guild' });
+
+  const { autoScaffold, retentionDays, types = {}, attachmentArchive = {}, ignore = {} } = req.body ?? {};
+  if (autoScaffold !== undefined && typeof autoScaffold !== 'boolean') {
+    return res.status(400).json({ error: 'autoScaffold must be a boolean' });
+  }
+  if (retentionDays !== undefined && !(Number.isInteger(retentionDays) && retentionDays >= 1 && retentionDays <= MAX_RETENTION_DAYS)) {
+    return res.status(400).json({ error: `retentionDays must be a whole number from 1 to ${MAX_RETENTION_DAYS}` });
+  }
+  if (typeof types !== 'object' || Array.isArray(types)) return res.status(400).json({ error: 'types must be an object' });
+  if (typeof attachmentArchive !== 'object' || attachmentArchive === null || Array.isArray(attachmentArchive)) {
+    return res.status(400).json({ error: 'attachmentArchive must be an object' });
+  }
+  const archive = attachmentArchive;
+  if (archive.enabled !== undefined && typeof archive.enabled !== 'boolean') {
+    return res.status(400).json({ error: 'attachmentArchive.enabled must be a boolean' });
+  }
+  if (archive.maxSizeMb !== undefined && !(Number.isInteger(archive.maxSizeMb) && archive.maxSizeMb >= 1 && archive.maxSizeMb <= MAX_ARCHIVE_SIZE_MB)) {
+    return res.status(400).json({ error: `attachmentArchive.maxSizeMb must be a whole number from 1 to ${MAX_ARCHIVE_SIZE_MB}` });
+  }
+  const isMimeType = (t) => typeof t === 'string' && /^[a-z]+\/(\*|[\w.+-]+)$/i.test(t);
+  if (archive.types !== undefined && !(Array.isArray(archive.types) && archive.types.length && archive.types.every(isMimeType))) {
+    return res.status(400).json({ error: 'attachmentArchive.types must be a list of MIME types like image/* or application/pdf' });
+  }
+
+  if (typeof ignore !== 'object' || ignore === null || Array.isArray(ignore)) {
+    return res.status(400).json({ error: 'ignore must be an object' });
+  }
+  const isSnowflake = (id) => typeof id === 'string' && /^\d{17,20}$/.test(id);
+  for (const [kind, ids] of Object.entries(ignore)) {
+    if (!IGNORE_KINDS.includes(kind)) return res.status(400).json({ error: `Unknown ignore list: ${kind}` });
+    if (!Array.isArray(ids) || ids.length > MAX_IGNORED_PER_KIND || !ids.every(isSnowflake)) {
+      return res.status(400).json({ error: `ignore.${kind} must be a list of at most ${MAX_IGNORED_PER_KIND} IDs` });
+    }
+  }
+
+  const changes = {};
+  for (const [key, patch] of Object.entries(types)) {
+    if (!LOG_TYPES[key]) return res.status(400).json({ error: `Unknown log type: ${key}` });
+    const { enabled, channelId, name } = patch ?? {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: `${key}.enabled must be a boolean` });
     }
+    if (channelId != null && !resolveLogChannel(guild, channelId)) {
+      return res.status(400).json({ error: `${key}.channelId is not a text channel in this server` });
+    }
+    if (name != null && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+      return res.status(400).json({ error: `${key}.name must be 1-100 characters` });
+    }
+    changes[key] = { enabled, channelId, name: typeof name === 'string' ? name.trim() : name };
+  }
+
+  try {
+    const config = await updateLogConfig(guild.id, {
+      autoScaffold,
+      retentionDays,
+      types: changes,
+      attachmentArchive: { ...archive, types: archive.types?.map(t => t.toLowerCase()) },
+      ignore,
+    });
+    if (config.autoScaffold !== false) await ensureLogScaffold(guild);
+    res.json(describeLogConfig(await getLogConfig(guild.id)));
+  } catch (err) {
+    log.error('Log config update error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Query: type (type or category key), user, channel, from, to (ISO date or 7d/12h), page, limit
+app.get('/api/guilds/:guildId/logs', ensureAuth, async (req, res) => {
+  if (!canManageGuild(req, req.params.guildId)) return res.status(403).json({ error: 'Forbidden' });
+
+  const { type, user, channel, from, to, page, limit } = req.query;
+  if (type && !resolveLogTargets(type).length) return res.status(400).json({ error: `Unknown log type: ${type}` });
+  const since = parseLogTime(from);
+  const until = parseLogTime(to);
+  if (since === undefined || until === undefined) return res.status(400).json({ error: 'Invalid from/to time' });
 
-    const guild = client.guilds.cache.get(payload.guildId);
+  try {
+    const result = await searchLogEvents(
+      req.params.guildId,
+      { type, userId: user, channelId: channel, from: since, to: until },
+      { page: Number(page) || 1, limit: Number(limit) || 25 }
+    );
+    res.json(result);
+  } catch (err) {
+    log.error('Log search error:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Setup tokens come from `/ticket panel`; see utils/setupTokens.js
+const tokenErrorResponse = (res, err, key) => {
+  if (err instanceof SetupTokenError) return res.status(err.status).json({ [key]: false, message: err.message });
+  return null;
+};
+
+// The issuing user must be the one using the link, and must still be able to manage channels
+const checkTokenOwner = async (req, record, guild) => {
+  if (REQUIRE_DASHBOARD_LOGIN && !req.session?.discordUser) return { status: 401, message: 'Login required' };
+  if (req.session?.discordUser && String(req.session.discordUser.id) !== record.userId) {
+    return { status: 403, message: 'Not token owner' };
+  }
+  const member = await guild.members.fetch(record.userId).catch(() => null);
+  if (!member?.permissions.has(PermissionFlagsBits.ManageChannels)) {
+    return { status: 403, message: 'Token owner can no longer manage channels' };
+  }
+  return null;
+};
+
+app.get('/api/ticket/token', async (req, res) => {
+  try {
+    const token = req.query.token;
+    if (!token) return res.status(400).json({ valid: false, message: 'No token provided' });
+
+    const record = await verifySetupToken(token);
+    const guild = client.guilds.cache.get(record.guildId);
     if (!guild) return res.status(400).json({ valid: false, message: 'Bot not in guild' });
 
+    const ownerError = await checkTokenOwner(req, record, guild);
+    if (ownerError) return res.status(ownerError.status).json({ valid: false, message: ownerError.message });
+
+    const channels = guild.channels.cache
+      .filter(ch => ch.type === ChannelType.GuildText && ch.viewable)
+      .map(ch => ({ id: ch.id, name: ch.name }));
+
+    const ticketConfig = await TicketConfig.findOne({ guildId: guild.id });
+    const ticketTypes = getTicketTypes(ticketConfig).map(t => ({ key: t.key, label: t.label }));
+    const panels = (await listPanels(guild.id)).map(p => ({
+      panelId: p.panelId,
+      channelId: p.channelId,
+      title: p.title,
+      description: p.description,
+      color: p.color,
+      style: p.style,
+      buttons: p.buttons.map(b => ({ label: b.label, style: b.style, emoji: b.emoji, type: b.typeKey })),
+    }));
+
     return res.json({
       valid: true,
-      guildId: payload.guildId,
-      guildName: payload.guildName || guild.name,
-      userId: payload.userId,
-      channels: payload.channels || [],
+      guildId: guild.id,
+      guildName: guild.name,
+      userId: record.userId,
+      expiresAt: record.expiresAt.getTime(),
+      channels,
+      ticketTypes,
+      panels,
       bot: client.user
         ? {
             id: client.user.id,
@@ -324,61 +596,151 @@ app.get('/api/ticket/token', (req, res) => {
         : null,
     });
   } catch (err) {
+    if (tokenErrorResponse(res, err, 'valid')) return;
     log.warn('Token verify error:', err.message);
     return res.status(500).json({ valid: false, message: 'Server error' });
   }
 });
 
-app.post('/api/ticket/deploy', async (req, res) => {
+app.delete('/api/ticket/token', async (req, res) => {
   try {
-    const { token, title, description, color, channelId, buttons } = req.body;
+    const token = req.body?.token || req.query.token;
     if (!token) return res.status(400).json({ success: false, message: 'No token' });
+    if (!req.session?.discordUser) return res.status(401).json({ success: false, message: 'Login required' });
 
-    const payload = decryptJSON(token, process.env.ENCRYPTION_SECRET);
-    if (!payload) return res.status(400).json({ success: false, message: 'Invalid token' });
-    if (Date.now() > payload.expiresAt) return res.status(400).json({ success: false, message: 'Token expired' });
-
-    if (REQUIRE_DASHBOARD_LOGIN) {
-      if (!req.session?.discordUser) return res.status(401).json({ success: false, message: 'Login required' });
-      if (String(req.session.discordUser.id) !== String(payload.userId)) {
-        return res.status(403).json({ success: false, message: 'Not token owner' });
-      }
+    const record = await verifySetupToken(token);
+    if (String(req.session.discordUser.id) !== record.userId) {
+      return res.status(403).json({ success: false, message: 'Not token owner' });
     }
+    await revokeSetupTokens({ guildId: record.guildId, userId: record.userId });
+    res.json({ success: true });
+  } catch (err) {
+    if (tokenErrorResponse(res, err, 'success')) return;
+    log.warn('Token revoke error:', err.message);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const guild = await client.guilds.fetch(payload.guildId).catch(() => null);
+app.post('/api/ticket/deploy', async (req, res) => {
+  try {
+    const { token, panelId, title, description, color, style, channelId, buttons } = req.body;
+    if (!token) return res.status(400).json({ success: false, message: 'No token' });
+
+    const record = await verifySetupToken(token);
+    const guild = await client.guilds.fetch(record.guildId).catch(() => null);
     if (!guild) return res.status(400).json({ success: false, message: 'Bot not in guild' });
 
+    const ownerError = await checkTokenOwner(req, record, guild);
+    if (ownerError) return res.status(ownerError.status).json({ success: false, message: ownerError.message });
+
     const channel = await guild.channels.fetch(channelId).catch(() => null);
     if (!channel || channel.type !== ChannelType.GuildText) {
       return res.status(400).json({ success: false, message: 'Invalid channel' });
     }
 
-    const embed = new EmbedBuilder()
-      .setTitle(title || 'Support')
-      .setDescription(description || '')
-      .setColor(color || '#2f3136')
-      .setTimestamp();
-
-    const row = new ActionRowBuilder();
-    const safeButtons = Array.isArray(buttons) ? buttons.slice(0, 5) : [];
-    for (let i = 0; i < safeButtons.length; i++) {
-      const b = safeButtons[i] || {};
-      const label = String(b.label || `Open ${i + 1}`).slice(0, 80);
-      const style = {
-        'SECONDARY': ButtonStyle.Secondary,
-        'SUCCESS': ButtonStyle.Success,
-        'DANGER': ButtonStyle.Danger,
-      }[String(b.style || 'PRIMARY').toUpperCase()] || ButtonStyle.Primary;
-
-      const tokenShort = (token || '').slice(0, 16).replace(/[:/+=]/g, '');
-      row.addComponents(new ButtonBuilder().setCustomId(`ticket:${tokenShort}:${i}`).setLabel(label).setStyle(style));
+    // New panel, or changes to an existing one when panelId is given
+    const draft = await upsertPanel({
+      panelId,
+      guildId: guild.id,
+      channelId: channel.id,
+      userId: record.userId,
+      title,
+      description,
+      color,
+      style,
+      buttons,
+    });
+    if (!draft) return res.status(404).json({ success: false, message: 'Unknown panel' });
+
+    // Used up only once everything above checked out; given back if the panel cannot be posted
+    const claimed = await consumeSetupToken(token);
+    try {
+      await publishPanel(client, draft);
+    } catch (err) {
+      await releaseSetupToken(claimed).catch(releaseErr => log.warn('Token release error:', releaseErr.message));
+      throw err;
+    }
+    log.info(`✅ Deployed ticket panel ${draft.panel.panelId} to ${guild.id}/${channelId}`);
+    res.json({ success: true, panelId: draft.panel.panelId });
+  } catch (err) {
+    if (tokenErrorResponse(res, err, 'success')) return;
+    log.error('Deploy error:', err.message);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// === VERIFICATION ===
+// The member a /verify link was issued to, if both the bot and the member are still in the guild
+const resolveVerifyLink = async (token) => {
+  const record = await verifySetupToken(token, VERIFY_TOKEN_PURPOSE);
+  const guild = client.guilds.cache.get(record.guildId);
+  if (!guild) return { error: { status: 400, message: 'Bot not in guild' } };
+  const member = await guild.members.fetch(record.userId).catch(() => null);
+  if (!member) return { error: { status: 400, message: 'You are no longer in this server' } };
+  return { record, guild, member };
+};
+
+app.get('/api/verify', async (req, res) => {
+  try {
+    const token = req.query.token;
+    if (!token) return res.status(400).json({ valid: false, message: 'No token provided' });
+
+    const { error, record, guild, member } = await resolveVerifyLink(token);
+    if (error) return res.status(error.status).json({ valid: false, message: error.message });
+
+    res.json({
+      valid: true,
+      guildName: guild.name,
+      guildIcon: guild.iconURL(),
+      user: { id: member.id, tag: member.user.tag, avatar: member.displayAvatarURL() },
+      expiresAt: record.expiresAt.getTime(),
+      captcha: captchaSiteConfig(),
+    });
+  } catch (err) {
+    if (tokenErrorResponse(res, err, 'valid')) return;
+    log.warn('Verify link error:', err.message);
+    res.status(500).json({ valid: false, message: 'Server error' });
+  }
+});
+
+app.post('/api/verify', async (req, res) => {
+  try {
+    const { token, captcha } = req.body;
+    if (!token) return res.status(400).json({ success: false, message: 'No token' });
+
+    const { error, guild, member } = await resolveVerifyLink(token);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const settings = (await getProtectionConfig(guild.id)).verification;
+    if (!settings.enabled) return res.status(400).json({ success: false, message: 'Verification is off in this server' });
+
+    const result = await verifyCaptcha(captcha, req.ip);
+    if (!result.success) {
+      await recordAttempt(guild.id, member.id, {
+        method: 'captcha',
+        outcome: 'failed',
+        reason: result.errors.join(', ') || 'rejected',
+      });
+      return res.status(400).json({ success: false, message: 'Captcha failed, please try again' });
     }
 
-    await channel.send({ embeds: [embed], components: row.components && row.components.length ? [row] : [] });
-    log.info(`✅ Deployed ticket to ${guild.id}/${channelId}`);
-    res.json({ success: true });
+    // Used up only once the captcha checked out, so a failed try can be repeated with the same link
+    const claimed = await consumeSetupToken(token, VERIFY_TOKEN_PURPOSE);
+    try {
+      await completeVerification(member, settings, 'captcha');
+    } catch (err) {
+      // Usually a role the bot cannot manage; the link stays usable once a moderator fixes it
+      await releaseSetupToken(claimed).catch(releaseErr => log.warn('Token release error:', releaseErr.message));
+      await recordAttempt(guild.id, member.id, { method: 'captcha', outcome: 'failed', reason: err.message })
+        .catch(recordErr => log.warn('Verify attempt record error:', recordErr.message));
+      log.error('Verify role error:', err.message);
+      return res.status(500).json({ success: false, message: 'Your roles could not be updated. Please ask a moderator for help.' });
+    }
+    log.info(`✅ Verified ${member.id} in ${guild.id} by captcha`);
+    res.json({ success: true, guildName: guild.name });
   } catch (err) {
-    log.error('Deploy error:', err.message);
+    if (tokenErrorResponse(res, err, 'success')) return;
+    log.error('Verify error:', err.message);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -390,6 +752,8 @@ app.get('/dashboard', ensureAuth, serve('dashboard.html'));
 app.get('/setup.html', ensureAuth, serve('setup.html'));
 app.get('/verify', serve('verify.html'));
 app.get('/success', serve('success.html'));
+app.get('/api/metrics/log-delivery', ensureAuth, (req, res) => res.json(getLogDeliveryMetrics()));
+app.get('/api/metrics/message-pipeline', ensureAuth, (req, res) => res.json(getPipelineMetrics()));
 app.get('/health', (req, res) => res.json({ status: 'OK', time: new Date().toISOString() }));
 
 // === START ===
@@ -408,6 +772,9 @@ const shutdown = async (signal) => {
   log.warn(`Received ${signal} — shutting down...`);
   try {
     await client.destroy();
+    await flushLogEvents();
+    const saved = await persistLogQueues();
+    if (saved) log.info(`💾 Saved ${saved} undelivered log entries`);
     if (client.redis) await client.redis.quit();
     await mongoose.disconnect();
   } catch (err) {
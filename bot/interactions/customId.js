@@ -0,0 +1,63 @@
+// /bot/interactions/customId.js
+// Component custom IDs are `<command>.<handler>:<param>:<param>…`, e.g.
+// `ticket.close:123456789012345678`. Handlers declare their params as
+// `{ name: type }` in order; a trailing `?` marks a param as optional.
+
+const SEPARATOR = ':';
+const MAX_CUSTOM_ID_LENGTH = 100;
+const ROUTE_PATTERN = /^[\w-]+\.[\w-]+$/;
+
+export const PARAM_TYPES = {
+  string: { test: (v) => v.length > 0, parse: (v) => v },
+  int: { test: (v) => /^-?\d+$/.test(v), parse: Number },
+  snowflake: { test: (v) => /^\d{17,20}$/.test(v), parse: (v) => v },
+  objectId: { test: (v) => /^[0-9a-f]{24}$/.test(v), parse: (v) => v },
+  bool: { test: (v) => v === '1' || v === '0', parse: (v) => v === '1' },
+};
+
+const encodeValue = (value) => (typeof value === 'boolean' ? (value ? '1' : '0') : String(value ?? ''));
+
+/**
+ * Builds the custom ID for `route` ("ticket.close") with positional values.
+ * Throws on values that would break parsing or push the ID past Discord's limit.
+ */
+export function customId(route, ...values) {
+  if (!ROUTE_PATTERN.test(route)) throw new Error(`Invalid component route: ${route}`);
+  const encoded = values.map(encodeValue);
+  if (encoded.some((v) => v.includes(SEPARATOR))) throw new Error(`Custom ID values for ${route} may not contain "${SEPARATOR}"`);
+  const id = [route, ...encoded].join(SEPARATOR);
+  if (id.length > MAX_CUSTOM_ID_LENGTH) throw new Error(`Custom ID for ${route} exceeds ${MAX_CUSTOM_ID_LENGTH} characters`);
+  return id;
+}
+
+// { route, values } for IDs in the structured scheme, null for anything else
+export function parseCustomId(id) {
+  const [route, ...values] = id.split(SEPARATOR);
+  return ROUTE_PATTERN.test(route) ? { route, values } : null;
+}
+
+/**
+ * Turns raw values into `{ name: typedValue }` per the handler's spec.
+ * Returns null when a required value is missing or a value fails its type.
+ */
+export function decodeParams(spec = {}, values = []) {
+  const params = {};
+  const entries = Object.entries(spec);
+  if (values.length > entries.length) return null;
+
+  for (const [i, [name, declared]] of entries.entries()) {
+    const optional = declared.endsWith('?');
+    const type = PARAM_TYPES[optional ? declared.slice(0, -1) : declared];
+    if (!type) throw new Error(`Unknown custom ID param type: ${declared}`);
+
+    const raw = values[i];
+    if (raw === undefined || raw === '') {
+      if (!optional) return null;
+      params[name] = null;
+      continue;
+    }
+    if (!type.test(raw)) return null;
+    params[name] = type.parse(raw);
+  }
+  return params;
+}
@@ -0,0 +1,103 @@
+// /bot/interactions/middleware.js
+// Steps every routed component runs through before its handler. Each is
+// `async (ctx, next)`; ctx is { interaction, client, route, handler, params }.
+// Handler options read here:
+//   errorEvent / errorMessage  log event and reply (a string or `(t) => string`) used when the handler throws
+//   dm                         also accept the interaction outside a server
+//   cooldown                   milliseconds between uses, per user and route
+//   permissions                PermissionFlagsBits the member needs in the channel
+//   defer                      'reply' (ephemeral unless `ephemeral: false`) or 'update'
+import { forInteraction } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+
+// `${route}:${userId}` → timestamp the user may use the route again
+const cooldowns = new Map();
+
+const respond = (interaction, content) => {
+  const payload = { content, ephemeral: true };
+  if (interaction.deferred || interaction.replied) return interaction.followUp(payload);
+  return interaction.reply(payload);
+};
+
+export async function reportErrors(ctx, next) {
+  const { interaction, route, handler } = ctx;
+  try {
+    await next();
+  } catch (error) {
+    logger.error(handler.errorEvent ?? 'INTERACTION_ERROR', {
+      route,
+      userId: interaction.user.id,
+      guildId: interaction.guild?.id,
+      error: error.message,
+      stack: error.stack?.split('\n').slice(0, 3).join('\n'),
+    });
+    if (interaction.isAutocomplete()) return;
+
+    const t = forInteraction(interaction);
+    const message = handler.errorMessage ?? t('interactions.failed');
+    try {
+      await respond(interaction, typeof message === 'function' ? message(t) : message);
+    } catch (followUpError) {
+      logger.error('INTERACTION_FOLLOWUP_ERROR', {
+        route,
+        userId: interaction.user.id,
+        guildId: interaction.guild?.id,
+        error: followUpError.message,
+      });
+    }
+  }
+}
+
+export async function guildOnly(ctx, next) {
+  const { interaction, handler } = ctx;
+  if (!handler.dm && !interaction.inGuild()) {
+    await respond(interaction, forInteraction(interaction)('interactions.guildOnly'));
+    return;
+  }
+  await next();
+}
+
+export async function cooldown(ctx, next) {
+  const { interaction, route, handler } = ctx;
+  if (!handler.cooldown) return next();
+
+  const key = `${route}:${interaction.user.id}`;
+  const now = Date.now();
+  const readyAt = cooldowns.get(key) ?? 0;
+  if (readyAt > now) {
+    const seconds = Math.ceil((readyAt - now) / 1000);
+    await respond(interaction, forInteraction(interaction)('interactions.cooldown', { count: seconds }));
+    return;
+  }
+
+  cooldowns.set(key, now + handler.cooldown);
+  setTimeout(() => cooldowns.delete(key), handler.cooldown).unref?.();
+  await next();
+}
+
+export async function permissions(ctx, next) {
+  const { interaction, route, handler } = ctx;
+  if (handler.permissions && !interaction.memberPermissions?.has(handler.permissions)) {
+    logger.info('INTERACTION_PERMISSION_DENIED', { route, userId: interaction.user.id, guildId: interaction.guild?.id });
+    await respond(interaction, forInteraction(interaction)('common.noPermission'));
+    return;
+  }
+  await next();
+}
+
+export async function deferral(ctx, next) {
+  const { interaction, handler } = ctx;
+  if (handler.defer === 'reply') await interaction.deferReply({ ephemeral: handler.ephemeral ?? true });
+  else if (handler.defer === 'update') await interaction.deferUpdate();
+  await next();
+}
+
+export const COMPONENT_MIDDLEWARE = [reportErrors, guildOnly, cooldown, permissions, deferral];
+// Autocomplete must answer within three seconds and cannot show messages
+export const AUTOCOMPLETE_MIDDLEWARE = [reportErrors];
+
+// Runs `stack` in order, then `final`; a step that does not call next() ends the chain
+export function runMiddleware(ctx, stack, final) {
+  const step = (i) => (i < stack.length ? stack[i](ctx, () => step(i + 1)) : final(ctx));
+  return step(0);
+}
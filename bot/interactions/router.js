@@ -0,0 +1,104 @@
+// /bot/interactions/router.js
+// Routes buttons, select menus, modals and autocomplete to the command modules
+// that own them. A command module may export:
+//   buttons / selects / modals  { key: handler } reachable at `<scope>.<key>`, the scope
+//                               being the command name (see commandScope)
+//   autocomplete                a function, or { optionName: function }
+// A component handler is { params?, legacy?, execute(interaction, params, client) }
+// plus the middleware options in ./middleware.js. `legacy` is a RegExp for IDs
+// posted before the structured scheme; its capture groups fill `params` in order.
+import { forInteraction } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+import { decodeParams, parseCustomId } from './customId.js';
+import { AUTOCOMPLETE_MIDDLEWARE, COMPONENT_MIDDLEWARE, runMiddleware } from './middleware.js';
+
+const COMPONENT_EXPORTS = { button: 'buttons', select: 'selects', modal: 'modals' };
+
+// kind → route → handler
+const handlers = { button: new Map(), select: new Map(), modal: new Map() };
+// kind → [{ route, handler }] for handlers that still accept pre-scheme IDs
+const legacyHandlers = { button: [], select: [], modal: [] };
+// command name → autocomplete export
+const autocompleters = new Map();
+
+const componentKind = (interaction) => {
+  if (interaction.isButton()) return 'button';
+  if (interaction.isAnySelectMenu()) return 'select';
+  if (interaction.isModalSubmit()) return 'modal';
+  return null;
+};
+
+// Context menu names ("Report message") become route-safe scopes ("report-message")
+export const commandScope = (name) => name.toLowerCase().replace(/[^\w-]+/g, '-');
+
+export function registerCommandHandlers(command) {
+  const name = commandScope(command.data.name);
+  for (const [kind, exportName] of Object.entries(COMPONENT_EXPORTS)) {
+    for (const [key, handler] of Object.entries(command[exportName] ?? {})) {
+      const route = `${name}.${key}`;
+      if (handlers[kind].has(route)) {
+        logger.warn('DUPLICATE_COMPONENT_ROUTE', { kind, route });
+        continue;
+      }
+      handlers[kind].set(route, handler);
+      if (handler.legacy) legacyHandlers[kind].push({ route, handler });
+    }
+  }
+  if (command.autocomplete) autocompleters.set(command.data.name, command.autocomplete);
+}
+
+/**
+ * The handler and decoded params for a component's custom ID. `params` is
+ * null when the route exists but the ID carries invalid values.
+ */
+export function resolveComponent(kind, id) {
+  const parsed = parseCustomId(id);
+  const handler = parsed && handlers[kind]?.get(parsed.route);
+  if (handler) return { route: parsed.route, handler, params: decodeParams(handler.params, parsed.values) };
+
+  for (const { route, handler: legacy } of legacyHandlers[kind] ?? []) {
+    const match = legacy.legacy.exec(id);
+    if (match) return { route, handler: legacy, params: decodeParams(legacy.params, match.slice(1)) };
+  }
+  return null;
+}
+
+async function routeAutocomplete(interaction, client) {
+  const exported = autocompleters.get(interaction.commandName);
+  const handler = typeof exported === 'function' ? exported : exported?.[interaction.options.getFocused(true).name];
+  if (!handler) return;
+
+  const route = `${interaction.commandName}.autocomplete`;
+  const ctx = { interaction, client, route, handler: { errorEvent: 'AUTOCOMPLETE_ERROR' }, params: {} };
+  await runMiddleware(ctx, AUTOCOMPLETE_MIDDLEWARE, () => handler(interaction, client));
+}
+
+/**
+ * Handles the interaction if it is a component or autocomplete request.
+ * Returns false for anything else so the caller can carry on.
+ */
+export async function routeInteraction(interaction, client) {
+  if (interaction.isAutocomplete()) {
+    await routeAutocomplete(interaction, client);
+    return true;
+  }
+
+  const kind = componentKind(interaction);
+  if (!kind) return false;
+
+  const resolved = resolveComponent(kind, interaction.customId);
+  if (!resolved?.params) {
+    logger.debug('UNROUTED_COMPONENT', { kind, customId: interaction.customId, userId: interaction.user.id });
+    // IDs outside the scheme may belong to a collector, which answers them itself
+    if (resolved || parseCustomId(interaction.customId)) {
+      await interaction
+        .reply({ content: forInteraction(interaction)('interactions.expired'), ephemeral: true })
+        .catch(() => {});
+    }
+    return true;
+  }
+
+  const ctx = { interaction, client, ...resolved };
+  await runMiddleware(ctx, COMPONENT_MIDDLEWARE, () => resolved.handler.execute(interaction, resolved.params, client));
+  return true;
+}
@@ -1,199 +1,282 @@
 // src/bot/logging.js
 import {
   EmbedBuilder,
+  Collection,
   ChannelType,
   PermissionFlagsBits,
+  AuditLogEvent,
+  GuildPremiumTier,
 } from 'discord.js';
+import { LOG_CATEGORIES, LOG_TYPES } from './logging/types.js';
+import { guildLanguage, t, translator } from './i18n/index.js';
+import { findAuditEntry, findChange, recordAuditEntry, resolveExecutor } from './logging/audit.js';
+import { enqueueLog, initLogDelivery } from './logging/delivery.js';
+import { recordLogEvent } from './logging/store.js';
+import {
+  getArchiveSettings,
+  getLogConfig,
+  getLogTypeSettings,
+  invalidateLogConfig,
+  updateLogConfig,
+} from './logging/config.js';
+import { isLogIgnored } from './logging/filters.js';
+import {
+  diffChannel,
+  diffEmoji,
+  diffFields,
+  diffGuild,
+  diffRecord,
+  diffRole,
+  diffSticker,
+  isSignificant,
+  permissionDiff,
+} from './logging/diff.js';
+import { archiveAttachments, getArchivedFiles, startAttachmentPurge } from './logging/archive.js';
+import {
+  forgetMessageSnapshots,
+  getMessageSnapshot,
+  getMessageSnapshots,
+  initMessageSnapshots,
+  saveMessageSnapshot,
+  toSnapshot,
+} from './logging/snapshots.js';
 
 const OLD_CATEGORY_NAME = '📁・LOGS';
+// Messages are snapshotted only in guilds where one of these is on
+const SNAPSHOT_LOG_TYPES = ['msgDeleted', 'msgEdited', 'msgBulkDeleted'];
 const DONATION_LINK = 'https://coff.ee/solacedev';
 
-const LOG_CATEGORIES = {
-  MOD: { name: '📁・MOD LOGS', color: 0xff4500 },
-  MESSAGE: { name: '📁・MESSAGE LOGS', color: 0x5865f2 },
-  MEMBER: { name: '📁・MEMBER LOGS', color: 0x00ff00 },
-  SERVER: { name: '📁・SERVER LOGS', color: 0x0099ff },
-  VOICE: { name: '📁・VOICE & STAGE', color: 0x800080 },
-  INTEGRATIONS: { name: '📁・INTEGRATIONS', color: 0x6b7280 },
+// Log embeds are written in the server's language, not the acting user's
+const tr = (guild, key, vars) => t(guildLanguage(guild.id), key, vars);
+const guildTranslator = (guild) => translator(guildLanguage(guild.id));
+
+const formatUser = (guild, user) => (user ? `${user.tag} (${user.id})` : tr(guild, 'logs.values.unknownUser'));
+const formatChannel = (guild, ch) => (ch ? `<#${ch.id}>` : tr(guild, 'logs.values.unknownChannel'));
+const yesNo = (guild, value) => tr(guild, value ? 'logs.values.yes' : 'logs.values.no');
+const jumpLink = (guild, url) => `[${tr(guild, 'logs.values.jump')}](${url})`;
+
+const formatTarget = (entry, guild) => {
+  if (!entry.targetId) return tr(guild, 'logs.values.none');
+  if (entry.targetType === 'User') return `<@${entry.targetId}> (${entry.targetId})`;
+  if (entry.targetType === 'Channel' || entry.targetType === 'Thread') return `<#${entry.targetId}>`;
+  if (entry.targetType === 'Role') return guild.roles.cache.has(entry.targetId) ? `<@&${entry.targetId}>` : entry.targetId;
+  return `${entry.targetType ?? tr(guild, 'logs.values.unknown')} ${entry.targetId}`;
 };
 
-const LOG_TYPES = {
-  // MOD
-  bans: { name: 'bans', topic: '⛔ bans', category: 'MOD' },
-  unbans: { name: 'unbans', topic: '🔓 unbans', category: 'MOD' },
-  kicks: { name: 'kicks', topic: '👢 member kicked', category: 'MOD' },
-  timeouts: { name: 'timeouts', topic: '🛡️ timeouts', category: 'MOD' },
-  roleGiven: { name: 'role-given', topic: '✅ role assigned', category: 'MOD' },
-  roleTaken: { name: 'role-taken', topic: '❌ role removed', category: 'MOD' },
-  // MESSAGE
-  msgSent: { name: 'msg-sent', topic: '💬 message sent', category: 'MESSAGE' },
-  msgDeleted: { name: 'msg-deleted', topic: '🗑️ message deleted', category: 'MESSAGE' },
-  msgEdited: { name: 'msg-edited', topic: '✏️ message edited', category: 'MESSAGE' },
-  msgBulkDeleted: { name: 'msg-bulk-deleted', topic: '🧨 bulk delete', category: 'MESSAGE' },
-  reactionsAdd: { name: 'reactions-add', topic: '➕ reaction add', category: 'MESSAGE' },
-  reactionsRemove: { name: 'reactions-remove', topic: '➖ reaction remove', category: 'MESSAGE' },
-  pins: { name: 'pins', topic: '📌 pins updated', category: 'MESSAGE' },
-  // MEMBER
-  joins: { name: 'joins', topic: '📥 member joins', category: 'MEMBER' },
-  leaves: { name: 'leaves', topic: '🚪 member leaves', category: 'MEMBER' },
-  nicknames: { name: 'nicknames', topic: '📛 nickname changes', category: 'MEMBER' },
-  profileUpdates: { name: 'profile-update', topic: '👤 profile changes', category: 'MEMBER' },
-  boost: { name: 'boost', topic: '🚀 boosts', category: 'MEMBER' },
-  // SERVER
-  roleCreates: { name: 'role-create', topic: '✅ role created', category: 'SERVER' },
-  roleDeletes: { name: 'role-delete', topic: '❌ role deleted', category: 'SERVER' },
-  roleUpdates: { name: 'role-update', topic: '🔄 role updated', category: 'SERVER' },
-  permissions: { name: 'permissions', topic: '🔐 permission changes', category: 'SERVER' },
-  channelCreates: { name: 'channel-create', topic: '✅ channel created', category: 'SERVER' },
-  channelDeletes: { name: 'channel-delete', topic: '❌ channel deleted', category: 'SERVER' },
-  channelUpdates: { name: 'channel-update', topic: '🔄 channel updated', category: 'SERVER' },
-  emojiCreates: { name: 'emoji-create', topic: '✅ emoji added', category: 'SERVER' },
-  emojiDeletes: { name: 'emoji-delete', topic: '❌ emoji removed', category: 'SERVER' },
-  emojiUpdates: { name: 'emoji-update', topic: '🔄 emoji updated', category: 'SERVER' },
-  stickerCreates: { name: 'sticker-create', topic: '✅ sticker added', category: 'SERVER' },
-  stickerDeletes: { name: 'sticker-delete', topic: '❌ sticker removed', category: 'SERVER' },
-  stickerUpdates: { name: 'sticker-update', topic: '🔄 sticker updated', category: 'SERVER' },
-  serverUpdates: { name: 'server-update', topic: '🔧 server settings', category: 'SERVER' },
-  // VOICE
-  voiceJoins: { name: 'voice-join', topic: '🎙️ joined voice', category: 'VOICE' },
-  voiceLeaves: { name: 'voice-leave', topic: '⏹️ left voice', category: 'VOICE' },
-  voiceSwitches: { name: 'voice-switch', topic: '🔁 voice switch', category: 'VOICE' },
-  voiceStates: { name: 'voice-states', topic: '🎚️ mute/deaf changes', category: 'VOICE' },
-  threads: { name: 'threads', topic: '🧵 threads', category: 'VOICE' },
-  stageEvents: { name: 'stage-events', topic: '🎙️ stage events', category: 'VOICE' },
-  // INTEGRATIONS
-  inviteCreates: { name: 'invite-create', topic: '🔗 invite created', category: 'INTEGRATIONS' },
-  inviteDeletes: { name: 'invite-delete', topic: '❌ invite deleted', category: 'INTEGRATIONS' },
-  webhookCreate: { name: 'webhook-create', topic: '🔗 webhook created', category: 'INTEGRATIONS' },
-  webhookUpdate: { name: 'webhook-update', topic: '🔄 webhook updated', category: 'INTEGRATIONS' },
-  webhookDelete: { name: 'webhook-delete', topic: '❌ webhook deleted', category: 'INTEGRATIONS' },
-  integrationCreate: { name: 'integration-create', topic: '🔌 integration added', category: 'INTEGRATIONS' },
-  integrationUpdate: { name: 'integration-update', topic: '🔄 integration updated', category: 'INTEGRATIONS' },
-  integrationDelete: { name: 'integration-delete', topic: '❌ integration removed', category: 'INTEGRATIONS' },
-  automod: { name: 'automod', topic: '🛡️ AutoMod triggered', category: 'INTEGRATIONS' },
-  audit: { name: 'audit', topic: '📜 audit catch-all', category: 'INTEGRATIONS' },
-  interactions: { name: 'interactions', topic: '🧩 slash/button usage', category: 'INTEGRATIONS' },
-  applicationPerms: { name: 'application-perms', topic: '🛠️ app perms updated', category: 'INTEGRATIONS' },
+const formatExecutor = (guild, entry, executor) =>
+  executor
+    ? formatUser(guild, executor)
+    : entry?.executorId
+      ? `<@${entry.executorId}>`
+      : tr(guild, 'logs.values.unknown');
+
+// Adds "Moderator" and "Reason" from the audit entry behind the event, if one turns up.
+// `fallbackKey` names the moderator text used when none does.
+const withAttribution = async (embed, guild, query, fallbackKey = 'logs.values.unknown') => {
+  const entry = await findAuditEntry(guild, query).catch(() => null);
+  const executor = await resolveExecutor(guild.client, entry);
+  embed.addFields(
+    {
+      name: tr(guild, 'logs.fields.moderator'),
+      value: entry ? formatExecutor(guild, entry, executor) : tr(guild, fallbackKey),
+      inline: true,
+    },
+    { name: tr(guild, 'logs.fields.reason'), value: entry?.reason?.slice(0, 1024) || tr(guild, 'logs.noReason'), inline: true }
+  );
+  return entry;
 };
 
-const formatUser = (user) => (user ? `${user.tag} (${user.id})` : 'Unknown User');
-const formatChannel = (ch) => (ch ? `<#${ch.id}>` : 'Unknown Channel');
+const logChannelOverwrites = (guild) => [
+  { id: guild.id, deny: [PermissionFlagsBits.ViewChannel] },
+  {
+    id: guild.client.user.id,
+    allow: [
+      PermissionFlagsBits.ViewChannel,
+      PermissionFlagsBits.SendMessages,
+      PermissionFlagsBits.EmbedLinks,
+    ],
+  },
+];
 
+// Removes the channels the bot created under the legacy single category, then
+// the category itself once empty. Channels added by the guild are left alone.
 const cleanupOldLogs = async (guild) => {
   const oldCat = guild.channels.cache.find(
     (ch) => ch.type === ChannelType.GuildCategory && ch.name === OLD_CATEGORY_NAME
   );
   if (!oldCat) return;
+  const legacyNames = new Set(Object.values(LOG_TYPES).map((t) => t.name));
   try {
     for (const channel of oldCat.children.cache.values()) {
-      await channel.delete().catch(() => {});
+      if (legacyNames.has(channel.name)) await channel.delete().catch(() => {});
     }
-    await oldCat.delete().catch(() => {});
+    if (!oldCat.children.cache.size) await oldCat.delete().catch(() => {});
   } catch (err) {
     console.error(`[Cleanup] ${guild.name}:`, err.message);
   }
 };
 
-const getLogChannel = (guild, typeKey) => {
-  const config = LOG_TYPES[typeKey];
-  if (!config || !guild) return null;
-  const categoryName = LOG_CATEGORIES[config.category]?.name;
-  if (!categoryName) return null;
-
-  const category = guild.channels.cache.find(
-    (ch) => ch.type === ChannelType.GuildCategory && ch.name === categoryName
-  );
-  if (!category) return null;
-
-  return guild.channels.cache.find(
-    (ch) => ch.parentId === category.id && ch.name === config.name
-  );
+// Resolves by the channel ID stored for the type; disabled or unrouted types have none
+export const getLogChannel = async (guild, typeKey) => {
+  if (!LOG_TYPES[typeKey] || !guild) return null;
+  const settings = getLogTypeSettings(await getLogConfig(guild.id), typeKey);
+  if (!settings.enabled || !settings.channelId) return null;
+  return guild.channels.cache.get(settings.channelId) ?? null;
 };
 
-const sendLog = async (guild, typeKey, embed) => {
+// `record` is the searchable copy: { actorId, targetId, channelId, before, after }
+// `files` ({ name, data }) are posted with the embed but not stored
+const sendLog = async (guild, typeKey, embed, record = {}, files = []) => {
   if (!guild || guild.deleted) return;
-  const channel = getLogChannel(guild, typeKey);
+  const config = await getLogConfig(guild.id).catch(() => null);
+  if (!config || !getLogTypeSettings(config, typeKey).enabled) return;
+
+  recordLogEvent(guild.id, typeKey, { ...record, summary: embed.data.title ?? null }, config);
+
+  const channel = await getLogChannel(guild, typeKey).catch(() => null);
   if (!channel) return;
 
   embed.addFields({
-    name: '🔐 Permanently logged',
-    value: `Nothing is hidden. [Support development](${DONATION_LINK})`,
+    name: tr(guild, 'logs.footer.name'),
+    value: tr(guild, 'logs.footer.value', { link: DONATION_LINK }),
   });
   embed.setTimestamp();
 
-  try {
-    await channel.send({ embeds: [embed] });
-  } catch (err) {
-    // Silent fail
-  }
+  enqueueLog(channel, embed, files);
 };
 
-export default (client) => {
-  const ensureLogScaffold = async (guild) => {
-    if (!guild?.available || guild.deleted) return;
-    await cleanupOldLogs(guild);
-    const categoryCache = new Map();
+const wantsSnapshots = (config) => SNAPSHOT_LOG_TYPES.some(key => getLogTypeSettings(config, key).enabled);
 
-    for (const config of Object.values(LOG_TYPES)) {
-      const categoryName = LOG_CATEGORIES[config.category]?.name;
-      if (!categoryName) continue;
+// Subjects of activity events, matched against the guild's ignore rules
+const messageSubject = (msg) => ({
+  guild: msg.guild,
+  channel: msg.channel,
+  member: msg.member,
+  userId: msg.author?.id,
+  webhookId: msg.webhookId,
+});
+const bulkDeleteSubject = (msgs, channel) => ({ guild: channel?.guild, channel });
+const reactionSubject = (reaction, user) => ({
+  guild: reaction.message?.guild,
+  channel: reaction.message?.channel,
+  member: reaction.message?.guild?.members.cache.get(user.id),
+  userId: user.id,
+});
+const voiceSubject = (oldState, newState) => ({
+  guild: newState.guild ?? oldState.guild,
+  channel: newState.channel ?? oldState.channel,
+  member: newState.member ?? oldState.member,
+  userId: newState.id,
+});
+const threadSubject = (thread) => ({ guild: thread.guild, channel: thread, userId: thread.ownerId });
+const interactionSubject = (interaction) => ({
+  guild: interaction.guild,
+  channel: interaction.channel,
+  member: interaction.member,
+  userId: interaction.user.id,
+});
+// Update events are judged by the new state
+const latest = (subjectOf) => (oldValue, newValue) => subjectOf(newValue);
 
-      let category = categoryCache.get(categoryName);
-      if (!category) {
-        category = guild.channels.cache.find(
-          (ch) => ch.type === ChannelType.GuildCategory && ch.name === categoryName
-        );
-        if (!category) {
-          category = await guild.channels
-            .create({
-              name: categoryName,
-              type: ChannelType.GuildCategory,
-              permissionOverwrites: [
-                { id: guild.id, deny: [PermissionFlagsBits.ViewChannel] },
-                {
-                  id: client.user.id,
-                  allow: [
-                    PermissionFlagsBits.ViewChannel,
-                    PermissionFlagsBits.SendMessages,
-                    PermissionFlagsBits.EmbedLinks,
-                  ],
-                },
-              ],
-            })
-            .catch(() => null);
-        }
-        if (!category) continue;
-        categoryCache.set(categoryName, category);
-      }
+// Wraps an activity handler so ignored channels, categories, roles, users and
+// webhooks are dropped before any embed is built or snapshot taken
+const unlessIgnored = (subjectOf, handler) => async (...args) => {
+  const subject = subjectOf(...args);
+  if (!subject?.guild) return;
+  const config = await getLogConfig(subject.guild.id).catch(() => null);
+  if (!config || isLogIgnored(config, subject)) return;
+  return handler(...args);
+};
+
+// What discord.js still has of a message, topped up from its snapshot
+const withSnapshot = (msg, snapshot) => {
+  if (!msg.partial && msg.author) return toSnapshot(msg);
+  return snapshot ?? { ...toSnapshot(msg), content: msg.content ?? null };
+};
+
+const formatAttachments = (attachments) =>
+  attachments.map(a => `[${a.name}](${a.url})`).join('\n').slice(0, 1024);
+
+// One line per message, oldest first, for the bulk delete transcript
+const formatTranscriptLine = (guild, m) => {
+  const time = new Date(m.createdAt).toISOString();
+  const author = m.authorId
+    ? `${m.authorTag ?? tr(guild, 'logs.values.unknown')} (${m.authorId})`
+    : tr(guild, 'logs.transcript.unknownAuthor');
+  const files = m.attachments.length
+    ? ` ${tr(guild, 'logs.transcript.attachments', { urls: m.attachments.map(a => a.url).join(', ') })}`
+    : '';
+  const content = m.content === null ? tr(guild, 'logs.transcript.notCached') : m.content || tr(guild, 'logs.transcript.noText');
+  return `[${time}] ${author}: ${content}${files}`;
+};
+
+/**
+ * Creates a channel for every enabled log type that has no live channel yet,
+ * and stores the new IDs. Channels already carrying the configured name in
+ * the type's category are adopted instead. No-op for guilds that opted out.
+ */
+export const ensureLogScaffold = async (guild) => {
+  if (!guild?.available || guild.deleted) return;
+  const config = await getLogConfig(guild.id);
+  if (config.autoScaffold === false) return;
 
-      const exists = guild.channels.cache.find(
-        (ch) => ch.parentId === category.id && ch.name === config.name
+  await cleanupOldLogs(guild);
+  const categoryCache = new Map();
+  const assigned = {};
+
+  for (const [typeKey, type] of Object.entries(LOG_TYPES)) {
+    const settings = getLogTypeSettings(config, typeKey);
+    if (!settings.enabled) continue;
+    if (settings.channelId && guild.channels.cache.has(settings.channelId)) continue;
+
+    const categoryName = LOG_CATEGORIES[type.category]?.name;
+    if (!categoryName) continue;
+
+    let category = categoryCache.get(categoryName);
+    if (!category) {
+      category = guild.channels.cache.find(
+        (ch) => ch.type === ChannelType.GuildCategory && ch.name === categoryName
       );
-      if (!exists) {
-        await guild.channels
+      if (!category) {
+        category = await guild.channels
           .create({
-            name: config.name,
-            type: ChannelType.GuildText,
-            topic: config.topic,
-            parent: category.id,
-            permissionOverwrites: [
-              { id: guild.id, deny: [PermissionFlagsBits.ViewChannel] },
-              {
-                id: client.user.id,
-                allow: [
-                  PermissionFlagsBits.ViewChannel,
-                  PermissionFlagsBits.SendMessages,
-                  PermissionFlagsBits.EmbedLinks,
-                ],
-              },
-            ],
+            name: categoryName,
+            type: ChannelType.GuildCategory,
+            permissionOverwrites: logChannelOverwrites(guild),
           })
-          .catch(() => {});
+          .catch(() => null);
       }
+      if (!category) continue;
+      categoryCache.set(categoryName, category);
     }
-  };
+
+    let channel = guild.channels.cache.find(
+      (ch) => ch.parentId === category.id && ch.name === settings.name
+    );
+    if (!channel) {
+      channel = await guild.channels
+        .create({
+          name: settings.name,
+          type: ChannelType.GuildText,
+          topic: type.topic,
+          parent: category.id,
+          permissionOverwrites: logChannelOverwrites(guild),
+        })
+        .catch(() => null);
+    }
+    if (channel) assigned[typeKey] = { channelId: channel.id };
+  }
+
+  if (Object.keys(assigned).length) await updateLogConfig(guild.id, { types: assigned });
+};
+
+export default (client) => {
+  initLogDelivery(client);
+  initMessageSnapshots(client);
 
   // === SETUP HOOKS ===
+  startAttachmentPurge(client);
+
   client.once('ready', async () => {
     for (const guild of client.guilds.cache.values()) {
       await ensureLogScaffold(guild).catch(console.error);
@@ -204,118 +287,391 @@ export default (client) => {
     ensureLogScaffold(guild).catch(console.error);
   });
 
+  client.on('guildDelete', (guild) => {
+    invalidateLogConfig(guild.id);
+  });
+
+  // === AUDIT LOG ===
+  // Bans, kicks, timeouts and permission changes are logged straight from the
+  // audit entry, which carries the moderator and reason
+  client.on('guildAuditLogEntryCreate', async (entry, guild) => {
+    recordAuditEntry(entry, guild);
+    const executor = await resolveExecutor(client, entry);
+    const byModerator = { actorId: entry.executorId, targetId: entry.targetId };
+
+    const modFields = [
+      { name: tr(guild, 'logs.fields.moderator'), value: formatExecutor(guild, entry, executor), inline: true },
+      { name: tr(guild, 'logs.fields.reason'), value: entry.reason?.slice(0, 1024) || tr(guild, 'logs.noReason'), inline: true },
+    ];
+    const memberEmbed = (title) =>
+      new EmbedBuilder()
+        .setTitle(title)
+        .setDescription(formatTarget(entry, guild))
+        .addFields(modFields)
+        .setColor(LOG_CATEGORIES.MOD.color);
+    // `pairs` are [labelKey, permission names]
+    const permissionFields = (pairs) =>
+      pairs
+        .filter(([, list]) => list.length)
+        .map(([key, list]) => ({ name: tr(guild, key), value: list.join(', ').slice(0, 1024) }));
+
+    switch (entry.action) {
+      case AuditLogEvent.MemberBanAdd:
+        sendLog(guild, 'bans', memberEmbed(tr(guild, 'logs.titles.memberBanned')), byModerator);
+        break;
+      case AuditLogEvent.MemberBanRemove:
+        sendLog(guild, 'unbans', memberEmbed(tr(guild, 'logs.titles.memberUnbanned')), byModerator);
+        break;
+      case AuditLogEvent.MemberKick:
+        sendLog(guild, 'kicks', memberEmbed(tr(guild, 'logs.titles.memberKicked')), byModerator);
+        break;
+      case AuditLogEvent.MemberPrune: {
+        const embed = new EmbedBuilder()
+          .setTitle(tr(guild, 'logs.titles.membersPruned'))
+          .setDescription(
+            tr(guild, 'logs.descriptions.pruned', { count: entry.extra?.removed ?? '?', days: entry.extra?.days ?? '?' })
+          )
+          .addFields(modFields)
+          .setColor(LOG_CATEGORIES.MOD.color);
+        sendLog(guild, 'kicks', embed, {
+          actorId: entry.executorId,
+          after: { removed: entry.extra?.removed ?? null, days: entry.extra?.days ?? null },
+        });
+        break;
+      }
+      case AuditLogEvent.MemberUpdate: {
+        const timeout = findChange(entry, 'communication_disabled_until');
+        if (!timeout) break;
+        const until = timeout.new ? new Date(timeout.new) : null;
+        const embed = memberEmbed(tr(guild, until ? 'logs.titles.memberTimedOut' : 'logs.titles.timeoutRemoved'));
+        if (until) embed.addFields({ name: tr(guild, 'logs.fields.until'), value: `<t:${Math.floor(until.getTime() / 1000)}:F>` });
+        sendLog(guild, 'timeouts', embed, {
+          ...byModerator,
+          before: { until: timeout.old ?? null },
+          after: { until: timeout.new ?? null },
+        });
+        break;
+      }
+      case AuditLogEvent.ChannelOverwriteCreate:
+      case AuditLogEvent.ChannelOverwriteUpdate:
+      case AuditLogEvent.ChannelOverwriteDelete: {
+        // extra is the role or member the overwrite applies to
+        const subjectId = entry.extra?.id;
+        const subject =
+          subjectId === guild.id ? '@everyone' : guild.roles.cache.has(subjectId) ? `<@&${subjectId}>` : `<@${subjectId}>`;
+        const allow = findChange(entry, 'allow');
+        const deny = findChange(entry, 'deny');
+        const allowed = permissionDiff(allow?.old, allow?.new);
+        const denied = permissionDiff(deny?.old, deny?.new);
+        const embed = new EmbedBuilder()
+          .setTitle(tr(guild, 'logs.titles.channelPermissions'))
+          .setDescription(tr(guild, 'logs.descriptions.overwrite', { target: formatTarget(entry, guild), subject }))
+          .addFields(
+            permissionFields([
+              ['logs.fields.allowed', allowed.added],
+              ['logs.fields.noLongerAllowed', allowed.removed],
+              ['logs.fields.denied', denied.added],
+              ['logs.fields.noLongerDenied', denied.removed],
+            ])
+          )
+          .addFields(modFields)
+          .setColor(LOG_CATEGORIES.SERVER.color);
+        sendLog(guild, 'permissions', embed, {
+          actorId: entry.executorId,
+          targetId: subjectId ?? null,
+          channelId: entry.targetId,
+          before: { allow: allow?.old ?? null, deny: deny?.old ?? null },
+          after: { allow: allow?.new ?? null, deny: deny?.new ?? null },
+        });
+        break;
+      }
+      case AuditLogEvent.MessagePin:
+      case AuditLogEvent.MessageUnpin: {
+        // extra carries the channel and message; the target is the message author
+        const pinned = entry.action === AuditLogEvent.MessagePin;
+        const channelId = entry.extra?.channel?.id ?? null;
+        const messageId = entry.extra?.messageId ?? null;
+        const jump = channelId && messageId ? `https://discord.com/channels/${guild.id}/${channelId}/${messageId}` : null;
+        const embed = new EmbedBuilder()
+          .setTitle(tr(guild, pinned ? 'logs.titles.messagePinned' : 'logs.titles.messageUnpinned'))
+          .addFields(
+            {
+              name: tr(guild, 'logs.fields.channel'),
+              value: channelId ? `<#${channelId}>` : tr(guild, 'logs.values.unknownChannel'),
+              inline: true,
+            },
+            { name: tr(guild, 'logs.fields.author'), value: formatTarget(entry, guild), inline: true },
+            { name: tr(guild, 'logs.fields.message'), value: jump ? jumpLink(guild, jump) : tr(guild, 'logs.values.unknown') },
+            ...modFields
+          )
+          .setColor(LOG_CATEGORIES.MESSAGE.color);
+        sendLog(guild, 'pins', embed, {
+          actorId: entry.executorId,
+          targetId: messageId,
+          channelId,
+          after: { pinned, authorId: entry.targetId ?? null },
+        });
+        break;
+      }
+      case AuditLogEvent.RoleUpdate: {
+        const change = findChange(entry, 'permissions');
+        if (!change) break;
+        const { added, removed } = permissionDiff(change.old, change.new);
+        const embed = new EmbedBuilder()
+          .setTitle(tr(guild, 'logs.titles.rolePermissions'))
+          .setDescription(formatTarget(entry, guild))
+          .addFields(permissionFields([['logs.fields.granted', added], ['logs.fields.revoked', removed]]))
+          .addFields(modFields)
+          .setColor(LOG_CATEGORIES.SERVER.color);
+        sendLog(guild, 'permissions', embed, {
+          ...byModerator,
+          before: { permissions: change.old ?? null },
+          after: { permissions: change.new ?? null },
+        });
+        break;
+      }
+      default:
+        break;
+    }
+
+    // Catch-all: every audit entry, with its raw changes
+    const formatValue = (value) =>
+      value === undefined || value === null
+        ? tr(guild, 'logs.values.none')
+        : (typeof value === 'object' ? JSON.stringify(value) : String(value)).slice(0, 100);
+    const changes = (entry.changes ?? [])
+      .slice(0, 10)
+      .map((c) => `\`${c.key}\`: ${formatValue(c.old)} → ${formatValue(c.new)}`);
+    const embed = new EmbedBuilder()
+      .setTitle(`📜 ${AuditLogEvent[entry.action] ?? tr(guild, 'logs.values.action', { action: entry.action })}`)
+      .addFields({ name: tr(guild, 'logs.fields.target'), value: formatTarget(entry, guild) }, ...modFields)
+      .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
+    if (changes.length) embed.addFields({ name: tr(guild, 'logs.fields.changes'), value: changes.join('\n').slice(0, 1024) });
+    sendLog(guild, 'audit', embed, {
+      ...byModerator,
+      after: { action: AuditLogEvent[entry.action] ?? entry.action, changes: entry.changes ?? [] },
+    });
+  });
+
   // === MESSAGE EVENTS ===
-  client.on('messageCreate', (msg) => {
+  client.on('messageCreate', unlessIgnored(messageSubject, async (msg) => {
     if (!msg.guild || msg.author.bot) return;
+    const config = await getLogConfig(msg.guild.id).catch(() => null);
+    if (config && wantsSnapshots(config)) saveMessageSnapshot(msg);
+    if (config && msg.attachments.size && getArchiveSettings(config).enabled) {
+      archiveAttachments(msg, config).catch(err => console.error('[Archive]', err.message));
+    }
+
     const embed = new EmbedBuilder()
-      .setTitle('💬 Message Sent')
-      .setDescription(msg.content?.slice(0, 1024) || '*No content*')
+      .setTitle(tr(msg.guild, 'logs.titles.messageSent'))
+      .setDescription(msg.content?.slice(0, 1024) || tr(msg.guild, 'logs.values.noContent'))
       .addFields(
-        { name: 'Author', value: formatUser(msg.author) },
-        { name: 'Channel', value: formatChannel(msg.channel) }
+        { name: tr(msg.guild, 'logs.fields.author'), value: formatUser(msg.guild, msg.author) },
+        { name: tr(msg.guild, 'logs.fields.channel'), value: formatChannel(msg.guild, msg.channel) }
       )
       .setColor(LOG_CATEGORIES.MESSAGE.color);
-    sendLog(msg.guild, 'msgSent', embed);
-  });
+    sendLog(msg.guild, 'msgSent', embed, {
+      actorId: msg.author.id,
+      targetId: msg.id,
+      channelId: msg.channelId,
+      after: { content: msg.content ?? null },
+    });
+  }));
 
-  client.on('messageDelete', (msg) => {
+  client.on('messageDelete', unlessIgnored(messageSubject, async (msg) => {
     if (!msg.guild) return;
-    const author = msg.author || { tag: 'Unknown', id: '0' };
+    const snapshot = withSnapshot(msg, await getMessageSnapshot(msg.id));
+    forgetMessageSnapshots([msg.id]);
+
+    const author = snapshot.authorId ? { tag: snapshot.authorTag, id: snapshot.authorId } : null;
     const embed = new EmbedBuilder()
-      .setTitle('🗑️ Message Deleted')
-      .setDescription(msg.content?.slice(0, 1024) || '*No content*')
+      .setTitle(tr(msg.guild, 'logs.titles.messageDeleted'))
+      .setDescription(snapshot.content?.slice(0, 1024) || tr(msg.guild, 'logs.values.noContent'))
       .addFields(
-        { name: 'Author', value: formatUser(author) },
-        { name: 'Channel', value: formatChannel(msg.channel) }
+        { name: tr(msg.guild, 'logs.fields.author'), value: formatUser(msg.guild, author) },
+        { name: tr(msg.guild, 'logs.fields.channel'), value: formatChannel(msg.guild, msg.channel) }
       )
       .setColor(LOG_CATEGORIES.MESSAGE.color);
-    sendLog(msg.guild, 'msgDeleted', embed);
-  });
+    if (snapshot.attachments.length) {
+      embed.addFields({ name: tr(msg.guild, 'logs.fields.attachments'), value: formatAttachments(snapshot.attachments) });
+    }
+    const archived = await getArchivedFiles(msg.id).catch(() => ({ files: [], skipped: [] }));
+    if (archived.skipped.length) {
+      embed.addFields({ name: tr(msg.guild, 'logs.fields.notReuploaded'), value: archived.skipped.join(', ').slice(0, 1024) });
+    }
+    const entry = await withAttribution(embed, msg.guild, {
+      action: AuditLogEvent.MessageDelete,
+      targetId: snapshot.authorId,
+      matches: (e) => e.extra?.channel?.id === msg.channelId,
+    }, 'logs.values.notInAuditLog');
+    sendLog(msg.guild, 'msgDeleted', embed, {
+      actorId: entry?.executorId ?? snapshot.authorId,
+      targetId: snapshot.authorId,
+      channelId: msg.channelId,
+      before: { messageId: msg.id, content: snapshot.content, attachments: snapshot.attachments },
+    }, archived.files);
+  }));
 
-  client.on('messageUpdate', (oldMsg, newMsg) => {
-    if (!oldMsg.guild || oldMsg.author?.bot) return;
-    if (oldMsg.content === newMsg.content) return;
+  client.on('messageUpdate', unlessIgnored(latest(messageSubject), async (oldMsg, newMsg) => {
+    // Link previews and other updates without an edit timestamp are not edits
+    if (!newMsg.guild || newMsg.author?.bot || !newMsg.editedTimestamp) return;
+    const before = oldMsg.partial ? (await getMessageSnapshot(oldMsg.id))?.content ?? null : oldMsg.content;
+    if (before === newMsg.content) return;
+    const config = await getLogConfig(newMsg.guild.id).catch(() => null);
+    if (!newMsg.partial && config && wantsSnapshots(config)) saveMessageSnapshot(newMsg);
 
     const embed = new EmbedBuilder()
-      .setTitle('✏️ Message Edited')
+      .setTitle(tr(newMsg.guild, 'logs.titles.messageEdited'))
       .addFields(
-        { name: 'Author', value: formatUser(oldMsg.author) },
-        { name: 'Channel', value: formatChannel(oldMsg.channel) },
-        { name: 'Before', value: (oldMsg.content || '*No content*').slice(0, 1024) },
-        { name: 'After', value: (newMsg.content || '*No content*').slice(0, 1024) }
+        { name: tr(newMsg.guild, 'logs.fields.author'), value: formatUser(newMsg.guild, newMsg.author) },
+        { name: tr(newMsg.guild, 'logs.fields.channel'), value: formatChannel(newMsg.guild, newMsg.channel) },
+        {
+          name: tr(newMsg.guild, 'logs.fields.before'),
+          value: (before ?? tr(newMsg.guild, 'logs.values.notCached')).slice(0, 1024) || tr(newMsg.guild, 'logs.values.noContent'),
+        },
+        {
+          name: tr(newMsg.guild, 'logs.fields.after'),
+          value: (newMsg.content || tr(newMsg.guild, 'logs.values.noContent')).slice(0, 1024),
+        }
       )
       .setColor(LOG_CATEGORIES.MESSAGE.color);
-    sendLog(oldMsg.guild, 'msgEdited', embed);
-  });
+    sendLog(newMsg.guild, 'msgEdited', embed, {
+      actorId: newMsg.author?.id ?? null,
+      targetId: newMsg.id,
+      channelId: newMsg.channelId,
+      before: { content: before },
+      after: { content: newMsg.content ?? null },
+    });
+  }));
 
-  client.on('messageDeleteBulk', (msgs) => {
-    const guild = msgs.first()?.guild;
+  client.on('messageDeleteBulk', unlessIgnored(bulkDeleteSubject, async (msgs, channel) => {
+    const guild = channel?.guild ?? msgs.first()?.guild;
     if (!guild) return;
+    const channelId = channel?.id ?? msgs.first().channelId;
+
+    const ids = [...msgs.keys()];
+    const snapshots = await getMessageSnapshots(ids);
+    forgetMessageSnapshots(ids);
+    const messages = new Collection(msgs.map((m, id) => [id, withSnapshot(m, snapshots.get(id))]))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const known = messages.filter(m => m.content !== null).size;
+
     const embed = new EmbedBuilder()
-      .setTitle('🧨 Bulk Messages Deleted')
-      .setDescription(`${msgs.size} messages deleted`)
+      .setTitle(tr(guild, 'logs.titles.bulkDeleted'))
+      .setDescription(
+        tr(guild, 'logs.descriptions.bulkDeleted', { count: msgs.size, channel: formatChannel(guild, channel) }) +
+          (known < msgs.size ? ` ${tr(guild, 'logs.descriptions.notCached', { count: msgs.size - known })}` : '')
+      )
       .setColor(LOG_CATEGORIES.MESSAGE.color);
-    sendLog(guild, 'msgBulkDeleted', embed);
-  });
+    const entry = await withAttribution(embed, guild, { action: AuditLogEvent.MessageBulkDelete, targetId: channelId });
+    const transcript = {
+      name: `deleted-messages-${channelId}.txt`,
+      data: Buffer.from(messages.map(m => formatTranscriptLine(guild, m)).join('\n'), 'utf8'),
+    };
+    sendLog(guild, 'msgBulkDeleted', embed, {
+      actorId: entry?.executorId ?? null,
+      channelId,
+      before: { count: msgs.size, messageIds: ids },
+    }, [transcript]);
+  }));
 
-  client.on('messageReactionAdd', (reaction, user) => {
+  client.on('messageReactionAdd', unlessIgnored(reactionSubject, (reaction, user) => {
     if (user.bot) return;
     const guild = reaction.message?.guild;
     if (!guild) return;
     const embed = new EmbedBuilder()
-      .setTitle('➕ Reaction Added')
+      .setTitle(tr(guild, 'logs.titles.reactionAdded'))
       .setDescription(`${reaction.emoji.toString()}`)
       .addFields(
-        { name: 'User', value: formatUser(user) },
-        { name: 'Message', value: `[Jump](${reaction.message.url})` }
+        { name: tr(guild, 'logs.fields.user'), value: formatUser(guild, user) },
+        { name: tr(guild, 'logs.fields.message'), value: jumpLink(guild, reaction.message.url) }
       )
       .setColor(LOG_CATEGORIES.MESSAGE.color);
-    sendLog(guild, 'reactionsAdd', embed);
-  });
+    sendLog(guild, 'reactionsAdd', embed, {
+      actorId: user.id,
+      targetId: reaction.message.id,
+      channelId: reaction.message.channelId,
+      after: { emoji: reaction.emoji.toString() },
+    });
+  }));
 
-  client.on('messageReactionRemove', (reaction, user) => {
+  client.on('messageReactionRemove', unlessIgnored(reactionSubject, (reaction, user) => {
     if (user.bot) return;
     const guild = reaction.message?.guild;
     if (!guild) return;
     const embed = new EmbedBuilder()
-      .setTitle('➖ Reaction Removed')
+      .setTitle(tr(guild, 'logs.titles.reactionRemoved'))
       .setDescription(`${reaction.emoji.toString()}`)
       .addFields(
-        { name: 'User', value: formatUser(user) },
-        { name: 'Message', value: `[Jump](${reaction.message.url})` }
+        { name: tr(guild, 'logs.fields.user'), value: formatUser(guild, user) },
+        { name: tr(guild, 'logs.fields.message'), value: jumpLink(guild, reaction.message.url) }
       )
       .setColor(LOG_CATEGORIES.MESSAGE.color);
-    sendLog(guild, 'reactionsRemove', embed);
-  });
+    sendLog(guild, 'reactionsRemove', embed, {
+      actorId: user.id,
+      targetId: reaction.message.id,
+      channelId: reaction.message.channelId,
+      before: { emoji: reaction.emoji.toString() },
+    });
+  }));
 
   // === MEMBER ===
   client.on('guildMemberAdd', (member) => {
     const embed = new EmbedBuilder()
-      .setTitle('📥 Member Joined')
-      .setDescription(formatUser(member.user))
+      .setTitle(tr(member.guild, 'logs.titles.memberJoined'))
+      .setDescription(formatUser(member.guild, member.user))
       .setColor(LOG_CATEGORIES.MEMBER.color);
-    sendLog(member.guild, 'joins', embed);
+    sendLog(member.guild, 'joins', embed, { actorId: member.id, targetId: member.id });
   });
 
   client.on('guildMemberRemove', (member) => {
     const embed = new EmbedBuilder()
-      .setTitle('🚪 Member Left')
-      .setDescription(formatUser(member.user))
+      .setTitle(tr(member.guild, 'logs.titles.memberLeft'))
+      .setDescription(formatUser(member.guild, member.user))
       .setColor(LOG_CATEGORIES.MEMBER.color);
-    sendLog(member.guild, 'leaves', embed);
+    sendLog(member.guild, 'leaves', embed, { actorId: member.id, targetId: member.id });
   });
 
-  client.on('guildMemberUpdate', (oldMember, newMember) => {
+  client.on('guildMemberUpdate', async (oldMember, newMember) => {
     if (oldMember.nickname !== newMember.nickname) {
       const embed = new EmbedBuilder()
-        .setTitle('📛 Nickname Changed')
+        .setTitle(tr(newMember.guild, 'logs.titles.nicknameChanged'))
         .addFields(
-          { name: 'User', value: formatUser(newMember.user) },
-          { name: 'Before', value: oldMember.nickname || 'None' },
-          { name: 'After', value: newMember.nickname || 'None' }
+          { name: tr(newMember.guild, 'logs.fields.user'), value: formatUser(newMember.guild, newMember.user) },
+          { name: tr(newMember.guild, 'logs.fields.before'), value: oldMember.nickname || tr(newMember.guild, 'logs.values.none') },
+          { name: tr(newMember.guild, 'logs.fields.after'), value: newMember.nickname || tr(newMember.guild, 'logs.values.none') }
         )
         .setColor(LOG_CATEGORIES.MEMBER.color);
-      sendLog(newMember.guild, 'nicknames', embed);
+      const entry = await withAttribution(embed, newMember.guild, {
+        action: AuditLogEvent.MemberUpdate,
+        targetId: newMember.id,
+        matches: (e) => !!findChange(e, 'nick'),
+      });
+      sendLog(newMember.guild, 'nicknames', embed, {
+        actorId: entry?.executorId ?? newMember.id,
+        targetId: newMember.id,
+        before: { nickname: oldMember.nickname },
+        after: { nickname: newMember.nickname },
+      });
+    }
+
+    if (!oldMember.partial && oldMember.premiumSinceTimestamp !== newMember.premiumSinceTimestamp) {
+      const started = !!newMember.premiumSinceTimestamp;
+      const embed = new EmbedBuilder()
+        .setTitle(tr(newMember.guild, started ? 'logs.titles.memberBoosted' : 'logs.titles.memberUnboosted'))
+        .setDescription(formatUser(newMember.guild, newMember.user))
+        .addFields({
+          name: tr(newMember.guild, 'logs.fields.boosts'),
+          value: String(newMember.guild.premiumSubscriptionCount ?? 0),
+          inline: true,
+        })
+        .setColor(LOG_CATEGORIES.MEMBER.color);
+      sendLog(newMember.guild, 'boost', embed, {
+        actorId: newMember.id,
+        targetId: newMember.id,
+        before: { premiumSince: oldMember.premiumSince?.toISOString() ?? null },
+        after: { premiumSince: newMember.premiumSince?.toISOString() ?? null },
+      });
     }
 
     const addedRoles = newMember.roles.cache.filter((r) => !oldMember.roles.cache.has(r.id));
@@ -323,102 +679,276 @@ export default (client) => {
 
     if (addedRoles.size > 0) {
       const embed = new EmbedBuilder()
-        .setTitle('✅ Role Assigned')
-        .setDescription(`Role(s) added to ${formatUser(newMember.user)}`)
-        .addFields({ name: 'Roles', value: addedRoles.map((r) => r.name).join(', ') })
+        .setTitle(tr(newMember.guild, 'logs.titles.roleAssigned'))
+        .setDescription(
+          tr(newMember.guild, 'logs.descriptions.rolesAdded', { user: formatUser(newMember.guild, newMember.user) })
+        )
+        .addFields({ name: tr(newMember.guild, 'logs.fields.roles'), value: addedRoles.map((r) => r.name).join(', ') })
         .setColor(LOG_CATEGORIES.MOD.color);
-      sendLog(newMember.guild, 'roleGiven', embed);
+      const entry = await withAttribution(embed, newMember.guild, {
+        action: AuditLogEvent.MemberRoleUpdate,
+        targetId: newMember.id,
+        matches: (e) => !!findChange(e, '$add'),
+      });
+      sendLog(newMember.guild, 'roleGiven', embed, {
+        actorId: entry?.executorId ?? null,
+        targetId: newMember.id,
+        after: { roles: [...addedRoles.keys()] },
+      });
     }
     if (removedRoles.size > 0) {
       const embed = new EmbedBuilder()
-        .setTitle('❌ Role Removed')
-        .setDescription(`Role(s) removed from ${formatUser(newMember.user)}`)
-        .addFields({ name: 'Roles', value: removedRoles.map((r) => r.name).join(', ') })
+        .setTitle(tr(newMember.guild, 'logs.titles.roleRemoved'))
+        .setDescription(
+          tr(newMember.guild, 'logs.descriptions.rolesRemoved', { user: formatUser(newMember.guild, newMember.user) })
+        )
+        .addFields({ name: tr(newMember.guild, 'logs.fields.roles'), value: removedRoles.map((r) => r.name).join(', ') })
         .setColor(LOG_CATEGORIES.MOD.color);
-      sendLog(newMember.guild, 'roleTaken', embed);
+      const entry = await withAttribution(embed, newMember.guild, {
+        action: AuditLogEvent.MemberRoleUpdate,
+        targetId: newMember.id,
+        matches: (e) => !!findChange(e, '$remove'),
+      });
+      sendLog(newMember.guild, 'roleTaken', embed, {
+        actorId: entry?.executorId ?? null,
+        targetId: newMember.id,
+        before: { roles: [...removedRoles.keys()] },
+      });
     }
   });
 
   // === SERVER EVENTS ===
-  client.on('roleCreate', (role) => {
+  client.on('roleCreate', async (role) => {
     const embed = new EmbedBuilder()
-      .setTitle('✅ Role Created')
+      .setTitle(tr(role.guild, 'logs.titles.roleCreated'))
       .setDescription(role.name)
       .setColor(LOG_CATEGORIES.SERVER.color);
-    sendLog(role.guild, 'roleCreates', embed);
+    const entry = await withAttribution(embed, role.guild, { action: AuditLogEvent.RoleCreate, targetId: role.id });
+    sendLog(role.guild, 'roleCreates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: role.id,
+      after: { name: role.name },
+    });
   });
 
-  client.on('roleDelete', (role) => {
+  client.on('roleDelete', async (role) => {
     const embed = new EmbedBuilder()
-      .setTitle('❌ Role Deleted')
+      .setTitle(tr(role.guild, 'logs.titles.roleDeleted'))
       .setDescription(role.name)
       .setColor(LOG_CATEGORIES.SERVER.color);
-    sendLog(role.guild, 'roleDeletes', embed);
+    const entry = await withAttribution(embed, role.guild, { action: AuditLogEvent.RoleDelete, targetId: role.id });
+    sendLog(role.guild, 'roleDeletes', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: role.id,
+      before: { name: role.name },
+    });
   });
 
-  client.on('roleUpdate', (oldRole, newRole) => {
-    if (
-      oldRole.name !== newRole.name ||
-      oldRole.color !== newRole.color ||
-      !oldRole.permissions.equals(newRole.permissions)
-    ) {
-      const embed = new EmbedBuilder()
-        .setTitle('🔄 Role Updated')
-        .setDescription(`Role: ${newRole.name}`)
-        .addFields(
-          { name: 'Name Before', value: oldRole.name || 'None' },
-          { name: 'Name After', value: newRole.name || 'None' },
-          {
-            name: 'Color Before',
-            value: oldRole.color ? `#${oldRole.color.toString(16).padStart(6, '0')}` : 'None',
-          },
-          {
-            name: 'Color After',
-            value: newRole.color ? `#${newRole.color.toString(16).padStart(6, '0')}` : 'None',
-          }
-        )
-        .setColor(LOG_CATEGORIES.SERVER.color);
-      sendLog(newRole.guild, 'roleUpdates', embed);
-    }
+  client.on('roleUpdate', async (oldRole, newRole) => {
+    const changes = diffRole(oldRole, newRole);
+    if (!isSignificant(changes)) return;
+    const embed = new EmbedBuilder()
+      .setTitle(tr(newRole.guild, 'logs.titles.roleUpdated'))
+      .setDescription(`<@&${newRole.id}> (${newRole.name})`)
+      .addFields(diffFields(changes, guildTranslator(newRole.guild)))
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const entry = await withAttribution(embed, newRole.guild, { action: AuditLogEvent.RoleUpdate, targetId: newRole.id });
+    sendLog(newRole.guild, 'roleUpdates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: newRole.id,
+      ...diffRecord(changes),
+    });
   });
 
-  client.on('channelCreate', (channel) => {
+  client.on('channelCreate', async (channel) => {
     if (channel.type === ChannelType.GuildCategory) return;
     const embed = new EmbedBuilder()
-      .setTitle('✅ Channel Created')
+      .setTitle(tr(channel.guild, 'logs.titles.channelCreated'))
       .setDescription(channel.name)
       .setColor(LOG_CATEGORIES.SERVER.color);
-    sendLog(channel.guild, 'channelCreates', embed);
+    const entry = await withAttribution(embed, channel.guild, { action: AuditLogEvent.ChannelCreate, targetId: channel.id });
+    sendLog(channel.guild, 'channelCreates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: channel.id,
+      channelId: channel.id,
+      after: { name: channel.name, type: channel.type },
+    });
   });
 
-  client.on('channelDelete', (channel) => {
+  client.on('channelDelete', async (channel) => {
     if (channel.type === ChannelType.GuildCategory) return;
     const embed = new EmbedBuilder()
-      .setTitle('❌ Channel Deleted')
+      .setTitle(tr(channel.guild, 'logs.titles.channelDeleted'))
       .setDescription(channel.name)
       .setColor(LOG_CATEGORIES.SERVER.color);
-    sendLog(channel.guild, 'channelDeletes', embed);
+    const entry = await withAttribution(embed, channel.guild, { action: AuditLogEvent.ChannelDelete, targetId: channel.id });
+    sendLog(channel.guild, 'channelDeletes', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: channel.id,
+      channelId: channel.id,
+      before: { name: channel.name, type: channel.type },
+    });
   });
 
-  client.on('channelUpdate', (oldChannel, newChannel) => {
-    if (oldChannel.type === ChannelType.GuildCategory) return;
-    if (oldChannel.name !== newChannel.name || oldChannel.topic !== newChannel.topic) {
+  client.on('channelUpdate', async (oldChannel, newChannel) => {
+    if (oldChannel.type === ChannelType.GuildCategory || !newChannel.guild) return;
+    const changes = diffChannel(oldChannel, newChannel);
+    if (!isSignificant(changes)) return;
+    const embed = new EmbedBuilder()
+      .setTitle(tr(newChannel.guild, 'logs.titles.channelUpdated'))
+      .setDescription(`${formatChannel(newChannel.guild, newChannel)} (${newChannel.name})`)
+      .addFields(diffFields(changes, guildTranslator(newChannel.guild)))
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const overwritesOnly = changes.every((c) => c.kind === 'overwrite' || c.noisy);
+    const entry = await withAttribution(embed, newChannel.guild, {
+      action: overwritesOnly
+        ? [
+            AuditLogEvent.ChannelOverwriteCreate,
+            AuditLogEvent.ChannelOverwriteUpdate,
+            AuditLogEvent.ChannelOverwriteDelete,
+          ]
+        : AuditLogEvent.ChannelUpdate,
+      targetId: newChannel.id,
+    });
+    sendLog(newChannel.guild, 'channelUpdates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: newChannel.id,
+      channelId: newChannel.id,
+      ...diffRecord(changes),
+    });
+  });
+
+  client.on('guildUpdate', async (oldGuild, newGuild) => {
+    const changes = diffGuild(oldGuild, newGuild);
+    if (changes.length) {
+      const embed = new EmbedBuilder()
+        .setTitle(tr(newGuild, 'logs.titles.serverUpdated'))
+        .addFields(diffFields(changes, guildTranslator(newGuild)))
+        .setColor(LOG_CATEGORIES.SERVER.color);
+      const entry = await withAttribution(embed, newGuild, { action: AuditLogEvent.GuildUpdate, targetId: newGuild.id });
+      sendLog(newGuild, 'serverUpdates', embed, {
+        actorId: entry?.executorId ?? null,
+        targetId: newGuild.id,
+        ...diffRecord(changes),
+      });
+    }
+
+    // Individual boosts are logged from guildMemberUpdate; this covers level changes
+    const boosts = (g) => ({ count: g.premiumSubscriptionCount ?? 0, tier: g.premiumTier });
+    const before = boosts(oldGuild);
+    const after = boosts(newGuild);
+    if (before.tier !== after.tier) {
       const embed = new EmbedBuilder()
-        .setTitle('🔄 Channel Updated')
-        .setDescription(`Channel: ${newChannel.name}`)
+        .setTitle(tr(newGuild, after.tier > before.tier ? 'logs.titles.boostLevelReached' : 'logs.titles.boostLevelLost'))
         .addFields(
-          { name: 'Name Before', value: oldChannel.name || 'None' },
-          { name: 'Name After', value: newChannel.name || 'None' },
-          { name: 'Topic Before', value: oldChannel.topic || 'None' },
-          { name: 'Topic After', value: newChannel.topic || 'None' }
+          { name: tr(newGuild, 'logs.fields.boosts'), value: `${before.count} → ${after.count}`, inline: true },
+          {
+            name: tr(newGuild, 'logs.fields.level'),
+            value: `${GuildPremiumTier[before.tier] ?? before.tier} → ${GuildPremiumTier[after.tier] ?? after.tier}`,
+            inline: true,
+          }
         )
-        .setColor(LOG_CATEGORIES.SERVER.color);
-      sendLog(newChannel.guild, 'channelUpdates', embed);
+        .setColor(LOG_CATEGORIES.MEMBER.color);
+      sendLog(newGuild, 'boost', embed, { targetId: newGuild.id, before, after });
     }
   });
 
+  // === EMOJIS & STICKERS ===
+  const emojiLabel = (emoji) => `${emoji} \`:${emoji.name}:\``;
+
+  client.on('emojiCreate', async (emoji) => {
+    const embed = new EmbedBuilder()
+      .setTitle(tr(emoji.guild, 'logs.titles.emojiAdded'))
+      .setDescription(emojiLabel(emoji))
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const entry = await withAttribution(embed, emoji.guild, { action: AuditLogEvent.EmojiCreate, targetId: emoji.id });
+    sendLog(emoji.guild, 'emojiCreates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: emoji.id,
+      after: { name: emoji.name, animated: emoji.animated },
+    });
+  });
+
+  client.on('emojiDelete', async (emoji) => {
+    const embed = new EmbedBuilder()
+      .setTitle(tr(emoji.guild, 'logs.titles.emojiRemoved'))
+      .setDescription(`\`:${emoji.name}:\``)
+      .setThumbnail(emoji.imageURL())
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const entry = await withAttribution(embed, emoji.guild, { action: AuditLogEvent.EmojiDelete, targetId: emoji.id });
+    sendLog(emoji.guild, 'emojiDeletes', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: emoji.id,
+      before: { name: emoji.name, animated: emoji.animated },
+    });
+  });
+
+  client.on('emojiUpdate', async (oldEmoji, newEmoji) => {
+    const changes = diffEmoji(oldEmoji, newEmoji);
+    if (!changes.length) return;
+    const embed = new EmbedBuilder()
+      .setTitle(tr(newEmoji.guild, 'logs.titles.emojiUpdated'))
+      .setDescription(emojiLabel(newEmoji))
+      .addFields(diffFields(changes, guildTranslator(newEmoji.guild)))
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const entry = await withAttribution(embed, newEmoji.guild, { action: AuditLogEvent.EmojiUpdate, targetId: newEmoji.id });
+    sendLog(newEmoji.guild, 'emojiUpdates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: newEmoji.id,
+      ...diffRecord(changes),
+    });
+  });
+
+  client.on('stickerCreate', async (sticker) => {
+    const embed = new EmbedBuilder()
+      .setTitle(tr(sticker.guild, 'logs.titles.stickerAdded'))
+      .setDescription(`\`${sticker.name}\``)
+      .setThumbnail(sticker.url)
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const entry = await withAttribution(embed, sticker.guild, { action: AuditLogEvent.StickerCreate, targetId: sticker.id });
+    sendLog(sticker.guild, 'stickerCreates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: sticker.id,
+      after: { name: sticker.name, description: sticker.description, tags: sticker.tags },
+    });
+  });
+
+  client.on('stickerDelete', async (sticker) => {
+    const embed = new EmbedBuilder()
+      .setTitle(tr(sticker.guild, 'logs.titles.stickerRemoved'))
+      .setDescription(`\`${sticker.name}\``)
+      .setThumbnail(sticker.url)
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const entry = await withAttribution(embed, sticker.guild, { action: AuditLogEvent.StickerDelete, targetId: sticker.id });
+    sendLog(sticker.guild, 'stickerDeletes', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: sticker.id,
+      before: { name: sticker.name, description: sticker.description, tags: sticker.tags },
+    });
+  });
+
+  client.on('stickerUpdate', async (oldSticker, newSticker) => {
+    const changes = diffSticker(oldSticker, newSticker);
+    if (!changes.length) return;
+    const embed = new EmbedBuilder()
+      .setTitle(tr(newSticker.guild, 'logs.titles.stickerUpdated'))
+      .setDescription(`\`${newSticker.name}\``)
+      .setThumbnail(newSticker.url)
+      .addFields(diffFields(changes, guildTranslator(newSticker.guild)))
+      .setColor(LOG_CATEGORIES.SERVER.color);
+    const entry = await withAttribution(embed, newSticker.guild, {
+      action: AuditLogEvent.StickerUpdate,
+      targetId: newSticker.id,
+    });
+    sendLog(newSticker.guild, 'stickerUpdates', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: newSticker.id,
+      ...diffRecord(changes),
+    });
+  });
+
   // === VOICE ===
-  client.on('voiceStateUpdate', (oldState, newState) => {
+  client.on('voiceStateUpdate', unlessIgnored(voiceSubject, (oldState, newState) => {
     const guild = newState.guild || oldState.guild;
     if (!guild) return;
 
@@ -427,26 +957,38 @@ export default (client) => {
 
     if (!oldState.channelId && newState.channelId) {
       const embed = new EmbedBuilder()
-        .setTitle('🎙️ Joined Voice')
-        .setDescription(`${formatUser(member.user)} joined ${formatChannel(newState.channel)}`)
+        .setTitle(tr(guild, 'logs.titles.voiceJoined'))
+        .setDescription(tr(guild, 'logs.descriptions.voiceJoined', {
+          user: formatUser(guild, member.user),
+          channel: formatChannel(guild, newState.channel),
+        }))
         .setColor(LOG_CATEGORIES.VOICE.color);
-      sendLog(guild, 'voiceJoins', embed);
+      sendLog(guild, 'voiceJoins', embed, { actorId: member.id, targetId: member.id, channelId: newState.channelId });
     } else if (oldState.channelId && !newState.channelId) {
       const embed = new EmbedBuilder()
-        .setTitle('⏹️ Left Voice')
-        .setDescription(`${formatUser(member.user)} left ${formatChannel(oldState.channel)}`)
+        .setTitle(tr(guild, 'logs.titles.voiceLeft'))
+        .setDescription(tr(guild, 'logs.descriptions.voiceLeft', {
+          user: formatUser(guild, member.user),
+          channel: formatChannel(guild, oldState.channel),
+        }))
         .setColor(LOG_CATEGORIES.VOICE.color);
-      sendLog(guild, 'voiceLeaves', embed);
+      sendLog(guild, 'voiceLeaves', embed, { actorId: member.id, targetId: member.id, channelId: oldState.channelId });
     } else if (oldState.channelId && newState.channelId && oldState.channelId !== newState.channelId) {
       const embed = new EmbedBuilder()
-        .setTitle('🔁 Voice Channel Switched')
-        .setDescription(`${formatUser(member.user)} switched channels`)
+        .setTitle(tr(guild, 'logs.titles.voiceSwitched'))
+        .setDescription(tr(guild, 'logs.descriptions.voiceSwitched', { user: formatUser(guild, member.user) }))
         .addFields(
-          { name: 'From', value: formatChannel(oldState.channel) },
-          { name: 'To', value: formatChannel(newState.channel) }
+          { name: tr(guild, 'logs.fields.from'), value: formatChannel(guild, oldState.channel) },
+          { name: tr(guild, 'logs.fields.to'), value: formatChannel(guild, newState.channel) }
         )
         .setColor(LOG_CATEGORIES.VOICE.color);
-      sendLog(guild, 'voiceSwitches', embed);
+      sendLog(guild, 'voiceSwitches', embed, {
+        actorId: member.id,
+        targetId: member.id,
+        channelId: newState.channelId,
+        before: { channelId: oldState.channelId },
+        after: { channelId: newState.channelId },
+      });
     }
 
     if (
@@ -457,164 +999,283 @@ export default (client) => {
       oldState.streaming !== newState.streaming
     ) {
       const embed = new EmbedBuilder()
-        .setTitle('🎚️ Voice State Changed')
-        .setDescription(
-          `${formatUser(member.user)} in ${formatChannel(newState.channel || oldState.channel)}`
-        )
+        .setTitle(tr(guild, 'logs.titles.voiceStateChanged'))
+        .setDescription(tr(guild, 'logs.descriptions.voiceState', {
+          user: formatUser(guild, member.user),
+          channel: formatChannel(guild, newState.channel || oldState.channel),
+        }))
         .addFields(
-          { name: 'Server Mute', value: `${oldState.mute ? 'Yes' : 'No'} → ${newState.mute ? 'Yes' : 'No'}` },
-          { name: 'Server Deaf', value: `${oldState.deaf ? 'Yes' : 'No'} → ${newState.deaf ? 'Yes' : 'No'}` },
-          { name: 'Self Mute', value: `${oldState.selfMute ? 'Yes' : 'No'} → ${newState.selfMute ? 'Yes' : 'No'}` },
-          { name: 'Self Deaf', value: `${oldState.selfDeaf ? 'Yes' : 'No'} → ${newState.selfDeaf ? 'Yes' : 'No'}` },
-          { name: 'Streaming', value: `${oldState.streaming ? 'Yes' : 'No'} → ${newState.streaming ? 'Yes' : 'No'}` }
+          [
+            ['mute', 'serverMute'],
+            ['deaf', 'serverDeaf'],
+            ['selfMute', 'selfMute'],
+            ['selfDeaf', 'selfDeaf'],
+            ['streaming', 'streaming'],
+          ].map(([flag, label]) => ({
+            name: tr(guild, `logs.fields.${label}`),
+            value: `${yesNo(guild, oldState[flag])} → ${yesNo(guild, newState[flag])}`,
+          }))
         )
         .setColor(LOG_CATEGORIES.VOICE.color);
-      sendLog(guild, 'voiceStates', embed);
+      const voiceFlags = (state) => ({
+        mute: state.mute,
+        deaf: state.deaf,
+        selfMute: state.selfMute,
+        selfDeaf: state.selfDeaf,
+        streaming: state.streaming,
+      });
+      sendLog(guild, 'voiceStates', embed, {
+        actorId: member.id,
+        targetId: member.id,
+        channelId: newState.channelId ?? oldState.channelId,
+        before: voiceFlags(oldState),
+        after: voiceFlags(newState),
+      });
     }
-  });
+  }));
 
   // === THREADS ===
-  client.on('threadCreate', (thread) => {
+  client.on('threadCreate', unlessIgnored(threadSubject, async (thread) => {
     const embed = new EmbedBuilder()
-      .setTitle('🧵 Thread Created')
+      .setTitle(tr(thread.guild, 'logs.titles.threadCreated'))
       .setDescription(thread.name)
-      .addFields({ name: 'Channel', value: formatChannel(thread.parent) })
+      .addFields({ name: tr(thread.guild, 'logs.fields.channel'), value: formatChannel(thread.guild, thread.parent) })
       .setColor(LOG_CATEGORIES.VOICE.color);
-    sendLog(thread.guild, 'threads', embed);
-  });
+    const entry = await withAttribution(embed, thread.guild, { action: AuditLogEvent.ThreadCreate, targetId: thread.id });
+    sendLog(thread.guild, 'threads', embed, {
+      actorId: entry?.executorId ?? thread.ownerId ?? null,
+      targetId: thread.id,
+      channelId: thread.parentId,
+      after: { name: thread.name },
+    });
+  }));
 
-  client.on('threadDelete', (thread) => {
+  client.on('threadDelete', unlessIgnored(threadSubject, async (thread) => {
     const embed = new EmbedBuilder()
-      .setTitle('🧵 Thread Deleted')
+      .setTitle(tr(thread.guild, 'logs.titles.threadDeleted'))
       .setDescription(thread.name)
-      .addFields({ name: 'Channel', value: formatChannel(thread.parent) })
+      .addFields({ name: tr(thread.guild, 'logs.fields.channel'), value: formatChannel(thread.guild, thread.parent) })
       .setColor(LOG_CATEGORIES.VOICE.color);
-    sendLog(thread.guild, 'threads', embed);
-  });
+    const entry = await withAttribution(embed, thread.guild, { action: AuditLogEvent.ThreadDelete, targetId: thread.id });
+    sendLog(thread.guild, 'threads', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: thread.id,
+      channelId: thread.parentId,
+      before: { name: thread.name },
+    });
+  }));
 
-  client.on('threadUpdate', (oldThread, newThread) => {
+  client.on('threadUpdate', unlessIgnored(latest(threadSubject), async (oldThread, newThread) => {
     if (oldThread.name !== newThread.name || oldThread.archived !== newThread.archived) {
       const embed = new EmbedBuilder()
-        .setTitle('🧵 Thread Updated')
-        .setDescription(`Thread: ${newThread.name}`)
+        .setTitle(tr(newThread.guild, 'logs.titles.threadUpdated'))
+        .setDescription(tr(newThread.guild, 'logs.descriptions.thread', { name: newThread.name }))
         .addFields(
-          { name: 'Name Before', value: oldThread.name || 'None' },
-          { name: 'Name After', value: newThread.name || 'None' },
-          { name: 'Archived', value: `${oldThread.archived ? 'Yes' : 'No'} → ${newThread.archived ? 'Yes' : 'No'}` }
+          { name: tr(newThread.guild, 'logs.fields.nameBefore'), value: oldThread.name || tr(newThread.guild, 'logs.values.none') },
+          { name: tr(newThread.guild, 'logs.fields.nameAfter'), value: newThread.name || tr(newThread.guild, 'logs.values.none') },
+          {
+            name: tr(newThread.guild, 'logs.fields.archived'),
+            value: `${yesNo(newThread.guild, oldThread.archived)} → ${yesNo(newThread.guild, newThread.archived)}`,
+          }
         )
         .setColor(LOG_CATEGORIES.VOICE.color);
-      sendLog(newThread.guild, 'threads', embed);
+      const entry = await withAttribution(embed, newThread.guild, {
+        action: AuditLogEvent.ThreadUpdate,
+        targetId: newThread.id,
+      });
+      sendLog(newThread.guild, 'threads', embed, {
+        actorId: entry?.executorId ?? null,
+        targetId: newThread.id,
+        channelId: newThread.parentId,
+        before: { name: oldThread.name, archived: oldThread.archived },
+        after: { name: newThread.name, archived: newThread.archived },
+      });
     }
-  });
+  }));
 
   // === STAGE INSTANCES ===
-  client.on('stageInstanceCreate', (stage) => {
+  client.on('stageInstanceCreate', async (stage) => {
     const embed = new EmbedBuilder()
-      .setTitle('🎙️ Stage Created')
-      .setDescription(stage.topic || 'No topic')
-      .addFields({ name: 'Channel', value: formatChannel(stage.channel) })
+      .setTitle(tr(stage.guild, 'logs.titles.stageCreated'))
+      .setDescription(stage.topic || tr(stage.guild, 'logs.values.noTopic'))
+      .addFields({ name: tr(stage.guild, 'logs.fields.channel'), value: formatChannel(stage.guild, stage.channel) })
       .setColor(LOG_CATEGORIES.VOICE.color);
-    sendLog(stage.guild, 'stageEvents', embed);
+    const entry = await withAttribution(embed, stage.guild, {
+      action: AuditLogEvent.StageInstanceCreate,
+      targetId: stage.id,
+    });
+    sendLog(stage.guild, 'stageEvents', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: stage.id,
+      channelId: stage.channelId,
+      after: { topic: stage.topic },
+    });
   });
 
-  client.on('stageInstanceDelete', (stage) => {
+  client.on('stageInstanceDelete', async (stage) => {
     const embed = new EmbedBuilder()
-      .setTitle('🎙️ Stage Deleted')
-      .setDescription(stage.topic || 'No topic')
-      .addFields({ name: 'Channel', value: formatChannel(stage.channel) })
+      .setTitle(tr(stage.guild, 'logs.titles.stageDeleted'))
+      .setDescription(stage.topic || tr(stage.guild, 'logs.values.noTopic'))
+      .addFields({ name: tr(stage.guild, 'logs.fields.channel'), value: formatChannel(stage.guild, stage.channel) })
       .setColor(LOG_CATEGORIES.VOICE.color);
-    sendLog(stage.guild, 'stageEvents', embed);
+    const entry = await withAttribution(embed, stage.guild, {
+      action: AuditLogEvent.StageInstanceDelete,
+      targetId: stage.id,
+    });
+    sendLog(stage.guild, 'stageEvents', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: stage.id,
+      channelId: stage.channelId,
+      before: { topic: stage.topic },
+    });
   });
 
-  client.on('stageInstanceUpdate', (oldStage, newStage) => {
+  client.on('stageInstanceUpdate', async (oldStage, newStage) => {
     if (oldStage.topic !== newStage.topic || oldStage.privacyLevel !== newStage.privacyLevel) {
       const embed = new EmbedBuilder()
-        .setTitle('🎙️ Stage Updated')
-        .setDescription(`Stage: ${newStage.topic || 'No topic'}`)
+        .setTitle(tr(newStage.guild, 'logs.titles.stageUpdated'))
+        .setDescription(
+          tr(newStage.guild, 'logs.descriptions.stage', { topic: newStage.topic || tr(newStage.guild, 'logs.values.noTopic') })
+        )
         .addFields(
-          { name: 'Topic Before', value: oldStage.topic || 'None' },
-          { name: 'Topic After', value: newStage.topic || 'None' },
-          { name: 'Privacy Level', value: `${oldStage.privacyLevel} → ${newStage.privacyLevel}` }
+          { name: tr(newStage.guild, 'logs.fields.topicBefore'), value: oldStage.topic || tr(newStage.guild, 'logs.values.none') },
+          { name: tr(newStage.guild, 'logs.fields.topicAfter'), value: newStage.topic || tr(newStage.guild, 'logs.values.none') },
+          { name: tr(newStage.guild, 'logs.fields.privacyLevel'), value: `${oldStage.privacyLevel} → ${newStage.privacyLevel}` }
         )
         .setColor(LOG_CATEGORIES.VOICE.color);
-      sendLog(newStage.guild, 'stageEvents', embed);
+      const entry = await withAttribution(embed, newStage.guild, {
+        action: AuditLogEvent.StageInstanceUpdate,
+        targetId: newStage.id,
+      });
+      sendLog(newStage.guild, 'stageEvents', embed, {
+        actorId: entry?.executorId ?? null,
+        targetId: newStage.id,
+        channelId: newStage.channelId,
+        before: { topic: oldStage.topic, privacyLevel: oldStage.privacyLevel },
+        after: { topic: newStage.topic, privacyLevel: newStage.privacyLevel },
+      });
     }
   });
 
   // === INTEGRATIONS ===
   client.on('inviteCreate', (invite) => {
     const embed = new EmbedBuilder()
-      .setTitle('🔗 Invite Created')
-      .setDescription(`Invite Code: ${invite.code}`)
+      .setTitle(tr(invite.guild, 'logs.titles.inviteCreated'))
+      .setDescription(tr(invite.guild, 'logs.descriptions.inviteCode', { code: invite.code }))
       .addFields(
-        { name: 'Channel', value: formatChannel(invite.channel) },
-        { name: 'Inviter', value: formatUser(invite.inviter) },
-        { name: 'Expires', value: invite.expiresAt ? invite.expiresAt.toISOString() : 'Never' }
+        { name: tr(invite.guild, 'logs.fields.channel'), value: formatChannel(invite.guild, invite.channel) },
+        { name: tr(invite.guild, 'logs.fields.inviter'), value: formatUser(invite.guild, invite.inviter) },
+        {
+          name: tr(invite.guild, 'logs.fields.expires'),
+          value: invite.expiresAt ? invite.expiresAt.toISOString() : tr(invite.guild, 'logs.values.never'),
+        }
       )
       .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
-    sendLog(invite.guild, 'inviteCreates', embed);
+    sendLog(invite.guild, 'inviteCreates', embed, {
+      actorId: invite.inviter?.id ?? null,
+      channelId: invite.channel?.id ?? null,
+      after: { code: invite.code, expiresAt: invite.expiresAt ?? null },
+    });
   });
 
   client.on('inviteDelete', (invite) => {
     const embed = new EmbedBuilder()
-      .setTitle('❌ Invite Deleted')
-      .setDescription(`Invite Code: ${invite.code}`)
-      .addFields({ name: 'Channel', value: formatChannel(invite.channel) })
+      .setTitle(tr(invite.guild, 'logs.titles.inviteDeleted'))
+      .setDescription(tr(invite.guild, 'logs.descriptions.inviteCode', { code: invite.code }))
+      .addFields({ name: tr(invite.guild, 'logs.fields.channel'), value: formatChannel(invite.guild, invite.channel) })
       .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
-    sendLog(invite.guild, 'inviteDeletes', embed);
+    sendLog(invite.guild, 'inviteDeletes', embed, {
+      channelId: invite.channel?.id ?? null,
+      before: { code: invite.code },
+    });
   });
 
-  client.on('webhookUpdate', (channel) => {
+  client.on('webhookUpdate', async (channel) => {
     const embed = new EmbedBuilder()
-      .setTitle('🔄 Webhook Updated')
-      .setDescription(`Webhook updated in ${formatChannel(channel)}`)
+      .setTitle(tr(channel.guild, 'logs.titles.webhookUpdated'))
+      .setDescription(
+        tr(channel.guild, 'logs.descriptions.webhookUpdated', { channel: formatChannel(channel.guild, channel) })
+      )
       .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
-    sendLog(channel.guild, 'webhookUpdate', embed);
+    const entry = await withAttribution(embed, channel.guild, {
+      action: [AuditLogEvent.WebhookCreate, AuditLogEvent.WebhookUpdate, AuditLogEvent.WebhookDelete],
+      matches: (e) => [e.target?.channelId, findChange(e, 'channel_id')?.new, findChange(e, 'channel_id')?.old].includes(channel.id),
+    });
+    sendLog(channel.guild, 'webhookUpdate', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: entry?.targetId ?? null,
+      channelId: channel.id,
+    });
   });
 
-  client.on('integrationCreate', (integration) => {
+  client.on('integrationCreate', async (integration) => {
     const embed = new EmbedBuilder()
-      .setTitle('🔌 Integration Added')
-      .setDescription(`Integration: ${integration.name}`)
+      .setTitle(tr(integration.guild, 'logs.titles.integrationAdded'))
+      .setDescription(tr(integration.guild, 'logs.descriptions.integration', { name: integration.name }))
       .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
-    sendLog(integration.guild, 'integrationCreate', embed);
+    const entry = await withAttribution(embed, integration.guild, {
+      action: AuditLogEvent.IntegrationCreate,
+      targetId: integration.id,
+    });
+    sendLog(integration.guild, 'integrationCreate', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: integration.id,
+      after: { name: integration.name },
+    });
   });
 
-  client.on('integrationDelete', (integration) => {
+  client.on('integrationDelete', async (integration) => {
     const embed = new EmbedBuilder()
-      .setTitle('❌ Integration Removed')
-      .setDescription(`Integration: ${integration.name}`)
+      .setTitle(tr(integration.guild, 'logs.titles.integrationRemoved'))
+      .setDescription(tr(integration.guild, 'logs.descriptions.integration', { name: integration.name }))
       .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
-    sendLog(integration.guild, 'integrationDelete', embed);
+    const entry = await withAttribution(embed, integration.guild, {
+      action: AuditLogEvent.IntegrationDelete,
+      targetId: integration.id,
+    });
+    sendLog(integration.guild, 'integrationDelete', embed, {
+      actorId: entry?.executorId ?? null,
+      targetId: integration.id,
+      before: { name: integration.name },
+    });
   });
 
   client.on('autoModerationActionExecution', (execution) => {
     const embed = new EmbedBuilder()
-      .setTitle('🛡️ AutoMod Triggered')
-      .setDescription(`Rule: ${execution.ruleName}`)
+      .setTitle(tr(execution.guild, 'logs.titles.automodTriggered'))
+      .setDescription(tr(execution.guild, 'logs.descriptions.automodRule', { rule: execution.ruleName }))
       .addFields(
-        { name: 'User', value: formatUser(execution.user) },
-        { name: 'Channel', value: formatChannel(execution.channel) },
-        { name: 'Action', value: execution.action.type.toString() }
+        { name: tr(execution.guild, 'logs.fields.user'), value: formatUser(execution.guild, execution.user) },
+        { name: tr(execution.guild, 'logs.fields.channel'), value: formatChannel(execution.guild, execution.channel) },
+        { name: tr(execution.guild, 'logs.fields.action'), value: execution.action.type.toString() }
       )
       .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
-    sendLog(execution.guild, 'automod', embed);
+    sendLog(execution.guild, 'automod', embed, {
+      actorId: execution.userId,
+      targetId: execution.ruleId,
+      channelId: execution.channelId ?? null,
+      after: { action: execution.action.type, content: execution.content ?? null },
+    });
   });
 
-  client.on('interactionCreate', (interaction) => {
+  client.on('interactionCreate', unlessIgnored(interactionSubject, (interaction) => {
     if (!interaction.isCommand() && !interaction.isButton()) return;
     const embed = new EmbedBuilder()
-      .setTitle('🧩 Interaction Used')
-      .setDescription(`Type: ${interaction.isCommand() ? 'Slash Command' : 'Button'}`)
+      .setTitle(tr(interaction.guild, 'logs.titles.interactionUsed'))
+      .setDescription(tr(interaction.guild, interaction.isCommand() ? 'logs.descriptions.slashCommand' : 'logs.descriptions.button'))
       .addFields(
-        { name: 'User', value: formatUser(interaction.user) },
-        { name: 'Channel', value: formatChannel(interaction.channel) },
+        { name: tr(interaction.guild, 'logs.fields.user'), value: formatUser(interaction.guild, interaction.user) },
+        { name: tr(interaction.guild, 'logs.fields.channel'), value: formatChannel(interaction.guild, interaction.channel) },
         {
-          name: 'Command/Button',
+          name: tr(interaction.guild, 'logs.fields.command'),
           value: interaction.isCommand() ? interaction.commandName : interaction.customId,
         }
       )
       .setColor(LOG_CATEGORIES.INTEGRATIONS.color);
-    sendLog(interaction.guild, 'interactions', embed);
-  });
+    sendLog(interaction.guild, 'interactions', embed, {
+      actorId: interaction.user.id,
+      channelId: interaction.channelId,
+      after: { name: interaction.isCommand() ? interaction.commandName : interaction.customId },
+    });
+  }));
 };
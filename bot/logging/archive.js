@@ -0,0 +1,135 @@
+// /bot/logging/archive.js
+// Copies attachments of new messages into the blob store for guilds that opted
+// in, so deletion logs can re-post them. Copies expire with the guild's log retention.
+import ArchivedAttachment from '../../models/ArchivedAttachment.js';
+import { getBlobStore } from './blobs/index.js';
+import { DEFAULT_RETENTION_DAYS, getArchiveSettings } from './config.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 86_400_000;
+const MB = 1024 * 1024;
+// Discord's upload cap for a single bot message
+const MAX_UPLOAD_BYTES = 10 * MB;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH = 500;
+
+const safeName = (name) => name.replace(/[^\w.-]+/g, '_').slice(0, 100) || 'file';
+
+// "image/png; charset=…" against patterns like "image/*" or "application/pdf"
+export function isArchivableType(contentType, patterns) {
+  const type = contentType?.split(';')[0].trim().toLowerCase();
+  if (!type) return false;
+  return patterns.some(p => (p.endsWith('/*') ? type.startsWith(p.slice(0, -1)) : type === p.toLowerCase()));
+}
+
+/**
+ * Stores every attachment of `message` within the guild's size limit and
+ * type allowlist. Failures are logged per file and never thrown.
+ */
+export async function archiveAttachments(message, config) {
+  const settings = getArchiveSettings(config);
+  if (!settings.enabled) return;
+
+  const store = getBlobStore();
+  const retentionDays = config.retentionDays ?? DEFAULT_RETENTION_DAYS;
+  const docs = [];
+
+  for (const attachment of message.attachments.values()) {
+    if (attachment.size > settings.maxSizeMb * MB || !isArchivableType(attachment.contentType, settings.types)) continue;
+    const key = `${message.guildId}/${message.id}/${attachment.id}-${safeName(attachment.name)}`;
+    try {
+      const res = await fetch(attachment.url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      await store.put(key, Buffer.from(await res.arrayBuffer()), attachment.contentType);
+      docs.push({
+        guildId: message.guildId,
+        channelId: message.channelId,
+        messageId: message.id,
+        authorId: message.author?.id ?? null,
+        name: attachment.name,
+        contentType: attachment.contentType ?? null,
+        size: attachment.size,
+        key,
+        expiresAt: new Date(Date.now() + retentionDays * DAY_MS),
+      });
+    } catch (err) {
+      logger.warn('ATTACHMENT_ARCHIVE_FAILED', { guildId: message.guildId, messageId: message.id, error: err.message });
+    }
+  }
+
+  if (docs.length) await ArchivedAttachment.insertMany(docs);
+}
+
+/**
+ * Archived files of a message as `{ name, data }`, up to what fits in one
+ * upload. `skipped` lists the names left out.
+ */
+export async function getArchivedFiles(messageId) {
+  const docs = await ArchivedAttachment.find({ messageId }).sort({ _id: 1 }).lean();
+  const store = getBlobStore();
+  const files = [];
+  const skipped = [];
+  let total = 0;
+
+  for (const doc of docs) {
+    if (total + doc.size > MAX_UPLOAD_BYTES) {
+      skipped.push(doc.name);
+      continue;
+    }
+    const data = await store.get(doc.key).catch(err => {
+      logger.warn('ATTACHMENT_ARCHIVE_READ_FAILED', { messageId, key: doc.key, error: err.message });
+      return null;
+    });
+    if (!data) {
+      skipped.push(doc.name);
+      continue;
+    }
+    total += doc.size;
+    files.push({ name: doc.name, data });
+  }
+  return { files, skipped };
+}
+
+// Deletes expired blobs, then their records; a failed blob delete is retried next sweep
+export async function purgeExpiredAttachments() {
+  const store = getBlobStore();
+  let purged = 0;
+
+  for (;;) {
+    const docs = await ArchivedAttachment.find({ expiresAt: { $lte: new Date() } }).limit(PURGE_BATCH).lean();
+    if (!docs.length) break;
+
+    const removed = [];
+    for (const doc of docs) {
+      await store
+        .delete(doc.key)
+        .then(() => removed.push(doc._id))
+        .catch(err => logger.warn('ATTACHMENT_PURGE_FAILED', { key: doc.key, error: err.message }));
+    }
+    if (removed.length) await ArchivedAttachment.deleteMany({ _id: { $in: removed } });
+    purged += removed.length;
+    if (removed.length < docs.length || docs.length < PURGE_BATCH) break;
+  }
+
+  if (purged) logger.info('ATTACHMENTS_PURGED', { count: purged });
+  return purged;
+}
+
+export function startAttachmentPurge(client) {
+  let running = false;
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpiredAttachments();
+    } catch (err) {
+      logger.error('ATTACHMENT_PURGE_SWEEP_ERROR', { error: err.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const interval = setInterval(sweep, PURGE_INTERVAL_MS);
+  client.on('close', () => clearInterval(interval));
+  return sweep;
+}
@@ -0,0 +1,64 @@
+// /bot/logging/audit.js
+// Correlates gateway events with the audit log entries that explain them.
+// Entries usually arrive shortly after the gateway event, so lookups wait briefly.
+import { PermissionFlagsBits } from 'discord.js';
+
+const RECENT_MS = 15_000;
+const WAIT_MS = 2_500;
+const MAX_RECENT_PER_GUILD = 50;
+
+const recent = new Map(); // guildId → recent entries, oldest first
+const waiters = new Set();
+
+// Called for every guildAuditLogEntryCreate; wakes up any lookup waiting for it
+export function recordAuditEntry(entry, guild) {
+  const now = Date.now();
+  const entries = (recent.get(guild.id) ?? []).filter(e => now - e.createdTimestamp < RECENT_MS);
+  entries.push(entry);
+  recent.set(guild.id, entries.slice(-MAX_RECENT_PER_GUILD));
+
+  for (const waiter of waiters) {
+    if (waiter.guildId === guild.id && waiter.test(entry)) waiter.done(entry);
+  }
+}
+
+/**
+ * Finds the audit entry behind a gateway event: a recent one if already seen,
+ * otherwise the next matching one within a short wait. Resolves null when
+ * nothing matches or the bot cannot read the audit log.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {{ action: number|number[], targetId?: string, matches?: (entry) => boolean }} query
+ */
+export function findAuditEntry(guild, { action, targetId = null, matches = () => true }) {
+  if (!guild.members.me?.permissions.has(PermissionFlagsBits.ViewAuditLog)) return Promise.resolve(null);
+
+  const actions = [action].flat();
+  const test = (e) => actions.includes(e.action) && (!targetId || e.targetId === targetId) && matches(e);
+
+  const now = Date.now();
+  const seen = (recent.get(guild.id) ?? []).findLast(e => now - e.createdTimestamp < RECENT_MS && test(e));
+  if (seen) return Promise.resolve(seen);
+
+  return new Promise(resolve => {
+    const waiter = {
+      guildId: guild.id,
+      test,
+      done: (entry) => {
+        clearTimeout(timer);
+        waiters.delete(waiter);
+        resolve(entry);
+      },
+    };
+    const timer = setTimeout(() => waiter.done(null), WAIT_MS);
+    waiters.add(waiter);
+  });
+}
+
+// Executor as a User; the entry only carries it when cached
+export async function resolveExecutor(client, entry) {
+  if (!entry?.executorId) return null;
+  return entry.executor ?? client.users.fetch(entry.executorId).catch(() => null);
+}
+
+export const findChange = (entry, key) => entry.changes?.find(c => c.key === key) ?? null;
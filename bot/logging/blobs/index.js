@@ -0,0 +1,29 @@
+// /bot/logging/blobs/index.js
+// Where archived attachments live. LOG_BLOB_STORE picks the backend:
+//   local (default) — files under LOG_ARCHIVE_DIR (./data/attachments)
+//   s3              — S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+// Every backend implements put(key, data, contentType), get(key) → Buffer|null and delete(key).
+import { createLocalBlobStore } from './local.js';
+import { createS3BlobStore } from './s3.js';
+
+let store = null;
+
+export function getBlobStore() {
+  if (store) return store;
+  const backend = (process.env.LOG_BLOB_STORE || 'local').toLowerCase();
+
+  if (backend === 's3') {
+    store = createS3BlobStore({
+      endpoint: process.env.S3_ENDPOINT,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    });
+  } else if (backend === 'local') {
+    store = createLocalBlobStore(process.env.LOG_ARCHIVE_DIR || './data/attachments');
+  } else {
+    throw new Error(`Unknown LOG_BLOB_STORE "${backend}" (use local or s3)`);
+  }
+  return store;
+}
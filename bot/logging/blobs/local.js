@@ -0,0 +1,31 @@
+// /bot/logging/blobs/local.js
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+
+// Files under `root`, one per key; keys may contain "/" to nest directories
+export function createLocalBlobStore(root) {
+  const base = resolve(root);
+  const pathFor = (key) => {
+    const path = resolve(join(base, key));
+    if (!path.startsWith(base + '/')) throw new Error(`Invalid blob key: ${key}`);
+    return path;
+  };
+
+  return {
+    name: 'local',
+    async put(key, data) {
+      const path = pathFor(key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, data);
+    },
+    async get(key) {
+      return readFile(pathFor(key)).catch(err => {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      });
+    },
+    async delete(key) {
+      await rm(pathFor(key), { force: true });
+    },
+  };
+}
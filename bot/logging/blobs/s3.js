@@ -0,0 +1,62 @@
+// /bot/logging/blobs/s3.js
+// Any S3-compatible service (AWS, R2, MinIO, ...) through signed path-style requests.
+import { createHash, createHmac } from 'node:crypto';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+
+export function createS3BlobStore({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 blob store needs an endpoint, bucket, access key ID and secret');
+  }
+  const origin = endpoint.replace(/\/+$/, '');
+
+  // AWS Signature Version 4 over method, path, host and payload hash
+  function request(method, key, body = '', contentType) {
+    const url = new URL(`${origin}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const payloadHash = sha256(body);
+
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (contentType) headers['content-type'] = contentType;
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+    const canonical = [
+      method,
+      url.pathname,
+      '',
+      names.map(h => `${h}:${headers[h]}\n`).join(''),
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete headers.host;
+    headers.authorization =
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return fetch(url, { method, headers, body: method === 'PUT' ? body : undefined });
+  }
+
+  return {
+    name: 's3',
+    async put(key, data, contentType = 'application/octet-stream') {
+      const res = await request('PUT', key, data, contentType);
+      if (!res.ok) throw new Error(`S3 PUT ${key} failed: HTTP ${res.status}`);
+    },
+    async get(key) {
+      const res = await request('GET', key);
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`S3 GET ${key} failed: HTTP ${res.status}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+    async delete(key) {
+      const res = await request('DELETE', key);
+      if (!res.ok && res.status !== 404) throw new Error(`S3 DELETE ${key} failed: HTTP ${res.status}`);
+    },
+  };
+}
@@ -0,0 +1,144 @@
+// /bot/logging/config.js
+import { ChannelType } from 'discord.js';
+import LogConfig from '../../models/LogConfig.js';
+import LogEvent from '../../models/LogEvent.js';
+import ArchivedAttachment from '../../models/ArchivedAttachment.js';
+import { LOG_CATEGORIES, LOG_TYPES } from './types.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 86_400_000;
+export const DEFAULT_RETENTION_DAYS = 30;
+export const MAX_RETENTION_DAYS = 365;
+export const MAX_ARCHIVE_SIZE_MB = 25;
+export const IGNORE_KINDS = ['channels', 'categories', 'roles', 'users', 'webhooks'];
+export const MAX_IGNORED_PER_KIND = 100;
+const ARCHIVE_DEFAULTS = { enabled: false, maxSizeMb: 8, types: ['image/*', 'video/*', 'application/pdf', 'text/plain'] };
+
+// guildId -> pending lean config. Every logged event reads this, so Mongo is hit once per guild
+const cache = new Map();
+
+export function getLogConfig(guildId) {
+  if (!cache.has(guildId)) {
+    const pending = LogConfig.findOne({ guildId })
+      .lean()
+      .then(doc => doc ?? { guildId, autoScaffold: true, retentionDays: DEFAULT_RETENTION_DAYS, types: {} })
+      .catch(err => {
+        cache.delete(guildId);
+        throw err;
+      });
+    cache.set(guildId, pending);
+  }
+  return cache.get(guildId);
+}
+
+export const invalidateLogConfig = (guildId) => cache.delete(guildId);
+
+// Effective settings of one type, filling in defaults for types never configured
+export function getLogTypeSettings(config, typeKey) {
+  const entry = config.types?.[typeKey] ?? {};
+  return {
+    enabled: entry.enabled !== false,
+    channelId: entry.channelId ?? null,
+    name: entry.name || LOG_TYPES[typeKey].name,
+  };
+}
+
+// Attachment archiving settings, filling in defaults for guilds that never set them
+export function getArchiveSettings(config) {
+  return { ...ARCHIVE_DEFAULTS, ...config.attachmentArchive };
+}
+
+// { channels, categories, roles, users, webhooks } → ID arrays, empty when unset
+export function getIgnoreLists(config) {
+  return Object.fromEntries(IGNORE_KINDS.map(kind => [kind, config.ignore?.[kind] ?? []]));
+}
+
+// A type key ("msgDeleted") or a category key ("MESSAGE") → the type keys it covers
+export function resolveLogTargets(target) {
+  if (LOG_TYPES[target]) return [target];
+  const category = String(target).toUpperCase();
+  if (!LOG_CATEGORIES[category]) return [];
+  return Object.keys(LOG_TYPES).filter(key => LOG_TYPES[key].category === category);
+}
+
+// Log channels must be text channels in the guild itself
+export function resolveLogChannel(guild, channelId) {
+  const channel = guild.channels.cache.get(channelId);
+  return channel && [ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(channel.type) ? channel : null;
+}
+
+/**
+ * Applies `{ autoScaffold?, retentionDays?, types?: { [typeKey]: { enabled?, channelId?, name? } },
+ * attachmentArchive?: { enabled?, maxSizeMb?, types? }, ignore?: { [kind]: ids } }` to the stored config.
+ * Ignore lists given are replaced whole. Unknown type keys and kinds are ignored. Returns the fresh lean config.
+ */
+export async function updateLogConfig(
+  guildId,
+  { autoScaffold, retentionDays, types = {}, attachmentArchive = {}, ignore = {} }
+) {
+  const config = await LogConfig.forGuild(guildId);
+  if (typeof autoScaffold === 'boolean') config.autoScaffold = autoScaffold;
+  const retentionChanged = Number.isInteger(retentionDays) && retentionDays !== config.retentionDays;
+  if (retentionChanged) config.retentionDays = retentionDays;
+
+  const archive = config.attachmentArchive;
+  if (typeof attachmentArchive.enabled === 'boolean') archive.enabled = attachmentArchive.enabled;
+  if (Number.isInteger(attachmentArchive.maxSizeMb)) archive.maxSizeMb = attachmentArchive.maxSizeMb;
+  if (Array.isArray(attachmentArchive.types)) archive.types = attachmentArchive.types;
+
+  for (const kind of IGNORE_KINDS) {
+    if (Array.isArray(ignore[kind])) config.ignore[kind] = [...new Set(ignore[kind])].slice(0, MAX_IGNORED_PER_KIND);
+  }
+
+  for (const [key, patch] of Object.entries(types)) {
+    if (!LOG_TYPES[key]) continue;
+    const entry = config.types.get(key);
+    const next = {
+      enabled: entry?.enabled ?? true,
+      channelId: entry?.channelId ?? null,
+      name: entry?.name ?? null,
+    };
+    if (typeof patch.enabled === 'boolean') next.enabled = patch.enabled;
+    if (patch.channelId !== undefined) next.channelId = patch.channelId;
+    if (patch.name !== undefined) next.name = patch.name;
+    config.types.set(key, next);
+  }
+
+  await config.save();
+  invalidateLogConfig(guildId);
+
+  // Stored events and files follow the new retention, not just ones written from now on
+  if (retentionChanged) {
+    const expiry = [{ $set: { expiresAt: { $add: ['$createdAt', config.retentionDays * DAY_MS] } } }];
+    await LogEvent.updateMany({ guildId }, expiry);
+    await ArchivedAttachment.updateMany({ guildId }, expiry);
+  }
+
+  logger.audit('LOG_CONFIG_UPDATED', {
+    guildId,
+    autoScaffold: config.autoScaffold,
+    retentionDays: config.retentionDays,
+    types: Object.keys(types),
+    attachmentArchive: archive.enabled,
+    ignore: Object.keys(ignore),
+  });
+  return getLogConfig(guildId);
+}
+
+// Shape shared by `/logs status` and the dashboard API
+export function describeLogConfig(config) {
+  return {
+    autoScaffold: config.autoScaffold !== false,
+    retentionDays: config.retentionDays ?? DEFAULT_RETENTION_DAYS,
+    attachmentArchive: getArchiveSettings(config),
+    ignore: getIgnoreLists(config),
+    categories: Object.fromEntries(Object.entries(LOG_CATEGORIES).map(([key, c]) => [key, c.name])),
+    types: Object.entries(LOG_TYPES).map(([key, type]) => ({
+      key,
+      category: type.category,
+      topic: type.topic,
+      defaultName: type.name,
+      ...getLogTypeSettings(config, key),
+    })),
+  };
+}
@@ -0,0 +1,321 @@
+// /bot/logging/delivery.js
+// Per-channel log queues delivered through bot-owned webhooks, up to 10 embeds
+// per message. Rate limits pause only the affected channel for the retry-after
+// Discord returns. With Redis every queued entry is mirrored there as it is
+// queued; without it, whatever is still queued at shutdown is saved to Mongo.
+// Entries carrying files are always sent on their own, and files only queue
+// while the channel's queued files stay under MAX_FILE_BYTES_PER_CHANNEL.
+import { AttachmentBuilder, embedLength, PermissionFlagsBits, RouteBases } from 'discord.js';
+import PendingLog from '../../models/PendingLog.js';
+import { forGuild } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_CHARS_PER_MESSAGE = 6000;
+const MAX_QUEUE_PER_CHANNEL = 500;
+const MAX_FILE_BYTES_PER_CHANNEL = 25 * 1024 * 1024;
+const MAX_FIELDS_PER_EMBED = 25;
+const MAX_ATTEMPTS = 5;
+const BATCH_DELAY_MS = 1_000;
+const WEBHOOK_NAME = 'Strive Logs';
+const REDIS_INDEX_KEY = 'logs:queues';
+const redisKey = (channelId) => `logs:queue:${channelId}`;
+
+const queues = new Map(); // channelId → { guildId, items, timer, sending, blockedUntil, attempts }
+const webhooks = new Map(); // channelId → { id, token } or null when the bot cannot manage webhooks
+const metrics = { enqueued: 0, delivered: 0, dropped: 0, filesSkipped: 0, rateLimited: 0, failedRequests: 0 };
+
+let client = null;
+// Entries logged before the saved backlog is restored wait here, then queue behind it
+let held = null;
+
+// Entries stay in Redis until delivered or dropped, so a crash loses nothing
+const redisStore = {
+  push: (channelId, item) =>
+    client.redis.multi().rpush(redisKey(channelId), JSON.stringify(item)).sadd(REDIS_INDEX_KEY, channelId).exec(),
+  shift: (channelId, count) => client.redis.ltrim(redisKey(channelId), count, -1),
+};
+
+const persist = (channelId, item) => {
+  if (!client.redis) return;
+  redisStore.push(channelId, item).catch(err => logger.warn('LOG_QUEUE_PERSIST_FAILED', { channelId, error: err.message }));
+};
+
+const forget = (channelId, count) => {
+  if (!client.redis || !count) return;
+  redisStore.shift(channelId, count).catch(() => {});
+};
+
+function getQueue(channelId, guildId) {
+  let queue = queues.get(channelId);
+  if (!queue) {
+    queue = { guildId, items: [], timer: null, sending: false, blockedUntil: 0, attempts: 0 };
+    queues.set(channelId, queue);
+  }
+  return queue;
+}
+
+function drop(channelId, queue, count, reason) {
+  queue.items.splice(0, count);
+  forget(channelId, count);
+  metrics.dropped += count;
+  logger.warn('LOG_ENTRIES_DROPPED', { guildId: queue.guildId, channelId, count, reason });
+}
+
+function schedule(channelId, delay = BATCH_DELAY_MS) {
+  const queue = queues.get(channelId);
+  if (!queue || queue.timer || queue.sending) return;
+  queue.timer = setTimeout(() => {
+    queue.timer = null;
+    flush(channelId).catch(err => logger.error('LOG_FLUSH_ERROR', { channelId, error: err.message }));
+  }, Math.max(delay, queue.blockedUntil - Date.now()));
+}
+
+// Largest prefix of the queue that fits in one webhook message
+function nextBatch(items) {
+  if (items[0].files?.length) return { embeds: [items[0].embed], files: items[0].files };
+
+  let chars = 0;
+  let count = 0;
+  for (const { embed, files } of items.slice(0, MAX_EMBEDS_PER_MESSAGE)) {
+    chars += embedLength(embed);
+    if (count > 0 && (files?.length || chars > MAX_CHARS_PER_MESSAGE)) break;
+    count++;
+  }
+  return { embeds: items.slice(0, count).map(i => i.embed), files: [] };
+}
+
+// Queued files are `{ name, data }` with base64 data, so they survive JSON persistence
+const toBuffer = (file) => Buffer.from(file.data, 'base64');
+
+const fileBytes = (files = []) => files.reduce((total, f) => total + Buffer.byteLength(f.data, 'base64'), 0);
+const queuedFileBytes = (queue) => queue.items.reduce((total, item) => total + fileBytes(item.files), 0);
+
+// The embed with the files left out of it listed, next to any the archive already skipped
+function noteSkippedFiles(embed, guildId, names) {
+  const name = forGuild(guildId)('logs.fields.notReuploaded');
+  const fields = embed.fields ?? [];
+  if (fields.some(f => f.name === name)) {
+    return { ...embed, fields: fields.map(f => (f.name === name ? { ...f, value: `${f.value}, ${names}`.slice(0, 1024) } : f)) };
+  }
+  if (fields.length >= MAX_FIELDS_PER_EMBED) return embed;
+  return { ...embed, fields: [...fields, { name, value: names.slice(0, 1024) }] };
+}
+
+// Finds the bot's webhook in the channel or creates one; null means fall back to channel.send
+async function resolveWebhook(channel) {
+  if (webhooks.has(channel.id)) return webhooks.get(channel.id);
+
+  let webhook = null;
+  if (channel.permissionsFor(client.user)?.has(PermissionFlagsBits.ManageWebhooks)) {
+    const existing = await channel.fetchWebhooks().catch(() => null);
+    webhook =
+      existing?.find(w => w.applicationId === client.user.id && w.token) ??
+      (await channel
+        .createWebhook({ name: WEBHOOK_NAME, avatar: client.user.displayAvatarURL(), reason: 'Log delivery' })
+        .catch(() => null));
+  }
+
+  const entry = webhook ? { id: webhook.id, token: webhook.token } : null;
+  webhooks.set(channel.id, entry);
+  return entry;
+}
+
+// Posts straight to the webhook so a 429 surfaces here instead of stalling the shared REST queue
+async function executeWebhook(webhook, embeds, files) {
+  const payload = { username: WEBHOOK_NAME, avatar_url: client.user.displayAvatarURL(), embeds };
+  let body;
+  let headers = { 'Content-Type': 'application/json' };
+  if (files.length) {
+    body = new FormData();
+    payload.attachments = files.map((f, id) => ({ id, filename: f.name }));
+    body.append('payload_json', JSON.stringify(payload));
+    files.forEach((f, i) => body.append(`files[${i}]`, new Blob([toBuffer(f)]), f.name));
+    headers = {};
+  } else {
+    body = JSON.stringify(payload);
+  }
+
+  let res;
+  try {
+    res = await fetch(`${RouteBases.api}/webhooks/${webhook.id}/${webhook.token}`, { method: 'POST', headers, body });
+  } catch (err) {
+    return { ok: false, status: 0, message: err.message };
+  }
+  if (res.ok) return { ok: true };
+
+  const error = await res.json().catch(() => ({}));
+  const retryAfter = Number(error.retry_after ?? res.headers.get('retry-after')) || 1;
+  return { ok: false, status: res.status, retryAfterMs: Math.ceil(retryAfter * 1000), message: error.message };
+}
+
+async function flush(channelId) {
+  const queue = queues.get(channelId);
+  if (!queue || queue.sending) return;
+  queue.sending = true;
+
+  try {
+    while (queue.items.length && Date.now() >= queue.blockedUntil) {
+      const channel = client.channels.cache.get(channelId);
+      if (!channel) {
+        drop(channelId, queue, queue.items.length, 'channel missing');
+        break;
+      }
+
+      const { embeds, files } = nextBatch(queue.items);
+      const webhook = await resolveWebhook(channel);
+      let result;
+      if (webhook) {
+        result = await executeWebhook(webhook, embeds, files);
+      } else {
+        result = await channel
+          .send({ embeds, files: files.map(f => new AttachmentBuilder(toBuffer(f), { name: f.name })) })
+          .then(() => ({ ok: true }))
+          .catch(err => ({ ok: false, status: err.status ?? 0, retryAfterMs: 5_000, message: err.message }));
+      }
+
+      if (result.ok) {
+        queue.items.splice(0, embeds.length);
+        forget(channelId, embeds.length);
+        queue.attempts = 0;
+        metrics.delivered += embeds.length;
+        continue;
+      }
+
+      metrics.failedRequests++;
+      if (result.status === 429) {
+        metrics.rateLimited++;
+        queue.blockedUntil = Date.now() + result.retryAfterMs;
+        logger.warn('LOG_RATE_LIMITED', { guildId: queue.guildId, channelId, retryAfterMs: result.retryAfterMs });
+        break;
+      }
+      if (result.status === 404 && webhook) {
+        webhooks.delete(channelId); // Webhook deleted by someone; make a new one next round
+      } else if (result.status === 400 || result.status === 403 || ++queue.attempts >= MAX_ATTEMPTS) {
+        drop(channelId, queue, embeds.length, result.message ?? `HTTP ${result.status}`);
+        queue.attempts = 0;
+        continue;
+      }
+      queue.blockedUntil = Date.now() + 2 ** queue.attempts * 1_000;
+      break;
+    }
+  } finally {
+    queue.sending = false;
+  }
+
+  if (queue.items.length) schedule(channelId, 0);
+  else if (!queue.timer) queues.delete(channelId);
+}
+
+/**
+ * Queues an embed for a log channel. The oldest entry is dropped once a
+ * channel has 500 waiting. Files that would take the channel's queued files
+ * past 25 MB are left out; the embed lists them instead.
+ * @param {{ name: string, data: Buffer|string }[]} [files] attached to the same message
+ */
+export function enqueueLog(channel, embed, files = []) {
+  if (held) {
+    held.push([channel, embed, files]);
+    return;
+  }
+  const queue = getQueue(channel.id, channel.guild?.id ?? null);
+  const item = { embed: typeof embed.toJSON === 'function' ? embed.toJSON() : embed };
+  if (files.length) {
+    const buffers = files.map(f => Buffer.from(f.data));
+    const size = buffers.reduce((total, b) => total + b.length, 0);
+    if (queuedFileBytes(queue) + size <= MAX_FILE_BYTES_PER_CHANNEL) {
+      item.files = files.map((f, i) => ({ name: f.name, data: buffers[i].toString('base64') }));
+    } else {
+      item.embed = noteSkippedFiles(item.embed, queue.guildId, files.map(f => f.name).join(', '));
+      metrics.filesSkipped += files.length;
+      logger.warn('LOG_FILES_SKIPPED', { guildId: queue.guildId, channelId: channel.id, files: files.length, bytes: size });
+    }
+  }
+
+  if (queue.items.length >= MAX_QUEUE_PER_CHANNEL) drop(channel.id, queue, 1, 'queue full');
+  queue.items.push(item);
+  persist(channel.id, item);
+  metrics.enqueued++;
+  schedule(channel.id);
+}
+
+export function getLogDeliveryMetrics() {
+  let depth = 0;
+  let blocked = 0;
+  for (const queue of queues.values()) {
+    depth += queue.items.length;
+    if (queue.blockedUntil > Date.now()) blocked++;
+  }
+  return { ...metrics, depth, channels: queues.size, blockedChannels: blocked };
+}
+
+async function restoreQueues() {
+  let restored = 0;
+
+  if (client.redis) {
+    const channelIds = await client.redis.smembers(REDIS_INDEX_KEY);
+    for (const channelId of channelIds) {
+      const raw = await client.redis.lrange(redisKey(channelId), 0, -1);
+      if (!raw.length) {
+        await client.redis.srem(REDIS_INDEX_KEY, channelId);
+        continue;
+      }
+      // Nothing else is queued yet (see `held`), so memory mirrors the Redis list exactly
+      const queue = getQueue(channelId, client.channels.cache.get(channelId)?.guild?.id ?? null);
+      queue.items.push(...raw.map(r => JSON.parse(r)));
+      restored += raw.length;
+      schedule(channelId);
+    }
+  }
+
+  // Mongo backlog from a shutdown without Redis (or before Redis was configured)
+  const pending = await PendingLog.find().sort({ queuedAt: 1 }).lean();
+  if (pending.length) {
+    await PendingLog.deleteMany({ _id: { $in: pending.map(p => p._id) } });
+    for (const p of pending) {
+      const queue = getQueue(p.channelId, p.guildId);
+      const item = { embed: p.embed, files: p.files };
+      queue.items.push(item);
+      persist(p.channelId, item);
+      schedule(p.channelId);
+    }
+    restored += pending.length;
+  }
+
+  if (restored) logger.info('LOG_QUEUE_RESTORED', { entries: restored });
+}
+
+/**
+ * Saves entries still queued to Mongo. Only needed without Redis, where
+ * they are not already persisted. Call before shutting down.
+ */
+export async function persistLogQueues() {
+  if (!client || client.redis) return 0;
+  const docs = [];
+  for (const [channelId, queue] of queues) {
+    for (const item of queue.items) {
+      docs.push({ channelId, guildId: queue.guildId, embed: item.embed, files: item.files ?? [] });
+    }
+    clearTimeout(queue.timer);
+  }
+  if (docs.length) await PendingLog.insertMany(docs);
+  queues.clear();
+  return docs.length;
+}
+
+export function initLogDelivery(botClient) {
+  client = botClient;
+  held = [];
+  client.once('ready', async () => {
+    try {
+      await restoreQueues();
+    } catch (err) {
+      logger.error('LOG_QUEUE_RESTORE_FAILED', { error: err.message });
+    } finally {
+      const waiting = held;
+      held = null;
+      for (const args of waiting) enqueueLog(...args);
+    }
+  });
+  client.on('webhooksUpdate', (channel) => webhooks.delete(channel.id));
+}
@@ -0,0 +1,266 @@
+// /bot/logging/diff.js
+// Property-by-property diffs of roles, channels, guilds, emojis and stickers,
+// rendered as embed fields. Permission bitfields become granted/revoked names
+// and channel overwrites are compared per role or member. Labels and values
+// are written with the `t` the fields are rendered with (logs.diff.*).
+import {
+  ChannelType,
+  GuildDefaultMessageNotifications,
+  GuildExplicitContentFilter,
+  GuildMFALevel,
+  GuildNSFWLevel,
+  GuildPremiumTier,
+  GuildVerificationLevel,
+  OverwriteType,
+  PermissionsBitField,
+  VideoQualityMode,
+} from 'discord.js';
+
+// Leaves room for Moderator, Reason and the footer field added by sendLog
+const MAX_DIFF_FIELDS = 20;
+const MAX_VALUE_LENGTH = 480;
+
+const none = (v) => v === null || v === undefined || v === '';
+const text = (v, t) => (none(v) ? t('logs.values.none') : String(v).slice(0, MAX_VALUE_LENGTH));
+const yesNo = (v, t) => t(v ? 'logs.values.yes' : 'logs.values.no');
+const hexColor = (v, t) => (v ? `#${v.toString(16).padStart(6, '0')}` : t('logs.values.none'));
+const channelRef = (id, t) => (id ? `<#${id}>` : t('logs.values.none'));
+const userRef = (id, t) => (id ? `<@${id}>` : t('logs.values.none'));
+const roleRef = (id) => `<@&${id}>`;
+const seconds = (v, t) => (v ? `${v}s` : t('logs.diff.values.off'));
+const minutes = (v, t) => (v ? t('common.minutes', { count: v }) : t('logs.diff.values.default'));
+const enumName = (values) => (v, t) => (none(v) ? t('logs.values.none') : values[v] ?? String(v));
+
+// Permission names granted and revoked between two bitfields
+export const permissionDiff = (before, after) => {
+  const was = new Set(new PermissionsBitField(BigInt(before ?? 0)).toArray());
+  const now = new Set(new PermissionsBitField(BigInt(after ?? 0)).toArray());
+  return {
+    added: [...now].filter((p) => !was.has(p)),
+    removed: [...was].filter((p) => !now.has(p)),
+  };
+};
+
+/*
+ * A property spec is { key, label, format?, get?, kind?, noisy? }, where
+ * `label` is the key of its name and `format(value, t)` renders one value:
+ *   kind "permissions" compares bitfields, "list" compares arrays as sets,
+ *   anything else compares values. `noisy` properties (positions) are listed
+ *   but never reason enough to log on their own.
+ */
+const prop = (key, format = text, extra = {}) => ({ key, label: `logs.diff.props.${key}`, format, ...extra });
+
+export const ROLE_PROPS = [
+  prop('name'),
+  prop('color', hexColor),
+  prop('hoist', yesNo),
+  prop('mentionable', yesNo),
+  prop('icon'),
+  prop('unicodeEmoji'),
+  prop('permissions', text, { kind: 'permissions', get: (r) => r.permissions.bitfield }),
+  prop('rawPosition', text, { noisy: true }),
+];
+
+export const CHANNEL_PROPS = [
+  prop('name'),
+  prop('type', enumName(ChannelType)),
+  prop('topic'),
+  prop('nsfw', yesNo),
+  prop('rateLimitPerUser', seconds),
+  prop('parentId', channelRef),
+  prop('bitrate', (v, t) => (v ? `${v / 1000} kbps` : t('logs.values.none'))),
+  prop('userLimit', (v, t) => (v ? String(v) : t('logs.diff.values.unlimited'))),
+  prop('rtcRegion', (v, t) => v ?? t('logs.diff.values.automatic')),
+  prop('videoQualityMode', enumName(VideoQualityMode)),
+  prop('defaultAutoArchiveDuration', minutes),
+  prop('defaultThreadRateLimitPerUser', seconds),
+  prop('availableTags', text, { kind: 'list', get: (c) => c.availableTags?.map((t) => t.name) }),
+  prop('rawPosition', text, { noisy: true }),
+];
+
+export const GUILD_PROPS = [
+  prop('name'),
+  prop('description'),
+  prop('icon'),
+  prop('banner'),
+  prop('splash'),
+  prop('ownerId', userRef),
+  prop('afkChannelId', channelRef),
+  prop('afkTimeout', seconds),
+  prop('systemChannelId', channelRef),
+  prop('rulesChannelId', channelRef),
+  prop('publicUpdatesChannelId', channelRef),
+  prop('safetyAlertsChannelId', channelRef),
+  prop('verificationLevel', enumName(GuildVerificationLevel)),
+  prop('explicitContentFilter', enumName(GuildExplicitContentFilter)),
+  prop('defaultMessageNotifications', enumName(GuildDefaultMessageNotifications)),
+  prop('mfaLevel', enumName(GuildMFALevel)),
+  prop('nsfwLevel', enumName(GuildNSFWLevel)),
+  prop('preferredLocale'),
+  prop('vanityURLCode'),
+  prop('premiumProgressBarEnabled', yesNo),
+  prop('premiumTier', enumName(GuildPremiumTier)),
+  prop('systemChannelFlags', text, {
+    kind: 'list',
+    get: (g) => g.systemChannelFlags?.toArray(),
+  }),
+  prop('features', text, { kind: 'list' }),
+];
+
+export const EMOJI_PROPS = [
+  prop('name'),
+  prop('roles', roleRef, { kind: 'list', get: (e) => [...(e.roles?.cache.keys() ?? [])] }),
+];
+
+export const STICKER_PROPS = [prop('name'), prop('description'), prop('tags')];
+
+/**
+ * Every property that differs between two versions of a structure:
+ * `{ key, label, kind, noisy, before, after, added?, removed? }`.
+ */
+export function diffStructures(before, after, props) {
+  const changes = [];
+  for (const p of props) {
+    const old = p.get ? p.get(before) : before[p.key];
+    const now = p.get ? p.get(after) : after[p.key];
+    const base = { key: p.key, label: p.label, format: p.format, kind: p.kind ?? 'value', noisy: !!p.noisy };
+
+    if (p.kind === 'permissions') {
+      const { added, removed } = permissionDiff(old, now);
+      if (added.length || removed.length) {
+        changes.push({ ...base, added, removed, before: String(old ?? 0), after: String(now ?? 0) });
+      }
+    } else if (p.kind === 'list') {
+      const was = old ?? [];
+      const is = now ?? [];
+      const added = is.filter((x) => !was.includes(x));
+      const removed = was.filter((x) => !is.includes(x));
+      if (added.length || removed.length) changes.push({ ...base, added, removed, before: was, after: is });
+    } else if ((old ?? null) !== (now ?? null)) {
+      changes.push({ ...base, before: old ?? null, after: now ?? null });
+    }
+  }
+  return changes;
+}
+
+// Plain names: mentions do not render in embed field names
+const overwriteSubject = (overwrite, guild) => {
+  if (overwrite.id === guild.id) return { key: 'logs.diff.overwrite', vars: { subject: '@everyone' } };
+  if (overwrite.type === OverwriteType.Member) {
+    return { key: 'logs.diff.memberOverwrite', vars: { user: guild.client?.users.cache.get(overwrite.id)?.tag ?? overwrite.id } };
+  }
+  return { key: 'logs.diff.overwrite', vars: { subject: `@${guild.roles?.cache.get(overwrite.id)?.name ?? overwrite.id}` } };
+};
+
+// Overwrites added, removed or changed between two channel versions, one change per role or member
+export function diffOverwrites(oldChannel, newChannel) {
+  const before = oldChannel.permissionOverwrites?.cache;
+  const after = newChannel.permissionOverwrites?.cache;
+  if (!before || !after) return [];
+
+  const changes = [];
+  for (const id of new Set([...before.keys(), ...after.keys()])) {
+    const was = before.get(id);
+    const is = after.get(id);
+    const allowed = permissionDiff(was?.allow.bitfield, is?.allow.bitfield);
+    const denied = permissionDiff(was?.deny.bitfield, is?.deny.bitfield);
+    if (was && is && !allowed.added.length && !allowed.removed.length && !denied.added.length && !denied.removed.length) {
+      continue;
+    }
+    const bits = (o) => (o ? { allow: o.allow.bitfield.toString(), deny: o.deny.bitfield.toString() } : null);
+    const subject = overwriteSubject(is ?? was, newChannel.guild);
+    changes.push({
+      key: `overwrite:${id}`,
+      label: subject.key,
+      labelVars: subject.vars,
+      kind: 'overwrite',
+      noisy: false,
+      status: !was ? 'added' : !is ? 'removed' : 'changed',
+      allowed,
+      denied,
+      before: bits(was),
+      after: bits(is),
+    });
+  }
+  return changes;
+}
+
+export const diffRole = (before, after) => diffStructures(before, after, ROLE_PROPS);
+export const diffChannel = (before, after) => [
+  ...diffStructures(before, after, CHANNEL_PROPS),
+  ...diffOverwrites(before, after),
+];
+export const diffGuild = (before, after) => diffStructures(before, after, GUILD_PROPS);
+export const diffEmoji = (before, after) => diffStructures(before, after, EMOJI_PROPS);
+export const diffSticker = (before, after) => diffStructures(before, after, STICKER_PROPS);
+
+// True when something besides positions changed
+export const isSignificant = (changes) => changes.some((c) => !c.noisy);
+
+// `pairs` are [labelKey, names]; empty lists are left out
+const labelled = (pairs, t) =>
+  pairs
+    .filter(([, list]) => list.length)
+    .map(([key, list]) => `**${t(key)}:** ${list.join(', ')}`)
+    .join('\n');
+
+function renderChange(change, t) {
+  const format = (v) => change.format(v, t);
+  switch (change.kind) {
+    case 'permissions':
+      return labelled([['logs.fields.granted', change.added], ['logs.fields.revoked', change.removed]], t);
+    case 'list':
+      return labelled([['logs.diff.added', change.added.map(format)], ['logs.diff.removed', change.removed.map(format)]], t);
+    case 'overwrite':
+      return [
+        `*${t(`logs.diff.status.${change.status}`)}*`,
+        labelled([
+          ['logs.fields.allowed', change.allowed.added],
+          ['logs.fields.noLongerAllowed', change.allowed.removed],
+          ['logs.fields.denied', change.denied.added],
+          ['logs.fields.noLongerDenied', change.denied.removed],
+        ], t),
+      ]
+        .filter(Boolean)
+        .join('\n');
+    default:
+      return `${format(change.before)} → ${format(change.after)}`;
+  }
+}
+
+const changeLabel = (change, t) => t(change.label, change.labelVars);
+
+/**
+ * One embed field per change, written with `t` (a key, vars translator for
+ * the log's guild); the overflow is summarised in a last field.
+ */
+export function diffFields(changes, t) {
+  const fields = changes.slice(0, MAX_DIFF_FIELDS).map((c) => ({
+    name: changeLabel(c, t).slice(0, 256),
+    value: renderChange(c, t).slice(0, 1024) || t('logs.diff.status.changed'),
+  }));
+  if (changes.length > MAX_DIFF_FIELDS) {
+    fields.push({
+      name: t('logs.diff.moreChanges'),
+      value: changes.slice(MAX_DIFF_FIELDS).map((c) => changeLabel(c, t)).join(', ').slice(0, 1024),
+    });
+  }
+  return fields;
+}
+
+// Searchable { before, after } for the log store; overwrites are grouped by role or member ID
+export function diffRecord(changes) {
+  const before = {};
+  const after = {};
+  for (const c of changes) {
+    if (c.kind === 'overwrite') {
+      const id = c.key.slice('overwrite:'.length);
+      (before.overwrites ??= {})[id] = c.before;
+      (after.overwrites ??= {})[id] = c.after;
+    } else {
+      before[c.key] = c.before;
+      after[c.key] = c.after;
+    }
+  }
+  return { before, after };
+}
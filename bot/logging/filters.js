@@ -0,0 +1,29 @@
+// /bot/logging/filters.js
+// Per-guild ignore rules for activity logs (messages, reactions, voice, threads,
+// interactions). Moderation, member and server-structure logs are never filtered.
+import { getIgnoreLists, getLogTypeSettings } from './config.js';
+import { LOG_TYPES } from './types.js';
+
+// Cached GuildMembers carry a role manager; uncached interaction members are raw API data
+const memberRoleIds = (member) => (member?.roles?.cache ? [...member.roles.cache.keys()] : member?.roles ?? []);
+
+/**
+ * Whether activity described by `subject` should stay out of the logs.
+ * Ignoring a channel covers its threads; the guild's own log channels are always ignored.
+ * @param {{ channel?, member?, userId?, webhookId? }} subject
+ */
+export function isLogIgnored(config, { channel, member, userId, webhookId } = {}) {
+  const ignore = getIgnoreLists(config);
+
+  if (channel) {
+    const channelIds = [channel.id, channel.parentId].filter(Boolean);
+    const categoryId = channel.isThread?.() ? channel.parent?.parentId : channel.parentId;
+    if (channelIds.some(id => ignore.channels.includes(id))) return true;
+    if (categoryId && ignore.categories.includes(categoryId)) return true;
+    if (Object.keys(LOG_TYPES).some(key => channelIds.includes(getLogTypeSettings(config, key).channelId))) return true;
+  }
+
+  if (userId && ignore.users.includes(userId)) return true;
+  if (webhookId && ignore.webhooks.includes(webhookId)) return true;
+  return memberRoleIds(member).some(id => ignore.roles.includes(id));
+}
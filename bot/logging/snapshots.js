@@ -0,0 +1,81 @@
+// /bot/logging/snapshots.js
+// Content, author and attachments of recent messages, so delete and edit logs
+// still have them after a restart or once discord.js has evicted the message.
+// Kept in Redis with a TTL when available, otherwise in a size-capped in-memory LRU.
+import { logger } from '../utils/logger.js';
+
+const MAX_SNAPSHOTS = Number(process.env.LOG_SNAPSHOT_LIMIT) || 10_000;
+const REDIS_TTL_SECONDS = 3 * 24 * 60 * 60;
+const redisKey = (messageId) => `logs:msg:${messageId}`;
+
+// Map keeps insertion order: re-inserting on access makes the first key the least recently used
+const memory = new Map();
+let client = null;
+
+export function initMessageSnapshots(botClient) {
+  client = botClient;
+}
+
+export function toSnapshot(message) {
+  return {
+    id: message.id,
+    guildId: message.guildId,
+    channelId: message.channelId,
+    authorId: message.author?.id ?? null,
+    authorTag: message.author?.tag ?? null,
+    content: message.content ?? '',
+    attachments: [...(message.attachments?.values() ?? [])].map(a => ({
+      name: a.name,
+      url: a.url,
+      size: a.size,
+      contentType: a.contentType ?? null,
+    })),
+    createdAt: message.createdTimestamp ?? Date.now(),
+  };
+}
+
+export async function saveMessageSnapshot(message) {
+  const snapshot = toSnapshot(message);
+  if (client?.redis) {
+    await client.redis
+      .set(redisKey(snapshot.id), JSON.stringify(snapshot), 'EX', REDIS_TTL_SECONDS)
+      .catch(err => logger.warn('MESSAGE_SNAPSHOT_WRITE_FAILED', { messageId: snapshot.id, error: err.message }));
+    return;
+  }
+
+  memory.delete(snapshot.id);
+  memory.set(snapshot.id, snapshot);
+  if (memory.size > MAX_SNAPSHOTS) memory.delete(memory.keys().next().value);
+}
+
+export async function getMessageSnapshots(messageIds) {
+  if (!messageIds.length) return new Map();
+
+  if (client?.redis) {
+    const raw = await client.redis.mget(messageIds.map(redisKey)).catch(() => []);
+    return new Map(raw.filter(Boolean).map(r => JSON.parse(r)).map(s => [s.id, s]));
+  }
+
+  const found = new Map();
+  for (const id of messageIds) {
+    const snapshot = memory.get(id);
+    if (!snapshot) continue;
+    memory.delete(id);
+    memory.set(id, snapshot);
+    found.set(id, snapshot);
+  }
+  return found;
+}
+
+export async function getMessageSnapshot(messageId) {
+  return (await getMessageSnapshots([messageId])).get(messageId) ?? null;
+}
+
+export async function forgetMessageSnapshots(messageIds) {
+  if (!messageIds.length) return;
+  if (client?.redis) {
+    await client.redis.del(messageIds.map(redisKey)).catch(() => {});
+    return;
+  }
+  for (const id of messageIds) memory.delete(id);
+}
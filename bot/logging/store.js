@@ -0,0 +1,98 @@
+// /bot/logging/store.js
+// Structured copy of every logged event, kept for the guild's retention period.
+import LogEvent from '../../models/LogEvent.js';
+import { DEFAULT_RETENTION_DAYS, resolveLogTargets } from './config.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 86_400_000;
+const FLUSH_INTERVAL_MS = 2_000;
+const MAX_BUFFER = 1_000;
+export const MAX_PAGE_SIZE = 100;
+
+// Writes are buffered and inserted together; busy guilds log several events a second
+let buffer = [];
+let timer = null;
+
+async function flush() {
+  timer = null;
+  const docs = buffer;
+  buffer = [];
+  if (!docs.length) return;
+  try {
+    await LogEvent.insertMany(docs, { ordered: false });
+  } catch (err) {
+    logger.error('LOG_EVENT_WRITE_FAILED', { count: docs.length, error: err.message });
+  }
+}
+
+/**
+ * Queues a log event for storage.
+ * @param {object} config the guild's lean log config (for retention)
+ * @param {{ actorId?, targetId?, channelId?, summary?, before?, after? }} record
+ */
+export function recordLogEvent(guildId, type, record, config) {
+  const retentionDays = config?.retentionDays ?? DEFAULT_RETENTION_DAYS;
+  const now = Date.now();
+  buffer.push({
+    guildId,
+    type,
+    actorId: record.actorId ?? null,
+    targetId: record.targetId ?? null,
+    channelId: record.channelId ?? null,
+    summary: record.summary ?? null,
+    before: record.before ?? null,
+    after: record.after ?? null,
+    createdAt: new Date(now),
+    expiresAt: new Date(now + retentionDays * DAY_MS),
+  });
+
+  if (buffer.length >= MAX_BUFFER) flush();
+  else if (!timer) timer = setTimeout(flush, FLUSH_INTERVAL_MS);
+}
+
+export const flushLogEvents = () => {
+  clearTimeout(timer);
+  return flush();
+};
+
+/**
+ * Finds stored events, newest first.
+ * Filters: type (type or category key), userId (actor or target), channelId, from, to (Dates).
+ */
+export async function searchLogEvents(guildId, { type, userId, channelId, from, to } = {}, { page = 1, limit = 25 } = {}) {
+  const query = { guildId };
+  if (type) query.type = { $in: resolveLogTargets(type) };
+  if (userId) query.$or = [{ actorId: userId }, { targetId: userId }];
+  if (channelId) query.channelId = channelId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  const size = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const current = Math.max(page, 1);
+  const [events, total] = await Promise.all([
+    LogEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((current - 1) * size)
+      .limit(size)
+      .select('-__v -expiresAt')
+      .lean(),
+    LogEvent.countDocuments(query),
+  ]);
+
+  return { events, total, page: current, limit: size, pages: Math.ceil(total / size) };
+}
+
+// "30m", "12h", "7d", "2w" back from now, or anything Date can parse
+export function parseLogTime(value) {
+  if (!value) return null;
+  const relative = /^(\d+)\s*([mhdw])$/i.exec(value.trim());
+  if (relative) {
+    const unit = { m: 60_000, h: 3_600_000, d: DAY_MS, w: 7 * DAY_MS }[relative[2].toLowerCase()];
+    return new Date(Date.now() - Number(relative[1]) * unit);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
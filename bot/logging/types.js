@@ -0,0 +1,71 @@
+// /bot/logging/types.js
+// Log types and the categories they are grouped under when scaffolded.
+// Channel names here are defaults; guilds can rename or reroute them (see config.js).
+
+export const LOG_CATEGORIES = {
+  MOD: { name: '📁・MOD LOGS', color: 0xff4500 },
+  MESSAGE: { name: '📁・MESSAGE LOGS', color: 0x5865f2 },
+  MEMBER: { name: '📁・MEMBER LOGS', color: 0x00ff00 },
+  SERVER: { name: '📁・SERVER LOGS', color: 0x0099ff },
+  VOICE: { name: '📁・VOICE & STAGE', color: 0x800080 },
+  INTEGRATIONS: { name: '📁・INTEGRATIONS', color: 0x6b7280 },
+};
+
+export const LOG_TYPES = {
+  // MOD
+  bans: { name: 'bans', topic: '⛔ bans', category: 'MOD' },
+  unbans: { name: 'unbans', topic: '🔓 unbans', category: 'MOD' },
+  kicks: { name: 'kicks', topic: '👢 member kicked', category: 'MOD' },
+  timeouts: { name: 'timeouts', topic: '🛡️ timeouts', category: 'MOD' },
+  roleGiven: { name: 'role-given', topic: '✅ role assigned', category: 'MOD' },
+  roleTaken: { name: 'role-taken', topic: '❌ role removed', category: 'MOD' },
+  // MESSAGE
+  msgSent: { name: 'msg-sent', topic: '💬 message sent', category: 'MESSAGE' },
+  msgDeleted: { name: 'msg-deleted', topic: '🗑️ message deleted', category: 'MESSAGE' },
+  msgEdited: { name: 'msg-edited', topic: '✏️ message edited', category: 'MESSAGE' },
+  msgBulkDeleted: { name: 'msg-bulk-deleted', topic: '🧨 bulk delete', category: 'MESSAGE' },
+  reactionsAdd: { name: 'reactions-add', topic: '➕ reaction add', category: 'MESSAGE' },
+  reactionsRemove: { name: 'reactions-remove', topic: '➖ reaction remove', category: 'MESSAGE' },
+  pins: { name: 'pins', topic: '📌 pins updated', category: 'MESSAGE' },
+  // MEMBER
+  joins: { name: 'joins', topic: '📥 member joins', category: 'MEMBER' },
+  leaves: { name: 'leaves', topic: '🚪 member leaves', category: 'MEMBER' },
+  nicknames: { name: 'nicknames', topic: '📛 nickname changes', category: 'MEMBER' },
+  profileUpdates: { name: 'profile-update', topic: '👤 profile changes', category: 'MEMBER' },
+  boost: { name: 'boost', topic: '🚀 boosts', category: 'MEMBER' },
+  // SERVER
+  roleCreates: { name: 'role-create', topic: '✅ role created', category: 'SERVER' },
+  roleDeletes: { name: 'role-delete', topic: '❌ role deleted', category: 'SERVER' },
+  roleUpdates: { name: 'role-update', topic: '🔄 role updated', category: 'SERVER' },
+  permissions: { name: 'permissions', topic: '🔐 permission changes', category: 'SERVER' },
+  channelCreates: { name: 'channel-create', topic: '✅ channel created', category: 'SERVER' },
+  channelDeletes: { name: 'channel-delete', topic: '❌ channel deleted', category: 'SERVER' },
+  channelUpdates: { name: 'channel-update', topic: '🔄 channel updated', category: 'SERVER' },
+  emojiCreates: { name: 'emoji-create', topic: '✅ emoji added', category: 'SERVER' },
+  emojiDeletes: { name: 'emoji-delete', topic: '❌ emoji removed', category: 'SERVER' },
+  emojiUpdates: { name: 'emoji-update', topic: '🔄 emoji updated', category: 'SERVER' },
+  stickerCreates: { name: 'sticker-create', topic: '✅ sticker added', category: 'SERVER' },
+  stickerDeletes: { name: 'sticker-delete', topic: '❌ sticker removed', category: 'SERVER' },
+  stickerUpdates: { name: 'sticker-update', topic: '🔄 sticker updated', category: 'SERVER' },
+  serverUpdates: { name: 'server-update', topic: '🔧 server settings', category: 'SERVER' },
+  // VOICE
+  voiceJoins: { name: 'voice-join', topic: '🎙️ joined voice', category: 'VOICE' },
+  voiceLeaves: { name: 'voice-leave', topic: '⏹️ left voice', category: 'VOICE' },
+  voiceSwitches: { name: 'voice-switch', topic: '🔁 voice switch', category: 'VOICE' },
+  voiceStates: { name: 'voice-states', topic: '🎚️ mute/deaf changes', category: 'VOICE' },
+  threads: { name: 'threads', topic: '🧵 threads', category: 'VOICE' },
+  stageEvents: { name: 'stage-events', topic: '🎙️ stage events', category: 'VOICE' },
+  // INTEGRATIONS
+  inviteCreates: { name: 'invite-create', topic: '🔗 invite created', category: 'INTEGRATIONS' },
+  inviteDeletes: { name: 'invite-delete', topic: '❌ invite deleted', category: 'INTEGRATIONS' },
+  webhookCreate: { name: 'webhook-create', topic: '🔗 webhook created', category: 'INTEGRATIONS' },
+  webhookUpdate: { name: 'webhook-update', topic: '🔄 webhook updated', category: 'INTEGRATIONS' },
+  webhookDelete: { name: 'webhook-delete', topic: '❌ webhook deleted', category: 'INTEGRATIONS' },
+  integrationCreate: { name: 'integration-create', topic: '🔌 integration added', category: 'INTEGRATIONS' },
+  integrationUpdate: { name: 'integration-update', topic: '🔄 integration updated', category: 'INTEGRATIONS' },
+  integrationDelete: { name: 'integration-delete', topic: '❌ integration removed', category: 'INTEGRATIONS' },
+  automod: { name: 'automod', topic: '🛡️ AutoMod triggered', category: 'INTEGRATIONS' },
+  audit: { name: 'audit', topic: '📜 audit catch-all', category: 'INTEGRATIONS' },
+  interactions: { name: 'interactions', topic: '🧩 slash/button usage', category: 'INTEGRATIONS' },
+  applicationPerms: { name: 'application-perms', topic: '🛠️ app perms updated', category: 'INTEGRATIONS' },
+};
@@ -0,0 +1,133 @@
+// /bot/moderation/reports.js
+// Message reports: stored, then posted to the guild's mod queue channel with
+// Resolve / Dismiss / Delete message buttons (routed as `modqueue.<action>`).
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import GuildSettings from '../../models/GuildSettings.js';
+import Report from '../../models/Report.js';
+import { customId } from '../interactions/customId.js';
+import { forGuild } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+
+const STATUS_COLORS = { open: 0xffa500, resolved: 0x57f287, dismissed: 0x6b7280 };
+
+export async function getModQueueChannel(guild) {
+  const settings = await GuildSettings.findOne({ guildId: guild.id }).select('modQueueChannelId').lean();
+  if (!settings?.modQueueChannelId) return null;
+  return guild.channels.cache.get(settings.modQueueChannelId) ?? null;
+}
+
+export async function setModQueueChannel(guildId, channelId) {
+  const settings = await GuildSettings.forGuild(guildId);
+  settings.modQueueChannelId = channelId;
+  await settings.save();
+  logger.audit('MOD_QUEUE_UPDATED', { guildId, channelId });
+}
+
+const jumpLink = (report) => `https://discord.com/channels/${report.guildId}/${report.channelId}/${report.messageId}`;
+
+export function buildReportEmbed(report, t) {
+  const embed = new EmbedBuilder()
+    .setTitle(t('moderation.report.title'))
+    .setDescription(report.content ? report.content.slice(0, 4000) : t('moderation.report.noContent'))
+    .addFields(
+      { name: t('moderation.report.author'), value: report.targetId ? `<@${report.targetId}> (${report.targetId})` : '—', inline: true },
+      { name: t('moderation.report.reporter'), value: `<@${report.reporterId}>`, inline: true },
+      { name: t('moderation.report.message'), value: `[${t('moderation.report.jump')}](${jumpLink(report)})`, inline: true }
+    )
+    .setColor(STATUS_COLORS[report.status])
+    .setTimestamp(report.createdAt ?? new Date());
+
+  if (report.reason) embed.addFields({ name: t('moderation.report.reason'), value: report.reason.slice(0, 1024) });
+  if (report.attachments.length) {
+    embed.addFields({ name: t('moderation.report.attachments'), value: report.attachments.join('\n').slice(0, 1024) });
+  }
+  if (report.status !== 'open') {
+    embed.addFields({
+      name: t(`moderation.report.status.${report.status}`),
+      value: `<@${report.handledBy}> <t:${Math.floor(report.handledAt.getTime() / 1000)}:R>`,
+    });
+  }
+  return embed;
+}
+
+// Queue buttons; handled reports keep the row, disabled, as a record of what happened
+export function buildReportControls(report, t) {
+  const closed = report.status !== 'open';
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(customId('modqueue.resolve', report.id))
+      .setLabel(t('moderation.report.buttons.resolve'))
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(closed),
+    new ButtonBuilder()
+      .setCustomId(customId('modqueue.dismiss', report.id))
+      .setLabel(t('moderation.report.buttons.dismiss'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(closed),
+    new ButtonBuilder()
+      .setCustomId(customId('modqueue.delete', report.id))
+      .setLabel(t('moderation.report.buttons.delete'))
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(closed)
+  );
+}
+
+/**
+ * Stores a report of `message` and posts it to the mod queue. Returns
+ * `{ report }`, or `{ error }` with 'noQueue' or 'duplicate'.
+ */
+export async function fileReport({ message, reporter, reason = null }) {
+  const { guild } = message;
+  const queue = await getModQueueChannel(guild);
+  if (!queue) return { error: 'noQueue' };
+
+  let report;
+  try {
+    report = await Report.create({
+      guildId: guild.id,
+      reporterId: reporter.id,
+      targetId: message.author?.id ?? null,
+      channelId: message.channelId,
+      messageId: message.id,
+      content: message.content ?? '',
+      attachments: [...message.attachments.values()].map(a => a.url),
+      reason,
+    });
+  } catch (err) {
+    if (err.code === 11000) return { error: 'duplicate' };
+    throw err;
+  }
+
+  const t = forGuild(guild);
+  let posted;
+  try {
+    posted = await queue.send({ embeds: [buildReportEmbed(report, t)], components: [buildReportControls(report, t)] });
+  } catch (err) {
+    // A report no moderator can see would block the reporter from filing it again
+    await Report.deleteOne({ _id: report._id }).catch(() => {});
+    throw err;
+  }
+  report.queueChannelId = queue.id;
+  report.queueMessageId = posted.id;
+  await report.save();
+
+  logger.audit('MESSAGE_REPORTED', {
+    guildId: guild.id,
+    reportId: report.id,
+    reporterId: reporter.id,
+    targetId: report.targetId,
+    messageId: message.id,
+  });
+  return { report };
+}
+
+// Marks an open report resolved or dismissed; returns null if someone else got there first
+export async function closeReport(reportId, guildId, status, moderatorId) {
+  const report = await Report.findOneAndUpdate(
+    { _id: reportId, guildId, status: 'open' },
+    { $set: { status, handledBy: moderatorId, handledAt: new Date() } },
+    { new: true }
+  );
+  if (report) logger.audit('REPORT_CLOSED', { guildId, reportId, status, moderatorId });
+  return report;
+}
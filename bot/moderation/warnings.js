@@ -0,0 +1,38 @@
+// /bot/moderation/warnings.js
+import { EmbedBuilder } from 'discord.js';
+import Warning from '../../models/Warning.js';
+import { forGuild } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Records a warning and DMs the member about it. Returns the warning and the
+ * member's total, plus whether the DM got through (closed DMs are common).
+ */
+export async function warnMember({ guild, user, moderator, reason, messageId = null }) {
+  const warning = await Warning.create({
+    guildId: guild.id,
+    userId: user.id,
+    moderatorId: moderator.id,
+    reason,
+    messageId,
+  });
+  const total = await Warning.countFor(guild.id, user.id);
+
+  const t = forGuild(guild);
+  const notified = await user
+    .send({
+      embeds: [
+        new EmbedBuilder()
+          .setTitle(t('moderation.warn.dmTitle', { guild: guild.name }))
+          .setDescription(reason)
+          .setFooter({ text: t('moderation.warn.dmFooter', { count: total }) })
+          .setColor(0xffa500)
+          .setTimestamp(),
+      ],
+    })
+    .then(() => true)
+    .catch(() => false);
+
+  logger.audit('MEMBER_WARNED', { guildId: guild.id, userId: user.id, moderatorId: moderator.id, total, notified });
+  return { warning, total, notified };
+}
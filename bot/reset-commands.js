@@ -1,9 +1,10 @@
 // /bot/reset-commands.js
-import { Client, Collection, GatewayIntentBits } from 'discord.js';
+import { Client, Collection, ContextMenuCommandBuilder, GatewayIntentBits } from 'discord.js';
 import 'dotenv/config';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 import fs from 'node:fs/promises';
+import { localizeCommand } from './i18n/index.js';
 
 const client = new Client({
   intents: [GatewayIntentBits.Guilds] // Only need Guilds for command registration
@@ -13,8 +14,9 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = join(__dirname, '..');
 
-// Load commands
+// Load commands: slash commands and user/message context menus
 const commands = [];
+let contextMenuCount = 0;
 const commandsPath = join(PROJECT_ROOT, 'commands');
 const commandFiles = await fs.readdir(commandsPath, { recursive: true });
 
@@ -23,12 +25,13 @@ for (const file of commandFiles) {
     const filePath = join(commandsPath, file);
     const command = await import(`file://${filePath}`);
     if ('data' in command && 'execute' in command) {
-      commands.push(command.data.toJSON());
+      commands.push(localizeCommand(command.data).toJSON());
+      if (command.data instanceof ContextMenuCommandBuilder) contextMenuCount++;
     }
   }
 }
 
-console.log(`Loaded ${commands.length} commands.`);
+console.log(`Loaded ${commands.length} commands (${contextMenuCount} context menus).`);
 
 client.once('ready', async () => {
   console.log('Clearing all global commands...');
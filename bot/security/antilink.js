@@ -1,32 +1,41 @@
 // /bot/security/antilink.js
+import { forGuild } from '../i18n/index.js';
 import { logger } from '../utils/logger.js';
-import GuildConfig from '../../models/GuildConfig.js';
 
-export function antilink(client) {
-  // Regex to detect Discord invites, phishing, etc.
-  const inviteRegex = /(https?:\/\/)?(www\.)?(discord\.(gg|io|me|li)|discordapp\.com\/invite)\/[a-zA-Z0-9]+/i;
-  const dangerousLinkRegex = /(?:http|https):\/\/[^\s]*\.(exe|bat|cmd|scr|js|vbs|jar|zip)/i;
-
-  client.on('messageCreate', async (message) => {
-    if (message.author.bot || !message.guild) return;
+// Regex to detect Discord invites, phishing, etc.
+const inviteRegex = /(https?:\/\/)?(www\.)?(discord\.(gg|io|me|li)|discordapp\.com\/invite)\/[a-zA-Z0-9]+/i;
+const dangerousLinkRegex = /(?:http|https):\/\/[^\s]*\.(exe|bat|cmd|scr|js|vbs|jar|zip)/i;
 
+// Pipeline stage (see ./pipeline.js); returns true once the message is removed
+export function antilink() {
+  async function run(message, config) {
     const { guild, author, content } = message;
-    const config = await GuildConfig.findOne({ guildId: guild.id });
-    if (!config?.autoModEnabled) return;
 
     // Check for invites or dangerous links
-    if (inviteRegex.test(content) || dangerousLinkRegex.test(content)) {
-      logger.security('LINK_BLOCKED', { guildId: guild.id, userId: author.id, content });
+    if (!(config.blockInvites && inviteRegex.test(content)) && !(config.blockExecutables && dangerousLinkRegex.test(content))) {
+      return false;
+    }
+    logger.security('LINK_BLOCKED', { guildId: guild.id, userId: author.id, content });
 
-      try {
-        await message.delete();
-        await message.channel.send({
-          content: `${author}, posting invite or executable links is not allowed here.`,
-          ephemeral: true
-        });
-      } catch (err) {
-        logger.warn('Failed to delete message or notify', { error: err.message });
+    try {
+      await message.delete();
+    } catch (err) {
+      logger.warn('Failed to delete message or notify', { error: err.message });
+      return false;
+    }
+
+    try {
+      if (config.action === 'timeout' && message.member.moderatable) {
+        await message.member.timeout(config.timeoutMinutes * 60 * 1000, 'Anti-link');
       }
+      await message.channel.send({
+        content: forGuild(guild)('protection.notices.linkBlocked', { user: `${author}` }),
+      });
+    } catch (err) {
+      logger.warn('Failed to delete message or notify', { error: err.message });
     }
-  });
+    return true;
+  }
+
+  return { name: 'antilink', run };
 }
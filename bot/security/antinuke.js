@@ -1,72 +1,89 @@
 // /bot/security/antinuke.js
-import { PermissionsBitField, Collection } from 'discord.js';
+import { AuditLogEvent, PermissionsBitField, Collection } from 'discord.js';
+import { forGuild } from '../i18n/index.js';
 import { logger } from '../utils/logger.js';
+import { getProtectionConfig, isExempt } from './config.js';
 
-export function antinuke(client) {
-  const dangerousActions = new Collection(); // userId → count
+// Audit log entries carry the numeric AuditLogEvent, not its name
+const DANGEROUS_ACTIONS = new Set([
+  AuditLogEvent.GuildUpdate, // server settings change
+  AuditLogEvent.ChannelCreate,
+  AuditLogEvent.ChannelDelete,
+  AuditLogEvent.ChannelUpdate,
+  AuditLogEvent.RoleCreate,
+  AuditLogEvent.RoleDelete,
+  AuditLogEvent.RoleUpdate,
+  AuditLogEvent.MemberBanAdd,
+  AuditLogEvent.MemberBanRemove,
+  AuditLogEvent.MemberKick,
+  AuditLogEvent.MemberPrune,
+]);
 
-  const isDangerousAction = (action) => {
-    return [
-      'GUILD_UPDATE', // server settings change
-      'CHANNEL_CREATE',
-      'CHANNEL_DELETE',
-      'CHANNEL_UPDATE',
-      'ROLE_CREATE',
-      'ROLE_DELETE',
-      'ROLE_UPDATE',
-      'GUILD_BAN_ADD',
-      'GUILD_BAN_REMOVE',
-      'MEMBER_KICK',
-      'MEMBER_PRUNE'
-    ].includes(action);
-  };
+export function antinuke(client) {
+  const dangerousActions = new Collection(); // `${guildId}:${userId}` → [{ time, action, targetId }]
 
   // Listen to audit log for destructive actions
   client.on('guildAuditLogEntryCreate', async (auditLogEntry, guild) => {
-    const { executorId, action, targetId, reason } = auditLogEntry;
-    if (!executorId || executorId === client.user.id) return;
+    const { executorId, action, targetId } = auditLogEntry;
+    if (!executorId || executorId === client.user.id || !DANGEROUS_ACTIONS.has(action)) return;
+
+    const config = (await getProtectionConfig(guild.id).catch(() => null))?.antinuke;
+    if (!config?.enabled || executorId === guild.ownerId) return;
 
     const member = await guild.members.fetch(executorId).catch(() => null);
     if (!member || member.permissions.has(PermissionsBitField.Flags.Administrator)) return;
+    if (isExempt(config, { member, userId: executorId })) return;
 
-    if (isDangerousAction(action)) {
-      const now = Date.now();
-      const windowMs = 10_000; // 10 seconds
-      const threshold = 3;
+    const key = `${guild.id}:${executorId}`;
+    const now = Date.now();
+    const windowMs = config.windowSeconds * 1000;
 
-      if (!dangerousActions.has(executorId)) {
-        dangerousActions.set(executorId, []);
-      }
+    if (!dangerousActions.has(key)) {
+      dangerousActions.set(key, []);
+    }
 
-      const actions = dangerousActions.get(executorId);
-      actions.push({ time: now, action, targetId });
+    const actions = dangerousActions.get(key);
+    actions.push({ time: now, action, targetId });
 
-      // Clean old actions
-      while (actions.length > 0 && now - actions[0].time > windowMs) {
-        actions.shift();
-      }
+    // Clean old actions
+    while (actions.length > 0 && now - actions[0].time > windowMs) {
+      actions.shift();
+    }
 
-      if (actions.length >= threshold) {
-        logger.security('NUKE_DETECTED', { guildId: guild.id, userId: executorId, actions: actions.length });
+    if (actions.length >= config.threshold) {
+      logger.security('NUKE_DETECTED', {
+        guildId: guild.id,
+        userId: executorId,
+        actions: actions.map(a => AuditLogEvent[a.action]),
+        response: config.action,
+      });
+      dangerousActions.delete(key);
 
-        // Revoke dangerous permissions
-        try {
+      try {
+        if (config.action === 'ban') {
+          await guild.bans.create(executorId, { reason: 'Anti-nuke: rapid destructive actions' });
+        } else if (config.action === 'kick') {
+          await member.kick('Anti-nuke: rapid destructive actions');
+        } else {
+          // Strip every role the bot can remove; the executor keeps @everyone only
           await member.roles.set(
-            member.roles.cache.filter(r => !r.permissions.has(PermissionsBitField.Flags.Administrator)).map(r => r.id),
+            member.roles.cache.filter(r => r.managed).map(r => r.id),
             'Anti-nuke protection'
           );
-
-          // Ban if extreme
-          // await guild.bans.create(executorId, { reason: 'Anti-nuke: rapid destructive actions' });
-
-          // Notify owners
-          const owner = await guild.fetchOwner();
-          owner.send(`🚨 Anti-nuke triggered in **${guild.name}** for user <@${executorId}>.`);
-        } catch (err) {
-          logger.error('Anti-nuke response failed', { error: err.message });
         }
 
-        dangerousActions.delete(executorId);
+        // Notify owners
+        const owner = await guild.fetchOwner();
+        const t = forGuild(guild);
+        await owner.send(
+          t('protection.notices.nukeDetected', {
+            guild: guild.name,
+            user: `<@${executorId}>`,
+            action: t(`protection.notices.nukeActions.${config.action}`),
+          })
+        );
+      } catch (err) {
+        logger.error('Anti-nuke response failed', { error: err.message });
       }
     }
   });
@@ -1,62 +1,54 @@
 // /bot/security/antiraid.js
+// Detects join floods and starts raid mode (./raidMode.js), which then screens
+// every joiner until it is lifted.
 import { logger } from '../utils/logger.js';
-import GuildConfig from '../../models/GuildConfig.js';
+import { getProtectionConfig } from './config.js';
+import { getActiveRaid, handleRaidJoin, initRaidMode, startRaidMode } from './raidMode.js';
 
 export function antiraid(client) {
   const joinTracker = new Map(); // guildId → [timestamps]
+  initRaidMode(client);
 
   client.on('guildMemberAdd', async (member) => {
     const { guild } = member;
     const guildId = guild.id;
 
     // Fetch config
-    const config = await GuildConfig.findOne({ guildId });
-    if (!config?.antiRaidEnabled) return;
-
-    const now = Date.now();
-    const windowMs = 60_000; // 1 minute
-    const threshold = 10; // 10 joins = raid
+    const config = (await getProtectionConfig(guildId).catch(() => null))?.antiraid;
+    if (!config) return;
+
+    try {
+      // Raid mode started with /raid start screens joiners even with detection off
+      if (getActiveRaid(guildId)) {
+        await handleRaidJoin(member, config);
+        return;
+      }
+      if (!config.enabled) return;
 
-    if (!joinTracker.has(guildId)) {
-      joinTracker.set(guildId, []);
-    }
+      const now = Date.now();
+      const windowMs = config.windowSeconds * 1000;
 
-    const joins = joinTracker.get(guildId);
-    joins.push(now);
-    // Remove old entries
-    while (joins.length > 0 && now - joins[0] > windowMs) {
-      joins.shift();
-    }
+      if (!joinTracker.has(guildId)) {
+        joinTracker.set(guildId, []);
+      }
 
-    if (joins.length >= threshold) {
-      logger.security('RAID_DETECTED', { guildId, joinCount: joins.length });
-
-      // Enable slowmode in all public text channels
-      const publicChannels = guild.channels.cache.filter(
-        c => c.type === 0 && 
-             c.permissionsFor(guild.roles.everyone).has('SendMessages')
-      );
-
-      for (const channel of publicChannels.values()) {
-        try {
-          await channel.setRateLimitPerUser(10, 'Raid protection auto-enabled');
-        } catch (err) {
-          logger.warn('Failed to set slowmode', { channelId: channel.id, error: err.message });
-        }
+      const joins = joinTracker.get(guildId);
+      joins.push(now);
+      // Remove old entries
+      while (joins.length > 0 && now - joins[0] > windowMs) {
+        joins.shift();
       }
 
-      // Optional: lock @everyone from sending messages
-      try {
-        await guild.channels.cache
-          .filter(c => c.type === 0)
-          .forEach(async c => {
-            await c.permissionOverwrites.edit(guild.roles.everyone, {
-              SendMessages: false
-            }, { reason: 'Raid lockdown' });
-          });
-      } catch (err) {
-        logger.error('Raid lockdown failed', { error: err.message });
+      if (joins.length >= config.joinThreshold) {
+        logger.security('RAID_DETECTED', { guildId, joinCount: joins.length });
+        joinTracker.delete(guildId);
+        await startRaidMode(guild, { trigger: 'auto' });
+        await handleRaidJoin(member, config);
       }
+    } catch (err) {
+      logger.error('ANTI_RAID_ERROR', { guildId, userId: member.id, error: err.message });
     }
   });
+
+  client.on('guildDelete', (guild) => joinTracker.delete(guild.id));
 }
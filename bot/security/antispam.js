@@ -1,158 +1,108 @@
 // /bot/security/antispam.js
 import { EmbedBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
-import ProtectionConfig from '../../models/ProtectionConfig.js';
+import { forGuild } from '../i18n/index.js';
+import { BURST_REASONS, detectSpam } from './spamDetection.js';
+import { punishOffence } from './offences.js';
+
+// Longest window a guild can configure; entries older than this are always stale
+const MAX_WINDOW_MS = 120_000;
+
+const mentionCount = (message) =>
+  message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0);
+
+const NOTICE_KEYS = {
+  delete: 'antispam.deleted',
+  warn: 'antispam.warned',
+  kick: 'antispam.kicked',
+  ban: 'antispam.banned',
+};
+
+// Channel notice for the step applied; the first, delete-only steps disappear after a while
+function noticeEmbed(t, { guild, author }, reason, { step, applied }) {
+  const embed = new EmbedBuilder()
+    .setColor('#FF0000')
+    .setTitle(t('antispam.warningTitle'))
+    .addFields({ name: t('antispam.fields.reason'), value: t(`antispam.reasons.${reason}`) })
+    .setTimestamp()
+    .setFooter({ text: t('antispam.footer', { guild: guild.name }), iconURL: guild.iconURL() });
+
+  if (!applied) return embed.setDescription(t('antispam.cannotMute'));
+  if (step.type === 'timeout') {
+    return embed
+      .setDescription(t('antispam.muted', { user: `${author}`, count: step.minutes }))
+      .addFields({ name: t('antispam.fields.duration'), value: t('common.minutes', { count: step.minutes }) });
+  }
+  return embed.setDescription(t(NOTICE_KEYS[step.type], { user: `${author}` }));
+}
 
 export function antispam(client) {
-  const messageTracker = new Map(); // userId → { timestamps: [], guildId: string }
+  const messageTracker = new Map(); // `${guildId}:${userId}` → [{ at, content, mentions, attachments, channelId, messageId }]
 
   // Periodic cleanup to prevent memory leaks
   const cleanupInterval = setInterval(() => {
     const now = Date.now();
-    const windowMs = 10_000; // 10 seconds
     let removed = 0;
-    for (const [userId, data] of messageTracker) {
-      data.timestamps = data.timestamps.filter((ts) => now - ts <= windowMs);
-      if (data.timestamps.length === 0) {
-        messageTracker.delete(userId);
+    for (const [key, entries] of messageTracker) {
+      const fresh = entries.filter(e => now - e.at <= MAX_WINDOW_MS);
+      if (fresh.length === 0) {
+        messageTracker.delete(key);
         removed++;
+      } else {
+        messageTracker.set(key, fresh);
       }
     }
     logger.debug('Cleaned up messageTracker', { size: messageTracker.size, removed });
   }, 60_000); // Run every 60 seconds
 
-  client.on('messageCreate', async (message) => {
-    // Skip bots, non-guild messages, or messages without a member
-    if (message.author.bot || !message.guild || !message.member) {
-      logger.debug('Message ignored', {
-        userId: message.author.id,
-        guildId: message.guild?.id,
-        isBot: message.author.bot,
-        hasGuild: !!message.guild,
-        hasMember: !!message.member,
-      });
-      return;
-    }
-
+  // Pipeline stage (see ./pipeline.js); returns true once the message is removed
+  async function run(message, config) {
     const { guild, author, channel } = message;
 
-    // Fetch guild's anti-spam configuration
-    let config;
-    try {
-      config = await ProtectionConfig.findOne({ guildId: guild.id });
-      logger.debug('Fetched ProtectionConfig', {
-        guildId: guild.id,
-        antiSpamEnabled: config?.antiSpamEnabled ?? 'not found',
-      });
-    } catch (err) {
-      logger.error('Failed to fetch ProtectionConfig', {
-        guildId: guild.id,
-        error: err.message,
-      });
-      return;
-    }
-
-    // Skip if anti-spam is disabled or config is missing
-    if (!config?.antiSpamEnabled) {
-      logger.debug('Anti-spam disabled or config missing, skipping', { guildId: guild.id });
-      return;
-    }
-
-    const userId = author.id;
+    // Keyed per guild so activity in one server never counts in another
+    const key = `${guild.id}:${author.id}`;
     const now = Date.now();
-    const windowMs = 10_000; // 10 seconds
-    const maxMessages = 5; // Maximum messages allowed in window
-
-    // Initialize or update user's message tracker
-    if (!messageTracker.has(userId)) {
-      messageTracker.set(userId, { timestamps: [], guildId: guild.id });
-    }
-
-    const userData = messageTracker.get(userId);
-    // Reset timestamps if guild changes
-    if (userData.guildId !== guild.id) {
-      logger.debug('Guild changed for user, resetting timestamps', {
-        userId,
-        oldGuildId: userData.guildId,
-        newGuildId: guild.id,
-      });
-      userData.timestamps = [];
-      userData.guildId = guild.id;
-    }
-
-    userData.timestamps.push(now);
-    userData.timestamps = userData.timestamps.filter((ts) => now - ts <= windowMs);
-
-    // Log message count for debugging
-    logger.debug('User message count', {
-      userId,
-      guildId: guild.id,
-      messageCount: userData.timestamps.length,
-      maxMessages,
+    const history = (messageTracker.get(key) ?? []).filter(e => now - e.at <= config.windowSeconds * 1000);
+    history.push({
+      at: now,
+      content: message.content ?? '',
+      mentions: mentionCount(message),
+      attachments: message.attachments.size,
+      channelId: message.channelId,
+      messageId: message.id,
     });
+    messageTracker.set(key, history);
 
-    // Check if user exceeds message limit
-    if (userData.timestamps.length > maxMessages) {
-      logger.security('SPAM_DETECTED', { guildId: guild.id, userId });
-
-      try {
-        // Check if member is mutable
-        if (!message.member.moderatable) {
-          logger.warn('Cannot mute member', { guildId: guild.id, userId });
-          const errorEmbed = new EmbedBuilder()
-            .setColor('#FF0000')
-            .setTitle('Anti-Spam Error')
-            .setDescription('Cannot mute this user due to permissions.')
-            .setTimestamp();
-          await channel.send({ embeds: [errorEmbed] });
-          return;
-        }
-
-        // Apply timeout (10 minutes)
-        await message.member.timeout(10 * 60 * 1000, 'Anti-spam auto-mute');
-
-        // Clear timestamps to prevent repeated mutes
-        userData.timestamps = [];
+    const reason = detectSpam(history, config);
+    if (!reason) return false;
 
-        // Create embed for mute notification
-        const embed = new EmbedBuilder()
-          .setColor('#FF0000')
-          .setTitle('Anti-Spam Warning')
-          .setDescription(`${author}, you've been muted for 10 minutes due to excessive messaging.`)
-          .addFields(
-            { name: 'Reason', value: 'Spam detection (too many messages)' },
-            { name: 'Duration', value: '10 minutes' }
-          )
-          .setTimestamp()
-          .setFooter({ text: `Guild: ${guild.name}`, iconURL: guild.iconURL() });
+    logger.security('SPAM_DETECTED', { guildId: guild.id, userId: author.id, reason, recent: history.length });
+    // Start afresh so one burst is punished once
+    messageTracker.delete(key);
 
-        // Attempt ephemeral message, fall back to non-ephemeral
-        try {
-          await channel.send({ content: `${author}`, embeds: [embed], ephemeral: true });
-        } catch (ephemeralErr) {
-          logger.warn('Ephemeral message failed, sending non-ephemeral', {
-            guildId: guild.id,
-            userId,
-            error: ephemeralErr.message,
-          });
-          await channel.send({ content: `${author}`, embeds: [embed] });
-        }
-      } catch (err) {
-        logger.error('Failed to mute spammer or send notification', {
-          guildId: guild.id,
-          userId,
-          error: err.message,
-        });
+    const t = forGuild(guild);
+    try {
+      const burst = BURST_REASONS.includes(reason) ? history.slice(0, -1) : [];
+      const result = await punishOffence({ message, module: 'antispam', reason, settings: config, client, burst });
+      const notice = await channel.send({ content: `${author}`, embeds: [noticeEmbed(t, message, reason, result)] });
+      if (result.step.type === 'delete') setTimeout(() => notice.delete().catch(() => {}), 10_000);
+      return true;
+    } catch (err) {
+      logger.error('Failed to punish spammer or send notification', {
+        guildId: guild.id,
+        userId: author.id,
+        error: err.message,
+      });
 
-        const errorEmbed = new EmbedBuilder()
-          .setColor('#FF0000')
-          .setTitle('Anti-Spam Error')
-          .setDescription('Failed to apply anti-spam measures. Please contact an administrator.')
-          .setTimestamp();
-        await channel.send({ embeds: [errorEmbed] });
-      }
+      const errorEmbed = new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle(t('antispam.errorTitle'))
+        .setDescription(t('antispam.failed'))
+        .setTimestamp();
+      await channel.send({ embeds: [errorEmbed] }).catch(() => {});
+      return false;
     }
-  });
+  }
 
   // Cleanup on bot shutdown
   client.on('close', () => {
@@ -160,4 +110,6 @@ export function antispam(client) {
     messageTracker.clear();
     logger.debug('Cleaned up antispam resources on shutdown');
   });
+
+  return { name: 'antispam', run };
 }
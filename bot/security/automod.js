@@ -1,35 +1,43 @@
 // /bot/security/automod.js
+import { forGuild } from '../i18n/index.js';
 import { logger } from '../utils/logger.js';
-import GuildConfig from '../../models/GuildConfig.js';
-
-export function automod(client) {
-  client.on('messageCreate', async (message) => {
-    if (message.author.bot || !message.guild) return;
 
+// Pipeline stage (see ./pipeline.js); returns true once the message is removed
+export function automod() {
+  async function run(message, config) {
     const { guild, author, content } = message;
-    const config = await GuildConfig.findOne({ guildId: guild.id });
-    if (!config?.autoModEnabled || !config.autoModKeywords?.length) return;
+    if (!config.keywords.length) return false;
 
     const lowerContent = content.toLowerCase();
-    const matchedKeyword = config.autoModKeywords.find(kw => lowerContent.includes(kw.toLowerCase()));
+    const matchedKeyword = config.keywords.find(kw => lowerContent.includes(kw.toLowerCase()));
+    if (!matchedKeyword) return false;
 
-    if (matchedKeyword) {
-      logger.security('AUTOMOD_KEYWORD_DETECTED', {
-        guildId: guild.id,
-        userId: author.id,
-        keyword: matchedKeyword,
-        content
-      });
+    logger.security('AUTOMOD_KEYWORD_DETECTED', {
+      guildId: guild.id,
+      userId: author.id,
+      keyword: matchedKeyword,
+      content
+    });
+
+    try {
+      await message.delete();
+    } catch (err) {
+      logger.warn('AutoMod cleanup failed', { error: err.message });
+      return false;
+    }
 
-      try {
-        await message.delete();
-        await message.channel.send({
-          content: `${author}, your message was removed for containing blocked content.`,
-          ephemeral: true
-        });
-      } catch (err) {
-        logger.warn('AutoMod cleanup failed', { error: err.message });
+    try {
+      if (config.action === 'timeout' && message.member.moderatable) {
+        await message.member.timeout(config.timeoutMinutes * 60 * 1000, 'AutoMod: blocked content');
       }
+      await message.channel.send({
+        content: forGuild(guild)('protection.notices.keywordBlocked', { user: `${author}` }),
+      });
+    } catch (err) {
+      logger.warn('AutoMod cleanup failed', { error: err.message });
     }
-  });
+    return true;
+  }
+
+  return { name: 'automod', run };
 }
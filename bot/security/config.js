@@ -0,0 +1,280 @@
+// /bot/security/config.js
+// One validated config for every protection module. The zod schema below is
+// the source of truth for setting names, defaults and limits; `/protection`
+// reads it to list and parse settings.
+import { z } from 'zod';
+import ProtectionConfig from '../../models/ProtectionConfig.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_EXEMPT_IDS = 50;
+const MAX_TIMEOUT_MINUTES = 40_320; // Discord caps timeouts at 28 days
+
+export class ProtectionConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtectionConfigError';
+  }
+}
+
+const flag = (value) => z.boolean().default(value);
+const count = (value, min, max) => z.number().int().min(min).max(max).default(value);
+const choice = (options, value) => z.enum(options).default(value);
+const snowflake = () => z.string().regex(/^\d{17,20}$/);
+const ids = () => z.array(snowflake()).max(MAX_EXEMPT_IDS).default([]);
+// A single role or channel, unset by default
+const id = () => snowflake().nullable().default(null);
+const words = (value = []) => z.array(z.string().trim().min(1).max(100)).max(100).default(value);
+const timeoutMinutes = () => count(10, 1, MAX_TIMEOUT_MINUTES);
+// Escalation steps, one per repeat offence: delete, warn, timeout:<minutes>, kick, ban
+const ladder = (value) =>
+  z
+    .array(
+      z
+        .string()
+        .trim()
+        .toLowerCase()
+        .regex(/^(delete|warn|kick|ban|timeout:\d{1,5})$/, 'steps are delete, warn, timeout:<minutes>, kick or ban')
+        .refine(step => !step.startsWith('timeout:') || Number(step.slice(8)) <= MAX_TIMEOUT_MINUTES, 'timeouts are at most 40320 minutes')
+    )
+    .min(1)
+    .max(10)
+    .default(value);
+
+const MODULE_SCHEMAS = {
+  // Flood checks set to 0 are off; see ./spamDetection.js
+  antispam: z.object({
+    enabled: flag(false),
+    maxMessages: count(5, 2, 50),
+    windowSeconds: count(10, 2, 120),
+    maxDuplicates: count(3, 0, 20),
+    maxMentions: count(5, 0, 50),
+    maxEmoji: count(15, 0, 100),
+    capsPercent: count(70, 0, 100),
+    capsMinLength: count(15, 5, 2000),
+    maxNewlines: count(15, 0, 200),
+    maxAttachments: count(8, 0, 50),
+    ladder: ladder(['delete', 'warn', 'timeout:10', 'timeout:60', 'timeout:1440', 'kick', 'ban']),
+    // Offences older than this no longer push a member up the ladder
+    offenceWindowHours: count(24, 1, 720),
+    exemptRoles: ids(),
+    exemptChannels: ids(),
+  }),
+  // Raid mode starts after joinThreshold joins in windowSeconds; see ./raidMode.js
+  antiraid: z.object({
+    enabled: flag(false),
+    joinThreshold: count(10, 3, 100),
+    windowSeconds: count(60, 10, 600),
+    slowmodeSeconds: count(10, 0, 21_600),
+    lockChannels: flag(true),
+    // Raid mode lifts itself once nobody has joined for this long
+    quietMinutes: count(10, 1, 1440),
+    // What happens to suspicious joiners while raid mode is on
+    gateAction: choice(['kick', 'quarantine', 'none'], 'kick'),
+    quarantineRoleId: id(),
+    minAccountAgeDays: count(7, 0, 365),
+    flagDefaultAvatar: flag(true),
+    // Matched case-insensitively anywhere in the username or display name
+    namePatterns: words(),
+    // Where the end-of-raid report goes; the mod queue channel when unset
+    reportChannelId: id(),
+  }),
+  antilink: z.object({
+    enabled: flag(false),
+    blockInvites: flag(true),
+    blockExecutables: flag(true),
+    action: choice(['delete', 'timeout'], 'delete'),
+    timeoutMinutes: timeoutMinutes(),
+    exemptRoles: ids(),
+    exemptChannels: ids(),
+  }),
+  automod: z.object({
+    enabled: flag(false),
+    keywords: words(),
+    action: choice(['delete', 'timeout'], 'delete'),
+    timeoutMinutes: timeoutMinutes(),
+    exemptRoles: ids(),
+    exemptChannels: ids(),
+  }),
+  impersonation: z.object({
+    enabled: flag(false),
+    // Matched case-insensitively anywhere in the display name
+    patterns: words(['moderator', 'admin', 'staff', 'owner', 'ceo', 'manager', 'support', '🔒', '🛡️']),
+    action: choice(['revert', 'kick'], 'revert'),
+    exemptRoles: ids(),
+  }),
+  antinuke: z.object({
+    enabled: flag(false),
+    threshold: count(3, 2, 20),
+    windowSeconds: count(10, 5, 300),
+    action: choice(['strip', 'kick', 'ban'], 'strip'),
+    exemptUsers: ids(),
+    exemptRoles: ids(),
+  }),
+  // New members hold unverifiedRoleId until they pass the gate posted with /verification panel; see ./verification.js
+  verification: z.object({
+    enabled: flag(false),
+    // button: one press in the gate channel; captcha: a signed link to the web captcha at /verify
+    mode: choice(['button', 'captcha'], 'button'),
+    unverifiedRoleId: id(),
+    // Granted on passing, for servers that gate with a member role instead
+    verifiedRoleId: id(),
+    // Members still unverified after this long are kicked; 0 never kicks
+    kickAfterMinutes: count(0, 0, 10_080),
+  }),
+};
+
+export const PROTECTION_MODULES = Object.keys(MODULE_SCHEMAS);
+const ID_LIST_SETTINGS = ['exemptRoles', 'exemptChannels', 'exemptUsers'];
+
+// guildId → pending parsed config; every protected message and join reads this
+const cache = new Map();
+
+// Other bot processes sharing the Redis instance drop their cached copy when a guild's config changes
+const INVALIDATION_CHANNEL = 'protection:invalidate';
+let client = null;
+
+// Stored settings that no longer validate (a limit tightened, a setting renamed) fall back to defaults
+function parseModules(guildId, stored = {}) {
+  return Object.fromEntries(
+    PROTECTION_MODULES.map(key => {
+      const result = MODULE_SCHEMAS[key].safeParse(stored[key] ?? {});
+      if (result.success) return [key, result.data];
+      logger.warn('PROTECTION_CONFIG_INVALID', { guildId, module: key, issues: result.error.issues.length });
+      return [key, MODULE_SCHEMAS[key].parse({})];
+    })
+  );
+}
+
+export function getProtectionConfig(guildId) {
+  if (!cache.has(guildId)) {
+    const pending = ProtectionConfig.findOne({ guildId })
+      .lean()
+      .then(doc => parseModules(guildId, doc?.modules))
+      .catch(err => {
+        cache.delete(guildId);
+        throw err;
+      });
+    cache.set(guildId, pending);
+  }
+  return cache.get(guildId);
+}
+
+/**
+ * Drops the cached config of a guild here and, through Redis pub/sub when it
+ * is configured, in every other process.
+ */
+export function invalidateProtectionConfig(guildId) {
+  cache.delete(guildId);
+  client?.redis?.publish(INVALIDATION_CHANNEL, guildId).catch(err => {
+    logger.warn('PROTECTION_INVALIDATION_PUBLISH_FAILED', { guildId, error: err.message });
+  });
+}
+
+export function initProtectionConfigSync(botClient) {
+  client = botClient;
+  // client.redis is connected after startup wiring, so subscribe once ready
+  client.once('ready', async () => {
+    if (!client.redis) return;
+    try {
+      const subscriber = client.redis.duplicate();
+      subscriber.on('message', (channel, guildId) => {
+        if (channel === INVALIDATION_CHANNEL) cache.delete(guildId);
+      });
+      await subscriber.subscribe(INVALIDATION_CHANNEL);
+      client.on('close', () => subscriber.disconnect());
+      logger.debug('Subscribed to protection config invalidations');
+    } catch (err) {
+      logger.warn('PROTECTION_INVALIDATION_SUBSCRIBE_FAILED', { error: err.message });
+    }
+  });
+}
+
+const describeIssue = (issue) => `${issue.path.join('.') || 'value'}: ${issue.message}`;
+
+/**
+ * Merges `patch` into one module's settings, validates the result and saves
+ * it. Throws ProtectionConfigError with a readable message when invalid.
+ * Returns the module's new settings.
+ */
+export async function updateProtectionConfig(guildId, moduleKey, patch) {
+  const schema = MODULE_SCHEMAS[moduleKey];
+  if (!schema) throw new ProtectionConfigError(`Unknown protection module: ${moduleKey}`);
+
+  const current = (await getProtectionConfig(guildId))[moduleKey];
+  const result = schema.strict().safeParse({ ...current, ...patch });
+  if (!result.success) throw new ProtectionConfigError(result.error.issues.map(describeIssue).join('\n'));
+
+  await ProtectionConfig.updateOne(
+    { guildId },
+    { $set: { [`modules.${moduleKey}`]: result.data } },
+    { upsert: true }
+  );
+  invalidateProtectionConfig(guildId);
+
+  logger.audit('PROTECTION_CONFIG_UPDATED', { guildId, module: moduleKey, settings: Object.keys(patch) });
+  return result.data;
+}
+
+export async function resetProtectionModule(guildId, moduleKey) {
+  await ProtectionConfig.updateOne({ guildId }, { $unset: { [`modules.${moduleKey}`]: '' } });
+  invalidateProtectionConfig(guildId);
+  logger.audit('PROTECTION_CONFIG_RESET', { guildId, module: moduleKey });
+  return MODULE_SCHEMAS[moduleKey].parse({});
+}
+
+/**
+ * How a setting is edited from a text value: 'boolean', 'number' (with min/max),
+ * 'choice' (with options), 'id', 'ids' or 'list'. Null for unknown settings.
+ */
+export function describeSetting(moduleKey, setting) {
+  const field = MODULE_SCHEMAS[moduleKey]?.shape[setting];
+  if (!field) return null;
+  const inner = field.removeDefault();
+  if (inner instanceof z.ZodBoolean) return { kind: 'boolean' };
+  if (inner instanceof z.ZodNumber) return { kind: 'number', min: inner.minValue, max: inner.maxValue };
+  if (inner instanceof z.ZodEnum) return { kind: 'choice', options: inner.options };
+  if (inner instanceof z.ZodNullable) return { kind: 'id' };
+  return { kind: ID_LIST_SETTINGS.includes(setting) ? 'ids' : 'list' };
+}
+
+export const moduleSettings = (moduleKey) => Object.keys(MODULE_SCHEMAS[moduleKey]?.shape ?? {});
+
+/**
+ * Turns the text typed into `/protection set` into the setting's type. IDs
+ * accept mentions ("none" clears a single ID); other lists are comma-separated.
+ * Range checks are left to the schema.
+ */
+export function parseSettingValue(moduleKey, setting, raw) {
+  const described = describeSetting(moduleKey, setting);
+  if (!described) throw new ProtectionConfigError(`Unknown setting: ${setting}`);
+  const text = String(raw).trim();
+
+  switch (described.kind) {
+    case 'boolean':
+      if (/^(true|on|yes|enable|enabled)$/i.test(text)) return true;
+      if (/^(false|off|no|disable|disabled)$/i.test(text)) return false;
+      throw new ProtectionConfigError(`${setting} must be on or off`);
+    case 'number':
+      if (!/^-?\d+$/.test(text)) throw new ProtectionConfigError(`${setting} must be a whole number`);
+      return Number(text);
+    case 'choice':
+      return text.toLowerCase();
+    case 'id':
+      if (/^(none|off|null|-)$/i.test(text)) return null;
+      return text.match(/\d{17,20}/)?.[0] ?? text;
+    case 'ids':
+      return [...new Set(text.match(/\d{17,20}/g) ?? [])];
+    default:
+      return [...new Set(text.split(',').map(s => s.trim()).filter(Boolean))];
+  }
+}
+
+// Members with an exempt role, and messages in an exempt channel (or its threads), are left alone
+export function isExempt(settings, { member, channel, userId } = {}) {
+  if (userId && settings.exemptUsers?.includes(userId)) return true;
+  if (channel && settings.exemptChannels?.length) {
+    const channelIds = [channel.id, channel.parentId].filter(Boolean);
+    if (channelIds.some(id => settings.exemptChannels.includes(id))) return true;
+  }
+  return Boolean(settings.exemptRoles?.length && member?.roles?.cache?.some(role => settings.exemptRoles.includes(role.id)));
+}
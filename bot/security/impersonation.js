@@ -1,42 +1,39 @@
 // /bot/security/impersonation.js
+import { PermissionFlagsBits } from 'discord.js';
+import { forGuild } from '../i18n/index.js';
 import { logger } from '../utils/logger.js';
-import GuildConfig from '../../models/GuildConfig.js';
+import { getProtectionConfig, isExempt } from './config.js';
 
 export function impersonation(client) {
-  // Common staff-like names
-  const suspiciousPatterns = [
-    /moderator/i,
-    /admin/i,
-    /staff/i,
-    /owner/i,
-    /ceo/i,
-    /manager/i,
-    /support/i,
-    /🔒/i,
-    /🛡️/i
-  ];
-
   client.on('guildMemberUpdate', async (oldMember, newMember) => {
     if (!newMember.guild || oldMember.displayName === newMember.displayName) return;
 
-    const config = await GuildConfig.findOne({ guildId: newMember.guild.id });
-    if (!config?.autoModEnabled) return;
+    const config = (await getProtectionConfig(newMember.guild.id).catch(() => null))?.impersonation;
+    if (!config?.enabled || isExempt(config, { member: newMember })) return;
 
-    const newName = newMember.displayName;
-    const isSuspicious = suspiciousPatterns.some(pattern => pattern.test(newName));
+    // Staff-like words ("moderator", "admin", 🛡️ …) from the guild's pattern list
+    const newName = newMember.displayName.toLowerCase();
+    const isSuspicious = config.patterns.some(pattern => newName.includes(pattern.toLowerCase()));
 
-    if (isSuspicious && !newMember.permissions.has('ADMINISTRATOR')) {
+    if (isSuspicious && !newMember.permissions.has(PermissionFlagsBits.Administrator)) {
       logger.security('IMPERSONATION_ATTEMPT', {
         guildId: newMember.guild.id,
         userId: newMember.id,
         oldName: oldMember.displayName,
-        newName
+        newName: newMember.displayName,
+        action: config.action,
       });
 
+      const t = forGuild(newMember.guild);
       try {
+        if (config.action === 'kick') {
+          await newMember.send(t('protection.notices.impersonationKicked')).catch(() => {});
+          await newMember.kick('Impersonation prevention');
+          return;
+        }
         // Revert nickname
-        await newMember.setNickname(oldMember.displayName, 'Impersonation prevention');
-        await newMember.send('Your nickname was reset because it resembled staff.');
+        await newMember.setNickname(oldMember.nickname, 'Impersonation prevention');
+        await newMember.send(t('protection.notices.impersonationReset'));
       } catch (err) {
         logger.warn('Failed to revert nickname', { error: err.message });
       }
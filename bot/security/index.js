@@ -1,16 +1,25 @@
 // /bot/security/index.js
+// Protection modules; each reads its settings from ./config.js and does
+// nothing in a guild until enabled there with /protection. Message checks run
+// as stages of one pipeline, in this order; the rest listen to their own events.
 import { antiraid } from './antiraid.js';
 import { antispam } from './antispam.js';
 import { antilink } from './antilink.js';
 import { impersonation } from './impersonation.js';
 import { antinuke } from './antinuke.js';
 import { automod } from './automod.js';
+import { initProtectionConfigSync, invalidateProtectionConfig } from './config.js';
+import { createMessagePipeline } from './pipeline.js';
+import { initVerification } from './verification.js';
 
 export function initSecurity(client) {
+  initProtectionConfigSync(client);
+
+  createMessagePipeline(client, [antispam(client), antilink(client), automod(client)]);
   antiraid(client);
-  antispam(client);
-  antilink(client);
   impersonation(client);
   antinuke(client);
-  automod(client);
+  initVerification(client);
+
+  client.on('guildDelete', (guild) => invalidateProtectionConfig(guild.id));
 }
@@ -0,0 +1,94 @@
+// /bot/security/offences.js
+// Escalating responses to repeat offences. A module's `ladder` lists one step
+// per offence (delete, warn, timeout:<minutes>, kick, ban); the member's
+// offences within `offenceWindowHours` pick the step, the last step repeating.
+import Offence from '../../models/Offence.js';
+import { warnMember } from '../moderation/warnings.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR_MS = 3_600_000;
+
+// 'timeout:10' → { type: 'timeout', minutes: 10 }
+export function parseStep(step) {
+  const [type, minutes] = step.split(':');
+  return type === 'timeout' ? { type, minutes: Number(minutes) } : { type };
+}
+
+export const stepFor = (ladder, offenceNumber) => ladder[Math.min(offenceNumber, ladder.length) - 1];
+
+// Removes the earlier messages of a burst, one bulk delete per channel; Discord skips any older than two weeks
+async function deleteBurst(guild, burst) {
+  const byChannel = new Map();
+  for (const { channelId, messageId } of burst) {
+    byChannel.set(channelId, [...(byChannel.get(channelId) ?? []), messageId]);
+  }
+  for (const [channelId, ids] of byChannel) {
+    await guild.channels.cache
+      .get(channelId)
+      ?.bulkDelete(ids, true)
+      .catch(err => logger.warn('OFFENCE_BURST_DELETE_FAILED', { guildId: guild.id, channelId, error: err.message }));
+  }
+}
+
+async function applyStep(step, { guild, member, author, message, client, auditReason }) {
+  if (step.type === 'warn') {
+    await warnMember({ guild, user: author, moderator: client.user, reason: auditReason, messageId: message.id });
+  } else if (step.type === 'timeout') {
+    await member.timeout(step.minutes * 60_000, auditReason);
+  } else if (step.type === 'kick') {
+    await member.kick(auditReason);
+  } else if (step.type === 'ban') {
+    await guild.bans.create(author.id, { reason: auditReason, deleteMessageSeconds: 3600 });
+  }
+}
+
+// Whether the bot is able to apply the step to this member at all
+function canApply(member, { type }) {
+  if (type === 'timeout') return member.moderatable;
+  if (type === 'kick') return member.kickable;
+  if (type === 'ban') return member.bannable;
+  return true;
+}
+
+/**
+ * Deletes the offending message (and the rest of its `burst`, as
+ * `{ channelId, messageId }`), applies the member's next ladder step and
+ * records the offence. Returns { step, offenceNumber, applied }; `applied` is
+ * false when the bot lacks the permissions for the step or it failed. The
+ * offence is recorded either way, so the ladder keeps climbing.
+ */
+export async function punishOffence({ message, module, reason, settings, client, burst = [] }) {
+  const { guild, member, author } = message;
+  const since = new Date(Date.now() - settings.offenceWindowHours * HOUR_MS);
+  const offenceNumber = (await Offence.countSince(guild.id, author.id, module, since)) + 1;
+  const step = parseStep(stepFor(settings.ladder, offenceNumber));
+  const auditReason = `${module}: ${reason} (offence ${offenceNumber})`;
+
+  // Every step removes the message that triggered it
+  await message.delete().catch(() => {});
+  if (burst.length) await deleteBurst(guild, burst);
+
+  let applied = Boolean(member) && canApply(member, step);
+  if (applied) {
+    try {
+      await applyStep(step, { guild, member, author, message, client, auditReason });
+    } catch (err) {
+      applied = false;
+      logger.warn('OFFENCE_STEP_FAILED', { guildId: guild.id, userId: author.id, module, step: step.type, error: err.message });
+    }
+  }
+
+  await Offence.create({
+    guildId: guild.id,
+    userId: author.id,
+    module,
+    reason,
+    action: stepFor(settings.ladder, offenceNumber),
+    applied,
+    channelId: message.channelId,
+    messageId: message.id,
+  });
+
+  logger.security('OFFENCE_PUNISHED', { guildId: guild.id, userId: author.id, module, reason, offenceNumber, step: step.type, applied });
+  return { step, offenceNumber, applied };
+}
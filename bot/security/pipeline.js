@@ -0,0 +1,88 @@
+// /bot/security/pipeline.js
+// The single messageCreate listener of the protection modules. The guild's
+// config is read once per message from the cached store (./config.js), then
+// each stage runs in order. A stage is { name, run(message, settings) } where
+// `name` is its module key in the config; it is skipped when that module is
+// off or the message is exempt, and returns true once it has removed the
+// message, which ends the pipeline.
+import { performance } from 'node:perf_hooks';
+import { logger } from '../utils/logger.js';
+import { getProtectionConfig, isExempt } from './config.js';
+
+// Stages slower than this are logged individually
+const SLOW_STAGE_MS = 250;
+
+// name → { runs, stopped, errors, totalMs, maxMs }
+const metrics = new Map();
+let processed = 0;
+
+function record(name, ms, { stopped = false, failed = false } = {}) {
+  const entry = metrics.get(name) ?? { runs: 0, stopped: 0, errors: 0, totalMs: 0, maxMs: 0 };
+  entry.runs++;
+  if (stopped) entry.stopped++;
+  if (failed) entry.errors++;
+  entry.totalMs += ms;
+  entry.maxMs = Math.max(entry.maxMs, ms);
+  metrics.set(name, entry);
+}
+
+// Per-stage run counts and latency; the `config` entry times the cached config lookup
+export function getPipelineMetrics() {
+  const stages = {};
+  for (const [name, m] of metrics) {
+    stages[name] = {
+      ...m,
+      totalMs: Math.round(m.totalMs),
+      maxMs: Number(m.maxMs.toFixed(3)),
+      avgMs: m.runs ? Number((m.totalMs / m.runs).toFixed(3)) : 0,
+    };
+  }
+  return { processed, stages };
+}
+
+/**
+ * Runs `stages` over every guild message from a member. Returns the listener
+ * so callers can detach it.
+ */
+export function createMessagePipeline(client, stages) {
+  const listener = async (message) => {
+    if (message.author.bot || message.system || !message.guild || !message.member) return;
+    processed++;
+
+    let config;
+    const lookupStart = performance.now();
+    try {
+      config = await getProtectionConfig(message.guild.id);
+      record('config', performance.now() - lookupStart);
+    } catch (err) {
+      record('config', performance.now() - lookupStart, { failed: true });
+      logger.error('Failed to fetch protection config', { guildId: message.guild.id, error: err.message });
+      return;
+    }
+
+    for (const stage of stages) {
+      const settings = config[stage.name];
+      if (!settings?.enabled || isExempt(settings, { member: message.member, channel: message.channel })) continue;
+
+      const start = performance.now();
+      let stopped = false;
+      let failed = false;
+      try {
+        stopped = Boolean(await stage.run(message, settings));
+      } catch (err) {
+        failed = true;
+        logger.error('MESSAGE_STAGE_ERROR', { stage: stage.name, guildId: message.guild.id, error: err.message });
+      }
+
+      const elapsed = performance.now() - start;
+      record(stage.name, elapsed, { stopped, failed });
+      if (elapsed > SLOW_STAGE_MS) {
+        logger.warn('MESSAGE_STAGE_SLOW', { stage: stage.name, guildId: message.guild.id, ms: Math.round(elapsed) });
+      }
+      if (stopped) return;
+    }
+  };
+
+  client.on('messageCreate', listener);
+  return listener;
+}
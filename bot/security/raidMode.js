@@ -0,0 +1,350 @@
+// /bot/security/raidMode.js
+// Raid mode: public channels are slowed and locked, their previous slowmode and
+// @everyone overwrite saved first so lifting it restores them exactly.
+// Suspicious joiners are kicked or quarantined while it is on. It lifts itself
+// after `quietMinutes` without joins, or with /raid end, and then posts a
+// report of the accounts it acted on.
+import {
+  AttachmentBuilder,
+  ChannelType,
+  EmbedBuilder,
+  PermissionFlagsBits,
+  PermissionsBitField,
+} from 'discord.js';
+import Raid from '../../models/Raid.js';
+import { forGuild } from '../i18n/index.js';
+import { getModQueueChannel } from '../moderation/reports.js';
+import { logger } from '../utils/logger.js';
+import { getProtectionConfig } from './config.js';
+
+const DAY_MS = 86_400_000;
+// Screened joiners kept on a raid record; joinCount still counts everyone
+const MAX_AFFECTED = 1000;
+const REPORT_LIST_LENGTH = 15;
+
+const activeRaids = new Map(); // guildId → lean raid record
+const quietTimers = new Map(); // guildId → timeout
+const lockdowns = new Map(); // guildId → promise settled once startRaidMode has saved and locked
+let client = null;
+
+export const getActiveRaid = (guildId) => activeRaids.get(guildId) ?? null;
+
+const lockableChannels = (guild) =>
+  guild.channels.cache.filter(
+    c =>
+      [ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(c.type) &&
+      c.manageable &&
+      c.permissionsFor(guild.roles.everyone).has(PermissionFlagsBits.SendMessages)
+  );
+
+function snapshotChannel(channel) {
+  const everyone = channel.permissionOverwrites.cache.get(channel.guild.id);
+  return {
+    channelId: channel.id,
+    rateLimitPerUser: channel.rateLimitPerUser ?? 0,
+    everyone: everyone ? { allow: everyone.allow.bitfield.toString(), deny: everyone.deny.bitfield.toString() } : null,
+  };
+}
+
+// Bitfields back into the { Flag: true | false } form overwrites are written in
+function overwriteOptions({ allow, deny }) {
+  const options = {};
+  for (const flag of new PermissionsBitField(BigInt(allow)).toArray()) options[flag] = true;
+  for (const flag of new PermissionsBitField(BigInt(deny)).toArray()) options[flag] = false;
+  return options;
+}
+
+async function restoreChannel(guild, snapshot) {
+  const channel = guild.channels.cache.get(snapshot.channelId);
+  if (!channel) return;
+  if ((channel.rateLimitPerUser ?? 0) !== snapshot.rateLimitPerUser) {
+    await channel.setRateLimitPerUser(snapshot.rateLimitPerUser, 'Raid mode lifted');
+  }
+  // create() replaces the overwrite whole, dropping the lock with whatever else changed
+  if (snapshot.everyone) {
+    await channel.permissionOverwrites.create(guild.roles.everyone, overwriteOptions(snapshot.everyone), { reason: 'Raid mode lifted' });
+  } else if (channel.permissionOverwrites.cache.has(guild.id)) {
+    await channel.permissionOverwrites.delete(guild.roles.everyone, 'Raid mode lifted');
+  }
+}
+
+function scheduleQuietLift(guildId, quietMinutes, lastJoinAt = Date.now()) {
+  clearTimeout(quietTimers.get(guildId));
+  const delay = Math.max(0, lastJoinAt + quietMinutes * 60_000 - Date.now());
+  const timer = setTimeout(() => {
+    quietTimers.delete(guildId);
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return;
+    endRaidMode(guild, { reason: 'quiet' }).catch(err => {
+      logger.error('RAID_MODE_LIFT_ERROR', { guildId, error: err.message });
+    });
+  }, delay);
+  timer.unref?.();
+  quietTimers.set(guildId, timer);
+}
+
+async function reportChannel(guild, config) {
+  if (config.reportChannelId) {
+    const channel = guild.channels.cache.get(config.reportChannelId);
+    if (channel?.isTextBased()) return channel;
+  }
+  return getModQueueChannel(guild);
+}
+
+/**
+ * Snapshots and locks the guild's public channels. Returns { raid, started };
+ * `started` is false when raid mode was already on.
+ */
+export async function startRaidMode(guild, { trigger, startedBy = null }) {
+  if (activeRaids.has(guild.id)) return { raid: activeRaids.get(guild.id), started: false };
+
+  // Claimed before any await so concurrent joins cannot start it twice
+  const raid = { guildId: guild.id, trigger, startedBy, lastJoinAt: new Date(), joinCount: 0, snapshots: [], affected: [] };
+  activeRaids.set(guild.id, raid);
+  let settle;
+  const pending = new Promise(resolve => (settle = resolve));
+  lockdowns.set(guild.id, pending);
+  try {
+    return await lockdown(guild, raid, { trigger, startedBy });
+  } finally {
+    if (lockdowns.get(guild.id) === pending) lockdowns.delete(guild.id);
+    settle();
+  }
+}
+
+// Saves the raid record, then slows and locks the channels it snapshotted
+async function lockdown(guild, raid, { trigger, startedBy }) {
+  let config;
+  let channels;
+  try {
+    config = (await getProtectionConfig(guild.id)).antiraid;
+    channels = [...lockableChannels(guild).values()];
+    raid.snapshots = channels.map(snapshotChannel);
+    // Saved before touching anything, so a crash mid-lockdown can still be undone
+    const record = await Raid.create(raid);
+    raid._id = record._id;
+    raid.createdAt = record.createdAt;
+  } catch (err) {
+    if (activeRaids.get(guild.id) === raid) activeRaids.delete(guild.id);
+    throw err;
+  }
+
+  // Stops early when endRaidMode runs meanwhile; it waits for this loop before restoring
+  const ended = () => activeRaids.get(guild.id) !== raid;
+  for (const channel of channels) {
+    if (ended()) break;
+    try {
+      if (config.slowmodeSeconds) await channel.setRateLimitPerUser(config.slowmodeSeconds, 'Raid mode');
+      if (config.lockChannels) {
+        await channel.permissionOverwrites.edit(guild.roles.everyone, { SendMessages: false }, { reason: 'Raid mode' });
+      }
+    } catch (err) {
+      logger.warn('Raid lockdown failed for channel', { channelId: channel.id, error: err.message });
+    }
+  }
+
+  if (ended()) return { raid, started: true };
+
+  scheduleQuietLift(guild.id, config.quietMinutes);
+  logger.security('RAID_MODE_STARTED', { guildId: guild.id, trigger, startedBy, channels: channels.length });
+
+  const t = forGuild(guild);
+  const channel = await reportChannel(guild, config);
+  await channel
+    ?.send({
+      embeds: [
+        new EmbedBuilder()
+          .setTitle(t('raid.started.title'))
+          .setDescription(t('raid.started.description', { count: channels.length, minutes: config.quietMinutes }))
+          .addFields({ name: t('raid.report.trigger'), value: t(`raid.triggers.${trigger}`), inline: true })
+          .setColor('#ED4245')
+          .setTimestamp(),
+      ],
+    })
+    .catch(err => logger.warn('RAID_NOTICE_FAILED', { guildId: guild.id, error: err.message }));
+
+  return { raid, started: true };
+}
+
+/**
+ * Restores every snapshotted channel, closes the raid record and posts the
+ * report. Returns the closed raid, or null when raid mode was off.
+ */
+export async function endRaidMode(guild, { endedBy = null, reason }) {
+  const raid = activeRaids.get(guild.id);
+  if (!raid) return null;
+  activeRaids.delete(guild.id);
+  clearTimeout(quietTimers.get(guild.id));
+  quietTimers.delete(guild.id);
+  // A start still locking channels finishes first, so nothing is locked after the restore
+  await lockdowns.get(guild.id);
+  // It failed before saving the record, and so before locking anything
+  if (!raid._id) return null;
+
+  let failed = 0;
+  for (const snapshot of raid.snapshots) {
+    try {
+      await restoreChannel(guild, snapshot);
+    } catch (err) {
+      failed++;
+      logger.warn('Raid restore failed for channel', { channelId: snapshot.channelId, error: err.message });
+    }
+  }
+
+  const endedAt = new Date();
+  const closed = await Raid.findByIdAndUpdate(
+    raid._id,
+    { $set: { active: false, endedAt, endedBy, endReason: reason } },
+    { new: true }
+  ).lean();
+  logger.security('RAID_MODE_ENDED', {
+    guildId: guild.id,
+    reason,
+    endedBy,
+    joins: closed?.joinCount ?? raid.joinCount,
+    affected: closed?.affected.length ?? raid.affected.length,
+    restoreFailures: failed,
+  });
+
+  const config = (await getProtectionConfig(guild.id)).antiraid;
+  const channel = await reportChannel(guild, config);
+  if (channel && closed) {
+    await channel
+      .send(buildRaidReport(closed, forGuild(guild)))
+      .catch(err => logger.warn('RAID_REPORT_FAILED', { guildId: guild.id, error: err.message }));
+  }
+  return closed;
+}
+
+// What makes a joiner suspicious during a raid: a young account, no avatar, a flagged name
+export function screeningReasons(member, config, now = Date.now()) {
+  const { user } = member;
+  const reasons = [];
+  if (config.minAccountAgeDays && now - user.createdTimestamp < config.minAccountAgeDays * DAY_MS) reasons.push('accountAge');
+  if (config.flagDefaultAvatar && !user.avatar) reasons.push('defaultAvatar');
+  const names = [user.username, user.globalName, member.displayName].filter(Boolean).map(n => n.toLowerCase());
+  if (config.namePatterns.some(p => names.some(n => n.includes(p.toLowerCase())))) reasons.push('namePattern');
+  return reasons;
+}
+
+async function gate(member, config, reasons) {
+  const { guild } = member;
+  if (config.gateAction === 'kick' && member.kickable) {
+    await member.send(forGuild(guild)('raid.kickedDm', { guild: guild.name })).catch(() => {});
+    await member.kick(`Raid mode: ${reasons.join(', ')}`);
+    return 'kicked';
+  }
+  if (config.gateAction === 'quarantine') {
+    const role = config.quarantineRoleId && guild.roles.cache.get(config.quarantineRoleId);
+    if (role?.editable) {
+      await member.roles.add(role, `Raid mode: ${reasons.join(', ')}`);
+      return 'quarantined';
+    }
+  }
+  return 'flagged';
+}
+
+/**
+ * Screens a member who joined while raid mode is on and keeps the quiet timer
+ * going. Returns the action taken (kicked, quarantined, flagged), or null.
+ */
+export async function handleRaidJoin(member, config) {
+  const raid = activeRaids.get(member.guild.id);
+  if (!raid) return null;
+
+  raid.joinCount++;
+  raid.lastJoinAt = new Date();
+  scheduleQuietLift(member.guild.id, config.quietMinutes);
+
+  const reasons = screeningReasons(member, config);
+  let action = null;
+  if (reasons.length) {
+    action = 'flagged';
+    if (config.gateAction !== 'none') {
+      try {
+        action = await gate(member, config, reasons);
+      } catch (err) {
+        logger.warn('RAID_GATE_FAILED', { guildId: member.guild.id, userId: member.id, error: err.message });
+      }
+    }
+  }
+
+  const update = { $inc: { joinCount: 1 }, $set: { lastJoinAt: raid.lastJoinAt } };
+  if (action) {
+    const entry = { userId: member.id, tag: member.user.tag, action, reasons, at: new Date() };
+    if (raid.affected.length < MAX_AFFECTED) raid.affected.push(entry);
+    update.$push = { affected: { $each: [entry], $slice: MAX_AFFECTED } };
+    logger.security('RAID_JOIN_SCREENED', { guildId: member.guild.id, userId: member.id, action, reasons });
+  }
+  if (raid._id) await Raid.updateOne({ _id: raid._id }, update);
+  return action;
+}
+
+export function buildRaidReport(raid, t) {
+  const counts = { kicked: 0, quarantined: 0, flagged: 0 };
+  for (const entry of raid.affected) counts[entry.action] = (counts[entry.action] ?? 0) + 1;
+
+  const line = (entry) =>
+    `<@${entry.userId}> ${entry.tag ?? ''} — ${t(`raid.actions.${entry.action}`)} (${entry.reasons.map(r => t(`raid.reasons.${r}`)).join(', ')})`;
+  const stamp = (date) => `<t:${Math.floor(new Date(date).getTime() / 1000)}:f>`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(t('raid.report.title'))
+    .addFields(
+      { name: t('raid.report.started'), value: stamp(raid.createdAt), inline: true },
+      { name: t('raid.report.ended'), value: stamp(raid.endedAt), inline: true },
+      { name: t('raid.report.trigger'), value: t(`raid.triggers.${raid.trigger}`), inline: true },
+      { name: t('raid.report.endReason'), value: t(`raid.endReasons.${raid.endReason}`), inline: true },
+      { name: t('raid.report.joins'), value: String(raid.joinCount), inline: true },
+      {
+        name: t('raid.report.affected'),
+        value: [
+          `${t('raid.actions.kicked')}: ${counts.kicked}`,
+          `${t('raid.actions.quarantined')}: ${counts.quarantined}`,
+          `${t('raid.actions.flagged')}: ${counts.flagged}`,
+        ].join('\n'),
+        inline: true,
+      }
+    )
+    .setColor('#5865F2')
+    .setTimestamp();
+
+  if (raid.affected.length) {
+    const shown = raid.affected.slice(0, REPORT_LIST_LENGTH).map(line).join('\n');
+    const more = raid.affected.length - REPORT_LIST_LENGTH;
+    embed.setDescription(more > 0 ? `${shown}\n${t('raid.report.more', { count: more })}`.slice(0, 4096) : shown.slice(0, 4096));
+  }
+
+  // The full list goes along as a file once it no longer fits the embed
+  const files = [];
+  if (raid.affected.length > REPORT_LIST_LENGTH) {
+    const text = raid.affected
+      .map(e => `${e.userId}\t${e.tag ?? ''}\t${e.action}\t${e.reasons.join(',')}\t${new Date(e.at).toISOString()}`)
+      .join('\n');
+    files.push(new AttachmentBuilder(Buffer.from(text, 'utf8'), { name: `raid-${raid._id}.tsv` }));
+  }
+  return { embeds: [embed], files };
+}
+
+// Raid mode survives restarts: active raids are reloaded and their quiet timers resumed
+export function initRaidMode(botClient) {
+  client = botClient;
+  client.once('ready', async () => {
+    try {
+      const raids = await Raid.find({ active: true, guildId: { $in: [...client.guilds.cache.keys()] } }).lean();
+      for (const raid of raids) {
+        activeRaids.set(raid.guildId, raid);
+        const config = (await getProtectionConfig(raid.guildId)).antiraid;
+        scheduleQuietLift(raid.guildId, config.quietMinutes, new Date(raid.lastJoinAt).getTime());
+      }
+      if (raids.length) logger.info('RAID_MODE_RESUMED', { guilds: raids.length });
+    } catch (err) {
+      logger.error('RAID_MODE_RESUME_ERROR', { error: err.message });
+    }
+  });
+
+  client.on('close', () => {
+    for (const timer of quietTimers.values()) clearTimeout(timer);
+    quietTimers.clear();
+  });
+}
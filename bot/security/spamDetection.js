@@ -0,0 +1,53 @@
+// /bot/security/spamDetection.js
+// Spam checks run on each message against the sender's recent messages in the
+// same guild. Entries are { at, content, mentions, attachments }; the history
+// passed in is already trimmed to the configured window and ends with the
+// message being checked. A check whose limit is 0 is off.
+
+const CUSTOM_EMOJI = /<a?:\w+:\d+>/g;
+const UNICODE_EMOJI = /\p{Extended_Pictographic}/gu;
+
+// Same text regardless of case and spacing counts as a duplicate
+const normalize = (content) => content.toLowerCase().replace(/\s+/g, ' ').trim();
+
+export const countEmoji = (content) =>
+  (content.match(CUSTOM_EMOJI)?.length ?? 0) + (content.replace(CUSTOM_EMOJI, '').match(UNICODE_EMOJI)?.length ?? 0);
+
+// Share of upper-case letters, or 0 when the text is shorter than `minLength` letters
+export function capsRatio(content, minLength) {
+  const letters = content.replace(CUSTOM_EMOJI, '').match(/\p{L}/gu) ?? [];
+  if (letters.length < minLength) return 0;
+  const upper = letters.filter(ch => ch !== ch.toLowerCase()).length;
+  return upper / letters.length;
+}
+
+const CHECKS = [
+  ['mentions', (entry, history, s) => s.maxMentions && entry.mentions > s.maxMentions],
+  ['rate', (entry, history, s) => history.length > s.maxMessages],
+  [
+    'duplicates',
+    (entry, history, s) => {
+      const text = normalize(entry.content);
+      return s.maxDuplicates && text && history.filter(h => normalize(h.content) === text).length > s.maxDuplicates;
+    },
+  ],
+  ['attachments', (entry, history, s) => s.maxAttachments && history.reduce((sum, h) => sum + h.attachments, 0) > s.maxAttachments],
+  ['newlines', (entry, history, s) => s.maxNewlines && (entry.content.match(/\n/g)?.length ?? 0) > s.maxNewlines],
+  ['emoji', (entry, history, s) => s.maxEmoji && countEmoji(entry.content) > s.maxEmoji],
+  ['caps', (entry, history, s) => s.capsPercent && capsRatio(entry.content, s.capsMinLength) * 100 >= s.capsPercent],
+];
+
+export const SPAM_REASONS = CHECKS.map(([reason]) => reason);
+// Reasons made up of several messages, all of which are removed rather than just the latest
+export const BURST_REASONS = ['rate', 'duplicates', 'attachments'];
+
+/**
+ * The first spam pattern the latest message matches (one of SPAM_REASONS),
+ * or null when it looks fine.
+ */
+export function detectSpam(history, settings) {
+  const entry = history[history.length - 1];
+  if (!entry) return null;
+  const hit = CHECKS.find(([, check]) => check(entry, history, settings));
+  return hit ? hit[0] : null;
+}
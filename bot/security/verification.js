@@ -0,0 +1,213 @@
+// /bot/security/verification.js
+// Verification gate: new members get the unverified role and must press the
+// gate button (or, in captcha mode, solve the web captcha it links to) to lose
+// it. Members who never verify are kicked after `kickAfterMinutes`. Every try
+// is logged and kept on the member's Verification record.
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import Verification from '../../models/Verification.js';
+import { customId } from '../interactions/customId.js';
+import { forGuild } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+import { issueSetupToken } from '../utils/setupTokens.js';
+import { getProtectionConfig } from './config.js';
+
+export const VERIFY_TOKEN_PURPOSE = 'verify';
+const SWEEP_INTERVAL_MS = 60_000;
+const SWEEP_BATCH = 100;
+const MAX_ATTEMPTS = 20;
+const MINUTE = 60_000;
+
+/**
+ * Logs one try at the gate and keeps it on the member's record, along with
+ * any other fields in `set`.
+ */
+export async function recordAttempt(guildId, userId, { method, outcome, reason = null }, set = {}) {
+  logger.security('VERIFICATION_ATTEMPT', { guildId, userId, method, outcome, reason });
+  const update = { $push: { attempts: { $each: [{ method, outcome, reason, at: new Date() }], $slice: -MAX_ATTEMPTS } } };
+  if (Object.keys(set).length) update.$set = set;
+  await Verification.updateOne({ guildId, userId }, update, { upsert: true });
+}
+
+// The configured roles decide first; without them (or already right) the member's record does
+export async function needsVerification(member, settings) {
+  if (settings.unverifiedRoleId && member.roles.cache.has(settings.unverifiedRoleId)) return true;
+  if (settings.verifiedRoleId && !member.roles.cache.has(settings.verifiedRoleId)) return true;
+  const record = await Verification.findOne({ guildId: member.guild.id, userId: member.id }).select('status').lean();
+  return record?.status === 'pending';
+}
+
+/**
+ * Lets a member through: drops the unverified role, grants the verified one
+ * and closes their record. `method` is button, captcha or manual.
+ */
+export async function completeVerification(member, settings, method, { moderatorId = null } = {}) {
+  const reason = `Verified (${method})`;
+  if (settings.unverifiedRoleId && member.roles.cache.has(settings.unverifiedRoleId)) {
+    await member.roles.remove(settings.unverifiedRoleId, reason);
+  }
+  if (settings.verifiedRoleId && !member.roles.cache.has(settings.verifiedRoleId)) {
+    await member.roles.add(settings.verifiedRoleId, reason);
+  }
+
+  await recordAttempt(
+    member.guild.id,
+    member.id,
+    { method, outcome: 'passed', reason: moderatorId ? `approved by ${moderatorId}` : null },
+    { status: 'verified', verifiedAt: new Date(), method, expiresAt: null }
+  );
+}
+
+/**
+ * A signed, single-use link to the web captcha for this member. Any earlier
+ * unused link they hold for the guild stops working.
+ */
+export async function issueVerificationLink(member) {
+  const { token, expiresAt } = await issueSetupToken({
+    guildId: member.guild.id,
+    userId: member.id,
+    purpose: VERIFY_TOKEN_PURPOSE,
+  });
+  await recordAttempt(member.guild.id, member.id, { method: 'captcha', outcome: 'issued' });
+  return { url: `${process.env.BASE_URL}/verify?token=${encodeURIComponent(token)}`, expiresAt };
+}
+
+// The message posted in the gate channel; its button works for every member
+export function buildGatePanel(guild, settings) {
+  const t = forGuild(guild);
+  return {
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(t('gate.panel.title', { guild: guild.name }))
+        .setDescription(t(settings.mode === 'captcha' ? 'gate.panel.captcha' : 'gate.panel.button'))
+        .setColor('#57F287'),
+    ],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(customId('verification.start'))
+          .setLabel(t('gate.panel.start'))
+          .setEmoji('✅')
+          .setStyle(ButtonStyle.Success)
+      ),
+    ],
+  };
+}
+
+async function handleJoin(member) {
+  if (member.user.bot) return;
+  const settings = (await getProtectionConfig(member.guild.id)).verification;
+  if (!settings.enabled) return;
+
+  const { guild } = member;
+  const role = settings.unverifiedRoleId && guild.roles.cache.get(settings.unverifiedRoleId);
+  if (role?.editable) {
+    await member.roles.add(role, 'Awaiting verification');
+  } else if (settings.unverifiedRoleId) {
+    logger.warn('VERIFICATION_ROLE_UNAVAILABLE', { guildId: guild.id, roleId: settings.unverifiedRoleId });
+  }
+
+  const now = Date.now();
+  await Verification.updateOne(
+    { guildId: guild.id, userId: member.id },
+    {
+      $set: {
+        status: 'pending',
+        joinedAt: new Date(now),
+        expiresAt: settings.kickAfterMinutes ? new Date(now + settings.kickAfterMinutes * MINUTE) : null,
+        verifiedAt: null,
+        method: null,
+      },
+    },
+    { upsert: true }
+  );
+}
+
+async function expire(client, record) {
+  const filter = { _id: record._id, status: 'pending' };
+  // The bot was removed from the guild: drop the deadline so it is not picked up again
+  const guild = client.guilds.cache.get(record.guildId);
+  if (!guild) {
+    await Verification.updateOne(filter, { $set: { expiresAt: null } });
+    return;
+  }
+  const settings = (await getProtectionConfig(guild.id)).verification;
+
+  const member = await guild.members.fetch(record.userId).catch(() => null);
+  if (!member) {
+    await Verification.updateOne(filter, { $set: { status: 'left', expiresAt: null } });
+    return;
+  }
+  // Turned off since they joined: nobody is kicked
+  if (!settings.enabled) {
+    await Verification.updateOne(filter, { $set: { expiresAt: null } });
+    return;
+  }
+  // A moderator took the unverified role away or gave the verified one by hand
+  const roleRemoved = settings.unverifiedRoleId && !member.roles.cache.has(settings.unverifiedRoleId);
+  const roleGranted = settings.verifiedRoleId && member.roles.cache.has(settings.verifiedRoleId);
+  if (roleRemoved || roleGranted) {
+    await Verification.updateOne(filter, { $set: { status: 'verified', verifiedAt: new Date(), method: 'manual', expiresAt: null } });
+    return;
+  }
+  if (!member.kickable) {
+    logger.warn('VERIFICATION_KICK_UNAVAILABLE', { guildId: guild.id, userId: member.id });
+    await Verification.updateOne(filter, { $set: { expiresAt: null } });
+    return;
+  }
+
+  const minutes = Math.round((record.expiresAt - record.joinedAt) / MINUTE);
+  await member.send(forGuild(guild)('gate.kickedDm', { guild: guild.name, count: minutes })).catch(() => {});
+  await member.kick('Did not verify in time');
+  await Verification.updateOne(filter, { $set: { status: 'kicked', expiresAt: null } });
+  logger.security('VERIFICATION_TIMEOUT_KICK', { guildId: guild.id, userId: member.id, minutes });
+}
+
+/**
+ * Periodically kicks members whose verification deadline passed. Deadlines
+ * are stored on the records, so nothing is lost across restarts.
+ */
+export function startVerificationSweeper(client) {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const due = await Verification.find({ status: 'pending', expiresAt: { $lte: new Date() } })
+        .limit(SWEEP_BATCH)
+        .lean();
+      for (const record of due) {
+        await expire(client, record).catch(err => {
+          logger.warn('VERIFICATION_EXPIRE_ERROR', { guildId: record.guildId, userId: record.userId, error: err.message });
+        });
+      }
+    } catch (err) {
+      logger.error('VERIFICATION_SWEEP_ERROR', { error: err.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const interval = setInterval(sweep, SWEEP_INTERVAL_MS);
+  client.on('close', () => clearInterval(interval));
+  return sweep;
+}
+
+export function initVerification(client) {
+  client.on('guildMemberAdd', async (member) => {
+    try {
+      await handleJoin(member);
+    } catch (err) {
+      logger.error('VERIFICATION_JOIN_ERROR', { guildId: member.guild.id, userId: member.id, error: err.message });
+    }
+  });
+
+  client.on('guildMemberRemove', async (member) => {
+    await Verification.updateOne(
+      { guildId: member.guild.id, userId: member.id, status: 'pending' },
+      { $set: { status: 'left', expiresAt: null } }
+    ).catch(err => logger.warn('VERIFICATION_LEAVE_ERROR', { guildId: member.guild.id, error: err.message }));
+  });
+
+  client.once('ready', () => startVerificationSweeper(client));
+}
@@ -0,0 +1,214 @@
+// /bot/tickets/feedback.js
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from 'discord.js';
+import Ticket from '../../models/Ticket.js';
+import TicketConfig from '../../models/TicketConfig.js';
+import { logger } from '../utils/logger.js';
+import { forGuild, forInteraction } from '../i18n/index.js';
+import { customId } from '../interactions/customId.js';
+
+// Custom IDs carry the ticket's document ID: the DM has no guild or channel to look it up by.
+// The handlers are routed from commands/tickets/components.js.
+export const rateButtonId = (ticketId, rating) => customId('ticket.rate', ticketId, rating);
+export const commentButtonId = (ticketId) => customId('ticket.comment', ticketId);
+export const commentFormId = (ticketId) => customId('ticket.feedback', ticketId);
+
+const stars = (rating) => '⭐'.repeat(rating);
+
+function buildRatingRow(ticketId) {
+  return new ActionRowBuilder().addComponents(
+    [1, 2, 3, 4, 5].map(n =>
+      new ButtonBuilder()
+        .setCustomId(rateButtonId(ticketId, n))
+        .setLabel(`${n} ★`)
+        .setStyle(ButtonStyle.Secondary)
+    )
+  );
+}
+
+function buildCommentRow(ticketId, t) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(commentButtonId(ticketId))
+      .setLabel(t('tickets.feedback.addComment'))
+      .setEmoji('💬')
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+/**
+ * DMs the opener of a just-closed ticket a 1-5 rating request. Failures
+ * (closed DMs, feedback turned off) are logged and never block the close.
+ */
+export async function requestFeedback(client, ticket) {
+  if (ticket.feedback?.requestedAt) return;
+
+  try {
+    const config = await TicketConfig.findOne({ guildId: ticket.guildId });
+    if (config && !config.requestFeedback) return;
+
+    // The DM goes out in the server's language; replies to it follow the user's
+    const t = forGuild(ticket.guildId);
+    const opener = await client.users.fetch(ticket.openerId);
+    const guildName = client.guilds.cache.get(ticket.guildId)?.name ?? t('tickets.feedback.theServer');
+
+    await opener.send({
+      embeds: [
+        new EmbedBuilder()
+          .setTitle(t('tickets.feedback.requestTitle', { number: ticket.number }))
+          .setDescription(t('tickets.feedback.request', { guild: guildName }))
+          .setColor('#5865F2')
+          .setTimestamp(),
+      ],
+      components: [buildRatingRow(ticket.id)],
+    });
+
+    ticket.feedback.requestedAt = new Date();
+    await ticket.save();
+  } catch (err) {
+    logger.warn('TICKET_FEEDBACK_REQUEST_FAILED', {
+      guildId: ticket.guildId,
+      number: ticket.number,
+      userId: ticket.openerId,
+      error: err.message,
+    });
+  }
+}
+
+// Rating buttons on the feedback DM
+export async function rateTicket(interaction, { ticketId, rating }) {
+  const t = forInteraction(interaction);
+  if (!(rating >= 1 && rating <= 5)) {
+    await interaction.reply({ content: t('tickets.feedback.invalidRating'), ephemeral: true });
+    return;
+  }
+
+  // Only the opener, only once, and only while the ticket is still closed
+  const ticket = await Ticket.findOneAndUpdate(
+    { _id: ticketId, openerId: interaction.user.id, status: 'closed', 'feedback.rating': null },
+    [{
+      $set: {
+        'feedback.rating': rating,
+        'feedback.submittedAt': '$$NOW',
+        'feedback.staffId': { $ifNull: ['$claimedBy', '$firstResponseBy'] },
+      },
+    }],
+    { new: true }
+  );
+
+  if (!ticket) {
+    await interaction.update({ content: t('tickets.feedback.alreadyRated'), components: [] });
+    return;
+  }
+
+  await interaction.update({
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(t('tickets.feedback.thanksTitle', { number: ticket.number }))
+        .setDescription(`${t('tickets.feedback.rated', { stars: stars(rating), rating })} ${t('tickets.feedback.commentInvite')}`)
+        .setColor('#57F287'),
+    ],
+    components: [buildCommentRow(ticket.id, t)],
+  });
+
+  logger.info('TICKET_FEEDBACK', {
+    userId: interaction.user.id,
+    guildId: ticket.guildId,
+    number: ticket.number,
+    staffId: ticket.feedback.staffId,
+    rating,
+  });
+}
+
+export async function showCommentForm(interaction, { ticketId }) {
+  const t = forInteraction(interaction);
+  const modal = new ModalBuilder()
+    .setCustomId(commentFormId(ticketId))
+    .setTitle(t('tickets.feedback.formTitle'))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('comment')
+          .setLabel(t('tickets.feedback.formLabel'))
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(1000)
+          .setRequired(true)
+      )
+    );
+  await interaction.showModal(modal);
+}
+
+export async function saveComment(interaction, { ticketId }) {
+  const t = forInteraction(interaction);
+
+  const comment = interaction.fields.getTextInputValue('comment').trim();
+  const ticket = await Ticket.findOneAndUpdate(
+    { _id: ticketId, openerId: interaction.user.id, 'feedback.rating': { $ne: null }, 'feedback.comment': null },
+    { $set: { 'feedback.comment': comment } },
+    { new: true }
+  );
+
+  if (!ticket) {
+    await interaction.reply({ content: t('tickets.feedback.alreadyCommented') });
+    return;
+  }
+
+  await interaction.update({
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(t('tickets.feedback.thanksTitle', { number: ticket.number }))
+        .setDescription(t('tickets.feedback.rated', { stars: stars(ticket.feedback.rating), rating: ticket.feedback.rating }))
+        .addFields({ name: t('tickets.feedback.yourComment'), value: comment.slice(0, 1024) })
+        .setColor('#57F287'),
+    ],
+    components: [],
+  });
+
+  logger.info('TICKET_FEEDBACK_COMMENT', { userId: interaction.user.id, guildId: ticket.guildId, number: ticket.number });
+}
+
+/**
+ * Average ratings for a guild, overall and broken down by staff member and
+ * ticket type. `since` limits it to tickets rated after that date.
+ */
+export async function getFeedbackStats(guildId, { since = null } = {}) {
+  const match = { guildId, 'feedback.rating': { $ne: null } };
+  if (since) match['feedback.submittedAt'] = { $gte: since };
+
+  const group = (key) => [
+    { $group: { _id: key, average: { $avg: '$feedback.rating' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ];
+
+  const [facets] = await Ticket.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: group(null),
+        byStaff: group('$feedback.staffId'),
+        byType: group('$type'),
+      },
+    },
+  ]);
+
+  const requestMatch = { guildId, 'feedback.requestedAt': { $ne: null } };
+  if (since) requestMatch['feedback.requestedAt'] = { $gte: since };
+  const requested = await Ticket.countDocuments(requestMatch);
+
+  const round = ({ _id, average, count }) => ({ key: _id, average: Math.round(average * 100) / 100, count });
+  const overall = facets.overall[0];
+  return {
+    average: overall ? round(overall).average : null,
+    count: overall?.count ?? 0,
+    requested,
+    byStaff: facets.byStaff.map(round).map(({ key, ...rest }) => ({ staffId: key, ...rest })),
+    byType: facets.byType.map(round).map(({ key, ...rest }) => ({ type: key, ...rest })),
+  };
+}
@@ -0,0 +1,54 @@
+// /bot/tickets/index.js
+import { logger } from '../utils/logger.js';
+import {
+  getTicket,
+  isTicketChannel,
+  reconcileTickets,
+  recordTicketActivity,
+  recordTicketEdit,
+  transitionTicket,
+} from './service.js';
+import { startSlaScheduler } from './sla.js';
+
+export function initTickets(client) {
+  client.once('ready', async () => {
+    try {
+      await reconcileTickets(client);
+    } catch (err) {
+      logger.error('TICKET_RECONCILE_ERROR', { error: err.message });
+    }
+    startSlaScheduler(client);
+  });
+
+  client.on('messageCreate', async (message) => {
+    if (message.author.bot || !message.guild || !isTicketChannel(message.channel.id)) return;
+    try {
+      await recordTicketActivity(message);
+    } catch (err) {
+      logger.warn('TICKET_ACTIVITY_ERROR', { channelId: message.channel.id, error: err.message });
+    }
+  });
+
+  client.on('messageUpdate', async (oldMessage, newMessage) => {
+    if (!newMessage.guild || newMessage.author?.bot || !isTicketChannel(newMessage.channel.id)) return;
+    try {
+      await recordTicketEdit(oldMessage, newMessage);
+    } catch (err) {
+      logger.warn('TICKET_EDIT_RECORD_ERROR', { channelId: newMessage.channel.id, error: err.message });
+    }
+  });
+
+  // A ticket channel deleted by hand still closes the ticket
+  client.on('channelDelete', async (channel) => {
+    if (!isTicketChannel(channel.id)) return;
+    try {
+      const ticket = await getTicket(channel.id);
+      if (ticket && ticket.status !== 'closed') {
+        await transitionTicket(ticket, 'closed', null, 'channel deleted');
+        logger.info('TICKET_CLOSED', { guildId: ticket.guildId, channelId: channel.id, reason: 'channel deleted' });
+      }
+    } catch (err) {
+      logger.warn('TICKET_CHANNEL_DELETE_ERROR', { channelId: channel.id, error: err.message });
+    }
+  });
+}
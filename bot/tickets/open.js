@@ -0,0 +1,193 @@
+// /bot/tickets/open.js
+import { ChannelType, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { createTicket, nextTicketNumber } from './service.js';
+import { formatChannelName } from './types.js';
+import { logger } from '../utils/logger.js';
+import { DEFAULT_LANGUAGE, forGuild, translator } from '../i18n/index.js';
+import { customId } from '../interactions/customId.js';
+
+const STAFF_ALLOW = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.SendMessages,
+  PermissionFlagsBits.ReadMessageHistory,
+  PermissionFlagsBits.AttachFiles,
+];
+
+// Discord caps a category at 50 channels
+const CATEGORY_CHANNEL_LIMIT = 50;
+const MAX_SPILLOVER_CATEGORIES = 9;
+
+const hasRoom = (guild, category) =>
+  guild.channels.cache.filter(ch => ch.parentId === category.id).size < CATEGORY_CHANNEL_LIMIT;
+
+const findCategory = (guild, name) =>
+  guild.channels.cache.find(ch => ch.type === ChannelType.GuildCategory && ch.name === name);
+
+async function resolveBaseCategory(guild, client, type) {
+  if (type.categoryId) {
+    const configured = guild.channels.cache.get(type.categoryId);
+    if (configured?.type === ChannelType.GuildCategory) return configured;
+  }
+
+  // Find or create the "Strive Tickets" category; only the bot gets an overwrite,
+  // openers are granted access on their own channel
+  return findCategory(guild, 'Strive Tickets') ?? guild.channels.create({
+    name: 'Strive Tickets',
+    type: ChannelType.GuildCategory,
+    permissionOverwrites: [
+      {
+        id: guild.id,
+        deny: [PermissionFlagsBits.ViewChannel],
+      },
+      {
+        id: client.user.id,
+        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageChannels],
+      },
+    ],
+  });
+}
+
+/**
+ * Returns the type's category, or an overflow copy of it ("Name 2", "Name 3", …)
+ * once it holds 50 channels.
+ */
+async function resolveCategory(guild, client, type) {
+  const base = await resolveBaseCategory(guild, client, type);
+  if (hasRoom(guild, base)) return base;
+
+  for (let i = 2; i <= MAX_SPILLOVER_CATEGORIES + 1; i++) {
+    const name = `${base.name} ${i}`.slice(0, 100);
+    const existing = findCategory(guild, name);
+    if (existing) {
+      if (hasRoom(guild, existing)) return existing;
+      continue;
+    }
+
+    logger.info('TICKET_CATEGORY_SPILLOVER', { guildId: guild.id, base: base.id, name });
+    return guild.channels.create({
+      name,
+      type: ChannelType.GuildCategory,
+      position: base.position + i - 1,
+      permissionOverwrites: base.permissionOverwrites.cache.map(o => ({
+        id: o.id,
+        type: o.type,
+        allow: o.allow,
+        deny: o.deny,
+      })),
+    });
+  }
+
+  throw new Error(`All ticket categories for ${base.name} are full`);
+}
+
+// Claim / Close / Reminder row posted in every ticket channel, labelled in the server's language
+export function buildTicketControls(channelId, t = translator(DEFAULT_LANGUAGE)) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(customId('ticket.claim', channelId))
+      .setLabel(t('tickets.buttons.claim'))
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(customId('ticket.close', channelId))
+      .setLabel(t('tickets.buttons.close'))
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(customId('ticket.reminder', channelId))
+      .setLabel(t('tickets.buttons.reminder'))
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Creates a private ticket channel visible to the opener, the bot and the
+ * type's staff roles.
+ */
+export async function createTicketChannel({ guild, client, opener, type, number }) {
+  const category = await resolveCategory(guild, client, type);
+
+  return guild.channels.create({
+    name: formatChannelName(type.namingPattern, { number, username: opener.username, typeKey: type.key }),
+    type: ChannelType.GuildText,
+    parent: category.id,
+    permissionOverwrites: [
+      {
+        id: guild.id,
+        deny: [PermissionFlagsBits.ViewChannel],
+      },
+      {
+        id: opener.id,
+        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages],
+      },
+      {
+        id: client.user.id,
+        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ManageChannels],
+      },
+      ...type.staffRoleIds
+        .filter(roleId => guild.roles.cache.has(roleId))
+        .map(roleId => ({ id: roleId, allow: STAFF_ALLOW })),
+    ],
+  });
+}
+
+/**
+ * Creates the channel and record for a new ticket of the given type.
+ * The interaction must already be deferred or replied to.
+ */
+export async function openTicket(interaction, client, type, answers = []) {
+  const { guild, user } = interaction;
+  const t = forGuild(guild);
+
+  // Reserve the next per-guild ticket number
+  const number = await nextTicketNumber(guild.id);
+
+  // Create the ticket channel
+  const ticketChannel = await createTicketChannel({ guild, client, opener: user, type, number });
+
+  // Persist ticket; without a record the channel could never be closed, so it goes too
+  let ticket;
+  try {
+    ticket = await createTicket({
+      guildId: guild.id,
+      channelId: ticketChannel.id,
+      openerId: user.id,
+      type: type.key,
+      number,
+    });
+  } catch (err) {
+    await ticketChannel.delete('Ticket could not be saved').catch(deleteErr =>
+      logger.warn('TICKET_CHANNEL_CLEANUP_FAILED', { guildId: guild.id, channelId: ticketChannel.id, error: deleteErr.message })
+    );
+    throw err;
+  }
+
+  // Intake answers go first so staff see them before anything else
+  const embeds = [];
+  if (answers.length) {
+    embeds.push(
+      new EmbedBuilder()
+        .setTitle(`📝 ${type.label}`)
+        .setAuthor({ name: user.tag, iconURL: user.displayAvatarURL() })
+        .addFields(answers.map(a => ({ name: a.question, value: (a.answer || t('tickets.noAnswer')).slice(0, 1024) })))
+        .setColor('#5865F2')
+    );
+  }
+
+  embeds.push(
+    new EmbedBuilder()
+      .setTitle(t('tickets.welcome.title', { number: ticket.number }))
+      .setDescription(t('tickets.welcome.description', { user: `<@${user.id}>` }))
+      .addFields({ name: t('tickets.welcome.type'), value: type.label, inline: true })
+      .setColor('#5865F2')
+      .setTimestamp()
+  );
+
+  // Send ping (opener and staff) and ticket embeds with buttons
+  const staffMentions = type.staffRoleIds.map(id => `<@&${id}>`).join(' ');
+  await ticketChannel.send({
+    content: `<@${user.id}> ${staffMentions}`.trim(),
+    allowedMentions: { users: [user.id], roles: type.staffRoleIds },
+  });
+  await ticketChannel.send({ embeds, components: [buildTicketControls(ticketChannel.id, t)] });
+
+  return { ticket, channel: ticketChannel };
+}
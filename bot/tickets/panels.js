@@ -0,0 +1,149 @@
+// /bot/tickets/panels.js
+import crypto from 'node:crypto';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, StringSelectMenuBuilder } from 'discord.js';
+import Panel from '../../models/Panel.js';
+import TicketConfig from '../../models/TicketConfig.js';
+import { getTicketTypes } from './types.js';
+import { customId } from '../interactions/customId.js';
+import { forGuild } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_PANEL_BUTTONS = 25;
+
+const BUTTON_STYLES = {
+  PRIMARY: ButtonStyle.Primary,
+  SECONDARY: ButtonStyle.Secondary,
+  SUCCESS: ButtonStyle.Success,
+  DANGER: ButtonStyle.Danger,
+};
+
+// `index` is the button's position, or "menu" for the select menu
+export const panelCustomId = (panelId, index) => customId('ticket.panel', panelId, index);
+
+export function renderPanel(panel, t = forGuild(panel.guildId)) {
+  const embed = new EmbedBuilder()
+    .setTitle(panel.title || 'Support')
+    .setColor(panel.color || '#2f3136')
+    .setTimestamp();
+  if (panel.description) embed.setDescription(panel.description);
+
+  if (!panel.buttons.length) return { embeds: [embed], components: [] };
+
+  if (panel.style === 'select') {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(panelCustomId(panel.panelId, 'menu'))
+      .setPlaceholder(t('tickets.panel.placeholder'))
+      .addOptions(
+        panel.buttons.map((b, i) => {
+          const option = { label: b.label, value: String(i) };
+          if (b.emoji) option.emoji = b.emoji;
+          return option;
+        })
+      );
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(menu)] };
+  }
+
+  const rows = [];
+  panel.buttons.forEach((b, i) => {
+    if (i % 5 === 0) rows.push(new ActionRowBuilder());
+    const button = new ButtonBuilder()
+      .setCustomId(panelCustomId(panel.panelId, i))
+      .setLabel(b.label)
+      .setStyle(BUTTON_STYLES[b.style] ?? ButtonStyle.Primary);
+    if (b.emoji) button.setEmoji(b.emoji);
+    rows[rows.length - 1].addComponents(button);
+  });
+  return { embeds: [embed], components: rows };
+}
+
+/**
+ * Normalises dashboard input into panel buttons. Unknown ticket types fall
+ * back to the guild's first type.
+ */
+export async function normalizePanelButtons(guildId, buttons) {
+  const config = await TicketConfig.findOne({ guildId });
+  const types = getTicketTypes(config);
+  const keys = new Set(types.map(t => t.key));
+
+  return (Array.isArray(buttons) ? buttons : []).slice(0, MAX_PANEL_BUTTONS).map((b, i) => {
+    const style = String(b?.style || 'PRIMARY').toUpperCase();
+    return {
+      label: String(b?.label || `Open ${i + 1}`).slice(0, 80),
+      style: BUTTON_STYLES[style] ? style : 'PRIMARY',
+      emoji: b?.emoji ? String(b.emoji).slice(0, 64) : null,
+      typeKey: keys.has(b?.type) ? b.type : types[0].key,
+    };
+  });
+}
+
+/**
+ * Creates a panel, or applies changes to an existing one in the same guild
+ * (unsaved until published). Returns null when `panelId` is not in the guild.
+ */
+export async function upsertPanel({ panelId, guildId, channelId, userId, title, description, color, style, buttons }) {
+  const fields = {
+    channelId,
+    title: String(title || 'Support').slice(0, 256),
+    description: String(description || '').slice(0, 4000),
+    color: /^#[0-9a-f]{6}$/i.test(color || '') ? color : '#2f3136',
+    style: style === 'select' ? 'select' : 'buttons',
+    buttons: await normalizePanelButtons(guildId, buttons),
+  };
+
+  if (panelId) {
+    const panel = await Panel.findOne({ panelId, guildId });
+    if (!panel) return null;
+    const previousChannelId = panel.channelId;
+    Object.assign(panel, fields, { updatedBy: userId });
+    return { panel, previousChannelId };
+  }
+
+  const panel = new Panel({ ...fields, panelId: crypto.randomBytes(6).toString('hex'), guildId, createdBy: userId });
+  return { panel, previousChannelId: channelId };
+}
+
+/**
+ * Renders the panel into Discord: edits the existing message in place when it
+ * is still in the same channel, otherwise posts a new one. Saves the panel.
+ */
+export async function publishPanel(client, { panel, previousChannelId }) {
+  const payload = renderPanel(panel);
+  const channel = await client.channels.fetch(panel.channelId);
+
+  let message = null;
+  if (panel.messageId) {
+    const oldChannel = previousChannelId === panel.channelId
+      ? channel
+      : await client.channels.fetch(previousChannelId).catch(() => null);
+    const existing = await oldChannel?.messages.fetch(panel.messageId).catch(() => null);
+
+    if (existing && oldChannel.id === channel.id) {
+      message = await existing.edit(payload);
+    } else if (existing) {
+      await existing.delete().catch(() => {});
+    }
+  }
+
+  if (!message) message = await channel.send(payload);
+
+  panel.messageId = message.id;
+  await panel.save();
+  logger.info('TICKET_PANEL_PUBLISHED', { guildId: panel.guildId, panelId: panel.panelId, messageId: message.id });
+  return message;
+}
+
+/**
+ * Maps a panel button click (or menu choice) back to the ticket type it
+ * opens. Returns null for unknown or removed panels.
+ */
+export async function resolvePanelTypeKey(interaction, { panelId, index: position }) {
+  const panel = await Panel.findOne({ panelId, guildId: interaction.guild.id }).lean();
+  if (!panel) return null;
+
+  const index = position === 'menu' ? Number(interaction.values?.[0]) : Number(position);
+  return panel.buttons[index]?.typeKey ?? null;
+}
+
+export async function listPanels(guildId) {
+  return Panel.find({ guildId }).sort({ createdAt: -1 }).lean();
+}
@@ -0,0 +1,266 @@
+// /bot/tickets/service.js
+import { PermissionFlagsBits, RESTJSONErrorCodes } from 'discord.js';
+import Ticket from '../../models/Ticket.js';
+import Counter from '../../models/Counter.js';
+import TicketConfig from '../../models/TicketConfig.js';
+import { resolveTicketType } from './types.js';
+import { logger } from '../utils/logger.js';
+import { forGuild } from '../i18n/index.js';
+
+// Allowed lifecycle moves: from → [to]
+const TRANSITIONS = {
+  open: ['claimed', 'pending-user', 'closed'],
+  claimed: ['claimed', 'pending-user', 'closed'],
+  'pending-user': ['open', 'claimed', 'closed'],
+  reopened: ['claimed', 'pending-user', 'closed'],
+  closed: ['reopened'],
+};
+
+// Channel IDs of tickets that are not closed, so per-message hooks can skip the DB
+const activeChannels = new Set();
+
+export const isTicketChannel = (channelId) => activeChannels.has(channelId);
+
+export const canTransition = (from, to) => Boolean(TRANSITIONS[from]?.includes(to));
+
+export async function nextTicketNumber(guildId) {
+  return Counter.next(`ticket:${guildId}`);
+}
+
+export async function createTicket({ guildId, channelId, openerId, type, number }) {
+  const ticket = await Ticket.create({
+    guildId,
+    channelId,
+    openerId,
+    type,
+    number: number ?? (await nextTicketNumber(guildId)),
+    status: 'open',
+    history: [{ status: 'open', by: openerId }],
+  });
+  activeChannels.add(channelId);
+  return ticket;
+}
+
+export async function getTicket(channelId) {
+  return Ticket.findOne({ channelId });
+}
+
+export async function getTicketByNumber(guildId, number) {
+  return Ticket.findOne({ guildId, number });
+}
+
+// Adds a history entry without changing status, e.g. a participant change
+export async function recordTicketNote(ticket, actorId, note) {
+  ticket.history.push({ status: ticket.status, by: actorId, note });
+  await ticket.save();
+  return ticket;
+}
+
+// Points a closed ticket at its replacement channel and reopens it
+export async function reopenTicket(ticket, channelId, actorId) {
+  if (!canTransition(ticket.status, 'reopened')) return null;
+  ticket.channelId = channelId;
+  return transitionTicket(ticket, 'reopened', actorId);
+}
+
+/**
+ * Checks the guild's per-user, cooldown and guild-wide limits before a ticket
+ * is opened. Returns null when allowed, otherwise a message for the user,
+ * written with `t` (the server's language by default).
+ */
+export async function checkTicketLimits(guildId, userId, config, t = forGuild(guildId)) {
+  const limits = config?.limits ?? {};
+  const maxOpenPerUser = limits.maxOpenPerUser ?? 1;
+  const cooldownSeconds = limits.cooldownSeconds ?? 60;
+  const maxOpenPerGuild = limits.maxOpenPerGuild ?? 50;
+
+  const open = await Ticket.find({ guildId, openerId: userId, status: { $ne: 'closed' } })
+    .select('channelId')
+    .sort({ createdAt: -1 });
+  if (open.length >= maxOpenPerUser) {
+    const links = open.slice(0, 5).map(ticket => `<#${ticket.channelId}>`).join(', ');
+    return maxOpenPerUser === 1
+      ? t('tickets.limits.alreadyOpen', { links })
+      : t('tickets.limits.tooMany', { count: open.length, limit: maxOpenPerUser, links });
+  }
+
+  if (cooldownSeconds > 0) {
+    const last = await Ticket.findOne({ guildId, openerId: userId }).sort({ createdAt: -1 }).select('createdAt');
+    const readyAt = last ? last.createdAt.getTime() + cooldownSeconds * 1000 : 0;
+    if (readyAt > Date.now()) {
+      return t('tickets.limits.cooldown', { time: `<t:${Math.ceil(readyAt / 1000)}:T>` });
+    }
+  }
+
+  const guildOpen = await Ticket.countDocuments({ guildId, status: { $ne: 'closed' } });
+  if (guildOpen >= maxOpenPerGuild) {
+    return t('tickets.limits.guildFull');
+  }
+
+  return null;
+}
+
+/**
+ * Staff on a ticket: anyone who can manage the channel (or the guild's
+ * channels, when the ticket has no channel), or who holds one of the staff
+ * roles configured for the ticket's type.
+ */
+export async function isTicketStaff(member, channel, ticket) {
+  const permissions = channel ? member.permissionsIn(channel) : member.permissions;
+  if (permissions.has(PermissionFlagsBits.ManageChannels)) return true;
+  const config = await TicketConfig.findOne({ guildId: ticket.guildId });
+  const type = resolveTicketType(config, ticket.type);
+  return type.staffRoleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+/**
+ * Moves a ticket to a new status and records who did it.
+ * Returns null when the move is not allowed from the current status.
+ */
+export async function transitionTicket(ticket, to, actorId, note = null) {
+  if (!canTransition(ticket.status, to)) return null;
+
+  const now = new Date();
+  ticket.status = to;
+  ticket.lastActivityAt = now;
+  ticket.history.push({ status: to, by: actorId, at: now, note });
+
+  if (to === 'claimed') {
+    ticket.claimedBy = actorId;
+    ticket.claimedAt = now;
+  } else if (to === 'pending-user') {
+    ticket.lastStaffActivityAt = now;
+  } else if (to === 'closed') {
+    ticket.closedBy = actorId;
+    ticket.closedAt = now;
+    ticket.closeReason = note;
+    ticket.metrics.timeToCloseMs = now - ticket.createdAt;
+  } else if (to === 'reopened') {
+    ticket.reopenedAt = now;
+    ticket.lastOpenerActivityAt = now;
+    ticket.sla.inactivityWarnedAt = null;
+    ticket.claimedBy = null;
+    ticket.claimedAt = null;
+    ticket.closedBy = null;
+    ticket.closedAt = null;
+    ticket.closeReason = null;
+    ticket.feedback = {};
+  }
+
+  await ticket.save();
+
+  if (to === 'closed') activeChannels.delete(ticket.channelId);
+  else activeChannels.add(ticket.channelId);
+
+  return ticket;
+}
+
+/**
+ * Records activity in a ticket channel: who spoke last, the first staff
+ * response, and a reply from the opener handing a waiting ticket back to staff.
+ */
+export async function recordTicketActivity(message) {
+  const ticket = await getTicket(message.channel.id);
+  if (!ticket || ticket.status === 'closed') return null;
+
+  const now = new Date();
+  const fromOpener = message.author.id === ticket.openerId;
+  ticket.lastActivityAt = now;
+  ticket.sla.inactivityWarnedAt = null; // Any reply starts a new waiting period
+
+  if (fromOpener) {
+    ticket.lastOpenerActivityAt = now;
+  } else {
+    ticket.lastStaffActivityAt = now;
+    if (!ticket.firstResponseAt) {
+      ticket.firstResponseAt = now;
+      ticket.firstResponseBy = message.author.id;
+      ticket.metrics.timeToFirstResponseMs = now - ticket.createdAt;
+    }
+  }
+
+  if (ticket.status === 'pending-user' && fromOpener) {
+    return transitionTicket(ticket, ticket.claimedBy ? 'claimed' : 'open', message.author.id, 'opener replied');
+  }
+
+  await ticket.save();
+  return ticket;
+}
+
+// When the ticket started waiting on the opener, or null if the ball is with staff
+export const awaitingOpenerSince = (ticket) =>
+  ticket.lastStaffActivityAt && ticket.lastStaffActivityAt > ticket.lastOpenerActivityAt
+    ? ticket.lastStaffActivityAt
+    : null;
+
+// Edits kept per ticket; older entries are dropped first
+const MAX_EDITS = 500;
+
+export async function recordTicketEdit(oldMessage, newMessage) {
+  if (oldMessage.content === newMessage.content) return;
+  await Ticket.updateOne(
+    { channelId: newMessage.channel.id },
+    {
+      $push: {
+        edits: {
+          $each: [{
+            messageId: newMessage.id,
+            authorId: newMessage.author?.id ?? null,
+            before: oldMessage.content ?? null,
+            after: newMessage.content ?? null,
+            at: newMessage.editedAt ?? new Date(),
+          }],
+          $slice: -MAX_EDITS,
+        },
+      },
+    }
+  );
+}
+
+/**
+ * Compares stored tickets with the channels that still exist. Tickets whose
+ * channel Discord reports as deleted are closed; the rest are loaded into the
+ * active set. A channel that cannot be checked right now (an outage, missing
+ * access) is assumed to still exist, so its ticket stays open.
+ */
+export async function reconcileTickets(client) {
+  const tickets = await Ticket.find({ status: { $ne: 'closed' } });
+  let active = 0;
+  let orphaned = 0;
+  let skipped = 0;
+
+  for (const ticket of tickets) {
+    const guild = client.guilds.cache.get(ticket.guildId);
+    if (!guild) continue; // Bot left or guild unavailable — leave the record alone
+
+    let channel = guild.channels.cache.get(ticket.channelId);
+    if (!channel) {
+      try {
+        channel = await guild.channels.fetch(ticket.channelId);
+      } catch (err) {
+        if (err.code !== RESTJSONErrorCodes.UnknownChannel) {
+          logger.warn('TICKET_RECONCILE_FETCH_FAILED', {
+            guildId: ticket.guildId,
+            channelId: ticket.channelId,
+            error: err.message,
+          });
+          activeChannels.add(ticket.channelId);
+          skipped++;
+          continue;
+        }
+        channel = null;
+      }
+    }
+
+    if (channel) {
+      activeChannels.add(ticket.channelId);
+      active++;
+    } else {
+      await transitionTicket(ticket, 'closed', client.user.id, 'channel missing');
+      orphaned++;
+    }
+  }
+
+  logger.info('TICKETS_RECONCILED', { active, orphaned, skipped });
+  return { active, orphaned, skipped };
+}
@@ -0,0 +1,139 @@
+// /bot/tickets/sla.js
+import { EmbedBuilder } from 'discord.js';
+import Ticket from '../../models/Ticket.js';
+import TicketConfig from '../../models/TicketConfig.js';
+import { awaitingOpenerSince, transitionTicket } from './service.js';
+import { archiveTranscript } from './transcript.js';
+import { requestFeedback } from './feedback.js';
+import { logger } from '../utils/logger.js';
+import { forGuild } from '../i18n/index.js';
+
+const SWEEP_INTERVAL_MS = 60_000;
+const MINUTE = 60_000;
+const HOUR = 60 * MINUTE;
+
+const rolePing = (roleId) => (roleId ? { content: `<@&${roleId}>`, allowedMentions: { roles: [roleId] } } : {});
+
+async function escalateFirstResponse(channel, ticket, step) {
+  const t = forGuild(ticket.guildId);
+  await channel.send({
+    ...rolePing(step.roleId),
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(t('tickets.sla.firstResponseTitle'))
+        .setDescription(t('tickets.sla.firstResponse', { number: ticket.number, count: step.after }))
+        .setColor('#FFA500'),
+    ],
+  });
+  ticket.sla.firstResponseEscalatedAt = new Date();
+  await ticket.save();
+  logger.info('TICKET_SLA_FIRST_RESPONSE_BREACHED', { guildId: ticket.guildId, channelId: ticket.channelId });
+}
+
+async function warnInactivity(channel, ticket, step, autoClose) {
+  const t = forGuild(ticket.guildId);
+  const closeNote = autoClose?.after ? ` ${t('tickets.sla.autoCloseNote', { count: autoClose.after })}` : '';
+  const mentions = [`<@${ticket.openerId}>`, step.roleId ? `<@&${step.roleId}>` : null].filter(Boolean);
+  await channel.send({
+    content: mentions.join(' '),
+    allowedMentions: { users: [ticket.openerId], roles: step.roleId ? [step.roleId] : [] },
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(t('tickets.sla.inactivityTitle'))
+        .setDescription(`${t('tickets.sla.inactivity', { count: step.after })}${closeNote}`)
+        .setColor('#FFA500'),
+    ],
+  });
+  ticket.sla.inactivityWarnedAt = new Date();
+  await ticket.save();
+  logger.info('TICKET_SLA_INACTIVITY_WARNED', { guildId: ticket.guildId, channelId: ticket.channelId });
+}
+
+async function autoCloseTicket(channel, ticket, step, client) {
+  if (step.roleId) {
+    await channel.send({
+      content: `<@&${step.roleId}> ${forGuild(ticket.guildId)('tickets.sla.autoClosing', { number: ticket.number })}`,
+      allowedMentions: { roles: [step.roleId] },
+    }).catch(() => {});
+  }
+
+  await archiveTranscript(channel, ticket, client.user.id, client);
+  await transitionTicket(ticket, 'closed', client.user.id, 'inactivity');
+  await channel.delete('Ticket auto-closed for inactivity');
+  logger.info('TICKET_CLOSED', {
+    userId: client.user.id,
+    guildId: ticket.guildId,
+    channelId: ticket.channelId,
+    number: ticket.number,
+    reason: 'inactivity',
+  });
+  await requestFeedback(client, ticket);
+}
+
+async function applyPolicy(client, config) {
+  const guild = client.guilds.cache.get(config.guildId);
+  if (!guild) return;
+
+  const { firstResponse, inactivityWarning, autoClose } = config.sla;
+  const now = Date.now();
+  const tickets = await Ticket.find({ guildId: config.guildId, status: { $ne: 'closed' } });
+
+  for (const ticket of tickets) {
+    const channel = guild.channels.cache.get(ticket.channelId);
+    if (!channel) continue; // Reconciliation closes these
+
+    try {
+      if (
+        firstResponse?.after &&
+        !ticket.firstResponseAt &&
+        !ticket.sla.firstResponseEscalatedAt &&
+        now - ticket.createdAt >= firstResponse.after * MINUTE
+      ) {
+        await escalateFirstResponse(channel, ticket, firstResponse);
+      }
+
+      const waitingSince = awaitingOpenerSince(ticket);
+      if (!waitingSince) continue;
+      const silentFor = now - waitingSince;
+
+      if (autoClose?.after && silentFor >= autoClose.after * HOUR) {
+        await autoCloseTicket(channel, ticket, autoClose, client);
+      } else if (
+        inactivityWarning?.after &&
+        !ticket.sla.inactivityWarnedAt &&
+        silentFor >= inactivityWarning.after * HOUR
+      ) {
+        await warnInactivity(channel, ticket, inactivityWarning, autoClose);
+      }
+    } catch (err) {
+      logger.warn('TICKET_SLA_ERROR', { guildId: ticket.guildId, channelId: ticket.channelId, error: err.message });
+    }
+  }
+}
+
+/**
+ * Periodically applies each guild's SLA policy. All deadlines are derived from
+ * timestamps stored on the ticket, so nothing is lost across restarts.
+ */
+export function startSlaScheduler(client) {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const configs = await TicketConfig.find({ 'sla.enabled': true });
+      for (const config of configs) {
+        await applyPolicy(client, config);
+      }
+    } catch (err) {
+      logger.error('TICKET_SLA_SWEEP_ERROR', { error: err.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const interval = setInterval(sweep, SWEEP_INTERVAL_MS);
+  client.on('close', () => clearInterval(interval));
+  return sweep;
+}
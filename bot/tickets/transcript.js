@@ -0,0 +1,266 @@
+// /bot/tickets/transcript.js
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
+import Transcript from '../../models/Transcript.js';
+import TicketConfig from '../../models/TicketConfig.js';
+import { forGuild } from '../i18n/index.js';
+import { logger } from '../utils/logger.js';
+
+// Hard stop so a runaway channel can't hold the close forever
+const MAX_MESSAGES = 5000;
+// Stored copy stays well under MongoDB's 16 MB document limit
+const MAX_STORED_BYTES = 12 * 1024 * 1024;
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const toHexColor = (color) => (typeof color === 'number' ? `#${color.toString(16).padStart(6, '0')}` : '#4f545c');
+
+export async function fetchChannelHistory(channel, max = MAX_MESSAGES) {
+  const messages = [];
+  let before;
+
+  while (messages.length < max) {
+    const batch = await channel.messages.fetch({ limit: 100, before });
+    if (batch.size === 0) break;
+    messages.push(...batch.values());
+    before = batch.last().id;
+    if (batch.size < 100) break;
+  }
+
+  return messages.reverse(); // Oldest first
+}
+
+const serializeMessage = (message, edits) => ({
+  id: message.id,
+  author: {
+    id: message.author?.id ?? null,
+    tag: message.author?.tag ?? 'Unknown User',
+    bot: Boolean(message.author?.bot),
+    avatar: message.author?.displayAvatarURL?.() ?? null,
+  },
+  content: message.content ?? '',
+  createdAt: message.createdAt?.toISOString() ?? null,
+  editedAt: message.editedAt?.toISOString() ?? null,
+  edits: edits.map(e => ({ before: e.before, after: e.after, at: new Date(e.at).toISOString() })),
+  attachments: [...message.attachments.values()].map(a => ({
+    name: a.name,
+    url: a.url,
+    contentType: a.contentType ?? null,
+    size: a.size,
+  })),
+  embeds: message.embeds.map(e => ({
+    title: e.title ?? null,
+    description: e.description ?? null,
+    url: e.url ?? null,
+    color: e.color ?? null,
+    fields: e.fields.map(f => ({ name: f.name, value: f.value })),
+    image: e.image?.url ?? null,
+    footer: e.footer?.text ?? null,
+  })),
+});
+
+const renderEmbed = (embed) => `
+      <div class="embed" style="border-color:${toHexColor(embed.color)}">
+        ${embed.title ? `<div class="embed-title">${escapeHtml(embed.title)}</div>` : ''}
+        ${embed.description ? `<div class="embed-desc">${escapeHtml(embed.description)}</div>` : ''}
+        ${embed.fields.map(f => `<div class="embed-field"><b>${escapeHtml(f.name)}</b><div>${escapeHtml(f.value)}</div></div>`).join('')}
+        ${embed.image ? `<img class="embed-image" src="${escapeHtml(embed.image)}" alt="">` : ''}
+        ${embed.footer ? `<div class="embed-footer">${escapeHtml(embed.footer)}</div>` : ''}
+      </div>`;
+
+const renderAttachment = (a) =>
+  a.contentType?.startsWith('image/')
+    ? `<a href="${escapeHtml(a.url)}"><img class="attachment-image" src="${escapeHtml(a.url)}" alt="${escapeHtml(a.name)}"></a>`
+    : `<div class="attachment"><a href="${escapeHtml(a.url)}">📎 ${escapeHtml(a.name)}</a> (${Math.ceil(a.size / 1024)} KB)</div>`;
+
+const renderMessage = (m) => `
+    <div class="message">
+      <img class="avatar" src="${escapeHtml(m.author.avatar ?? '')}" alt="">
+      <div class="body">
+        <div class="meta">
+          <span class="author">${escapeHtml(m.author.tag)}</span>${m.author.bot ? '<span class="bot">BOT</span>' : ''}
+          <span class="time">${escapeHtml(m.createdAt)}</span>${m.editedAt ? `<span class="edited" title="${escapeHtml(m.editedAt)}">(edited)</span>` : ''}
+        </div>
+        ${m.content ? `<div class="content">${escapeHtml(m.content)}</div>` : ''}
+        ${m.edits.map(e => `<div class="edit">✏️ ${escapeHtml(e.at)} — was: ${escapeHtml(e.before ?? '*unknown*')}</div>`).join('')}
+        ${m.embeds.map(renderEmbed).join('')}
+        ${m.attachments.map(renderAttachment).join('')}
+      </div>
+    </div>`;
+
+export function renderTranscriptHtml(data) {
+  const { guild, ticket, channel, messages, generatedAt } = data;
+  const omitted = data.omittedMessages ? ` · ${data.omittedMessages} later messages not stored` : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Ticket #${ticket.number} — ${escapeHtml(guild.name)}</title>
+<style>
+  body { background:#313338; color:#dbdee1; font-family:system-ui,sans-serif; margin:0; padding:24px; }
+  header { border-bottom:1px solid #4e5058; margin-bottom:16px; padding-bottom:12px; }
+  header h1 { margin:0 0 4px; font-size:20px; color:#fff; }
+  header div { font-size:13px; color:#b5bac1; }
+  .message { display:flex; gap:12px; padding:6px 0; }
+  .avatar { width:40px; height:40px; border-radius:50%; flex-shrink:0; background:#1e1f22; }
+  .body { min-width:0; }
+  .author { font-weight:600; color:#fff; }
+  .bot { background:#5865f2; color:#fff; font-size:10px; border-radius:3px; padding:1px 4px; margin-left:4px; }
+  .time, .edited { color:#949ba4; font-size:12px; margin-left:6px; }
+  .content { white-space:pre-wrap; word-wrap:break-word; }
+  .edit { color:#949ba4; font-size:12px; white-space:pre-wrap; }
+  .embed { border-left:4px solid; background:#2b2d31; border-radius:4px; padding:8px 12px; margin-top:4px; max-width:520px; }
+  .embed-title { font-weight:600; color:#fff; }
+  .embed-desc, .embed-field div { white-space:pre-wrap; }
+  .embed-field { margin-top:6px; }
+  .embed-footer { color:#949ba4; font-size:12px; margin-top:6px; }
+  .embed-image, .attachment-image { max-width:400px; border-radius:4px; margin-top:4px; display:block; }
+  .attachment a { color:#00a8fc; }
+</style>
+</head>
+<body>
+<header>
+  <h1>Ticket #${ticket.number} — #${escapeHtml(channel.name)}</h1>
+  <div>${escapeHtml(guild.name)} · opened by ${escapeHtml(ticket.openerId)} · closed by ${escapeHtml(ticket.closedBy ?? 'unknown')}</div>
+  <div>${messages.length} messages${omitted} · generated ${escapeHtml(generatedAt)}</div>
+</header>
+${messages.map(renderMessage).join('')}
+</body>
+</html>`;
+}
+
+/**
+ * Pages through a ticket channel and renders the HTML and JSON transcripts.
+ * Nothing is sent or stored here.
+ */
+export async function buildTranscript(channel, ticket, closedBy) {
+  const history = await fetchChannelHistory(channel);
+
+  const editsByMessage = new Map();
+  for (const edit of ticket.edits ?? []) {
+    if (!editsByMessage.has(edit.messageId)) editsByMessage.set(edit.messageId, []);
+    editsByMessage.get(edit.messageId).push(edit);
+  }
+
+  const data = {
+    guild: { id: channel.guild.id, name: channel.guild.name },
+    channel: { id: channel.id, name: channel.name },
+    ticket: {
+      id: String(ticket._id),
+      number: ticket.number,
+      openerId: ticket.openerId,
+      claimedBy: ticket.claimedBy,
+      closedBy,
+      openedAt: ticket.createdAt?.toISOString() ?? null,
+    },
+    generatedAt: new Date().toISOString(),
+    messages: history.map(m => serializeMessage(m, editsByMessage.get(m.id) ?? [])),
+  };
+
+  return { data, html: renderTranscriptHtml(data), json: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * The transcript as stored: the earliest messages that fit in MAX_STORED_BYTES,
+ * with `omittedMessages` counting the rest. The files sent on close stay complete.
+ */
+export function fitForStorage(data) {
+  let bytes = Buffer.byteLength(JSON.stringify({ ...data, messages: [] }));
+  let kept = 0;
+  for (const message of data.messages) {
+    bytes += Buffer.byteLength(JSON.stringify(message)) + 1;
+    if (bytes > MAX_STORED_BYTES) break;
+    kept++;
+  }
+  if (kept === data.messages.length) return data;
+  return { ...data, messages: data.messages.slice(0, kept), omittedMessages: data.messages.length - kept };
+}
+
+/**
+ * Builds, stores and delivers the transcript for a ticket that is about to close.
+ * Delivery failures are logged; storage failures throw so the close can be aborted.
+ */
+export async function archiveTranscript(channel, ticket, closedBy, client) {
+  const { data, html, json } = await buildTranscript(channel, ticket, closedBy);
+  const stored = fitForStorage(data);
+  if (stored !== data) {
+    logger.warn('TRANSCRIPT_TRUNCATED', {
+      guildId: channel.guild.id,
+      ticketNumber: ticket.number,
+      omitted: stored.omittedMessages,
+    });
+  }
+
+  // The HTML view is rendered from `data` when opened, so only the data is kept
+  const transcript = await Transcript.create({
+    guildId: channel.guild.id,
+    ticketId: ticket._id,
+    ticketNumber: ticket.number,
+    channelId: channel.id,
+    channelName: channel.name,
+    openerId: ticket.openerId,
+    closedBy,
+    messageCount: data.messages.length,
+    data: stored,
+  });
+
+  const baseName = `ticket-${String(ticket.number).padStart(4, '0')}`;
+  const files = () => [
+    new AttachmentBuilder(Buffer.from(html, 'utf8'), { name: `${baseName}.html` }),
+    new AttachmentBuilder(Buffer.from(json, 'utf8'), { name: `${baseName}.json` }),
+  ];
+
+  const t = forGuild(channel.guild);
+  const viewUrl = process.env.BASE_URL ? `${process.env.BASE_URL}/transcripts/${transcript.id}` : null;
+  const embed = new EmbedBuilder()
+    .setTitle(t('tickets.transcript.title', { number: ticket.number }))
+    .addFields(
+      { name: t('tickets.transcript.openedBy'), value: `<@${ticket.openerId}>`, inline: true },
+      { name: t('tickets.transcript.closedBy'), value: closedBy ? `<@${closedBy}>` : t('tickets.transcript.unknown'), inline: true },
+      { name: t('tickets.transcript.messages'), value: String(data.messages.length), inline: true }
+    )
+    .setColor('#5865F2')
+    .setTimestamp();
+  if (viewUrl) embed.setURL(viewUrl);
+
+  const config = await TicketConfig.findOne({ guildId: channel.guild.id });
+
+  if (config?.transcriptChannelId) {
+    try {
+      const archive = await client.channels.fetch(config.transcriptChannelId);
+      await archive.send({ embeds: [embed], files: files() });
+    } catch (err) {
+      logger.warn('TRANSCRIPT_ARCHIVE_FAILED', {
+        guildId: channel.guild.id,
+        channelId: config.transcriptChannelId,
+        error: err.message,
+      });
+    }
+  }
+
+  if (config?.dmTranscript ?? true) {
+    try {
+      const opener = await client.users.fetch(ticket.openerId);
+      await opener.send({
+        content: t('tickets.transcript.dm', { number: ticket.number, guild: channel.guild.name }),
+        files: files(),
+      });
+    } catch (err) {
+      logger.warn('TRANSCRIPT_DM_FAILED', { guildId: channel.guild.id, userId: ticket.openerId, error: err.message });
+    }
+  }
+
+  logger.info('TRANSCRIPT_SAVED', {
+    guildId: channel.guild.id,
+    ticketNumber: ticket.number,
+    transcriptId: transcript.id,
+    messages: data.messages.length,
+  });
+
+  return transcript;
+}
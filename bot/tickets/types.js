@@ -0,0 +1,111 @@
+// /bot/tickets/types.js
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from 'discord.js';
+import { customId } from '../interactions/customId.js';
+
+// Used when a guild has not configured any ticket types
+export const DEFAULT_TICKET_TYPE = {
+  key: 'general',
+  label: 'Create Ticket',
+  emoji: null,
+  description: null,
+  buttonStyle: 'PRIMARY',
+  categoryId: null,
+  staffRoleIds: [],
+  namingPattern: 'ticket-{number}-{user}',
+  questions: [],
+};
+
+const BUTTON_STYLES = {
+  PRIMARY: ButtonStyle.Primary,
+  SECONDARY: ButtonStyle.Secondary,
+  SUCCESS: ButtonStyle.Success,
+  DANGER: ButtonStyle.Danger,
+};
+
+export const getTicketTypes = (config) => (config?.types?.length ? config.types : [DEFAULT_TICKET_TYPE]);
+
+export const resolveTicketType = (config, key) =>
+  getTicketTypes(config).find(t => t.key === key) ?? getTicketTypes(config)[0];
+
+// Custom IDs: buttons carry the type key, the select menu carries it as the chosen value
+export const typeButtonId = (key) => customId('ticket.create', key);
+export const typeMenuId = () => customId('ticket.menu');
+export const intakeModalId = (key) => customId('ticket.form', key);
+
+export function formatChannelName(pattern, { number, username, typeKey }) {
+  const name = (pattern || DEFAULT_TICKET_TYPE.namingPattern)
+    .replace(/\{number\}/g, String(number).padStart(4, '0'))
+    .replace(/\{user\}/g, username)
+    .replace(/\{type\}/g, typeKey)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '');
+  return name.slice(0, 100) || `ticket-${number}`;
+}
+
+/**
+ * Builds panel components for the given ticket types, either as rows of
+ * buttons (max 25) or a single select menu. `t` translates the menu placeholder.
+ */
+export function buildPanelComponents(types, style = 'buttons', t) {
+  if (style === 'select') {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(typeMenuId())
+      .setPlaceholder(t('tickets.panel.placeholder'))
+      .addOptions(
+        types.slice(0, 25).map(type => {
+          const option = { label: type.label.slice(0, 100), value: type.key };
+          if (type.description) option.description = type.description.slice(0, 100);
+          if (type.emoji) option.emoji = type.emoji;
+          return option;
+        })
+      );
+    return [new ActionRowBuilder().addComponents(menu)];
+  }
+
+  const rows = [];
+  for (const [i, t] of types.slice(0, 25).entries()) {
+    if (i % 5 === 0) rows.push(new ActionRowBuilder());
+    const button = new ButtonBuilder()
+      .setCustomId(typeButtonId(t.key))
+      .setLabel(t.label.slice(0, 80))
+      .setStyle(BUTTON_STYLES[t.buttonStyle] ?? ButtonStyle.Primary);
+    if (t.emoji) button.setEmoji(t.emoji);
+    rows[rows.length - 1].addComponents(button);
+  }
+  return rows;
+}
+
+export function buildIntakeModal(type) {
+  const modal = new ModalBuilder()
+    .setCustomId(intakeModalId(type.key))
+    .setTitle(type.label.slice(0, 45));
+
+  type.questions.slice(0, 5).forEach((q, i) => {
+    const input = new TextInputBuilder()
+      .setCustomId(`q${i}`)
+      .setLabel(q.label.slice(0, 45))
+      .setStyle(q.style === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setRequired(q.required !== false);
+    if (q.placeholder) input.setPlaceholder(q.placeholder);
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+  });
+
+  return modal;
+}
+
+// Pairs modal answers with their question labels
+export const readIntakeAnswers = (interaction, type) =>
+  type.questions.slice(0, 5).map((q, i) => ({
+    question: q.label,
+    answer: interaction.fields.getTextInputValue(`q${i}`) || '',
+  }));
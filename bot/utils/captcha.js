@@ -0,0 +1,46 @@
+// /bot/utils/captcha.js
+// Server-side check of the captcha solved on /verify. CAPTCHA_PROVIDER picks
+// the service (hCaptcha by default); CAPTCHA_SITE_KEY goes to the page and
+// CAPTCHA_SECRET stays here.
+import fetch from 'node-fetch';
+
+const VERIFY_URLS = {
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+};
+const VERIFY_TIMEOUT_MS = 10_000;
+
+const provider = () => (VERIFY_URLS[process.env.CAPTCHA_PROVIDER] ? process.env.CAPTCHA_PROVIDER : 'hcaptcha');
+
+export const isCaptchaConfigured = () => Boolean(process.env.CAPTCHA_SITE_KEY && process.env.CAPTCHA_SECRET);
+
+// What the page needs to render the widget; null when the captcha is not configured
+export function captchaSiteConfig() {
+  if (!isCaptchaConfigured()) return null;
+  return { provider: provider(), siteKey: process.env.CAPTCHA_SITE_KEY };
+}
+
+/**
+ * Asks the provider whether `response` (the token the widget produced) is a
+ * solved challenge. Resolves { success, errors }; only throws when the
+ * provider cannot be reached.
+ */
+export async function verifyCaptcha(response, remoteIp) {
+  if (!isCaptchaConfigured()) return { success: false, errors: ['not-configured'] };
+  if (typeof response !== 'string' || !response) return { success: false, errors: ['missing-input-response'] };
+
+  // All three providers take the same form-encoded request
+  const body = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET, response });
+  if (remoteIp) body.set('remoteip', remoteIp);
+
+  const res = await fetch(VERIFY_URLS[provider()], {
+    method: 'POST',
+    body,
+    signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Captcha provider responded ${res.status}`);
+
+  const result = await res.json();
+  return { success: result.success === true, errors: result['error-codes'] ?? [] };
+}
@@ -0,0 +1,105 @@
+// /bot/utils/setupTokens.js
+import crypto from 'node:crypto';
+import SetupToken from '../../models/SetupToken.js';
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000; // 15 min
+
+export class SetupTokenError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SetupTokenError';
+    this.status = status;
+  }
+}
+
+const secret = () => {
+  if (!process.env.ENCRYPTION_SECRET) throw new Error('ENCRYPTION_SECRET is not set');
+  return process.env.ENCRYPTION_SECRET;
+};
+
+const sign = (body) => crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+
+/**
+ * Parses a `<payload>.<signature>` token and checks the signature and expiry.
+ * Does not touch the database.
+ */
+function decodeToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) throw new SetupTokenError('Invalid token');
+
+  const [body, signature] = token.split('.');
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(signature ?? '');
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new SetupTokenError('Invalid token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    throw new SetupTokenError('Invalid token');
+  }
+  if (typeof payload.exp !== 'number' || Date.now() > payload.exp) throw new SetupTokenError('Token expired', 410);
+  return payload;
+}
+
+/**
+ * Issues a signed, single-use token bound to a user and guild. Any earlier
+ * unused token the user holds for the same guild and purpose is revoked.
+ */
+export async function issueSetupToken({ guildId, userId, purpose = 'ticket-panel', ttlMs = DEFAULT_TTL_MS }) {
+  await revokeSetupTokens({ guildId, userId, purpose });
+
+  const jti = crypto.randomBytes(16).toString('hex');
+  const exp = Date.now() + ttlMs;
+  await SetupToken.create({ jti, purpose, guildId, userId, expiresAt: new Date(exp) });
+
+  const body = Buffer.from(JSON.stringify({ jti, purpose, guildId, userId, exp })).toString('base64url');
+  return { token: `${body}.${sign(body)}`, jti, expiresAt: exp };
+}
+
+/**
+ * Validates a token without using it up. Returns the stored record.
+ */
+export async function verifySetupToken(token, purpose = 'ticket-panel') {
+  const payload = decodeToken(token);
+  if (payload.purpose !== purpose) throw new SetupTokenError('Invalid token');
+
+  const record = await SetupToken.findOne({ jti: payload.jti });
+  if (!record || record.guildId !== payload.guildId || record.userId !== payload.userId) {
+    throw new SetupTokenError('Invalid token');
+  }
+  if (record.revokedAt) throw new SetupTokenError('Token revoked', 410);
+  if (record.usedAt) throw new SetupTokenError('Token already used', 410);
+  return record;
+}
+
+/**
+ * Validates and marks a token used in one step, so two requests racing with
+ * the same token cannot both succeed.
+ */
+export async function consumeSetupToken(token, purpose = 'ticket-panel') {
+  const record = await verifySetupToken(token, purpose);
+  const claimed = await SetupToken.findOneAndUpdate(
+    { jti: record.jti, usedAt: null, revokedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) throw new SetupTokenError('Token already used', 410);
+  return claimed;
+}
+
+export async function revokeSetupTokens({ guildId, userId, purpose = 'ticket-panel' }) {
+  const filter = { guildId, purpose, usedAt: null, revokedAt: null };
+  if (userId) filter.userId = userId;
+  const result = await SetupToken.updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+/**
+ * Gives back a token claimed by consumeSetupToken when the work it guarded
+ * failed, so the same link can be tried again. Only undoes that claim.
+ */
+export async function releaseSetupToken(claimed) {
+  await SetupToken.updateOne({ jti: claimed.jti, usedAt: claimed.usedAt, revokedAt: null }, { $set: { usedAt: null } });
+}
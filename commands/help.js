@@ -3,6 +3,7 @@ import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 import fs from 'node:fs/promises';
+import { forInteraction, localizeCommand } from '../bot/i18n/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,11 +16,12 @@ export const data = new SlashCommandBuilder()
 
 export async function execute(interaction) {
   await interaction.deferReply({ ephemeral: true });
+  const t = forInteraction(interaction);
 
   const commandMap = new Map(); // category → [commands]
 
   // Recursively scan /commands and subdirs
-  const scanDirectory = async (dirPath, category = 'General') => {
+  const scanDirectory = async (dirPath, category = t('help.general')) => {
     try {
       const dirents = await fs.readdir(dirPath, { withFileTypes: true });
       for (const dirent of dirents) {
@@ -32,9 +34,11 @@ export async function execute(interaction) {
             const commandModule = await import(`file://${fullPath}`);
             if (commandModule.data?.name && commandModule.data?.description) {
               if (!commandMap.has(category)) commandMap.set(category, []);
+              // Localizations are applied at registration; apply them here too for the listing
+              const { name, description, description_localizations } = localizeCommand(commandModule.data);
               commandMap.get(category).push({
-                name: commandModule.data.name,
-                description: commandModule.data.description
+                name,
+                description: description_localizations?.[interaction.locale] ?? description
               });
             }
           } catch (err) {
@@ -51,20 +55,21 @@ export async function execute(interaction) {
 
   // Build embed
   const embed = new EmbedBuilder()
-    .setTitle('🛠️ Strive V2 — Command List')
+    .setTitle(t('help.title'))
     .setColor(0x00FF00)
-    .setFooter({ text: 'Use /help for this list' });
+    .setFooter({ text: t('help.footer') });
 
   for (const [category, cmds] of commandMap.entries()) {
     if (cmds.length === 0) continue;
     const fieldText = cmds
       .map(cmd => `\`/${cmd.name}\` — ${cmd.description}`)
       .join('\n');
-    embed.addFields({ name: `📁 ${category.charAt(0).toUpperCase() + category.slice(1)}`, value: fieldText, inline: false });
+    const label = category.charAt(0).toUpperCase() + category.slice(1);
+    embed.addFields({ name: t('help.category', { category: label }), value: fieldText, inline: false });
   }
 
   if (embed.data.fields?.length === 0) {
-    embed.setDescription('No commands found.');
+    embed.setDescription(t('help.empty'));
   }
 
   await interaction.editReply({ embeds: [embed] });
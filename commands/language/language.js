@@ -0,0 +1,65 @@
+import pkg from 'discord.js';
+const { SlashCommandBuilder, PermissionFlagsBits } = pkg;
+import {
+  forGuild,
+  forInteraction,
+  guildLanguage,
+  languageName,
+  setGuildLanguage,
+  SUPPORTED_LANGUAGES,
+} from '../../bot/i18n/index.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('language')
+  .setDescription("Set the server's default language for bot messages and logs")
+  .addSubcommand(sc =>
+    sc
+      .setName('set')
+      .setDescription('Change the default language')
+      .addStringOption(o =>
+        o
+          .setName('language')
+          .setDescription('Language to use')
+          .setRequired(true)
+          .addChoices(...SUPPORTED_LANGUAGES.map(lang => ({ name: languageName(lang), value: lang })))
+      )
+  )
+  .addSubcommand(sc => sc.setName('show').setDescription('Show the current default language'));
+
+export async function execute(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const { guild } = interaction;
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: forInteraction(interaction)('common.noPermission'), ephemeral: true });
+    return;
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    if (sub === 'show') {
+      const t = forInteraction(interaction);
+      await interaction.followUp({
+        content: t('language.current', { language: languageName(guildLanguage(guild.id)) }),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const language = interaction.options.getString('language');
+    await setGuildLanguage(guild.id, language);
+    // Confirmed in the new language so the admin sees what members will see
+    await interaction.followUp({
+      content: forGuild(guild)('language.updated', { language: languageName(language) }),
+      ephemeral: true,
+    });
+  } catch (error) {
+    console.error(`Language ${sub} error:`, error);
+    try {
+      await interaction.followUp({ content: forInteraction(interaction)('language.failed'), ephemeral: true });
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
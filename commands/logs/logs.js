@@ -0,0 +1,407 @@
+import pkg from 'discord.js';
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits, EmbedBuilder } = pkg;
+import { ensureLogScaffold } from '../../bot/logging.js';
+import { LOG_CATEGORIES, LOG_TYPES } from '../../bot/logging/types.js';
+import {
+  describeLogConfig,
+  getIgnoreLists,
+  getLogConfig,
+  getLogTypeSettings,
+  MAX_ARCHIVE_SIZE_MB,
+  MAX_IGNORED_PER_KIND,
+  MAX_RETENTION_DAYS,
+  resolveLogTargets,
+  updateLogConfig,
+} from '../../bot/logging/config.js';
+import { parseLogTime, searchLogEvents } from '../../bot/logging/store.js';
+import { forInteraction } from '../../bot/i18n/index.js';
+
+const SEARCH_PAGE_SIZE = 10;
+const MIME_PATTERN = /^[a-z]+\/(\*|[\w.+-]+)$/i;
+
+const IGNORE_KINDS = ['channels', 'categories', 'roles', 'users', 'webhooks'];
+const formatIgnored = (kind, id) =>
+  ({ channels: `<#${id}>`, categories: `<#${id}>`, roles: `<@&${id}>`, users: `<@${id}>` })[kind] ?? `\`${id}\``;
+
+const ignoreOptions = (sc) =>
+  sc
+    .addChannelOption(o =>
+      o
+        .setName('channel')
+        .setDescription('Channel or category (covers its threads and channels)')
+        .addChannelTypes(
+          ChannelType.GuildText,
+          ChannelType.GuildAnnouncement,
+          ChannelType.GuildVoice,
+          ChannelType.GuildStageVoice,
+          ChannelType.GuildForum,
+          ChannelType.GuildCategory
+        )
+    )
+    .addRoleOption(o => o.setName('role').setDescription('Members with this role'))
+    .addUserOption(o => o.setName('user').setDescription('User or bot'))
+    .addStringOption(o => o.setName('webhook').setDescription('Webhook ID'));
+
+const targetOption = (o, description = 'Log type, or a whole category such as MESSAGE') =>
+  o.setName('target').setDescription(description).setRequired(true).setAutocomplete(true);
+
+export const data = new SlashCommandBuilder()
+  .setName('logs')
+  .setDescription('Configure server logging (admin only)')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sc => sc.setName('status').setDescription('Show which log types are on and where they go'))
+  .addSubcommand(sc =>
+    sc
+      .setName('toggle')
+      .setDescription('Turn a log type or category on or off')
+      .addStringOption(o => targetOption(o))
+      .addBooleanOption(o => o.setName('enabled').setDescription('Log these events').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('route')
+      .setDescription('Send a log type or category to an existing channel')
+      .addStringOption(o => targetOption(o))
+      .addChannelOption(o =>
+        o
+          .setName('channel')
+          .setDescription('Channel that receives these logs')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          .setRequired(true)
+      )
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('rename')
+      .setDescription('Choose the channel name used for a log type')
+      .addStringOption(o => targetOption(o, 'Log type'))
+      .addStringOption(o => o.setName('name').setDescription('Channel name').setRequired(true).setMaxLength(100))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('reset')
+      .setDescription('Forget the channel and name set for a log type or category')
+      .addStringOption(o => targetOption(o))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('search')
+      .setDescription('Search stored log events')
+      .addStringOption(o => o.setName('type').setDescription('Log type or category').setAutocomplete(true))
+      .addUserOption(o => o.setName('user').setDescription('Who did it, or who it was done to'))
+      .addChannelOption(o => o.setName('channel').setDescription('Channel the event happened in'))
+      .addStringOption(o => o.setName('since').setDescription('e.g. 7d, 12h, or a date'))
+      .addStringOption(o => o.setName('until').setDescription('e.g. 1d, or a date'))
+      .addIntegerOption(o => o.setName('page').setDescription('Result page').setMinValue(1))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('retention')
+      .setDescription('Set how long searchable log events are kept')
+      .addIntegerOption(o =>
+        o.setName('days').setDescription('Days to keep events').setRequired(true).setMinValue(1).setMaxValue(MAX_RETENTION_DAYS)
+      )
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('attachments')
+      .setDescription('Keep copies of attachments so deletion logs can re-post them')
+      .addBooleanOption(o => o.setName('enabled').setDescription('Archive attachments').setRequired(true))
+      .addIntegerOption(o =>
+        o.setName('max-mb').setDescription('Largest file to keep, in MB').setMinValue(1).setMaxValue(MAX_ARCHIVE_SIZE_MB)
+      )
+      .addStringOption(o =>
+        o.setName('types').setDescription('Comma-separated MIME types, e.g. image/*, application/pdf')
+      )
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName('ignore')
+      .setDescription('Keep activity from some channels, roles, users or webhooks out of the logs')
+      .addSubcommand(sc => ignoreOptions(sc.setName('add').setDescription('Stop logging activity from these')))
+      .addSubcommand(sc => ignoreOptions(sc.setName('remove').setDescription('Log activity from these again')))
+      .addSubcommand(sc => sc.setName('list').setDescription('Show what is ignored'))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('scaffold')
+      .setDescription('Turn automatic creation of log categories and channels on or off')
+      .addBooleanOption(o => o.setName('enabled').setDescription('Create missing log channels').setRequired(true))
+  );
+
+// Suggests categories first, then matching type keys
+export async function autocomplete(interaction) {
+  const query = interaction.options.getFocused().toLowerCase();
+  const onlyTypes = interaction.options.getSubcommand() === 'rename';
+  const t = forInteraction(interaction);
+
+  const categories = onlyTypes
+    ? []
+    : Object.keys(LOG_CATEGORIES).map(key => ({ name: t('logs.settings.wholeCategory', { key }), value: key }));
+  const types = Object.entries(LOG_TYPES).map(([key, type]) => ({ name: `${key} — ${type.topic}`, value: key }));
+
+  await interaction.respond(
+    [...categories, ...types].filter(c => c.name.toLowerCase().includes(query)).slice(0, 25)
+  );
+}
+
+function buildStatusEmbed(guild, config, t) {
+  const { autoScaffold, retentionDays, attachmentArchive, types } = describeLogConfig(config);
+  const onOff = (value) => t(value ? 'logs.settings.on' : 'logs.settings.off');
+  const embed = new EmbedBuilder()
+    .setTitle(t('logs.settings.statusTitle'))
+    .setDescription(
+      [
+        t('logs.settings.statusScaffold', { value: onOff(autoScaffold) }),
+        t('logs.settings.statusRetention', { count: retentionDays }),
+        t('logs.settings.statusArchive', {
+          value: attachmentArchive.enabled
+            ? t('logs.settings.archiveUpTo', { size: attachmentArchive.maxSizeMb })
+            : onOff(false),
+        }),
+      ].join(' · ')
+    )
+    .setColor('#5865F2')
+    .setTimestamp();
+
+  for (const [key, category] of Object.entries(LOG_CATEGORIES)) {
+    const lines = types
+      .filter(type => type.category === key)
+      .map(type => {
+        if (!type.enabled) return t('logs.settings.typeOff', { key: type.key });
+        const channel = type.channelId && guild.channels.cache.has(type.channelId)
+          ? `<#${type.channelId}>`
+          : t('logs.settings.noChannel');
+        return `${type.key} → ${channel}`;
+      });
+    embed.addFields({ name: category.name, value: lines.join('\n').slice(0, 1024) });
+  }
+  return embed;
+}
+
+const describeEvent = (e, t) => {
+  const parts = [`<t:${Math.floor(new Date(e.createdAt).getTime() / 1000)}:f>`, `\`${e.type}\``];
+  if (e.actorId) parts.push(t('logs.settings.eventBy', { user: `<@${e.actorId}>` }));
+  if (e.targetId && e.targetId !== e.actorId) parts.push(t('logs.settings.eventOn', { target: `\`${e.targetId}\`` }));
+  if (e.channelId) parts.push(t('logs.settings.eventIn', { channel: `<#${e.channelId}>` }));
+  return `${parts.join(' ')}${e.summary ? ` — ${e.summary}` : ''}`;
+};
+
+async function handleSearch(interaction, t) {
+  const type = interaction.options.getString('type');
+  const since = parseLogTime(interaction.options.getString('since'));
+  const until = parseLogTime(interaction.options.getString('until'));
+  if (since === undefined || until === undefined) {
+    await interaction.followUp({ content: t('logs.settings.badTime'), ephemeral: true });
+    return;
+  }
+  if (type && !resolveLogTargets(type).length) {
+    await interaction.followUp({ content: t('logs.settings.unknownTarget', { target: type }), ephemeral: true });
+    return;
+  }
+
+  const result = await searchLogEvents(
+    interaction.guild.id,
+    {
+      type,
+      userId: interaction.options.getUser('user')?.id,
+      channelId: interaction.options.getChannel('channel')?.id,
+      from: since,
+      to: until,
+    },
+    { page: interaction.options.getInteger('page') ?? 1, limit: SEARCH_PAGE_SIZE }
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(t('logs.settings.searchTitle'))
+    .setDescription(
+      result.events.length
+        ? result.events.map(e => describeEvent(e, t)).join('\n').slice(0, 4096)
+        : t('logs.settings.noEvents')
+    )
+    .setFooter({
+      text: t('logs.settings.searchFooter', { page: result.page, pages: Math.max(result.pages, 1), count: result.total }),
+    })
+    .setColor('#5865F2');
+  await interaction.followUp({ embeds: [embed], ephemeral: true });
+}
+
+async function handleIgnore(interaction, t) {
+  const sub = interaction.options.getSubcommand();
+  const lists = getIgnoreLists(await getLogConfig(interaction.guild.id));
+
+  if (sub === 'list') {
+    const embed = new EmbedBuilder()
+      .setTitle(t('logs.settings.ignoreTitle'))
+      .setDescription(t('logs.settings.ignoreDescription'))
+      .addFields(
+        IGNORE_KINDS.map(kind => ({
+          name: t(`logs.settings.ignoreKinds.${kind}`),
+          value: lists[kind].map(id => formatIgnored(kind, id)).join(', ').slice(0, 1024) || t('logs.settings.ignoreNone'),
+        }))
+      )
+      .setColor('#5865F2');
+    await interaction.followUp({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  const channel = interaction.options.getChannel('channel');
+  const webhookId = interaction.options.getString('webhook')?.trim();
+  if (webhookId && !/^\d{17,20}$/.test(webhookId)) {
+    await interaction.followUp({ content: t('logs.settings.notWebhook'), ephemeral: true });
+    return;
+  }
+  const picked = [
+    [channel?.type === ChannelType.GuildCategory ? 'categories' : 'channels', channel?.id],
+    ['roles', interaction.options.getRole('role')?.id],
+    ['users', interaction.options.getUser('user')?.id],
+    ['webhooks', webhookId],
+  ].filter(([, id]) => id);
+  if (!picked.length) {
+    await interaction.followUp({ content: t('logs.settings.pickIgnored'), ephemeral: true });
+    return;
+  }
+
+  const changes = {};
+  for (const [kind, id] of picked) {
+    const current = changes[kind] ?? lists[kind];
+    if (sub === 'add' && !current.includes(id) && current.length >= MAX_IGNORED_PER_KIND) {
+      await interaction.followUp({
+        content: t('logs.settings.tooManyIgnored', {
+          max: MAX_IGNORED_PER_KIND,
+          kind: t(`logs.settings.ignoreKinds.${kind}`),
+        }),
+        ephemeral: true,
+      });
+      return;
+    }
+    changes[kind] = sub === 'add' ? [...current, id] : current.filter(x => x !== id);
+  }
+  await updateLogConfig(interaction.guild.id, { ignore: changes });
+
+  const names = picked.map(([kind, id]) => formatIgnored(kind, id)).join(', ');
+  await interaction.followUp({
+    content: t(sub === 'add' ? 'logs.settings.ignored' : 'logs.settings.unignored', { names }),
+    ephemeral: true,
+  });
+}
+
+export async function execute(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const { guild } = interaction;
+  const t = forInteraction(interaction);
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+    return;
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    if (interaction.options.getSubcommandGroup(false) === 'ignore') {
+      await handleIgnore(interaction, t);
+      return;
+    }
+
+    if (sub === 'status') {
+      const config = await getLogConfig(guild.id);
+      await interaction.followUp({ embeds: [buildStatusEmbed(guild, config, t)], ephemeral: true });
+      return;
+    }
+
+    if (sub === 'search') {
+      await handleSearch(interaction, t);
+      return;
+    }
+
+    if (sub === 'retention') {
+      const days = interaction.options.getInteger('days');
+      await updateLogConfig(guild.id, { retentionDays: days });
+      await interaction.followUp({ content: t('logs.settings.retention', { count: days }), ephemeral: true });
+      return;
+    }
+
+    if (sub === 'attachments') {
+      const enabled = interaction.options.getBoolean('enabled');
+      const types = interaction.options.getString('types')?.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+      if (types && (!types.length || !types.every(type => MIME_PATTERN.test(type)))) {
+        await interaction.followUp({ content: t('logs.settings.badMime'), ephemeral: true });
+        return;
+      }
+      const config = await updateLogConfig(guild.id, {
+        attachmentArchive: { enabled, maxSizeMb: interaction.options.getInteger('max-mb') ?? undefined, types },
+      });
+      const { attachmentArchive: archive, retentionDays } = describeLogConfig(config);
+      await interaction.followUp({
+        content: enabled
+          ? t('logs.settings.archiveEnabled', { size: archive.maxSizeMb, types: archive.types.join(', '), count: retentionDays })
+          : t('logs.settings.archiveDisabled'),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (sub === 'scaffold') {
+      const enabled = interaction.options.getBoolean('enabled');
+      await updateLogConfig(guild.id, { autoScaffold: enabled });
+      if (enabled) await ensureLogScaffold(guild);
+      await interaction.followUp({
+        content: t(enabled ? 'logs.settings.scaffoldEnabled' : 'logs.settings.scaffoldDisabled'),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const target = interaction.options.getString('target');
+    const keys = sub === 'rename' ? (LOG_TYPES[target] ? [target] : []) : resolveLogTargets(target);
+    if (!keys.length) {
+      await interaction.followUp({ content: t('logs.settings.unknownTarget', { target }), ephemeral: true });
+      return;
+    }
+    const label = keys.length > 1
+      ? t('logs.settings.categoryTypes', { count: keys.length, category: target.toUpperCase() })
+      : `\`${keys[0]}\``;
+
+    if (sub === 'toggle') {
+      const enabled = interaction.options.getBoolean('enabled');
+      await updateLogConfig(guild.id, { types: Object.fromEntries(keys.map(k => [k, { enabled }])) });
+      if (enabled) await ensureLogScaffold(guild);
+      await interaction.followUp({ content: t(enabled ? 'logs.settings.enabled' : 'logs.settings.disabled', { label }), ephemeral: true });
+    } else if (sub === 'route') {
+      const channel = interaction.options.getChannel('channel');
+      await updateLogConfig(guild.id, { types: Object.fromEntries(keys.map(k => [k, { channelId: channel.id }])) });
+      await interaction.followUp({ content: t('logs.settings.routed', { label, channel: `${channel}` }), ephemeral: true });
+    } else if (sub === 'rename') {
+      const name = interaction.options.getString('name');
+      const before = await getLogConfig(guild.id);
+      const { channelId } = getLogTypeSettings(before, keys[0]);
+      await updateLogConfig(guild.id, { types: { [keys[0]]: { name } } });
+
+      // Rename the live channel too, unless other types share it
+      const channel = channelId ? guild.channels.cache.get(channelId) : null;
+      const shared = Object.keys(LOG_TYPES).some(k => k !== keys[0] && getLogTypeSettings(before, k).channelId === channelId);
+      if (channel && !shared) await channel.setName(name, `Log channel renamed by ${interaction.user.tag}`);
+
+      await interaction.followUp({
+        content: channel && shared
+          ? t('logs.settings.renameShared', { channel: `${channel}` })
+          : t('logs.settings.renamed', { label, name: channel?.name ?? name }),
+        ephemeral: true,
+      });
+    } else if (sub === 'reset') {
+      await updateLogConfig(guild.id, {
+        types: Object.fromEntries(keys.map(k => [k, { channelId: null, name: null }])),
+      });
+      await ensureLogScaffold(guild);
+      await interaction.followUp({ content: t('logs.settings.reset', { label }), ephemeral: true });
+    }
+  } catch (error) {
+    console.error(`Logs ${sub} error:`, error);
+    try {
+      await interaction.followUp({ content: t('logs.settings.failed'), ephemeral: true });
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import pkg from 'discord.js';
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = pkg;
+import Report from '../../models/Report.js';
+import { forGuild, forInteraction } from '../../bot/i18n/index.js';
+import {
+  buildReportControls,
+  buildReportEmbed,
+  closeReport,
+  getModQueueChannel,
+  setModQueueChannel,
+} from '../../bot/moderation/reports.js';
+import { logger } from '../../bot/utils/logger.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('modqueue')
+  .setDescription('Configure where message reports go (admin only)')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sc =>
+    sc
+      .setName('channel')
+      .setDescription('Set the channel that receives reports')
+      .addChannelOption(o =>
+        o
+          .setName('channel')
+          .setDescription('Moderator-only text channel')
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(true)
+      )
+  )
+  .addSubcommand(sc => sc.setName('status').setDescription('Show the queue channel and open reports'));
+
+export async function execute(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const { guild } = interaction;
+  const t = forInteraction(interaction);
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+    return;
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    if (sub === 'channel') {
+      const channel = interaction.options.getChannel('channel');
+      await setModQueueChannel(guild.id, channel.id);
+      await interaction.followUp({ content: t('moderation.queue.updated', { channel: `${channel}` }), ephemeral: true });
+      return;
+    }
+
+    const [channel, open] = await Promise.all([
+      getModQueueChannel(guild),
+      Report.countDocuments({ guildId: guild.id, status: 'open' }),
+    ]);
+    await interaction.followUp({
+      content: [
+        channel ? t('moderation.queue.current', { channel: `${channel}` }) : t('moderation.queue.unset'),
+        t('moderation.queue.open', { count: open }),
+      ].join('\n'),
+      ephemeral: true,
+    });
+  } catch (error) {
+    console.error(`Modqueue ${sub} error:`, error);
+    try {
+      await interaction.followUp({ content: t('moderation.queue.failed'), ephemeral: true });
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
+
+// Resolve / Dismiss / Delete message on a queued report; the queue message is
+// updated in place so other moderators see who handled it
+const queueAction = (status, { deleteMessage = false } = {}) => ({
+  params: { reportId: 'objectId' },
+  permissions: PermissionFlagsBits.ManageMessages,
+  defer: 'update',
+  errorEvent: 'REPORT_ACTION_ERROR',
+  errorMessage: (t) => t('moderation.queue.actionFailed'),
+  async execute(interaction, { reportId }) {
+    const report = await closeReport(reportId, interaction.guild.id, status, interaction.user.id);
+    if (!report) {
+      await interaction.followUp({ content: forInteraction(interaction)('moderation.queue.alreadyHandled'), ephemeral: true });
+      return;
+    }
+
+    if (deleteMessage) {
+      const channel = interaction.guild.channels.cache.get(report.channelId);
+      const deleted = await channel?.messages
+        ?.delete(report.messageId)
+        .then(() => true)
+        .catch(() => false);
+      logger.audit('REPORTED_MESSAGE_DELETED', {
+        guildId: interaction.guild.id,
+        reportId,
+        messageId: report.messageId,
+        moderatorId: interaction.user.id,
+        deleted: Boolean(deleted),
+      });
+    }
+
+    // Queue messages stay in the server's language whoever presses the button
+    const t = forGuild(interaction.guild);
+    await interaction.editReply({ embeds: [buildReportEmbed(report, t)], components: [buildReportControls(report, t)] });
+  },
+});
+
+export const buttons = {
+  resolve: queueAction('resolved'),
+  dismiss: queueAction('dismissed'),
+  delete: queueAction('resolved', { deleteMessage: true }),
+};
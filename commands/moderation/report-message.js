@@ -0,0 +1,72 @@
+// /commands/moderation/report-message.js
+// "Report message" context menu: asks for an optional reason, then files the
+// report to the server's mod queue (see /modqueue).
+import pkg from 'discord.js';
+const {
+  ActionRowBuilder,
+  ApplicationCommandType,
+  ContextMenuCommandBuilder,
+  InteractionContextType,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = pkg;
+import { forInteraction } from '../../bot/i18n/index.js';
+import { customId } from '../../bot/interactions/customId.js';
+import { fileReport } from '../../bot/moderation/reports.js';
+
+export const data = new ContextMenuCommandBuilder()
+  .setName('Report message')
+  .setType(ApplicationCommandType.Message)
+  .setContexts(InteractionContextType.Guild);
+
+export async function execute(interaction) {
+  const t = forInteraction(interaction);
+  const message = interaction.targetMessage;
+
+  if (message.author?.id === interaction.user.id) {
+    await interaction.reply({ content: t('moderation.report.own'), ephemeral: true });
+    return;
+  }
+
+  await interaction.showModal(
+    new ModalBuilder()
+      .setCustomId(customId('report-message.reason', message.channelId, message.id))
+      .setTitle(t('moderation.report.modalTitle'))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel(t('moderation.report.reasonLabel'))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(1000)
+            .setRequired(false)
+        )
+      )
+  );
+}
+
+export const modals = {
+  reason: {
+    params: { channelId: 'snowflake', messageId: 'snowflake' },
+    defer: 'reply',
+    errorEvent: 'REPORT_ERROR',
+    errorMessage: (t) => t('moderation.report.failed'),
+    async execute(interaction, { channelId, messageId }) {
+      const t = forInteraction(interaction);
+      const channel = interaction.guild.channels.cache.get(channelId);
+      const message = await channel?.messages?.fetch(messageId).catch(() => null);
+      if (!message) {
+        await interaction.followUp({ content: t('moderation.report.gone'), ephemeral: true });
+        return;
+      }
+
+      const { error } = await fileReport({
+        message,
+        reporter: interaction.user,
+        reason: interaction.fields.getTextInputValue('reason') || null,
+      });
+      await interaction.followUp({ content: t(error ? `moderation.report.${error}` : 'moderation.report.sent'), ephemeral: true });
+    },
+  },
+};
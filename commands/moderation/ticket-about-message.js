@@ -0,0 +1,47 @@
+// /commands/moderation/ticket-about-message.js
+// "Open ticket about this message" context menu: opens a ticket of the server's
+// default type with the message quoted as its first intake answer.
+import pkg from 'discord.js';
+const { ApplicationCommandType, ContextMenuCommandBuilder, InteractionContextType } = pkg;
+import TicketConfig from '../../models/TicketConfig.js';
+import { forInteraction } from '../../bot/i18n/index.js';
+import { checkTicketLimits } from '../../bot/tickets/service.js';
+import { resolveTicketType } from '../../bot/tickets/types.js';
+import { openTicketFor } from '../tickets/components.js';
+
+export const data = new ContextMenuCommandBuilder()
+  .setName('Open ticket about this message')
+  .setType(ApplicationCommandType.Message)
+  .setContexts(InteractionContextType.Guild);
+
+export async function execute(interaction, client) {
+  const t = forInteraction(interaction);
+  const message = interaction.targetMessage;
+
+  try {
+    const config = await TicketConfig.findOne({ guildId: interaction.guild.id });
+    const limitMessage = await checkTicketLimits(interaction.guild.id, interaction.user.id, config, t);
+    if (limitMessage) {
+      await interaction.reply({ content: limitMessage, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const quoted = [
+      message.content || t('moderation.report.noContent'),
+      `${t('moderation.ticket.from', { user: `<@${message.author.id}>` })} · ${message.url}`,
+    ].join('\n\n');
+    await openTicketFor(interaction, client, config, resolveTicketType(config), [
+      { question: t('moderation.ticket.question'), answer: quoted },
+    ]);
+  } catch (error) {
+    console.error('Ticket from message error:', error);
+    try {
+      const payload = { content: t('tickets.createFailed'), ephemeral: true };
+      if (interaction.deferred || interaction.replied) await interaction.followUp(payload);
+      else await interaction.reply(payload);
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
@@ -0,0 +1,66 @@
+// /commands/moderation/user-info.js
+// "User info" context menu: account and membership details plus the warning count, for moderators.
+import pkg from 'discord.js';
+const { ApplicationCommandType, ContextMenuCommandBuilder, EmbedBuilder, InteractionContextType, PermissionFlagsBits } = pkg;
+import Warning from '../../models/Warning.js';
+import { forInteraction } from '../../bot/i18n/index.js';
+
+const stamp = (date) => `<t:${Math.floor(date.getTime() / 1000)}:F> (<t:${Math.floor(date.getTime() / 1000)}:R>)`;
+
+export const data = new ContextMenuCommandBuilder()
+  .setName('User info')
+  .setType(ApplicationCommandType.User)
+  .setContexts(InteractionContextType.Guild)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+
+export async function execute(interaction) {
+  const t = forInteraction(interaction);
+  const user = interaction.targetUser;
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    // Fetched for the full member; the target may also have left the server
+    const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+    const warnings = await Warning.countFor(interaction.guild.id, user.id);
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: user.tag, iconURL: user.displayAvatarURL() })
+      .setThumbnail(user.displayAvatarURL({ size: 256 }))
+      .addFields(
+        { name: t('moderation.userInfo.id'), value: user.id, inline: true },
+        { name: t('moderation.userInfo.warnings'), value: String(warnings), inline: true },
+        { name: t('moderation.userInfo.created'), value: stamp(user.createdAt) }
+      )
+      .setColor(member?.displayColor || 0x5865f2)
+      .setTimestamp();
+
+    if (member) {
+      const roles = member.roles.cache
+        .filter(role => role.id !== interaction.guild.id)
+        .sort((a, b) => b.position - a.position)
+        .map(role => `${role}`);
+      embed.addFields(
+        { name: t('moderation.userInfo.joined'), value: stamp(member.joinedAt) },
+        {
+          name: t('moderation.userInfo.roles', { count: roles.length }),
+          value: roles.join(' ').slice(0, 1024) || t('moderation.userInfo.none'),
+        }
+      );
+      if (member.premiumSince) embed.addFields({ name: t('moderation.userInfo.boosting'), value: stamp(member.premiumSince) });
+      if (member.isCommunicationDisabled()) {
+        embed.addFields({ name: t('moderation.userInfo.timedOut'), value: stamp(member.communicationDisabledUntil) });
+      }
+    } else {
+      embed.setDescription(t('moderation.userInfo.notMember'));
+    }
+
+    await interaction.followUp({ embeds: [embed], ephemeral: true });
+  } catch (error) {
+    console.error('User info error:', error);
+    try {
+      await interaction.followUp({ content: t('moderation.userInfo.failed'), ephemeral: true });
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
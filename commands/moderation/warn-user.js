@@ -0,0 +1,72 @@
+// /commands/moderation/warn-user.js
+// "Warn user" context menu: asks for a reason, records the warning and DMs the member.
+import pkg from 'discord.js';
+const {
+  ActionRowBuilder,
+  ApplicationCommandType,
+  ContextMenuCommandBuilder,
+  InteractionContextType,
+  ModalBuilder,
+  PermissionFlagsBits,
+  TextInputBuilder,
+  TextInputStyle,
+} = pkg;
+import { forInteraction } from '../../bot/i18n/index.js';
+import { customId } from '../../bot/interactions/customId.js';
+import { warnMember } from '../../bot/moderation/warnings.js';
+
+export const data = new ContextMenuCommandBuilder()
+  .setName('Warn user')
+  .setType(ApplicationCommandType.User)
+  .setContexts(InteractionContextType.Guild)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+
+export async function execute(interaction) {
+  const t = forInteraction(interaction);
+  const user = interaction.targetUser;
+
+  if (user.bot || user.id === interaction.user.id) {
+    await interaction.reply({ content: t('moderation.warn.invalidTarget'), ephemeral: true });
+    return;
+  }
+
+  await interaction.showModal(
+    new ModalBuilder()
+      .setCustomId(customId('warn-user.reason', user.id))
+      .setTitle(t('moderation.warn.modalTitle', { user: user.username }).slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel(t('moderation.warn.reasonLabel'))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(1000)
+            .setRequired(true)
+        )
+      )
+  );
+}
+
+export const modals = {
+  reason: {
+    params: { userId: 'snowflake' },
+    permissions: PermissionFlagsBits.ModerateMembers,
+    defer: 'reply',
+    errorEvent: 'WARN_ERROR',
+    errorMessage: (t) => t('moderation.warn.failed'),
+    async execute(interaction, { userId }, client) {
+      const t = forInteraction(interaction);
+      const user = await client.users.fetch(userId);
+      const { total, notified } = await warnMember({
+        guild: interaction.guild,
+        user,
+        moderator: interaction.user,
+        reason: interaction.fields.getTextInputValue('reason'),
+      });
+
+      const lines = [t('moderation.warn.done', { user: `${user}`, count: total })];
+      if (!notified) lines.push(t('moderation.warn.dmFailed'));
+      await interaction.followUp({ content: lines.join('\n'), ephemeral: true });
+    },
+  },
+};
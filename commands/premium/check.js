@@ -1,6 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import Subscription from '../../models/Subscription.js';
 import { logger } from '../../utils/logger.js';
+import { forInteraction } from '../../bot/i18n/index.js';
 
 export const data = new SlashCommandBuilder()
   .setName('premium')
@@ -18,6 +19,7 @@ export const data = new SlashCommandBuilder()
 
 export async function execute(interaction) {
   const sub = interaction.options.getSubcommand();
+  const t = forInteraction(interaction);
 
   if (sub === 'check') {
     try {
@@ -27,21 +29,21 @@ export async function execute(interaction) {
       });
 
       if (subscription) {
-        await interaction.reply('✅ You have an active premium subscription!');
+        await interaction.reply(t('premium.active'));
       } else {
-        await interaction.reply('❌ No active premium subscription.');
+        await interaction.reply(t('premium.inactive'));
       }
     } catch (error) {
       logger.error('Error checking subscription:', error);
       await interaction.reply({
-        content: '❌ An error occurred while checking your subscription.',
+        content: t('premium.checkFailed'),
         ephemeral: true
       });
     }
   } else if (sub === 'status') {
     // Replace with actual logic to fetch and display the user's plan
     await interaction.reply({
-      content: '📊 You are on the Free plan. (Implement plan retrieval logic here)',
+      content: t('premium.freePlan'),
       ephemeral: true
     });
   }
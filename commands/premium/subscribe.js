@@ -3,6 +3,7 @@ import { SlashCommandBuilder } from 'discord.js';
 import { stripe } from '../../utils/stripeClient.js';
 import Subscription from '../../models/Subscription.js';
 import { logger } from '../../utils/logger.js';
+import { forInteraction } from '../../bot/i18n/index.js';
 
 // Plan definitions (GBP, yearly = 17% off monthly x12)
 const PLANS = {
@@ -32,10 +33,11 @@ export const data = new SlashCommandBuilder()
 
 export async function execute(interaction) {
   await interaction.deferReply({ ephemeral: true });
+  const t = forInteraction(interaction);
 
   const planId = interaction.options.getString('plan');
   const plan = PLANS[planId];
-  if (!plan) return interaction.editReply('❌ Invalid plan.');
+  if (!plan) return interaction.editReply(t('premium.invalidPlan'));
 
   const baseUrl = process.env.BASE_URL || `https://strive-dashboard.onrender.com`;
   const successUrl = `${baseUrl}/success?session_id={CHECKOUT_SESSION_ID}`;
@@ -82,12 +84,12 @@ export async function execute(interaction) {
     });
 
     await interaction.editReply({
-      content: `✅ Checkout ready!\n[Click here to subscribe](${session.url})`,
+      content: t('premium.checkoutReady', { url: session.url }),
       ephemeral: true
     });
 
   } catch (err) {
     logger.error('STRIPE_CHECKOUT_ERROR', { error: err.message });
-    await interaction.editReply('❌ Failed to start checkout. Please try again.');
+    await interaction.editReply(t('premium.checkoutFailed'));
   }
 }
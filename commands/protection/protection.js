@@ -0,0 +1,221 @@
+import pkg from 'discord.js';
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits, EmbedBuilder } = pkg;
+import { DEFAULT_LANGUAGE, forInteraction, translator } from '../../bot/i18n/index.js';
+import {
+  describeSetting,
+  getProtectionConfig,
+  moduleSettings,
+  parseSettingValue,
+  PROTECTION_MODULES,
+  ProtectionConfigError,
+  resetProtectionModule,
+  updateProtectionConfig,
+} from '../../bot/security/config.js';
+
+const moduleLabel = (key, t) => t(`protection.modules.${key}`);
+
+// Which exemption list each option of `/protection exempt` edits
+const EXEMPT_TARGETS = [
+  { option: 'role', setting: 'exemptRoles', read: (o) => o.getRole('role'), mention: (id) => `<@&${id}>` },
+  { option: 'channel', setting: 'exemptChannels', read: (o) => o.getChannel('channel'), mention: (id) => `<#${id}>` },
+  { option: 'user', setting: 'exemptUsers', read: (o) => o.getUser('user'), mention: (id) => `<@${id}>` },
+];
+
+const moduleOption = (o) =>
+  o
+    .setName('module')
+    .setDescription('Protection module')
+    .setRequired(true)
+    .addChoices(...PROTECTION_MODULES.map(key => ({ name: moduleLabel(key, translator(DEFAULT_LANGUAGE)), value: key })));
+
+export const data = new SlashCommandBuilder()
+  .setName('protection')
+  .setDescription('Configure anti-spam, anti-raid and other protection (admin only)')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sc =>
+    sc
+      .setName('status')
+      .setDescription('Show which modules are on, or every setting of one module')
+      .addStringOption(o => moduleOption(o).setRequired(false))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('toggle')
+      .setDescription('Turn a module on or off')
+      .addStringOption(moduleOption)
+      .addBooleanOption(o => o.setName('enabled').setDescription('Run this module').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('set')
+      .setDescription('Change one setting of a module')
+      .addStringOption(moduleOption)
+      .addStringOption(o => o.setName('setting').setDescription('Setting to change').setRequired(true).setAutocomplete(true))
+      .addStringOption(o =>
+        o
+          .setName('value')
+          .setDescription('New value: a number, on/off, an option, or a comma-separated list')
+          .setRequired(true)
+          .setMaxLength(1000)
+      )
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('exempt')
+      .setDescription('Add or remove a role, channel or user the module leaves alone')
+      .addStringOption(moduleOption)
+      .addStringOption(o =>
+        o
+          .setName('action')
+          .setDescription('Add or remove')
+          .setRequired(true)
+          .addChoices({ name: 'Add', value: 'add' }, { name: 'Remove', value: 'remove' })
+      )
+      .addRoleOption(o => o.setName('role').setDescription('Role to exempt'))
+      .addChannelOption(o =>
+        o
+          .setName('channel')
+          .setDescription('Channel or category to exempt')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildCategory)
+      )
+      .addUserOption(o => o.setName('user').setDescription('User or bot to exempt'))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('reset')
+      .setDescription('Restore the default settings of a module')
+      .addStringOption(moduleOption)
+  );
+
+function formatValue(setting, value, t) {
+  if (typeof value === 'boolean') return value ? t('protection.on') : t('protection.off');
+  if (value === null) return t('protection.none');
+  if (setting.endsWith('RoleId')) return `<@&${value}>`;
+  if (setting.endsWith('ChannelId')) return `<#${value}>`;
+  if (!Array.isArray(value)) return `\`${value}\``;
+  if (!value.length) return t('protection.none');
+  const target = EXEMPT_TARGETS.find(e => e.setting === setting);
+  return value.map(v => (target ? target.mention(v) : `\`${v}\``)).join(', ').slice(0, 1024);
+}
+
+function moduleEmbed(moduleKey, settings, t) {
+  return new EmbedBuilder()
+    .setTitle(t('protection.moduleTitle', { module: moduleLabel(moduleKey, t) }))
+    .addFields(
+      Object.entries(settings).map(([setting, value]) => ({
+        name: setting,
+        value: formatValue(setting, value, t),
+        inline: !Array.isArray(value),
+      }))
+    )
+    .setColor(settings.enabled ? '#57F287' : '#6B7280');
+}
+
+export async function execute(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const { guild } = interaction;
+  const t = forInteraction(interaction);
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+    return;
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+    const moduleKey = interaction.options.getString('module');
+
+    if (sub === 'status') {
+      const config = await getProtectionConfig(guild.id);
+      if (moduleKey) {
+        await interaction.followUp({ embeds: [moduleEmbed(moduleKey, config[moduleKey], t)], ephemeral: true });
+        return;
+      }
+      const embed = new EmbedBuilder()
+        .setTitle(t('protection.statusTitle'))
+        .setDescription(
+          PROTECTION_MODULES.map(key => `${config[key].enabled ? '🟢' : '⚪'} **${moduleLabel(key, t)}** (\`${key}\`)`).join('\n')
+        )
+        .setFooter({ text: t('protection.statusFooter') })
+        .setColor('#5865F2');
+      await interaction.followUp({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    let settings;
+    if (sub === 'reset') {
+      settings = await resetProtectionModule(guild.id, moduleKey);
+    } else if (sub === 'toggle') {
+      settings = await updateProtectionConfig(guild.id, moduleKey, { enabled: interaction.options.getBoolean('enabled') });
+    } else if (sub === 'set') {
+      const setting = interaction.options.getString('setting');
+      const value = parseSettingValue(moduleKey, setting, interaction.options.getString('value'));
+      settings = await updateProtectionConfig(guild.id, moduleKey, { [setting]: value });
+    } else {
+      const current = (await getProtectionConfig(guild.id))[moduleKey];
+      const adding = interaction.options.getString('action') === 'add';
+      const patch = {};
+      for (const { option, setting, read } of EXEMPT_TARGETS) {
+        const target = read(interaction.options);
+        if (!target) continue;
+        if (!(setting in current)) {
+          await interaction.followUp({
+            content: t('protection.exemptUnsupported', {
+              module: moduleLabel(moduleKey, t),
+              kind: t(`protection.exemptKinds.${option}`),
+            }),
+            ephemeral: true,
+          });
+          return;
+        }
+        const ids = new Set(patch[setting] ?? current[setting]);
+        if (adding) ids.add(target.id);
+        else ids.delete(target.id);
+        patch[setting] = [...ids];
+      }
+      if (!Object.keys(patch).length) {
+        await interaction.followUp({ content: t('protection.exemptMissing'), ephemeral: true });
+        return;
+      }
+      settings = await updateProtectionConfig(guild.id, moduleKey, patch);
+    }
+
+    await interaction.followUp({
+      content: t('protection.updated', { module: moduleLabel(moduleKey, t) }),
+      embeds: [moduleEmbed(moduleKey, settings, t)],
+      ephemeral: true,
+    });
+  } catch (error) {
+    if (error instanceof ProtectionConfigError) {
+      await interaction.followUp({ content: t('protection.invalid', { error: error.message }), ephemeral: true });
+      return;
+    }
+    console.error(`Protection ${sub} error:`, error);
+    try {
+      await interaction.followUp({ content: t('protection.failed'), ephemeral: true });
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
+
+// Settings of the chosen module, with the accepted values as a hint
+export const autocomplete = {
+  async setting(interaction) {
+    const moduleKey = interaction.options.getString('module');
+    const focused = interaction.options.getFocused().toLowerCase();
+    const t = forInteraction(interaction);
+    const hint = (setting) => {
+      const described = describeSetting(moduleKey, setting);
+      if (described.kind === 'number') return `${described.min}–${described.max}`;
+      if (described.kind === 'choice') return described.options.join(' / ');
+      return t(`protection.hints.${described.kind}`);
+    };
+    await interaction.respond(
+      moduleSettings(moduleKey)
+        .filter(setting => setting.toLowerCase().includes(focused))
+        .slice(0, 25)
+        .map(setting => ({ name: `${setting} (${hint(setting)})`, value: setting }))
+    );
+  },
+};
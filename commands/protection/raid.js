@@ -0,0 +1,70 @@
+import pkg from 'discord.js';
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = pkg;
+import { forInteraction } from '../../bot/i18n/index.js';
+import { endRaidMode, getActiveRaid, startRaidMode } from '../../bot/security/raidMode.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('raid')
+  .setDescription('Control raid mode: lockdown and join screening (admin only)')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sc => sc.setName('start').setDescription('Lock public channels and screen new members now'))
+  .addSubcommand(sc => sc.setName('end').setDescription('Lift raid mode and restore channels'))
+  .addSubcommand(sc => sc.setName('status').setDescription('Show whether raid mode is on'));
+
+export async function execute(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const { guild } = interaction;
+  const t = forInteraction(interaction);
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+    return;
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    if (sub === 'start') {
+      const { raid, started } = await startRaidMode(guild, { trigger: 'manual', startedBy: interaction.user.id });
+      await interaction.followUp({
+        content: started ? t('raid.command.started', { count: raid.snapshots.length }) : t('raid.command.alreadyActive'),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (sub === 'end') {
+      const raid = await endRaidMode(guild, { endedBy: interaction.user.id, reason: 'manual' });
+      await interaction.followUp({
+        content: raid ? t('raid.command.ended', { count: raid.snapshots.length }) : t('raid.command.notActive'),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const raid = getActiveRaid(guild.id);
+    if (!raid) {
+      await interaction.followUp({ content: t('raid.command.notActive'), ephemeral: true });
+      return;
+    }
+    const since = Math.floor(new Date(raid.createdAt ?? Date.now()).getTime() / 1000);
+    const embed = new EmbedBuilder()
+      .setTitle(t('raid.command.statusTitle'))
+      .addFields(
+        { name: t('raid.report.started'), value: `<t:${since}:R>`, inline: true },
+        { name: t('raid.report.trigger'), value: t(`raid.triggers.${raid.trigger}`), inline: true },
+        { name: t('raid.report.joins'), value: String(raid.joinCount), inline: true },
+        { name: t('raid.report.affected'), value: String(raid.affected.length), inline: true },
+        { name: t('raid.command.channels'), value: String(raid.snapshots.length), inline: true }
+      )
+      .setColor('#ED4245');
+    await interaction.followUp({ embeds: [embed], ephemeral: true });
+  } catch (error) {
+    console.error(`Raid ${sub} error:`, error);
+    try {
+      await interaction.followUp({ content: t('raid.command.failed'), ephemeral: true });
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
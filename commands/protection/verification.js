@@ -0,0 +1,184 @@
+import pkg from 'discord.js';
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = pkg;
+import Verification from '../../models/Verification.js';
+import { forInteraction } from '../../bot/i18n/index.js';
+import { getProtectionConfig } from '../../bot/security/config.js';
+import {
+  buildGatePanel,
+  completeVerification,
+  issueVerificationLink,
+  needsVerification,
+} from '../../bot/security/verification.js';
+import { isCaptchaConfigured } from '../../bot/utils/captcha.js';
+
+const RECENT_ATTEMPTS = 5;
+
+export const data = new SlashCommandBuilder()
+  .setName('verification')
+  .setDescription('Post the verification gate and manage unverified members (admin only)')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sc =>
+    sc
+      .setName('panel')
+      .setDescription('Post the verification button')
+      .addChannelOption(o =>
+        o
+          .setName('channel')
+          .setDescription('Gate channel (defaults to this one)')
+          .addChannelTypes(ChannelType.GuildText)
+      )
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('approve')
+      .setDescription('Verify a member by hand')
+      .addUserOption(o => o.setName('user').setDescription('Member to verify').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('status')
+      .setDescription('Show pending members, or one member’s attempts')
+      .addUserOption(o => o.setName('user').setDescription('Member to look up'))
+  );
+
+const stamp = (date) => `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>`;
+
+function memberStatusEmbed(user, record, t) {
+  const embed = new EmbedBuilder()
+    .setTitle(t('gate.command.memberTitle', { user: user.tag }))
+    .setColor('#5865F2');
+  if (!record) return embed.setDescription(t('gate.command.noRecord'));
+
+  embed.addFields(
+    { name: t('gate.command.state'), value: t(`gate.states.${record.status}`), inline: true },
+    { name: t('gate.command.joined'), value: stamp(record.joinedAt), inline: true }
+  );
+  if (record.expiresAt) embed.addFields({ name: t('gate.command.kickAt'), value: stamp(record.expiresAt), inline: true });
+  if (record.verifiedAt) embed.addFields({ name: t('gate.command.verified'), value: stamp(record.verifiedAt), inline: true });
+
+  const attempts = record.attempts.slice(-RECENT_ATTEMPTS).reverse();
+  embed.addFields({
+    name: t('gate.command.attempts'),
+    value: attempts.length
+      ? attempts
+          .map(a => `${stamp(a.at)} ${t(`gate.outcomes.${a.outcome}`)} (${a.method})${a.reason ? ` — ${a.reason}` : ''}`)
+          .join('\n')
+          .slice(0, 1024)
+      : t('protection.none'),
+  });
+  return embed;
+}
+
+export async function execute(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const { guild } = interaction;
+  const t = forInteraction(interaction);
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+    return;
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+    const settings = (await getProtectionConfig(guild.id)).verification;
+
+    if (sub === 'panel') {
+      if (settings.mode === 'captcha' && !isCaptchaConfigured()) {
+        await interaction.followUp({ content: t('gate.captchaUnavailable'), ephemeral: true });
+        return;
+      }
+      const channel = interaction.options.getChannel('channel') ?? interaction.channel;
+      await channel.send(buildGatePanel(guild, settings));
+
+      const notes = [t('gate.command.posted', { channel: `${channel}` })];
+      if (!settings.enabled) notes.push(t('gate.command.disabledNote'));
+      if (!settings.unverifiedRoleId && !settings.verifiedRoleId) notes.push(t('gate.command.noRolesNote'));
+      await interaction.followUp({ content: notes.join('\n'), ephemeral: true });
+      return;
+    }
+
+    if (sub === 'approve') {
+      const user = interaction.options.getUser('user');
+      const member = await guild.members.fetch(user.id).catch(() => null);
+      if (!member) {
+        await interaction.followUp({ content: t('gate.command.notMember'), ephemeral: true });
+        return;
+      }
+      await completeVerification(member, settings, 'manual', { moderatorId: interaction.user.id });
+      await interaction.followUp({ content: t('gate.command.approved', { user: `${user}` }), ephemeral: true });
+      return;
+    }
+
+    const user = interaction.options.getUser('user');
+    if (user) {
+      const record = await Verification.findOne({ guildId: guild.id, userId: user.id }).lean();
+      await interaction.followUp({ embeds: [memberStatusEmbed(user, record, t)], ephemeral: true });
+      return;
+    }
+
+    const pending = await Verification.countDocuments({ guildId: guild.id, status: 'pending' });
+    const embed = new EmbedBuilder()
+      .setTitle(t('gate.command.statusTitle'))
+      .addFields(
+        { name: t('gate.command.state'), value: settings.enabled ? t('protection.on') : t('protection.off'), inline: true },
+        { name: t('gate.command.mode'), value: t(`gate.modes.${settings.mode}`), inline: true },
+        { name: t('gate.command.pending'), value: String(pending), inline: true }
+      )
+      .setFooter({ text: t('gate.command.footer') })
+      .setColor(settings.enabled ? '#57F287' : '#6B7280');
+    await interaction.followUp({ embeds: [embed], ephemeral: true });
+  } catch (error) {
+    console.error(`Verification ${sub} error:`, error);
+    try {
+      await interaction.followUp({ content: t('gate.command.failed'), ephemeral: true });
+    } catch (followUpError) {
+      console.error('Follow-up error:', followUpError);
+    }
+  }
+}
+
+export const buttons = {
+  // The gate button: verifies on the spot, or hands out a captcha link
+  start: {
+    defer: 'reply',
+    cooldown: 5_000,
+    errorEvent: 'VERIFICATION_ERROR',
+    errorMessage: (t) => t('gate.failed'),
+    async execute(interaction) {
+      const t = forInteraction(interaction);
+      const { member } = interaction;
+      const settings = (await getProtectionConfig(interaction.guild.id)).verification;
+
+      if (!settings.enabled) {
+        await interaction.followUp({ content: t('gate.disabled'), ephemeral: true });
+        return;
+      }
+      if (!(await needsVerification(member, settings))) {
+        await interaction.followUp({ content: t('gate.alreadyVerified'), ephemeral: true });
+        return;
+      }
+
+      if (settings.mode === 'button') {
+        await completeVerification(member, settings, 'button');
+        await interaction.followUp({ content: t('gate.passed', { guild: interaction.guild.name }), ephemeral: true });
+        return;
+      }
+
+      if (!isCaptchaConfigured()) {
+        await interaction.followUp({ content: t('gate.captchaUnavailable'), ephemeral: true });
+        return;
+      }
+      const { url } = await issueVerificationLink(member);
+      await interaction.followUp({
+        content: t('gate.link'),
+        components: [
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setLabel(t('gate.openLink')).setStyle(ButtonStyle.Link).setURL(url)
+          ),
+        ],
+        ephemeral: true,
+      });
+    },
+  },
+};
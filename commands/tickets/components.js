@@ -0,0 +1,309 @@
+// /commands/tickets/components.js
+// Buttons, menus and forms of the ticket system, routed as `ticket.<key>`
+// (see bot/interactions/router.js). `legacy` patterns keep panels and ticket
+// messages posted before the structured custom IDs working.
+import pkg from 'discord.js';
+const { PermissionFlagsBits } = pkg;
+import TicketConfig from '../../models/TicketConfig.js';
+import { logger } from '../../bot/utils/logger.js';
+import { forGuild, forInteraction } from '../../bot/i18n/index.js';
+import { checkTicketLimits, getTicket, isTicketStaff, transitionTicket } from '../../bot/tickets/service.js';
+import { archiveTranscript } from '../../bot/tickets/transcript.js';
+import { openTicket } from '../../bot/tickets/open.js';
+import { rateTicket, requestFeedback, saveComment, showCommentForm } from '../../bot/tickets/feedback.js';
+import { resolvePanelTypeKey } from '../../bot/tickets/panels.js';
+import { buildIntakeModal, readIntakeAnswers, resolveTicketType } from '../../bot/tickets/types.js';
+
+// Guild/user pairs with a ticket being created right now; guards against double clicks
+const pendingOpens = new Set();
+
+// Creates the ticket and confirms to the user; shared by buttons, menus, forms
+// and the "Open ticket about this message" context menu
+export async function openTicketFor(interaction, client, config, type, answers = []) {
+  const t = forInteraction(interaction);
+  const lockKey = `${interaction.guild.id}:${interaction.user.id}`;
+  if (pendingOpens.has(lockKey)) {
+    await interaction.followUp({ content: t('tickets.pending'), ephemeral: true });
+    return;
+  }
+  pendingOpens.add(lockKey);
+
+  try {
+    // Checked again here: the intake form may have been open for a while
+    const limitMessage = await checkTicketLimits(interaction.guild.id, interaction.user.id, config, t);
+    if (limitMessage) {
+      await interaction.followUp({ content: limitMessage, ephemeral: true });
+      return;
+    }
+
+    const { ticket, channel } = await openTicket(interaction, client, type, answers);
+
+    await interaction.followUp({
+      content: t('tickets.created', { channel: `${channel}` }),
+      ephemeral: true,
+    });
+
+    logger.info('TICKET_CREATED', {
+      userId: interaction.user.id,
+      guildId: interaction.guild.id,
+      channelId: channel.id,
+      number: ticket.number,
+      type: type.key,
+    });
+  } finally {
+    pendingOpens.delete(lockKey);
+  }
+}
+
+// Shows the type's intake form if it has one, otherwise opens the ticket straight away
+async function startTicket(interaction, client, typeKey) {
+  const config = await TicketConfig.findOne({ guildId: interaction.guild.id });
+  const type = resolveTicketType(config, typeKey);
+
+  // Refuse before showing the intake form so nobody fills it in for nothing
+  const limitMessage = await checkTicketLimits(interaction.guild.id, interaction.user.id, config, forInteraction(interaction));
+  if (limitMessage) {
+    await interaction.reply({ content: limitMessage, ephemeral: true });
+    return;
+  }
+
+  if (type.questions?.length) {
+    await interaction.showModal(buildIntakeModal(type));
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  await openTicketFor(interaction, client, config, type);
+}
+
+// The channel a control button was pressed in; replies and returns null when it cannot be a ticket
+async function controlledChannel(interaction, t) {
+  const channel = interaction.channel;
+  if (!channel?.isTextBased()) {
+    await interaction.followUp({ content: t('tickets.controls.notTicketChannel'), ephemeral: true });
+    return null;
+  }
+  return channel;
+}
+
+const createFailed = (t) => t('tickets.createFailed');
+
+const startFromPanel = {
+  params: { panelId: 'string', index: 'string' },
+  legacy: /^ticket:([^:]+):(\w+)$/,
+  errorEvent: 'TICKET_START_ERROR',
+  errorMessage: createFailed,
+  async execute(interaction, params, client) {
+    const typeKey = await resolvePanelTypeKey(interaction, params).catch(() => null);
+    if (!typeKey) {
+      await interaction.reply({ content: forInteraction(interaction)('tickets.controls.panelInactive'), ephemeral: true });
+      return;
+    }
+    await startTicket(interaction, client, typeKey);
+  },
+};
+
+export const buttons = {
+  // Panel posted with /ticket create; legacy IDs are `create_ticket_<guildId>[:<type>]`
+  create: {
+    params: { typeKey: 'string?' },
+    legacy: /^create_ticket_\d+(?::([a-z0-9-]+))?$/,
+    errorEvent: 'TICKET_START_ERROR',
+    errorMessage: createFailed,
+    execute: (interaction, { typeKey }, client) => startTicket(interaction, client, typeKey),
+  },
+
+  // Dashboard-deployed panel; the index maps to a ticket type
+  panel: startFromPanel,
+
+  close: {
+    params: { channelId: 'snowflake' },
+    legacy: /^close_ticket_(\d+)$/,
+    defer: 'reply',
+    errorEvent: 'TICKET_CLOSE_ERROR',
+    errorMessage: (t) => t('tickets.controls.closeFailed'),
+    async execute(interaction, params, client) {
+      const t = forInteraction(interaction);
+      const channel = await controlledChannel(interaction, t);
+      if (!channel) return;
+
+      const ticket = await getTicket(channel.id);
+      const hasPermission = ticket
+        ? await isTicketStaff(interaction.member, channel, ticket)
+        : interaction.member.permissionsIn(channel).has(PermissionFlagsBits.ManageChannels);
+      if (!hasPermission) {
+        await interaction.followUp({ content: t('tickets.controls.noClosePermission'), ephemeral: true });
+        return;
+      }
+
+      // Archive the conversation and record the close before the channel disappears
+      if (ticket && ticket.status !== 'closed') {
+        try {
+          await archiveTranscript(channel, ticket, interaction.user.id, client);
+        } catch (transcriptError) {
+          logger.error('TRANSCRIPT_ERROR', {
+            userId: interaction.user.id,
+            guildId: interaction.guild.id,
+            channelId: channel.id,
+            error: transcriptError.message,
+          });
+          await interaction.followUp({ content: t('tickets.controls.transcriptFailed'), ephemeral: true });
+          return;
+        }
+        await transitionTicket(ticket, 'closed', interaction.user.id);
+      }
+
+      await channel.delete();
+      logger.info('TICKET_CLOSED', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        channelId: channel.id,
+        number: ticket?.number,
+      });
+
+      if (ticket?.status === 'closed') await requestFeedback(client, ticket);
+    },
+  },
+
+  claim: {
+    params: { channelId: 'snowflake' },
+    legacy: /^claim_ticket_(\d+)$/,
+    defer: 'reply',
+    errorEvent: 'TICKET_CLAIM_ERROR',
+    errorMessage: (t) => t('tickets.controls.claimFailed'),
+    async execute(interaction) {
+      const t = forInteraction(interaction);
+      const channel = await controlledChannel(interaction, t);
+      if (!channel) return;
+
+      const ticket = await getTicket(channel.id);
+      if (!ticket || ticket.status === 'closed') {
+        await interaction.followUp({ content: t('tickets.controls.notOpen'), ephemeral: true });
+        return;
+      }
+
+      if (!(await isTicketStaff(interaction.member, channel, ticket))) {
+        await interaction.followUp({ content: t('tickets.controls.noClaimPermission'), ephemeral: true });
+        return;
+      }
+
+      if (ticket.claimedBy) {
+        await interaction.followUp({
+          content: ticket.claimedBy === interaction.user.id
+            ? t('tickets.controls.claimedByYou')
+            : t('tickets.controls.alreadyClaimed', { user: `<@${ticket.claimedBy}>` }),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      await transitionTicket(ticket, 'claimed', interaction.user.id);
+      const notice = forGuild(interaction.guild);
+      await channel.send({ content: notice('tickets.controls.claimedNotice', { user: `${interaction.user}` }) });
+      await interaction.followUp({ content: t('tickets.controls.claimed'), ephemeral: true });
+
+      logger.info('TICKET_CLAIMED', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        channelId: channel.id,
+      });
+    },
+  },
+
+  reminder: {
+    params: { channelId: 'snowflake' },
+    legacy: /^reminder_ticket_(\d+)$/,
+    defer: 'reply',
+    cooldown: 60_000,
+    errorEvent: 'TICKET_REMINDER_ERROR',
+    errorMessage: (t) => t('tickets.controls.reminderFailed'),
+    async execute(interaction, params, client) {
+      const t = forInteraction(interaction);
+      const channel = await controlledChannel(interaction, t);
+      if (!channel) return;
+
+      const ticket = await getTicket(channel.id);
+      if (!ticket || ticket.status === 'closed') {
+        await interaction.followUp({ content: t('tickets.controls.noOpener'), ephemeral: true });
+        return;
+      }
+
+      // The opener's language is unknown here, so the DM is in the server's
+      const notice = forGuild(interaction.guild);
+      const user = await client.users.fetch(ticket.openerId);
+      await user.send({
+        content: notice('tickets.controls.reminderDm', { guild: interaction.guild.name, channel: `${channel}` }),
+      });
+
+      // Ticket now waits on the opener until they reply
+      if (ticket.status !== 'pending-user') {
+        await transitionTicket(ticket, 'pending-user', interaction.user.id, 'reminder sent');
+      }
+
+      await interaction.followUp({ content: t('tickets.controls.reminderSent'), ephemeral: true });
+
+      logger.info('TICKET_REMINDER_SENT', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        channelId: channel.id,
+        openerId: ticket.openerId,
+      });
+    },
+  },
+
+  // Post-close ratings arrive in DMs
+  rate: {
+    params: { ticketId: 'objectId', rating: 'int' },
+    legacy: /^ticket_rate_([0-9a-f]{24})_(\d)$/,
+    dm: true,
+    errorEvent: 'TICKET_FEEDBACK_ERROR',
+    errorMessage: (t) => t('tickets.feedback.failed'),
+    execute: rateTicket,
+  },
+
+  comment: {
+    params: { ticketId: 'objectId' },
+    legacy: /^ticket_feedback_([0-9a-f]{24})$/,
+    dm: true,
+    errorEvent: 'TICKET_FEEDBACK_ERROR',
+    errorMessage: (t) => t('tickets.feedback.failed'),
+    execute: showCommentForm,
+  },
+};
+
+export const selects = {
+  // Type chosen from a /ticket create dropdown
+  menu: {
+    legacy: /^create_ticket_menu_\d+$/,
+    errorEvent: 'TICKET_START_ERROR',
+    errorMessage: createFailed,
+    execute: (interaction, params, client) => startTicket(interaction, client, interaction.values[0]),
+  },
+
+  panel: startFromPanel,
+};
+
+export const modals = {
+  // Intake form submitted for a ticket type
+  form: {
+    params: { typeKey: 'string' },
+    legacy: /^ticket_form_([a-z0-9-]+)$/,
+    defer: 'reply',
+    errorEvent: 'TICKET_CREATION_ERROR',
+    errorMessage: createFailed,
+    async execute(interaction, { typeKey }, client) {
+      const config = await TicketConfig.findOne({ guildId: interaction.guild.id }).catch(() => null);
+      const type = resolveTicketType(config, typeKey);
+      await openTicketFor(interaction, client, config, type, readIntakeAnswers(interaction, type));
+    },
+  },
+
+  feedback: {
+    params: { ticketId: 'objectId' },
+    legacy: /^ticket_feedback_form_([0-9a-f]{24})$/,
+    dm: true,
+    errorEvent: 'TICKET_FEEDBACK_ERROR',
+    errorMessage: (t) => t('tickets.feedback.failed'),
+    execute: saveComment,
+  },
+};
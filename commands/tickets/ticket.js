@@ -1,46 +1,515 @@
 import pkg from 'discord.js';
-const { SlashCommandBuilder, ChannelType, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = pkg;
-import crypto from 'crypto';
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits, EmbedBuilder } = pkg;
+import TicketConfig from '../../models/TicketConfig.js';
+import Transcript from '../../models/Transcript.js';
+import { buildPanelComponents, formatChannelName, getTicketTypes, resolveTicketType } from '../../bot/tickets/types.js';
+import {
+  getTicket,
+  getTicketByNumber,
+  isTicketStaff,
+  recordTicketNote,
+  reopenTicket,
+  transitionTicket,
+} from '../../bot/tickets/service.js';
+import { buildTicketControls, createTicketChannel } from '../../bot/tickets/open.js';
+import { getFeedbackStats } from '../../bot/tickets/feedback.js';
+import { forGuild, forInteraction } from '../../bot/i18n/index.js';
+import { issueSetupToken, revokeSetupTokens } from '../../bot/utils/setupTokens.js';
+
+export { buttons, selects, modals } from './components.js';
+
+const MAX_QUESTIONS = 5;
 
 export const data = new SlashCommandBuilder()
   .setName('ticket')
   .setDescription('Create or manage support tickets')
-  .addSubcommand(sc => sc.setName('create').setDescription('Send a default ticket panel to the current channel'))
-  .addSubcommand(sc => sc.setName('panel').setDescription('Generate a custom ticket panel (admin only)'))
+  .addSubcommand(sc =>
+    sc
+      .setName('create')
+      .setDescription('Send a ticket panel with every configured ticket type to the current channel')
+      .addStringOption(o =>
+        o
+          .setName('style')
+          .setDescription('Show ticket types as buttons or a dropdown')
+          .addChoices({ name: 'Buttons', value: 'buttons' }, { name: 'Dropdown', value: 'select' })
+      )
+      .addStringOption(o => o.setName('title').setDescription('Panel title').setMaxLength(256))
+      .addStringOption(o => o.setName('description').setDescription('Panel text').setMaxLength(2000))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('panel')
+      .setDescription('Generate a custom ticket panel (admin only)')
+      .addBooleanOption(o => o.setName('revoke').setDescription('Revoke your unused setup links instead of creating one'))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('settings')
+      .setDescription('Configure ticket transcripts (admin only)')
+      .addChannelOption(o =>
+        o
+          .setName('transcript_channel')
+          .setDescription('Channel that receives closed-ticket transcripts')
+          .addChannelTypes(ChannelType.GuildText)
+      )
+      .addBooleanOption(o => o.setName('dm_transcript').setDescription('DM the opener a copy of the transcript'))
+      .addBooleanOption(o => o.setName('feedback').setDescription('DM the opener a 1-5 rating request when a ticket closes'))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('stats')
+      .setDescription('Show ticket feedback ratings per staff member and ticket type (admin only)')
+      .addIntegerOption(o => o.setName('days').setDescription('Only count ratings from the last N days').setMinValue(1).setMaxValue(365))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('add')
+      .setDescription('Add a user or role to this ticket (staff only)')
+      .addMentionableOption(o => o.setName('target').setDescription('User or role to add').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('remove')
+      .setDescription('Remove a user or role from this ticket (staff only)')
+      .addMentionableOption(o => o.setName('target').setDescription('User or role to remove').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('rename')
+      .setDescription('Rename this ticket channel (staff only)')
+      .addStringOption(o =>
+        o.setName('name').setDescription('New name; {number}, {user} and {type} are filled in').setRequired(true).setMaxLength(90)
+      )
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('transfer')
+      .setDescription('Hand this claimed ticket to another staff member (staff only)')
+      .addUserOption(o => o.setName('member').setDescription('Staff member taking over').setRequired(true))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('reopen')
+      .setDescription('Reopen a closed ticket in a new channel (staff only)')
+      .addIntegerOption(o => o.setName('number').setDescription('Ticket number').setRequired(true).setMinValue(1))
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('limits')
+      .setDescription('Configure how many tickets can be open and how often (admin only)')
+      .addIntegerOption(o =>
+        o.setName('per_user').setDescription('Open tickets allowed per user').setMinValue(1).setMaxValue(25)
+      )
+      .addIntegerOption(o =>
+        o.setName('cooldown_seconds').setDescription('Wait between two tickets from the same user').setMinValue(0).setMaxValue(86_400)
+      )
+      .addIntegerOption(o =>
+        o.setName('guild_max').setDescription('Open tickets allowed across the server').setMinValue(1).setMaxValue(450)
+      )
+  )
+  .addSubcommand(sc =>
+    sc
+      .setName('sla')
+      .setDescription('Configure ticket response deadlines and auto-close (admin only). Use 0 to turn a step off.')
+      .addBooleanOption(o => o.setName('enabled').setDescription('Turn SLA tracking on or off'))
+      .addIntegerOption(o =>
+        o.setName('first_response_minutes').setDescription('Escalate if staff have not replied within this many minutes').setMinValue(0)
+      )
+      .addRoleOption(o => o.setName('first_response_role').setDescription('Role pinged when the first response is overdue'))
+      .addIntegerOption(o =>
+        o.setName('inactivity_hours').setDescription('Warn after the opener leaves a staff reply unanswered this long').setMinValue(0)
+      )
+      .addRoleOption(o => o.setName('inactivity_role').setDescription('Role pinged with the inactivity warning'))
+      .addIntegerOption(o =>
+        o.setName('auto_close_hours').setDescription('Close after the opener leaves a staff reply unanswered this long').setMinValue(0)
+      )
+      .addRoleOption(o => o.setName('auto_close_role').setDescription('Role pinged when a ticket is auto-closed'))
+  )
+  .addSubcommandGroup(group =>
+    group
+      .setName('type')
+      .setDescription('Manage ticket types (admin only)')
+      .addSubcommand(sc =>
+        sc
+          .setName('add')
+          .setDescription('Add or update a ticket type')
+          .addStringOption(o =>
+            o.setName('key').setDescription('Short id, e.g. billing (a-z, 0-9, -)').setRequired(true).setMaxLength(20)
+          )
+          .addStringOption(o => o.setName('label').setDescription('Button / menu label').setRequired(true).setMaxLength(80))
+          .addChannelOption(o =>
+            o
+              .setName('category')
+              .setDescription('Category new tickets of this type go into')
+              .addChannelTypes(ChannelType.GuildCategory)
+          )
+          .addRoleOption(o => o.setName('staff_role').setDescription('Staff role that can see and handle these tickets'))
+          .addStringOption(o =>
+            o.setName('naming').setDescription('Channel name pattern using {number}, {user}, {type}').setMaxLength(90)
+          )
+          .addStringOption(o => o.setName('emoji').setDescription('Emoji shown on the button or option'))
+          .addStringOption(o => o.setName('description').setDescription('Dropdown option description').setMaxLength(100))
+          .addStringOption(o =>
+            o
+              .setName('button_style')
+              .setDescription('Button colour')
+              .addChoices(
+                { name: 'Blurple', value: 'PRIMARY' },
+                { name: 'Grey', value: 'SECONDARY' },
+                { name: 'Green', value: 'SUCCESS' },
+                { name: 'Red', value: 'DANGER' }
+              )
+          )
+      )
+      .addSubcommand(sc =>
+        sc
+          .setName('remove')
+          .setDescription('Remove a ticket type')
+          .addStringOption(o => o.setName('key').setDescription('Ticket type id').setRequired(true))
+      )
+      .addSubcommand(sc => sc.setName('list').setDescription('List configured ticket types'))
+      .addSubcommand(sc =>
+        sc
+          .setName('staff')
+          .setDescription('Add or remove a staff role on a ticket type')
+          .addStringOption(o => o.setName('key').setDescription('Ticket type id').setRequired(true))
+          .addRoleOption(o => o.setName('role').setDescription('Role to toggle').setRequired(true))
+      )
+      .addSubcommand(sc =>
+        sc
+          .setName('question')
+          .setDescription('Add an intake form question to a ticket type (max 5)')
+          .addStringOption(o => o.setName('key').setDescription('Ticket type id').setRequired(true))
+          .addStringOption(o => o.setName('label').setDescription('Question text').setRequired(true).setMaxLength(45))
+          .addStringOption(o =>
+            o
+              .setName('style')
+              .setDescription('Answer box size')
+              .addChoices({ name: 'Short', value: 'short' }, { name: 'Paragraph', value: 'paragraph' })
+          )
+          .addBooleanOption(o => o.setName('required').setDescription('Whether an answer is required (default yes)'))
+          .addStringOption(o => o.setName('placeholder').setDescription('Placeholder text').setMaxLength(100))
+      )
+      .addSubcommand(sc =>
+        sc
+          .setName('clear-questions')
+          .setDescription('Remove every intake form question from a ticket type')
+          .addStringOption(o => o.setName('key').setDescription('Ticket type id').setRequired(true))
+      )
+  )
   .setDefaultMemberPermissions(PermissionFlagsBits.SendMessages);
 
+async function handleTypeCommand(interaction, sub, t) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const config = await TicketConfig.forGuild(interaction.guild.id);
+  const key = interaction.options.getString('key')?.toLowerCase();
+  const type = key ? config.types.find(ty => ty.key === key) : null;
+
+  if (sub === 'list') {
+    const types = getTicketTypes(config);
+    const lines = types.map(ty => [
+      `**${ty.emoji ? `${ty.emoji} ` : ''}${ty.label}** (\`${ty.key}\`)`,
+      t('tickets.types.category', { category: ty.categoryId ? `<#${ty.categoryId}>` : 'Strive Tickets' }),
+      t('tickets.types.staff', {
+        roles: ty.staffRoleIds.length ? ty.staffRoleIds.map(id => `<@&${id}>`).join(', ') : t('tickets.types.managersOnly'),
+      }),
+      t('tickets.types.naming', { pattern: ty.namingPattern }),
+      t('tickets.types.questions', {
+        questions: ty.questions.length ? ty.questions.map(q => q.label).join(' | ') : t('tickets.types.noQuestions'),
+      }),
+    ].join('\n'));
+    const note = config.types.length ? '' : `\n\n${t('tickets.types.defaultNote')}`;
+    await interaction.followUp({ content: `${lines.join('\n\n')}${note}`.slice(0, 2000), ephemeral: true });
+    return;
+  }
+
+  if (sub === 'add') {
+    if (!/^[a-z0-9-]{1,20}$/.test(key)) {
+      await interaction.followUp({ content: t('tickets.types.badKey'), ephemeral: true });
+      return;
+    }
+    if (!type && config.types.length >= 25) {
+      await interaction.followUp({ content: t('tickets.types.tooMany'), ephemeral: true });
+      return;
+    }
+
+    const target = type ?? { key, staffRoleIds: [], questions: [] };
+    target.label = interaction.options.getString('label');
+    const category = interaction.options.getChannel('category');
+    const staffRole = interaction.options.getRole('staff_role');
+    const naming = interaction.options.getString('naming');
+    const emoji = interaction.options.getString('emoji');
+    const description = interaction.options.getString('description');
+    const buttonStyle = interaction.options.getString('button_style');
+    if (category) target.categoryId = category.id;
+    if (staffRole && !target.staffRoleIds.includes(staffRole.id)) target.staffRoleIds.push(staffRole.id);
+    if (naming) target.namingPattern = naming;
+    if (emoji) target.emoji = emoji;
+    if (description) target.description = description;
+    if (buttonStyle) target.buttonStyle = buttonStyle;
+    if (!type) config.types.push(target);
+
+    await config.save();
+    await interaction.followUp({ content: t(type ? 'tickets.types.updated' : 'tickets.types.added', { key }), ephemeral: true });
+    return;
+  }
+
+  if (!type) {
+    await interaction.followUp({ content: t('tickets.types.notFound', { key }), ephemeral: true });
+    return;
+  }
+
+  if (sub === 'remove') {
+    config.types = config.types.filter(ty => ty.key !== key);
+    await config.save();
+    await interaction.followUp({ content: t('tickets.types.removed', { key }), ephemeral: true });
+  } else if (sub === 'staff') {
+    const role = interaction.options.getRole('role');
+    const had = type.staffRoleIds.includes(role.id);
+    type.staffRoleIds = had ? type.staffRoleIds.filter(id => id !== role.id) : [...type.staffRoleIds, role.id];
+    await config.save();
+    await interaction.followUp({
+      content: t(had ? 'tickets.types.staffRemoved' : 'tickets.types.staffAdded', { role: `${role}`, key }),
+      ephemeral: true,
+    });
+  } else if (sub === 'question') {
+    if (type.questions.length >= MAX_QUESTIONS) {
+      await interaction.followUp({ content: t('tickets.types.tooManyQuestions', { max: MAX_QUESTIONS }), ephemeral: true });
+      return;
+    }
+    type.questions.push({
+      label: interaction.options.getString('label'),
+      style: interaction.options.getString('style') ?? 'short',
+      required: interaction.options.getBoolean('required') ?? true,
+      placeholder: interaction.options.getString('placeholder'),
+    });
+    await config.save();
+    await interaction.followUp({
+      content: t('tickets.types.questionAdded', { key, count: type.questions.length, max: MAX_QUESTIONS }),
+      ephemeral: true,
+    });
+  } else if (sub === 'clear-questions') {
+    type.questions = [];
+    await config.save();
+    await interaction.followUp({ content: t('tickets.types.questionsCleared', { key }), ephemeral: true });
+  }
+}
+
+// Overwrite for users and roles pulled into a ticket, and for staff it is transferred to
+const PARTICIPANT_ALLOW = Object.fromEntries(
+  ['ViewChannel', 'SendMessages', 'ReadMessageHistory', 'AttachFiles'].map(flag => [flag, true])
+);
+
+// add / remove / rename / transfer: run inside an open ticket by its staff
+async function handleTicketChannelCommand(interaction, sub, t) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const { channel, member, user, guild } = interaction;
+  const ticket = await getTicket(channel.id);
+  if (!ticket || ticket.status === 'closed') {
+    await interaction.followUp({ content: t('tickets.manage.notTicket'), ephemeral: true });
+    return;
+  }
+  if (!(await isTicketStaff(member, channel, ticket))) {
+    await interaction.followUp({ content: t('tickets.manage.notStaff'), ephemeral: true });
+    return;
+  }
+  // Notices posted in the ticket are in the server's language
+  const notice = forGuild(guild);
+
+  const reason = `Ticket #${ticket.number}: ${sub} by ${user.tag}`;
+
+  if (sub === 'add') {
+    const target = interaction.options.getMentionable('target');
+    // Allowing @everyone would lift the deny that keeps the ticket private
+    if ([interaction.client.user.id, guild.id].includes(target.id)) {
+      await interaction.followUp({ content: t('tickets.manage.cannotAdd'), ephemeral: true });
+      return;
+    }
+    await channel.permissionOverwrites.edit(target.id, PARTICIPANT_ALLOW, { reason });
+    await recordTicketNote(ticket, user.id, `added ${target.id}`);
+    await channel.send(notice('tickets.manage.addedNotice', { target: `${target}`, user: `${user}` }));
+    await interaction.followUp({ content: t('tickets.manage.added', { target: `${target}` }), ephemeral: true });
+  } else if (sub === 'remove') {
+    const target = interaction.options.getMentionable('target');
+    if ([ticket.openerId, interaction.client.user.id, guild.id].includes(target.id)) {
+      await interaction.followUp({ content: t('tickets.manage.cannotRemove'), ephemeral: true });
+      return;
+    }
+    if (!channel.permissionOverwrites.cache.has(target.id)) {
+      await interaction.followUp({ content: t('tickets.manage.noEntry', { target: `${target}` }), ephemeral: true });
+      return;
+    }
+    await channel.permissionOverwrites.delete(target.id, reason);
+    await recordTicketNote(ticket, user.id, `removed ${target.id}`);
+    await channel.send(notice('tickets.manage.removedNotice', { target: `${target}`, user: `${user}` }));
+    await interaction.followUp({ content: t('tickets.manage.removed', { target: `${target}` }), ephemeral: true });
+  } else if (sub === 'rename') {
+    const opener = await interaction.client.users.fetch(ticket.openerId).catch(() => null);
+    const name = formatChannelName(interaction.options.getString('name'), {
+      number: ticket.number,
+      username: opener?.username ?? 'user',
+      typeKey: ticket.type,
+    });
+    await channel.setName(name, reason);
+    await recordTicketNote(ticket, user.id, `renamed to ${name}`);
+    await interaction.followUp({ content: t('tickets.manage.renamed', { name }), ephemeral: true });
+  } else if (sub === 'transfer') {
+    const target = interaction.options.getMember('member');
+    if (!target || target.user.bot) {
+      await interaction.followUp({ content: t('tickets.manage.pickStaff'), ephemeral: true });
+      return;
+    }
+    if (ticket.status !== 'claimed') {
+      await interaction.followUp({ content: t('tickets.manage.notClaimed'), ephemeral: true });
+      return;
+    }
+    if (target.id === ticket.claimedBy) {
+      await interaction.followUp({ content: t('tickets.manage.alreadyHolds', { target: `${target}` }), ephemeral: true });
+      return;
+    }
+    if (!(await isTicketStaff(target, channel, ticket))) {
+      await interaction.followUp({ content: t('tickets.manage.targetNotStaff', { target: `${target}` }), ephemeral: true });
+      return;
+    }
+
+    const previous = ticket.claimedBy;
+    await channel.permissionOverwrites.edit(target.id, PARTICIPANT_ALLOW, { reason });
+    await transitionTicket(ticket, 'claimed', target.id, `transferred from ${previous} by ${user.id}`);
+    await channel.send(
+      notice('tickets.manage.transferredNotice', { user: `${user}`, previous: `<@${previous}>`, target: `${target}` })
+    );
+    await interaction.followUp({ content: t('tickets.manage.transferred', { target: `${target}` }), ephemeral: true });
+  }
+}
+
+async function handleReopen(interaction, t) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const { client, guild, member, user } = interaction;
+  const number = interaction.options.getInteger('number');
+  const ticket = await getTicketByNumber(guild.id, number);
+  if (!ticket) {
+    await interaction.followUp({ content: t('tickets.manage.noTicket', { number }), ephemeral: true });
+    return;
+  }
+  if (ticket.status !== 'closed') {
+    await interaction.followUp({
+      content: t('tickets.manage.stillOpen', { number, channel: `<#${ticket.channelId}>` }),
+      ephemeral: true,
+    });
+    return;
+  }
+  if (!(await isTicketStaff(member, null, ticket))) {
+    await interaction.followUp({ content: t('tickets.manage.notTypeStaff'), ephemeral: true });
+    return;
+  }
+
+  const config = await TicketConfig.findOne({ guildId: guild.id });
+  const type = resolveTicketType(config, ticket.type);
+  const opener = await client.users.fetch(ticket.openerId);
+  const channel = await createTicketChannel({ guild, client, opener, type, number: ticket.number });
+  await reopenTicket(ticket, channel.id, user.id);
+
+  // The ticket itself is in the server's language
+  const notice = forGuild(guild);
+  const embed = new EmbedBuilder()
+    .setTitle(notice('tickets.reopened.title', { number: ticket.number }))
+    .setDescription(notice('tickets.reopened.description', { user: `${user}` }))
+    .addFields({ name: notice('tickets.welcome.type'), value: type.label, inline: true })
+    .setColor('#5865F2')
+    .setTimestamp();
+
+  const transcript = await Transcript.findOne({ ticketId: ticket._id }).sort({ createdAt: -1 }).select('_id');
+  if (transcript && process.env.BASE_URL) {
+    embed.addFields({
+      name: notice('tickets.reopened.previous'),
+      value: `[${notice('tickets.reopened.transcript')}](${process.env.BASE_URL}/transcripts/${transcript.id})`,
+      inline: true,
+    });
+  }
+
+  await channel.send({ content: `<@${ticket.openerId}>`, allowedMentions: { users: [ticket.openerId] } });
+  await channel.send({ embeds: [embed], components: [buildTicketControls(channel.id, notice)] });
+  await interaction.followUp({
+    content: t('tickets.manage.reopenedReply', { number: ticket.number, channel: `${channel}` }),
+    ephemeral: true,
+  });
+}
+
 export async function execute(interaction) {
+  const group = interaction.options.getSubcommandGroup(false);
   const sub = interaction.options.getSubcommand();
+  const t = forInteraction(interaction);
+
+  if (group === 'type') {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+      return;
+    }
+
+    try {
+      await handleTypeCommand(interaction, sub, t);
+    } catch (error) {
+      console.error('Ticket type error:', error);
+      try {
+        await interaction.followUp({ content: t('tickets.types.failed'), ephemeral: true });
+      } catch (followUpError) {
+        console.error('Follow-up error:', followUpError);
+      }
+    }
+    return;
+  }
+
+  if (['add', 'remove', 'rename', 'transfer', 'reopen'].includes(sub)) {
+    try {
+      if (sub === 'reopen') await handleReopen(interaction, t);
+      else await handleTicketChannelCommand(interaction, sub, t);
+    } catch (error) {
+      console.error(`Ticket ${sub} error:`, error);
+      try {
+        await interaction.followUp({ content: t(`tickets.manage.failed.${sub}`), ephemeral: true });
+      } catch (followUpError) {
+        console.error('Follow-up error:', followUpError);
+      }
+    }
+    return;
+  }
 
   if (sub === 'create') {
     try {
       // Defer the reply to avoid timeout issues
       await interaction.deferReply({ ephemeral: true });
 
-      // Create default ticket panel embed
+      const config = await TicketConfig.findOne({ guildId: interaction.guild.id });
+      const types = getTicketTypes(config);
+      const style = interaction.options.getString('style') ?? 'buttons';
+      // The panel is public, so it is in the server's language
+      const panelText = forGuild(interaction.guild);
+
+      // Create ticket panel embed
       const panelEmbed = new EmbedBuilder()
-        .setTitle('Support Ticket Panel')
-        .setDescription('Click the button below to create a support ticket.')
+        .setTitle(interaction.options.getString('title') ?? panelText('tickets.panel.title'))
+        .setDescription(
+          interaction.options.getString('description') ??
+            panelText(types.length > 1 ? 'tickets.panel.chooseType' : 'tickets.panel.clickButton')
+        )
         .setColor('#5865F2')
         .setTimestamp();
 
-      // Create ticket panel button
-      const panelButton = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setCustomId(`create_ticket_${interaction.guild.id}`)
-          .setLabel('Create Ticket')
-          .setStyle(ButtonStyle.Primary)
-      );
-
       // Send the ticket panel to the current channel
-      await interaction.channel.send({ embeds: [panelEmbed], components: [panelButton] });
+      await interaction.channel.send({
+        embeds: [panelEmbed],
+        components: buildPanelComponents(types, style, panelText),
+      });
 
       // Follow up with confirmation
-      await interaction.followUp({ content: '✅ Ticket panel sent to this channel.', ephemeral: true });
+      await interaction.followUp({ content: t('tickets.panel.sent'), ephemeral: true });
     } catch (error) {
       console.error('Create error:', error);
       try {
-        await interaction.followUp({ content: '❌ Failed to send ticket panel.', ephemeral: true });
+        await interaction.followUp({ content: t('tickets.panel.failed'), ephemeral: true });
       } catch (followUpError) {
         console.error('Follow-up error:', followUpError);
       }
@@ -48,7 +517,7 @@ export async function execute(interaction) {
 
   } else if (sub === 'panel') {
     if (!interaction.member.permissions.has(PermissionFlagsBits.ManageChannels)) {
-      await interaction.reply({ content: '❌ You lack permission.', ephemeral: true });
+      await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
       return;
     }
 
@@ -56,137 +525,206 @@ export async function execute(interaction) {
       // Defer the reply to avoid timeout issues
       await interaction.deferReply({ ephemeral: true });
 
-      const token = `${interaction.guild.id}-${crypto.randomBytes(16).toString('hex')}`;
-      const expiresAt = Date.now() + 15 * 60 * 1000; // 15 min
+      if (interaction.options.getBoolean('revoke')) {
+        const revoked = await revokeSetupTokens({ guildId: interaction.guild.id, userId: interaction.user.id });
+        await interaction.followUp({ content: t('tickets.panel.revoked', { count: revoked }), ephemeral: true });
+        return;
+      }
 
-      if (!interaction.client.strive) interaction.client.strive = {};
-      if (!interaction.client.strive.ticketTokens) interaction.client.strive.ticketTokens = new Map();
-      console.log('Storing token:', token, 'for guild:', interaction.guild.id, 'at:', new Date().toISOString());
+      // Signed, single-use and bound to this user and guild; replaces any earlier unused link
+      const { token } = await issueSetupToken({ guildId: interaction.guild.id, userId: interaction.user.id });
+      const url = `${process.env.BASE_URL}/setup.html?token=${encodeURIComponent(token)}`;
 
-      const channels = interaction.guild.channels.cache
-        .filter(ch => ch.type === ChannelType.GuildText && ch.viewable)
-        .map(ch => ({ id: ch.id, name: ch.name }));
+      await interaction.followUp({
+        content: t('tickets.panel.setupLink', { url }),
+        ephemeral: true,
+      });
+    } catch (error) {
+      console.error('Panel error:', error);
+      try {
+        await interaction.followUp({ content: t('tickets.panel.setupFailed'), ephemeral: true });
+      } catch (followUpError) {
+        console.error('Follow-up error:', followUpError);
+      }
+    }
 
-      interaction.client.strive.ticketTokens.set(token, {
-        guildId: interaction.guild.id,
-        guildName: interaction.guild.name,
-        userId: interaction.user.id,
-        channels,
-        expiresAt,
+  } else if (sub === 'limits') {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+      return;
+    }
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const config = await TicketConfig.forGuild(interaction.guild.id);
+      const { limits } = config;
+      const perUser = interaction.options.getInteger('per_user');
+      const cooldown = interaction.options.getInteger('cooldown_seconds');
+      const guildMax = interaction.options.getInteger('guild_max');
+      if (perUser !== null) limits.maxOpenPerUser = perUser;
+      if (cooldown !== null) limits.cooldownSeconds = cooldown;
+      if (guildMax !== null) limits.maxOpenPerGuild = guildMax;
+      await config.save();
+
+      await interaction.followUp({
+        content: [
+          t('tickets.settings.limitsTitle'),
+          t('tickets.settings.perUser', { count: limits.maxOpenPerUser }),
+          t('tickets.settings.cooldown', { count: limits.cooldownSeconds }),
+          t('tickets.settings.perGuild', { count: limits.maxOpenPerGuild }),
+        ].join('\n'),
+        ephemeral: true,
       });
+    } catch (error) {
+      console.error('Limits settings error:', error);
+      try {
+        await interaction.followUp({ content: t('tickets.settings.limitsFailed'), ephemeral: true });
+      } catch (followUpError) {
+        console.error('Follow-up error:', followUpError);
+      }
+    }
 
-      const url = `${process.env.BASE_URL}/setup.html?token=${encodeURIComponent(token)}`;
-      console.log('Generated URL:', url);
+  } else if (sub === 'sla') {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+      return;
+    }
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const config = await TicketConfig.forGuild(interaction.guild.id);
+      const { sla } = config;
+      const enabled = interaction.options.getBoolean('enabled');
+      if (enabled !== null) sla.enabled = enabled;
+
+      const steps = [
+        ['firstResponse', 'first_response_minutes', 'first_response_role'],
+        ['inactivityWarning', 'inactivity_hours', 'inactivity_role'],
+        ['autoClose', 'auto_close_hours', 'auto_close_role'],
+      ];
+      for (const [step, afterOption, roleOption] of steps) {
+        const after = interaction.options.getInteger(afterOption);
+        const role = interaction.options.getRole(roleOption);
+        if (after !== null) sla[step].after = after || null;
+        if (role) sla[step].roleId = role.id;
+      }
+      await config.save();
 
+      // `unitKey` is a plural entry that renders the step's delay
+      const describe = (step, unitKey) =>
+        step.after
+          ? `${t(unitKey, { count: step.after })}${step.roleId ? ` → <@&${step.roleId}>` : ''}`
+          : t('tickets.settings.off');
       await interaction.followUp({
-        content: `🛠️ Configure your ticket panel here:\n${url}`,
+        content: [
+          t(sla.enabled ? 'tickets.settings.slaEnabled' : 'tickets.settings.slaDisabled'),
+          t('tickets.settings.firstResponse', { value: describe(sla.firstResponse, 'common.minutes') }),
+          t('tickets.settings.inactivity', { value: describe(sla.inactivityWarning, 'tickets.settings.hours') }),
+          t('tickets.settings.autoClose', { value: describe(sla.autoClose, 'tickets.settings.hours') }),
+        ].join('\n'),
         ephemeral: true,
       });
     } catch (error) {
-      console.error('Panel error:', error);
+      console.error('SLA settings error:', error);
       try {
-        await interaction.followUp({ content: '❌ Failed to generate ticket panel.', ephemeral: true });
+        await interaction.followUp({ content: t('tickets.settings.slaFailed'), ephemeral: true });
       } catch (followUpError) {
         console.error('Follow-up error:', followUpError);
       }
     }
-  }
-}
 
-export async function handleSetupInfo(req, res) {
-  const { token } = req.query;
-  if (!token) {
-    console.log('Missing token at:', new Date().toISOString());
-    return res.status(400).json({ error: 'Missing token' });
-  }
+  } else if (sub === 'stats') {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+      return;
+    }
 
-  const client = req.client;
-  if (!client.strive?.ticketTokens?.has(token)) {
-    console.log('Invalid token:', token, 'at:', new Date().toISOString());
-    return res.status(404).json({ error: 'Invalid token' });
-  }
+    try {
+      await interaction.deferReply({ ephemeral: true });
 
-  const tokenData = client.strive.ticketTokens.get(token);
-  if (tokenData.expiresAt < Date.now()) {
-    console.log('Expired token:', token, 'at:', new Date().toISOString());
-    client.strive.ticketTokens.delete(token);
-    return res.status(410).json({ error: 'Token expired' });
-  }
+      const days = interaction.options.getInteger('days');
+      const since = days ? new Date(Date.now() - days * 86_400_000) : null;
+      const stats = await getFeedbackStats(interaction.guild.id, { since });
 
-  const [guildIdFromToken] = token.split('-');
-  if (guildIdFromToken !== tokenData.guildId) {
-    console.log('Guild mismatch for token:', token, 'Expected:', tokenData.guildId, 'Got:', guildIdFromToken, 'at:', new Date().toISOString());
-    return res.status(403).json({ error: 'Token guild mismatch' });
-  }
+      const config = await TicketConfig.findOne({ guildId: interaction.guild.id });
+      const typeLabel = (key) => getTicketTypes(config).find(ty => ty.key === key)?.label ?? key;
+      const line = (name, s) => `${name}: **${s.average.toFixed(2)}** ⭐ (${s.count})`;
 
-  console.log('Valid token:', token, 'for guild:', tokenData.guildId, 'at:', new Date().toISOString());
-  res.json({
-    bot: { tag: client.user.tag, id: client.user.id },
-    guild: { id: tokenData.guildId, name: tokenData.guildName },
-    channels: tokenData.channels,
-  });
-}
+      const embed = new EmbedBuilder()
+        .setTitle(days ? t('tickets.stats.titleDays', { count: days }) : t('tickets.stats.title'))
+        .setDescription(
+          stats.count
+            ? t('tickets.stats.summary', { average: stats.average.toFixed(2), count: stats.count, requested: stats.requested })
+            : t('tickets.stats.none')
+        )
+        .setColor('#5865F2')
+        .setTimestamp();
 
-export async function handleSavePanel(req, res) {
-  const { token, channelId, panelMessage, embedColor } = req.body;
-  if (!token || !channelId) {
-    console.log('Missing token or channel ID at:', new Date().toISOString());
-    return res.status(400).json({ error: 'Missing token or channel ID' });
-  }
+      if (stats.count) {
+        embed.addFields(
+          {
+            name: t('tickets.stats.byStaff'),
+            value: stats.byStaff
+              .slice(0, 15)
+              .map(s => line(s.staffId ? `<@${s.staffId}>` : t('tickets.stats.unhandled'), s))
+              .join('\n'),
+          },
+          {
+            name: t('tickets.stats.byType'),
+            value: stats.byType.slice(0, 15).map(s => line(typeLabel(s.type), s)).join('\n'),
+          }
+        );
+      }
 
-  const client = req.client;
-  if (!client.strive?.ticketTokens?.has(token)) {
-    console.log('Invalid token in save:', token, 'at:', new Date().toISOString());
-    return res.status(404).json({ error: 'Invalid or expired token' });
-  }
+      await interaction.followUp({ embeds: [embed], ephemeral: true });
+    } catch (error) {
+      console.error('Stats error:', error);
+      try {
+        await interaction.followUp({ content: t('tickets.stats.failed'), ephemeral: true });
+      } catch (followUpError) {
+        console.error('Follow-up error:', followUpError);
+      }
+    }
 
-  const tokenData = client.strive.ticketTokens.get(token);
-  if (tokenData.expiresAt < Date.now()) {
-    console.log('Expired token in save:', token, 'at:', new Date().toISOString());
-    client.strive.ticketTokens.delete(token);
-    return res.status(410).json({ error: 'Token expired' });
-  }
+  } else if (sub === 'settings') {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: t('common.noPermission'), ephemeral: true });
+      return;
+    }
 
-  if (tokenData.guildId !== token.split('-')[0]) {
-    console.log('Guild mismatch in save:', token, 'at:', new Date().toISOString());
-    return res.status(403).json({ error: 'Token does not match guild' });
-  }
+    try {
+      await interaction.deferReply({ ephemeral: true });
 
-  try {
-    const channel = await client.channels.fetch(channelId);
-    if (!channel || channel.guildId !== tokenData.guildId) {
-      console.log('Invalid channel:', channelId, 'at:', new Date().toISOString());
-      return res.status(400).json({ error: 'Invalid channel' });
-    }
-
-    const embed = new EmbedBuilder()
-      .setTitle('Support Ticket')
-      .setDescription(panelMessage || 'Click the button below to create a support ticket.')
-      .setColor(embedColor || '#5865F2')
-      .setTimestamp();
-
-    await channel.send({
-      embeds: [embed],
-      components: [
-        {
-          type: 1,
-          components: [
-            {
-              type: 2,
-              style: 1,
-              label: 'Create Ticket',
-              custom_id: `create_ticket_${tokenData.guildId}`,
-            },
-          ],
-        },
-      ],
-    });
+      const config = await TicketConfig.forGuild(interaction.guild.id);
+      const transcriptChannel = interaction.options.getChannel('transcript_channel');
+      const dmTranscript = interaction.options.getBoolean('dm_transcript');
+      const feedback = interaction.options.getBoolean('feedback');
 
-    client.strive.ticketTokens.delete(token);
-    console.log('Panel sent successfully for token:', token, 'at:', new Date().toISOString());
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Save panel error:', error, 'at:', new Date().toISOString());
-    res.status(500).json({ error: 'Failed to send panel' });
+      if (transcriptChannel) config.transcriptChannelId = transcriptChannel.id;
+      if (dmTranscript !== null) config.dmTranscript = dmTranscript;
+      if (feedback !== null) config.requestFeedback = feedback;
+      await config.save();
+
+      await interaction.followUp({
+        content: [
+          t('tickets.settings.title'),
+          t('tickets.settings.transcriptChannel', {
+            channel: config.transcriptChannelId ? `<#${config.transcriptChannelId}>` : t('tickets.settings.notSet'),
+          }),
+          t('tickets.settings.dmTranscript', { value: t(config.dmTranscript ? 'tickets.settings.yes' : 'tickets.settings.no') }),
+          t('tickets.settings.feedback', { value: t(config.requestFeedback ? 'tickets.settings.yes' : 'tickets.settings.no') }),
+        ].join('\n'),
+        ephemeral: true,
+      });
+    } catch (error) {
+      console.error('Settings error:', error);
+      try {
+        await interaction.followUp({ content: t('tickets.settings.failed'), ephemeral: true });
+      } catch (followUpError) {
+        console.error('Follow-up error:', followUpError);
+      }
+    }
   }
 }
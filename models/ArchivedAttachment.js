@@ -0,0 +1,22 @@
+// /models/ArchivedAttachment.js
+import mongoose from 'mongoose';
+
+// A copy of a message attachment kept in the blob store (see bot/logging/archive.js)
+const archivedAttachmentSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  channelId: { type: String, required: true },
+  messageId: { type: String, required: true, index: true },
+  authorId: { type: String, default: null },
+  name: { type: String, required: true },
+  contentType: { type: String, default: null },
+  size: { type: Number, required: true },
+  // Blob store key, "<guildId>/<messageId>/<attachmentId>-<name>"
+  key: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  // Not a TTL index: the purge sweep deletes the blob first, then the record
+  expiresAt: { type: Date, required: true, index: true },
+});
+
+archivedAttachmentSchema.index({ guildId: 1, createdAt: 1 });
+
+export default mongoose.model('ArchivedAttachment', archivedAttachmentSchema);
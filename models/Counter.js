@@ -0,0 +1,22 @@
+// /models/Counter.js
+import mongoose from 'mongoose';
+
+// Named monotonic sequences, e.g. `ticket:<guildId>` for per-guild ticket numbers
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+counterSchema.statics.next = async function next(key) {
+  const doc = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return doc.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
@@ -0,0 +1,20 @@
+// /models/GuildSettings.js
+import mongoose from 'mongoose';
+
+// Server-wide preferences that don't belong to a single subsystem
+const guildSettingsSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true, unique: true },
+    // Bundled language for server-facing messages (logs, ticket embeds, warnings)
+    language: { type: String, default: 'en' },
+    // Where "Report message" sends reports for moderators to handle
+    modQueueChannelId: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+guildSettingsSchema.statics.forGuild = async function forGuild(guildId) {
+  return (await this.findOne({ guildId })) ?? new this({ guildId });
+};
+
+export default mongoose.model('GuildSettings', guildSettingsSchema);
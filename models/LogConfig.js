@@ -0,0 +1,57 @@
+// /models/LogConfig.js
+import mongoose from 'mongoose';
+
+// Per log type; a missing entry means enabled with the default channel name
+const logTypeSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: true },
+    // Where this type is posted; several types may share one channel
+    channelId: { type: String, default: null },
+    // Channel name used when scaffolding (null = default from LOG_TYPES)
+    name: { type: String, default: null, maxlength: 100 },
+  },
+  { _id: false }
+);
+
+// Opt-in copies of message attachments, re-posted with deletion logs
+const attachmentArchiveSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    maxSizeMb: { type: Number, default: 8, min: 1, max: 25 },
+    // MIME types; "image/*" matches every image type
+    types: { type: [String], default: ['image/*', 'video/*', 'application/pdf', 'text/plain'] },
+  },
+  { _id: false }
+);
+
+// IDs whose activity is never logged (see bot/logging/filters.js)
+const ignoreSchema = new mongoose.Schema(
+  {
+    channels: { type: [String], default: [] },
+    categories: { type: [String], default: [] },
+    roles: { type: [String], default: [] },
+    users: { type: [String], default: [] },
+    webhooks: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const logConfigSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true, unique: true },
+    // Create missing log categories/channels on startup and when joining
+    autoScaffold: { type: Boolean, default: true },
+    // How long searchable log events are kept
+    retentionDays: { type: Number, default: 30, min: 1, max: 365 },
+    types: { type: Map, of: logTypeSchema, default: {} },
+    attachmentArchive: { type: attachmentArchiveSchema, default: () => ({}) },
+    ignore: { type: ignoreSchema, default: () => ({}) },
+  },
+  { timestamps: true }
+);
+
+logConfigSchema.statics.forGuild = async function forGuild(guildId) {
+  return (await this.findOne({ guildId })) ?? new this({ guildId });
+};
+
+export default mongoose.model('LogConfig', logConfigSchema);
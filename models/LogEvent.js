@@ -0,0 +1,28 @@
+// /models/LogEvent.js
+import mongoose from 'mongoose';
+
+// One logged event, searchable by type, user, channel and time
+const logEventSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  // LOG_TYPES key, e.g. "msgDeleted"
+  type: { type: String, required: true },
+  // Who did it (moderator, author, member) and what it was done to (user, role, channel, message)
+  actorId: { type: String, default: null },
+  targetId: { type: String, default: null },
+  channelId: { type: String, default: null },
+  summary: { type: String, default: null },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+  // Set from the guild's retention when written; removed by the TTL index
+  expiresAt: { type: Date, required: true },
+});
+
+logEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+logEventSchema.index({ guildId: 1, createdAt: -1 });
+logEventSchema.index({ guildId: 1, type: 1, createdAt: -1 });
+logEventSchema.index({ guildId: 1, actorId: 1, createdAt: -1 });
+logEventSchema.index({ guildId: 1, targetId: 1, createdAt: -1 });
+logEventSchema.index({ guildId: 1, channelId: 1, createdAt: -1 });
+
+export default mongoose.model('LogEvent', logEventSchema);
@@ -0,0 +1,29 @@
+// /models/Offence.js
+import mongoose from 'mongoose';
+
+// An automatic-moderation hit against a member and the response it got
+const offenceSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true },
+    userId: { type: String, required: true },
+    // Protection module that caught it, e.g. "antispam"
+    module: { type: String, required: true },
+    // What was detected, e.g. "duplicates" or "mentions"
+    reason: { type: String, required: true },
+    // Ladder step applied: delete, warn, timeout:<minutes>, kick or ban
+    action: { type: String, required: true },
+    // False when the bot could not carry the step out; the offence still counts
+    applied: { type: Boolean, default: true },
+    channelId: { type: String, default: null },
+    messageId: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+offenceSchema.index({ guildId: 1, userId: 1, module: 1, createdAt: -1 });
+
+offenceSchema.statics.countSince = function countSince(guildId, userId, module, since) {
+  return this.countDocuments({ guildId, userId, module, createdAt: { $gte: since } });
+};
+
+export default mongoose.model('Offence', offenceSchema);
@@ -0,0 +1,34 @@
+// /models/Panel.js
+import mongoose from 'mongoose';
+
+const panelButtonSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, maxlength: 80 },
+    style: { type: String, enum: ['PRIMARY', 'SECONDARY', 'SUCCESS', 'DANGER'], default: 'PRIMARY' },
+    emoji: { type: String, default: null },
+    // TicketConfig.types[].key this button opens
+    typeKey: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// A ticket panel message deployed from the dashboard. Components use
+// `ticket.panel:<panelId>:<index>` so clicks resolve back to this document.
+const panelSchema = new mongoose.Schema(
+  {
+    panelId: { type: String, required: true, unique: true },
+    guildId: { type: String, required: true, index: true },
+    channelId: { type: String, required: true },
+    messageId: { type: String, default: null },
+    title: { type: String, default: 'Support', maxlength: 256 },
+    description: { type: String, default: '', maxlength: 4000 },
+    color: { type: String, default: '#2f3136' },
+    style: { type: String, enum: ['buttons', 'select'], default: 'buttons' },
+    buttons: { type: [panelButtonSchema], default: [] },
+    createdBy: { type: String, required: true },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Panel', panelSchema);
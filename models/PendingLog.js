@@ -0,0 +1,15 @@
+// /models/PendingLog.js
+import mongoose from 'mongoose';
+
+// Log embeds still queued at shutdown, replayed on the next start (see bot/logging/delivery.js)
+const pendingLogSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  channelId: { type: String, required: true, index: true },
+  embed: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Attachments sent with the embed, base64-encoded
+  files: { type: [{ _id: false, name: String, data: String }], default: [] },
+  // Stale log entries are not worth delivering after a day
+  queuedAt: { type: Date, default: Date.now, expires: 86_400 },
+});
+
+export default mongoose.model('PendingLog', pendingLogSchema);
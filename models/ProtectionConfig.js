@@ -0,0 +1,15 @@
+// /models/ProtectionConfig.js
+import mongoose from 'mongoose';
+
+// Per-guild settings of the protection modules. `modules` is validated and
+// filled with defaults by the zod schema in bot/security/config.js, so it is
+// stored loosely here; modules never configured are simply absent.
+const protectionConfigSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true, unique: true },
+    modules: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  },
+  { timestamps: true, minimize: false }
+);
+
+export default mongoose.model('ProtectionConfig', protectionConfigSchema);
@@ -0,0 +1,53 @@
+// /models/Raid.js
+import mongoose from 'mongoose';
+
+// A channel as it was before raid mode changed it, for restoring afterwards
+const channelSnapshotSchema = new mongoose.Schema(
+  {
+    channelId: { type: String, required: true },
+    rateLimitPerUser: { type: Number, default: 0 },
+    // The @everyone overwrite as permission bitfields; null when the channel had none
+    everyone: {
+      type: new mongoose.Schema({ allow: String, deny: String }, { _id: false }),
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// A joiner screened while raid mode was on
+const affectedMemberSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    tag: { type: String, default: null },
+    // kicked, quarantined, or flagged when no action could be taken
+    action: { type: String, required: true },
+    reasons: { type: [String], default: [] },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One raid-mode period of a guild; at most one is active at a time
+const raidSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true },
+    active: { type: Boolean, default: true },
+    // auto (join flood) or manual (/raid start)
+    trigger: { type: String, enum: ['auto', 'manual'], required: true },
+    startedBy: { type: String, default: null },
+    endedBy: { type: String, default: null },
+    // quiet, manual
+    endReason: { type: String, default: null },
+    endedAt: { type: Date, default: null },
+    lastJoinAt: { type: Date, default: Date.now },
+    joinCount: { type: Number, default: 0 },
+    snapshots: { type: [channelSnapshotSchema], default: [] },
+    affected: { type: [affectedMemberSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+raidSchema.index({ guildId: 1, active: 1 });
+
+export default mongoose.model('Raid', raidSchema);
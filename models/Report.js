@@ -0,0 +1,31 @@
+// /models/Report.js
+import mongoose from 'mongoose';
+
+export const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// A message reported by a member through the "Report message" context menu
+const reportSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true, index: true },
+    reporterId: { type: String, required: true },
+    targetId: { type: String, default: null, index: true },
+    channelId: { type: String, required: true },
+    messageId: { type: String, required: true },
+    // Copy of the message at report time; it may be edited or deleted afterwards
+    content: { type: String, default: '' },
+    attachments: { type: [String], default: [] },
+    reason: { type: String, default: null },
+    status: { type: String, enum: REPORT_STATUSES, default: 'open', index: true },
+    handledBy: { type: String, default: null },
+    handledAt: { type: Date, default: null },
+    // The embed posted in the mod queue channel
+    queueChannelId: { type: String, default: null },
+    queueMessageId: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// A member can report a given message once
+reportSchema.index({ guildId: 1, messageId: 1, reporterId: 1 }, { unique: true });
+
+export default mongoose.model('Report', reportSchema);
@@ -0,0 +1,21 @@
+// /models/SetupToken.js
+import mongoose from 'mongoose';
+
+// Server-side record of a dashboard setup link; the link itself carries a signed copy of jti/guild/user/exp
+const setupTokenSchema = new mongoose.Schema(
+  {
+    jti: { type: String, required: true, unique: true },
+    purpose: { type: String, default: 'ticket-panel' },
+    guildId: { type: String, required: true, index: true },
+    userId: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Mongo drops expired tokens on its own
+setupTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SetupToken', setupTokenSchema);
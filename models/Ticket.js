@@ -0,0 +1,72 @@
+// /models/Ticket.js
+import mongoose from 'mongoose';
+
+export const TICKET_STATUSES = ['open', 'claimed', 'pending-user', 'closed', 'reopened'];
+
+const historySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: TICKET_STATUSES, required: true },
+    by: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+    note: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const editSchema = new mongoose.Schema(
+  {
+    messageId: { type: String, required: true },
+    authorId: { type: String, default: null },
+    before: { type: String, default: null },
+    after: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const ticketSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true, index: true },
+    channelId: { type: String, required: true, unique: true },
+    number: { type: Number, required: true },
+    openerId: { type: String, required: true, index: true },
+    type: { type: String, default: 'general' },
+    status: { type: String, enum: TICKET_STATUSES, default: 'open', index: true },
+    claimedBy: { type: String, default: null },
+    claimedAt: { type: Date, default: null },
+    closedBy: { type: String, default: null },
+    closedAt: { type: Date, default: null },
+    closeReason: { type: String, default: null },
+    reopenedAt: { type: Date, default: null },
+    lastActivityAt: { type: Date, default: Date.now },
+    lastOpenerActivityAt: { type: Date, default: Date.now },
+    lastStaffActivityAt: { type: Date, default: null },
+    firstResponseAt: { type: Date, default: null },
+    firstResponseBy: { type: String, default: null },
+    // When each SLA escalation fired, so the scheduler only fires it once
+    sla: {
+      firstResponseEscalatedAt: { type: Date, default: null },
+      inactivityWarnedAt: { type: Date, default: null },
+    },
+    metrics: {
+      timeToFirstResponseMs: { type: Number, default: null },
+      timeToCloseMs: { type: Number, default: null },
+    },
+    // Opener's rating after close; staffId is whoever handled the ticket
+    feedback: {
+      requestedAt: { type: Date, default: null },
+      rating: { type: Number, min: 1, max: 5, default: null },
+      comment: { type: String, default: null },
+      staffId: { type: String, default: null },
+      submittedAt: { type: Date, default: null },
+    },
+    history: { type: [historySchema], default: [] },
+    // Prior message versions, kept for transcripts
+    edits: { type: [editSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+ticketSchema.index({ guildId: 1, number: 1 }, { unique: true });
+
+export default mongoose.model('Ticket', ticketSchema);
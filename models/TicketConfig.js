@@ -0,0 +1,73 @@
+// /models/TicketConfig.js
+import mongoose from 'mongoose';
+
+const questionSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, maxlength: 45 },
+    style: { type: String, enum: ['short', 'paragraph'], default: 'short' },
+    required: { type: Boolean, default: true },
+    placeholder: { type: String, default: null, maxlength: 100 },
+  },
+  { _id: false }
+);
+
+const ticketTypeSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, match: /^[a-z0-9-]{1,20}$/ },
+    label: { type: String, required: true, maxlength: 80 },
+    emoji: { type: String, default: null },
+    description: { type: String, default: null, maxlength: 100 },
+    buttonStyle: { type: String, enum: ['PRIMARY', 'SECONDARY', 'SUCCESS', 'DANGER'], default: 'PRIMARY' },
+    categoryId: { type: String, default: null },
+    staffRoleIds: { type: [String], default: [] },
+    // Tokens: {number}, {user}, {type}
+    namingPattern: { type: String, default: 'ticket-{number}-{user}' },
+    // Shown as a modal before the ticket opens (Discord allows at most 5)
+    questions: { type: [questionSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// One SLA step: how long before it fires and which role to ping (null = no ping)
+const slaStepSchema = new mongoose.Schema(
+  {
+    after: { type: Number, default: null, min: 1 },
+    roleId: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const ticketConfigSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true, unique: true },
+    // Where closed-ticket transcripts are posted (null = not archived to a channel)
+    transcriptChannelId: { type: String, default: null },
+    // DM the opener a copy of the transcript on close
+    dmTranscript: { type: Boolean, default: true },
+    // DM the opener a 1-5 rating request on close
+    requestFeedback: { type: Boolean, default: true },
+    types: { type: [ticketTypeSchema], default: [] },
+    limits: {
+      maxOpenPerUser: { type: Number, default: 1, min: 1 },
+      // Minimum gap between two tickets from the same user
+      cooldownSeconds: { type: Number, default: 60, min: 0 },
+      // Guild-wide ceiling on open tickets; categories spill over every 50 channels
+      maxOpenPerGuild: { type: Number, default: 50, min: 1, max: 450 },
+    },
+    sla: {
+      enabled: { type: Boolean, default: false },
+      // `after` is minutes since the ticket opened
+      firstResponse: { type: slaStepSchema, default: () => ({}) },
+      // `after` is hours the opener has left a staff reply unanswered
+      inactivityWarning: { type: slaStepSchema, default: () => ({}) },
+      autoClose: { type: slaStepSchema, default: () => ({}) },
+    },
+  },
+  { timestamps: true }
+);
+
+ticketConfigSchema.statics.forGuild = async function forGuild(guildId) {
+  return (await this.findOne({ guildId })) ?? new this({ guildId });
+};
+
+export default mongoose.model('TicketConfig', ticketConfigSchema);
@@ -0,0 +1,24 @@
+// /models/Transcript.js
+import mongoose from 'mongoose';
+
+const transcriptSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true },
+    ticketId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ticket', required: true, index: true },
+    ticketNumber: { type: Number, required: true },
+    channelId: { type: String, required: true },
+    channelName: { type: String, default: null },
+    openerId: { type: String, required: true },
+    closedBy: { type: String, default: null },
+    messageCount: { type: Number, default: 0 },
+    // Only on transcripts saved before the HTML view was rendered from `data`
+    html: { type: String, default: undefined },
+    // Same payload as the JSON export
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  { timestamps: true }
+);
+
+transcriptSchema.index({ guildId: 1, ticketNumber: 1 });
+
+export default mongoose.model('Transcript', transcriptSchema);
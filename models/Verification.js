@@ -0,0 +1,37 @@
+// /models/Verification.js
+import mongoose from 'mongoose';
+
+// One try at the gate: a button press, a captcha link handed out, or a captcha answer
+const attemptSchema = new mongoose.Schema(
+  {
+    // button, captcha or manual
+    method: { type: String, required: true },
+    // passed, failed or issued (a captcha link was sent)
+    outcome: { type: String, required: true },
+    reason: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Where a member stands with a guild's verification gate; reset when they join again
+const verificationSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true },
+    userId: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'verified', 'kicked', 'left'], default: 'pending' },
+    joinedAt: { type: Date, default: Date.now },
+    // When an unverified member is kicked; null when the guild never kicks
+    expiresAt: { type: Date, default: null },
+    verifiedAt: { type: Date, default: null },
+    method: { type: String, default: null },
+    // The most recent attempts, oldest first
+    attempts: { type: [attemptSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+verificationSchema.index({ guildId: 1, userId: 1 }, { unique: true });
+verificationSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('Verification', verificationSchema);
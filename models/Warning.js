@@ -0,0 +1,23 @@
+// /models/Warning.js
+import mongoose from 'mongoose';
+
+// A formal warning given to a member by a moderator
+const warningSchema = new mongoose.Schema(
+  {
+    guildId: { type: String, required: true },
+    userId: { type: String, required: true },
+    moderatorId: { type: String, required: true },
+    reason: { type: String, required: true },
+    // The message the warning was about, when given from a message
+    messageId: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+warningSchema.index({ guildId: 1, userId: 1, createdAt: -1 });
+
+warningSchema.statics.countFor = function countFor(guildId, userId) {
+  return this.countDocuments({ guildId, userId });
+};
+
+export default mongoose.model('Warning', warningSchema);
@@ -0,0 +1,78 @@
+// /test/i18n.test.js
+// Fails when a locale bundle is missing a key or plural form that English has,
+// or when the code looks up a key English does not define.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const LOCALES_DIR = join(ROOT, 'bot', 'i18n', 'locales');
+const SOURCE_DIRS = ['bot', 'commands'];
+const PLURAL_FORMS = /\.(zero|one|two|few|many|other)$/;
+
+const bundles = Object.fromEntries(
+  readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file.slice(0, -'.json'.length), JSON.parse(readFileSync(join(LOCALES_DIR, file), 'utf8'))])
+);
+
+// Dotted paths of every string; plural entries contribute one path per form
+const leafKeys = (node, prefix = '') =>
+  Object.entries(node).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return typeof value === 'object' && value !== null && !Array.isArray(value) ? leafKeys(value, path) : [path];
+  });
+
+const sourceFiles = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return sourceFiles(path);
+    return entry.name.endsWith('.js') ? [path] : [];
+  });
+
+const { en, ...others } = bundles;
+// Command metadata is optional: untranslated commands keep their English text
+const englishKeys = leafKeys(en).filter(key => !key.startsWith('meta.') && !key.startsWith('commands.'));
+// Quoted strings starting with any English namespace, so new namespaces are checked too
+const namespaces = Object.keys(en).filter(ns => ns !== 'meta' && ns !== 'commands');
+const KEY_LITERAL = new RegExp(`['"\`]((?:${namespaces.join('|')})\\.[\\w.]+)['"\`]`, 'g');
+
+test('every bundle declares a name and its Discord locales', () => {
+  for (const [language, bundle] of Object.entries(bundles)) {
+    assert.equal(typeof bundle.meta?.name, 'string', `${language}: meta.name`);
+    assert.ok(Array.isArray(bundle.meta?.discordLocales), `${language}: meta.discordLocales`);
+  }
+});
+
+test('every bundle has every English key', () => {
+  assert.ok(Object.keys(others).length, 'expected at least one bundle besides English');
+  for (const [language, bundle] of Object.entries(others)) {
+    const keys = new Set(leafKeys(bundle));
+    const missing = englishKeys.filter(key => !keys.has(key));
+    assert.deepEqual(missing, [], `${language} is missing keys`);
+  }
+});
+
+test('bundles have no keys English lacks', () => {
+  const known = new Set(englishKeys);
+  for (const [language, bundle] of Object.entries(others)) {
+    const extra = leafKeys(bundle).filter(key => !key.startsWith('meta.') && !key.startsWith('commands.') && !known.has(key));
+    assert.deepEqual(extra, [], `${language} has keys English lacks`);
+  }
+});
+
+test('every key used in the code exists in English', () => {
+  const known = new Set(englishKeys);
+  // A plural entry is looked up by its parent key
+  for (const key of englishKeys) known.add(key.replace(PLURAL_FORMS, ''));
+
+  const missing = [];
+  for (const file of SOURCE_DIRS.flatMap(dir => sourceFiles(join(ROOT, dir)))) {
+    for (const [, key] of readFileSync(file, 'utf8').matchAll(KEY_LITERAL)) {
+      if (!known.has(key)) missing.push(`${key} (${file.slice(ROOT.length + 1)})`);
+    }
+  }
+  assert.deepEqual(missing, []);
+});
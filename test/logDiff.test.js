@@ -0,0 +1,127 @@
+// /test/logDiff.test.js
+// The role, channel and overwrite diffs behind the "updated" log entries
+// (bot/logging/diff.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OverwriteType, PermissionFlagsBits } from 'discord.js';
+import {
+  ROLE_PROPS,
+  diffFields,
+  diffOverwrites,
+  diffRecord,
+  diffStructures,
+  isSignificant,
+  permissionDiff,
+} from '../bot/logging/diff.js';
+
+const GUILD_ID = '100000000000000000';
+const ROLE_ID = '200000000000000000';
+const MEMBER_ID = '300000000000000000';
+
+// Renders the key and its variables so fields can be checked without the locale bundles
+const t = (key, vars) => (vars ? `${key} ${JSON.stringify(vars)}` : key);
+
+const role = (extra = {}) => ({
+  name: 'Mods',
+  color: 0xff0000,
+  hoist: false,
+  mentionable: false,
+  icon: null,
+  unicodeEmoji: null,
+  permissions: { bitfield: PermissionFlagsBits.KickMembers },
+  rawPosition: 3,
+  ...extra,
+});
+
+const overwrite = (id, type, allow = 0n, deny = 0n) => ({ id, type, allow: { bitfield: allow }, deny: { bitfield: deny } });
+const channel = (overwrites) => ({
+  permissionOverwrites: { cache: new Map(overwrites.map(o => [o.id, o])) },
+  guild: {
+    id: GUILD_ID,
+    roles: { cache: new Map([[ROLE_ID, { name: 'Helpers' }]]) },
+    client: { users: { cache: new Map([[MEMBER_ID, { tag: 'someone' }]]) } },
+  },
+});
+
+test('permissionDiff names the permissions granted and revoked', () => {
+  const before = PermissionFlagsBits.KickMembers | PermissionFlagsBits.BanMembers;
+  const after = PermissionFlagsBits.BanMembers | PermissionFlagsBits.ManageMessages;
+  assert.deepEqual(permissionDiff(before, after), { added: ['ManageMessages'], removed: ['KickMembers'] });
+  // Bitfields come from the audit log as strings, and may be missing
+  assert.deepEqual(permissionDiff(undefined, String(PermissionFlagsBits.Administrator)), { added: ['Administrator'], removed: [] });
+  assert.deepEqual(permissionDiff(before, before), { added: [], removed: [] });
+});
+
+test('diffStructures lists only the properties that changed', () => {
+  assert.deepEqual(diffStructures(role(), role(), ROLE_PROPS), []);
+
+  const changes = diffStructures(role(), role({ name: 'Moderators', hoist: true }), ROLE_PROPS);
+  assert.deepEqual(
+    changes.map(c => [c.key, c.before, c.after]),
+    [
+      ['name', 'Mods', 'Moderators'],
+      ['hoist', false, true],
+    ]
+  );
+});
+
+test('diffStructures compares permission bitfields by name', () => {
+  const after = role({ permissions: { bitfield: PermissionFlagsBits.KickMembers | PermissionFlagsBits.BanMembers } });
+  const [change] = diffStructures(role(), after, ROLE_PROPS);
+  assert.equal(change.kind, 'permissions');
+  assert.deepEqual([change.added, change.removed], [['BanMembers'], []]);
+});
+
+test('position changes alone are not significant', () => {
+  const moved = diffStructures(role(), role({ rawPosition: 4 }), ROLE_PROPS);
+  assert.equal(moved.length, 1);
+  assert.equal(isSignificant(moved), false);
+  assert.equal(isSignificant(diffStructures(role(), role({ rawPosition: 4, color: 0 }), ROLE_PROPS)), true);
+});
+
+test('diffOverwrites reports added, removed and changed overwrites', () => {
+  const before = channel([
+    overwrite(GUILD_ID, OverwriteType.Role, 0n, PermissionFlagsBits.SendMessages),
+    overwrite(MEMBER_ID, OverwriteType.Member, PermissionFlagsBits.ViewChannel),
+  ]);
+  const after = channel([
+    overwrite(GUILD_ID, OverwriteType.Role, 0n, PermissionFlagsBits.SendMessages | PermissionFlagsBits.AddReactions),
+    overwrite(ROLE_ID, OverwriteType.Role, PermissionFlagsBits.ViewChannel),
+  ]);
+
+  const changes = diffOverwrites(before, after);
+  assert.deepEqual(
+    changes.map(c => [c.key, c.status, c.labelVars]),
+    [
+      [`overwrite:${GUILD_ID}`, 'changed', { subject: '@everyone' }],
+      [`overwrite:${MEMBER_ID}`, 'removed', { user: 'someone' }],
+      [`overwrite:${ROLE_ID}`, 'added', { subject: '@Helpers' }],
+    ]
+  );
+  assert.deepEqual(changes[0].denied, { added: ['AddReactions'], removed: [] });
+  assert.deepEqual(changes[1].allowed, { added: [], removed: ['ViewChannel'] });
+  assert.equal(changes[2].before, null);
+});
+
+test('diffOverwrites skips overwrites that did not change', () => {
+  const same = [overwrite(ROLE_ID, OverwriteType.Role, PermissionFlagsBits.ViewChannel)];
+  assert.deepEqual(diffOverwrites(channel(same), channel(same)), []);
+});
+
+test('diffFields renders one field per change with the given translator', () => {
+  const changes = diffStructures(role(), role({ hoist: true, color: 0 }), ROLE_PROPS);
+  assert.deepEqual(diffFields(changes, t), [
+    { name: 'logs.diff.props.color', value: '#ff0000 → logs.values.none' },
+    { name: 'logs.diff.props.hoist', value: 'logs.values.no → logs.values.yes' },
+  ]);
+});
+
+test('diffRecord groups overwrites by role or member', () => {
+  const before = channel([]);
+  const after = channel([overwrite(ROLE_ID, OverwriteType.Role, PermissionFlagsBits.ViewChannel)]);
+  const record = diffRecord([...diffStructures(role(), role({ name: 'New' }), ROLE_PROPS), ...diffOverwrites(before, after)]);
+  assert.deepEqual(record, {
+    before: { name: 'Mods', overwrites: { [ROLE_ID]: null } },
+    after: { name: 'New', overwrites: { [ROLE_ID]: { allow: String(PermissionFlagsBits.ViewChannel), deny: '0' } } },
+  });
+});
@@ -0,0 +1,63 @@
+// /test/protectionConfig.test.js
+// How `/protection set` turns typed text into setting values
+// (parseSettingValue and describeSetting in bot/security/config.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProtectionConfigError, describeSetting, parseSettingValue } from '../bot/security/config.js';
+
+const ROLE_ID = '123456789012345678';
+const OTHER_ID = '234567890123456789';
+
+test('describeSetting reads the kind of each setting from the schema', () => {
+  assert.deepEqual(describeSetting('antispam', 'enabled'), { kind: 'boolean' });
+  assert.deepEqual(describeSetting('antispam', 'maxMessages'), { kind: 'number', min: 2, max: 50 });
+  assert.deepEqual(describeSetting('antilink', 'action'), { kind: 'choice', options: ['delete', 'timeout'] });
+  assert.deepEqual(describeSetting('verification', 'verifiedRoleId'), { kind: 'id' });
+  assert.deepEqual(describeSetting('antispam', 'exemptRoles'), { kind: 'ids' });
+  assert.deepEqual(describeSetting('automod', 'keywords'), { kind: 'list' });
+  assert.equal(describeSetting('antispam', 'nope'), null);
+  assert.equal(describeSetting('nope', 'enabled'), null);
+});
+
+test('booleans accept on/off words in any case', () => {
+  for (const text of ['true', 'ON', 'yes', 'Enable', 'enabled']) assert.equal(parseSettingValue('antispam', 'enabled', text), true, text);
+  for (const text of ['false', 'Off', 'no', 'disable', ' DISABLED ']) assert.equal(parseSettingValue('antispam', 'enabled', text), false, text);
+  assert.throws(() => parseSettingValue('antispam', 'enabled', 'maybe'), ProtectionConfigError);
+});
+
+test('numbers must be whole; ranges are left to the schema', () => {
+  assert.equal(parseSettingValue('antispam', 'maxMessages', ' 12 '), 12);
+  assert.equal(parseSettingValue('antispam', 'maxMessages', '500'), 500);
+  assert.equal(parseSettingValue('antispam', 'maxMessages', '-3'), -3);
+  for (const text of ['1.5', 'ten', '', '5 messages']) {
+    assert.throws(() => parseSettingValue('antispam', 'maxMessages', text), /must be a whole number/, text);
+  }
+});
+
+test('choices are lower-cased', () => {
+  assert.equal(parseSettingValue('antilink', 'action', 'Timeout'), 'timeout');
+});
+
+test('single IDs accept mentions and can be cleared', () => {
+  assert.equal(parseSettingValue('verification', 'verifiedRoleId', `<@&${ROLE_ID}>`), ROLE_ID);
+  assert.equal(parseSettingValue('verification', 'verifiedRoleId', ROLE_ID), ROLE_ID);
+  for (const text of ['none', 'OFF', 'null', '-']) assert.equal(parseSettingValue('verification', 'verifiedRoleId', text), null, text);
+  // Left for the schema to reject
+  assert.equal(parseSettingValue('verification', 'verifiedRoleId', 'moderators'), 'moderators');
+});
+
+test('ID lists pick every ID out of the text, once each', () => {
+  assert.deepEqual(
+    parseSettingValue('antispam', 'exemptRoles', `<@&${ROLE_ID}> ${OTHER_ID}, <@&${ROLE_ID}>`),
+    [ROLE_ID, OTHER_ID]
+  );
+  assert.deepEqual(parseSettingValue('antispam', 'exemptRoles', 'none'), []);
+});
+
+test('other lists are comma-separated', () => {
+  assert.deepEqual(parseSettingValue('automod', 'keywords', ' spam, scam ,,spam, free nitro '), ['spam', 'scam', 'free nitro']);
+});
+
+test('unknown settings are rejected', () => {
+  assert.throws(() => parseSettingValue('antispam', 'nope', 'on'), { name: 'ProtectionConfigError', message: 'Unknown setting: nope' });
+});
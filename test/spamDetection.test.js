@@ -0,0 +1,75 @@
+// /test/spamDetection.test.js
+// The spam checks in bot/security/spamDetection.js, against the /protection
+// antispam defaults.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BURST_REASONS, SPAM_REASONS, capsRatio, countEmoji, detectSpam } from '../bot/security/spamDetection.js';
+
+const DEFAULTS = {
+  maxMessages: 5,
+  maxDuplicates: 3,
+  maxMentions: 5,
+  maxEmoji: 15,
+  capsPercent: 70,
+  capsMinLength: 15,
+  maxNewlines: 15,
+  maxAttachments: 8,
+};
+// Every check with a limit switched off
+const ALL_OFF = { ...DEFAULTS, maxDuplicates: 0, maxMentions: 0, maxEmoji: 0, capsPercent: 0, maxNewlines: 0, maxAttachments: 0 };
+
+const message = (content, extra = {}) => ({ at: 0, content, mentions: 0, attachments: 0, ...extra });
+const repeat = (count, make) => Array.from({ length: count }, (_, i) => make(i));
+
+test('a quiet history is not spam', () => {
+  assert.equal(detectSpam([], DEFAULTS), null);
+  assert.equal(detectSpam([message('hello'), message('how are you?')], DEFAULTS), null);
+});
+
+test('capsRatio ignores short text and custom emoji', () => {
+  assert.equal(capsRatio('HELLO', 15), 0);
+  assert.equal(capsRatio('THIS IS ALL CAPS TEXT', 15), 1);
+  assert.equal(capsRatio('Half UPPER half lower', 5), 6 / 18);
+  // The emoji name is not text the member typed
+  assert.equal(capsRatio('ok <:PEPEHANDS:123456789012345678>', 2), 0);
+});
+
+test('countEmoji counts custom and unicode emoji', () => {
+  assert.equal(countEmoji('hi <:wave:123456789012345678> <a:dance:123456789012345678> 🎉🎉'), 4);
+  assert.equal(countEmoji('no emoji here'), 0);
+});
+
+test('each check fires just above its threshold', () => {
+  const cases = [
+    ['mentions', [message('@a @b @c @d @e @f', { mentions: 6 })], [message('@a @b @c @d @e', { mentions: 5 })]],
+    ['rate', repeat(6, i => message(`message ${i}`)), repeat(5, i => message(`message ${i}`))],
+    ['duplicates', repeat(4, () => message('Buy   NOW')), repeat(3, () => message('buy now'))],
+    ['attachments', repeat(3, () => message('', { attachments: 3 })), repeat(2, () => message('', { attachments: 4 }))],
+    ['newlines', [message('a\n'.repeat(16))], [message('a\n'.repeat(15))]],
+    ['emoji', [message('🎉'.repeat(16))], [message('🎉'.repeat(15))]],
+    ['caps', [message('STOP SPAMMING THE CHAT')], [message('Stop spamming the CHAT please')]],
+  ];
+  for (const [reason, over, under] of cases) {
+    assert.equal(detectSpam(over, DEFAULTS), reason, `${reason} over the limit`);
+    assert.equal(detectSpam(under, DEFAULTS), null, `${reason} at the limit`);
+  }
+});
+
+test('a limit of 0 turns its check off', () => {
+  const history = [
+    ...repeat(3, () => message('same', { attachments: 3 })),
+    message(`SAME ${'🎉'.repeat(20)} ${'\n'.repeat(20)} WITH LOUD TEXT EVERYWHERE`, { mentions: 10, attachments: 3 }),
+  ];
+  assert.notEqual(detectSpam(history, DEFAULTS), null);
+  assert.equal(detectSpam(history, ALL_OFF), null);
+});
+
+test('the first matching check wins', () => {
+  const history = repeat(6, () => message('same', { mentions: 6 }));
+  assert.equal(detectSpam(history, DEFAULTS), 'mentions');
+  assert.equal(detectSpam(history, { ...DEFAULTS, maxMentions: 0 }), 'rate');
+});
+
+test('burst reasons are spam reasons', () => {
+  for (const reason of BURST_REASONS) assert.ok(SPAM_REASONS.includes(reason), reason);
+});